@@ -0,0 +1,116 @@
+// =============================================================================
+// api/admin/cache/[cacheId].js
+// Purpose: View, correct, pin or invalidate one book_cache entry
+//          (lib/cacheAdmin.js), e.g. when a provider returned the wrong cover
+//          or description for a book.
+//
+// ACCESS: Signed-in admins only (ADMIN_EMAILS); 401 / 403 otherwise.
+//
+// ENDPOINTS:
+//   GET /api/admin/cache/:cacheId
+//     RESPONSE: { success, entry } - every column, including overrides (the
+//       pinned fields and their values) and metadata_sources
+//
+//   PATCH /api/admin/cache/:cacheId
+//     BODY (JSON), each part optional:
+//       set   (Object) - { field: value }, e.g. { "cover_url": "https://..." };
+//                        null clears a field
+//       pin   (Array)  - Fields to pin with their new or current value, so
+//                        refreshes keep them
+//       unpin (Array)  - Pinned fields to hand back to the providers
+//     Fields: isbn, cover_url, description, categories, matched_title,
+//       matched_authors, series_name, series_volume, cover_url_large,
+//       page_count, published_date, publisher, language, average_rating,
+//       ratings_count. Covers must come from Google Books or Open Library.
+//     RESPONSE: { success, entry, rescored: { scans, books } }; rescored is
+//       null when only pins changed
+//
+//   POST /api/admin/cache/:cacheId
+//     Invalidates the entry: the providers are asked about it again now
+//     (pinned fields are kept), and a changed cover gets a new URL. The row
+//     itself stays, so scans keep their metadata meanwhile (so this is not a
+//     DELETE: nothing is removed).
+//     RESPONSE: { success, entry, outcome, rescored }
+//       outcome: "updated" | "kept" (no provider found it this time) |
+//       "limited" (no provider could be asked: the entry waits for the
+//       refresh job, and rescored is null)
+//
+// After a correction or invalidation every scan with the book is re-enriched
+// (rescored: how many scans, and how many of their books were scored again).
+// =============================================================================
+
+import { requireAdmin } from "../../../lib/auth.js";
+import {
+  getCacheEntry,
+  parseCacheEdit,
+  updateCacheEntry,
+  invalidateCacheEntry,
+} from "../../../lib/cacheAdmin.js";
+
+const ALLOWED_METHODS = ["GET", "PATCH", "POST"];
+
+export default async function handler(req, res) {
+  if (!ALLOWED_METHODS.includes(req.method)) {
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+      allowedMethods: ALLOWED_METHODS,
+    });
+  }
+
+  const admin = await requireAdmin(req, res);
+  if (!admin) return;
+
+  const { cacheId } = req.query;
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  if (!cacheId || !uuidRegex.test(cacheId)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid cacheId format. Must be a UUID.",
+    });
+  }
+
+  try {
+    if (req.method === "GET") {
+      const entry = await getCacheEntry(cacheId);
+      if (!entry) return notFound(res, cacheId);
+      return res.status(200).json({ success: true, entry });
+    }
+
+    if (req.method === "PATCH") {
+      const edit = parseCacheEdit(req.body);
+      if (edit.error) {
+        return res.status(400).json({ success: false, error: edit.error });
+      }
+
+      const updated = await updateCacheEntry(cacheId, edit);
+      if (!updated) return notFound(res, cacheId);
+
+      console.log(`[admin] ${admin.email} corrected cache entry ${cacheId}`);
+      return res.status(200).json({ success: true, ...updated });
+    }
+
+    // POST: invalidate
+    const invalidated = await invalidateCacheEntry(cacheId);
+    if (!invalidated) return notFound(res, cacheId);
+
+    console.log(`[admin] ${admin.email} invalidated cache entry ${cacheId}`);
+    return res.status(200).json({ success: true, ...invalidated });
+  } catch (error) {
+    console.error("Cache admin API error:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to update the book cache",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+function notFound(res, cacheId) {
+  return res.status(404).json({
+    success: false,
+    error: "Cache entry not found",
+    cache_id: cacheId,
+  });
+}
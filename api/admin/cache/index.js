@@ -0,0 +1,58 @@
+// =============================================================================
+// api/admin/cache/index.js
+// Purpose: Find book_cache entries to correct (lib/cacheAdmin.js).
+//
+// ENDPOINT: GET /api/admin/cache
+// ACCESS: Signed-in admins only (ADMIN_EMAILS); 401 / 403 otherwise.
+//
+// QUERY:
+//   q      (string) - An ISBN, or words of a title or author (default: all)
+//   pinned (string) - "true" lists only entries with pinned overrides
+//   limit  (number) - At most this many entries (default 20, max 100)
+//
+// RESPONSE: { success, entries: [{ cache_id, title, author, isbn,
+//   matched_title, matched_authors, cover_url, metadata_sources, overrides,
+//   last_checked, expires_at }] }, recently checked first. The entry itself is
+//   GET /api/admin/cache/:cacheId.
+// =============================================================================
+
+import { requireAdmin } from "../../../lib/auth.js";
+import { searchCacheEntries } from "../../../lib/cacheAdmin.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+      allowedMethods: ["GET"],
+    });
+  }
+
+  const admin = await requireAdmin(req, res);
+  if (!admin) return;
+
+  try {
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit, 10);
+    if (limit !== undefined && !(limit > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: "limit must be a positive integer",
+      });
+    }
+
+    const entries = await searchCacheEntries(req.query.q || "", {
+      limit,
+      pinned: req.query.pinned === "true",
+    });
+
+    return res.status(200).json({ success: true, entries });
+  } catch (error) {
+    console.error("Cache admin API error:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to search the book cache",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
@@ -0,0 +1,86 @@
+// =============================================================================
+// api/covers/[isbn].js
+// Purpose: Serve book covers from our own origin (lib/coverImages.js), so the
+//          browser never loads images from Google Books or Open Library.
+//
+// ENDPOINT: GET /api/covers/:isbn
+//
+// QUERY:
+//   size (string) - "small" (128px wide) | "medium" (320px, default) | "large" (640px)
+//   v    (string) - Cover version (coverVersion in lib/coverImages.js); the
+//                   URLs in API responses always have one
+//
+// RESPONSE: A JPEG cover, or an SVG placeholder with the book's title when no
+//   provider has a cover for the ISBN. 404 for an ISBN that no cached book,
+//   alternative match or edition has: the endpoint needs no login, so it
+//   only fetches covers of books the app has seen. A versioned cover is cached for a
+//   year: a corrected cover gets another version, so another URL. Covers
+//   without a version and placeholders are cached for a day, so a correction
+//   or a cover found later shows up. Public: covers don't belong to a user,
+//   and the CDN can keep them.
+// =============================================================================
+
+import { normalizeIsbn } from "../../lib/isbn.js";
+import { loadCover, COVER_SIZES, DEFAULT_COVER_SIZE } from "../../lib/coverImages.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+      allowedMethods: ["GET"],
+    });
+  }
+
+  try {
+    const isbn = normalizeIsbn(req.query.isbn);
+    if (!isbn) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid ISBN. Must be a valid ISBN-10 or ISBN-13.",
+      });
+    }
+
+    const size = req.query.size || DEFAULT_COVER_SIZE;
+    if (!Object.hasOwn(COVER_SIZES, size)) {
+      return res.status(400).json({
+        success: false,
+        error: `size must be one of: ${Object.keys(COVER_SIZES).join(", ")}`,
+      });
+    }
+
+    const version = req.query.v || "";
+    if (version && !/^[0-9a-f]{8}$/.test(version)) {
+      return res.status(400).json({
+        success: false,
+        error: "v must be a cover version from a cover URL",
+      });
+    }
+
+    const cover = await loadCover(isbn, size, version || "latest");
+    if (!cover) {
+      return res.status(404).json({
+        success: false,
+        error: "Unknown ISBN",
+        isbn,
+      });
+    }
+
+    res.setHeader("Content-Type", cover.contentType);
+    res.setHeader(
+      "Cache-Control",
+      cover.placeholder || !version
+        ? "public, max-age=86400"
+        : "public, max-age=31536000, immutable",
+    );
+    return res.status(200).send(cover.buffer);
+  } catch (error) {
+    console.error("Covers API error:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to load cover",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
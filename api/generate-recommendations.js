@@ -18,6 +18,8 @@
  * 5. Call the recommendation LLM (Llama 3.1 8B) with the enriched book list + preferences
  * 6. Enrich the RECOMMENDED books with Google Books (covers, ISBN, etc.)
  *    — so the frontend can display real covers for recommendations too
+ * 6.5. Drop recommendations the user already owns in any edition: same work
+ *    (lib/works.js) as a book on this shelf or on another of their scans
  * 7. Store everything in the recommendations table (one row per scan)
  * 8. Return the recommendations to the frontend
  *
@@ -36,11 +38,18 @@
  * - Pass preferences to generateRecommendations() as second argument
  * - Preferences are optional — if the user hasn't set any, the LLM works with
  *   just the bookshelf (same behavior as Phase 3)
+ *
+ * Series:
+ * - Step 4.6: volumes missing from series on the shelf (the scan's stored
+ *   series report, see api/series/[scanId].js) are passed as candidates.
+ *   Scans without a report are recommended from the bookshelf alone.
  */
 
 import { query } from "../lib/database.js";
 import { generateRecommendations } from "../lib/recommendationAI.js";
+import { missingVolumeCandidates } from "../lib/seriesDetection.js";
 import { enrichBooks } from "../lib/googleBooks.js";
+import { findCachedBooks } from "../lib/bookCache.js";
 import { v4 as uuidv4 } from "uuid";
 import { checkLimit, incrementUsage } from "../lib/usageTracking.js";
 import { requireUser } from "../lib/auth.js";
@@ -178,6 +187,26 @@ export default async function handler(req, res) {
       );
     }
 
+    // ---- Step 4.6: Missing series volumes as candidates ----
+    // Same graceful degradation as preferences: without them the LLM still
+    // recommends from the bookshelf.
+    let candidates = [];
+    try {
+      const seriesResult = await query("SELECT series FROM scan_series WHERE scan_id = $1", [
+        scan_id,
+      ]);
+      candidates = missingVolumeCandidates(seriesResult.rows[0]?.series);
+      if (candidates.length > 0) {
+        console.log(
+          `[generate-recommendations] ${candidates.length} missing series volume(s) as candidates`,
+        );
+      }
+    } catch (seriesError) {
+      console.error(
+        `[generate-recommendations] Failed to fetch series report (non-blocking): ${seriesError.message}`,
+      );
+    }
+
     // ---- Step 5: Call the recommendation LLM ----
     console.log(
       "[generate-recommendations] Calling LLM for recommendations...",
@@ -201,6 +230,7 @@ export default async function handler(req, res) {
     const llmResult = await generateRecommendations(
       enrichedRecognizedBooks,
       preferences,
+      { candidates },
     );
 
     if (llmResult.recommendations.length === 0) {
@@ -232,11 +262,37 @@ export default async function handler(req, res) {
 
     console.log(`[generate-recommendations] Enrichment complete`);
 
+    // ---- Step 6.5: Drop books already on the user's shelves ----
+    // The prompt already says so, but the LLM only sees titles: a translation
+    // or another edition of a shelf book gets through. Works catch those.
+    const shelfWorks = await findShelfWorks(user.id, scan_id, enrichedRecognizedBooks);
+    const newRecommendations = enrichedRecommendations.filter(
+      (rec) => !(rec.work_id && shelfWorks.has(rec.work_id)),
+    );
+    if (newRecommendations.length < enrichedRecommendations.length) {
+      console.log(
+        `[generate-recommendations] Dropped ${enrichedRecommendations.length - newRecommendations.length} recommendation(s) already on the user's shelves`,
+      );
+    }
+    if (newRecommendations.length === 0) {
+      // Nothing went wrong: the user owns everything the LLM thought of. Not
+      // stored, so the next visit asks again instead of showing an empty set.
+      return res.status(200).json({
+        success: true,
+        already_existed: false,
+        recommendations: {
+          recommendations: [],
+          metadata: llmResult.metadata,
+          message: "Every suggestion is already on your shelves. Try again for new picks.",
+        },
+      });
+    }
+
     // ---- Step 7: Build the final data object to store ----
     // We store everything needed to render the recommendations page in one JSONB column.
     // This means the GET endpoint can return it directly without joins.
     const bookData = {
-      recommendations: enrichedRecommendations,
+      recommendations: newRecommendations,
       metadata: llmResult.metadata,
     };
 
@@ -289,52 +345,42 @@ export default async function handler(req, res) {
 /**
  * Joins book_cache metadata into recognized books for LLM context.
  *
- * This is the same logic used by api/scan/[scanId].js to enrich scan results.
- * We duplicate it here rather than importing from [scanId].js because:
- * - [scanId].js is an API handler, not a library (export default function)
- * - Extracting shared logic into a library would be a refactor for later
+ * Same one-query lookup as api/scan/[scanId].js (lib/bookCache.js).
  *
  * @param {Array<Object>} books - Raw recognized books from scans table
  * @returns {Array<Object>} Books enriched with cache data (categories, description, etc.)
  */
 async function enrichBooksFromCache(books) {
-  // Process each book sequentially (simple, and we're only doing ~5-15 books)
-  for (const book of books) {
-    // Lowercase for case-insensitive cache lookup.
-    // This matches the book_cache table's title_lower + author_lower index.
-    const titleLower = (book.title || "").toLowerCase().trim();
-    const authorLower = (book.author || "").toLowerCase().trim();
-
-    try {
-      const cacheResult = await query(
-        `SELECT isbn, cover_url, description, categories
-         FROM book_cache
-         WHERE title_lower = $1 AND COALESCE(author_lower, '') = $2`,
-        [titleLower, authorLower],
-      );
+  let cachedEntries;
+  try {
+    cachedEntries = await findCachedBooks(books);
+  } catch (error) {
+    // The LLM can still work with title + author alone.
+    console.error(`[generate-recommendations] Cache lookup failed: ${error.message}`);
+    cachedEntries = books.map(() => null);
+  }
 
-      if (cacheResult.rows.length > 0) {
-        // Cache hit: merge the cached fields into the book object
-        const cached = cacheResult.rows[0];
-        book.isbn = cached.isbn || null;
-        book.cover_url = cached.cover_url || null;
-        book.description = cached.description || null;
-        book.categories = cached.categories || [];
-        book.enriched = true;
-      } else {
-        // Cache miss: mark as not enriched so the LLM knows this book
-        // has less context available
-        book.enriched = false;
-      }
-    } catch (error) {
-      // If cache lookup fails for one book, continue with the rest.
-      // The LLM can still work with title + author alone.
-      console.error(
-        `[generate-recommendations] Cache lookup failed for "${book.title}": ${error.message}`,
-      );
+  books.forEach((book, index) => {
+    const cached = cachedEntries[index];
+    if (cached) {
+      // Cache hit: merge the cached fields into the book object
+      book.isbn = cached.isbn || null;
+      book.cover_url = cached.cover_url || null;
+      book.description = cached.description || null;
+      book.categories = cached.categories || [];
+      book.page_count = cached.page_count ?? null;
+      book.published_date = cached.published_date || null;
+      book.language = cached.language || null;
+      book.average_rating = cached.average_rating ?? null;
+      // The work of the match the user picked, if they picked one
+      book.work_id = book.selected_match ? book.selected_match.work_id || null : cached.work_id;
+      book.enriched = true;
+    } else {
+      // Cache miss: mark as not enriched so the LLM knows this book
+      // has less context available
       book.enriched = false;
     }
-  }
+  });
 
   return books;
 }
@@ -375,3 +421,42 @@ async function cleanupOldRecommendations() {
 
   return deletedCount;
 }
+
+// ============================================================================
+// HELPER: Works on the user's shelves
+// ============================================================================
+
+/**
+ * The works (lib/works.js) of the books on this shelf and on the user's other
+ * scans, for the "already on your shelf" check across editions.
+ *
+ * The other scans are looked up in one query (lib/bookCache.js). If that
+ * fails, only this shelf is checked.
+ *
+ * @param {string} userId
+ * @param {string} scanId - This scan, whose books are already enriched
+ * @param {Array<Object>} shelfBooks - This scan's books, with work_id
+ * @returns {Promise<Set<string>>} work_ids
+ */
+async function findShelfWorks(userId, scanId, shelfBooks) {
+  const works = new Set(shelfBooks.map((book) => book.work_id).filter(Boolean));
+
+  try {
+    const result = await query(
+      "SELECT recognized_books->'books' AS books FROM scans WHERE user_id = $1 AND scan_id <> $2",
+      [userId, scanId],
+    );
+    const otherBooks = result.rows.flatMap((row) => row.books || []);
+    const cachedEntries = await findCachedBooks(otherBooks);
+    otherBooks.forEach((book, index) => {
+      const workId = book.selected_match
+        ? book.selected_match.work_id
+        : cachedEntries[index]?.work_id;
+      if (workId) works.add(workId);
+    });
+  } catch (error) {
+    console.error(`[generate-recommendations] Could not look up the user's other scans: ${error.message}`);
+  }
+
+  return works;
+}
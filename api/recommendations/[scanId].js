@@ -30,6 +30,9 @@
 
 import { query } from "../../lib/database.js";
 import { requireUser } from "../../lib/auth.js";
+import { findCachedBooks } from "../../lib/bookCache.js";
+import { DETAIL_FIELDS } from "../../lib/metadataProviders.js";
+import { coverUrl } from "../../lib/coverImages.js";
 
 export default async function handler(req, res) {
   if (req.method !== "GET") {
@@ -124,41 +127,42 @@ export default async function handler(req, res) {
  * The recommendations table stores the raw LLM output + whatever enrichment
  * was available at generation time. But if a book's cache entry was updated
  * later (e.g., by another scan), this ensures we always show the latest.
+ * All recommendations are looked up in one query (lib/bookCache.js).
  * 
  * Mutates the books array in place (adds cover_url, isbn, description,
- * categories, enriched fields).
+ * categories, the book details such as page_count and published_date, the
+ * work_id of lib/works.js, and enriched fields). cover_url is the /api/covers/:isbn proxy when the book
+ * has an ISBN (lib/coverImages.js).
  * 
  * @param {Array<Object>} recommendations - Array of recommendation objects
  */
 async function enrichRecommendationsFromCache(recommendations) {
-  for (const rec of recommendations) {
-    const titleLower = (rec.title || '').toLowerCase().trim()
-    const authorLower = (rec.author || '').toLowerCase().trim()
-
-    try {
-      const cacheResult = await query(
-        `SELECT isbn, cover_url, description, categories
-         FROM book_cache
-         WHERE title_lower = $1 AND COALESCE(author_lower, '') = $2`,
-        [titleLower, authorLower]
-      )
+  let cachedEntries
+  try {
+    cachedEntries = await findCachedBooks(recommendations)
+  } catch (error) {
+    // Keep whatever enrichment was stored at generation time
+    console.error(`[recommendations] Cache enrichment failed: ${error.message}`)
+    return
+  }
 
-      if (cacheResult.rows.length > 0) {
-        const cached = cacheResult.rows[0]
-        rec.isbn = cached.isbn || null
-        rec.cover_url = cached.cover_url || null
-        rec.description = cached.description || null
-        rec.categories = cached.categories || []
-        rec.enriched = true
-      } else {
-        // No cache entry exists for this recommended book.
-        // This can happen if Google Books didn't have data for it,
-        // or if the enrichment step failed during generation.
-        rec.enriched = false
+  recommendations.forEach((rec, index) => {
+    const cached = cachedEntries[index]
+    if (cached) {
+      rec.isbn = cached.isbn || null
+      rec.cover_url = coverUrl(cached) || cached.cover_url || null
+      rec.description = cached.description || null
+      rec.categories = cached.categories || []
+      for (const field of DETAIL_FIELDS) {
+        rec[field] = cached[field] ?? null
       }
-    } catch (error) {
-      console.error(`[recommendations] Cache enrichment failed for "${rec.title}": ${error.message}`)
+      rec.work_id = cached.work_id || null
+      rec.enriched = true
+    } else {
+      // No cache entry exists for this recommended book.
+      // This can happen if Google Books didn't have data for it,
+      // or if the enrichment step failed during generation.
       rec.enriched = false
     }
-  }
+  })
 }
@@ -25,6 +25,12 @@
 
 import { query } from "../lib/database.js";
 import { requireUser } from "../lib/auth.js";
+import { deleteScanImages } from "../lib/imageStorage.js";
+import { findCachedBooks } from "../lib/bookCache.js";
+import { coverUrl } from "../lib/coverImages.js";
+
+// Recommendations per saved set whose covers are shown on the Saved page
+const COVER_PREVIEW_COUNT = 4;
 
 const UUID_REGEX =
   /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
@@ -59,7 +65,8 @@ export default async function handler(req, res) {
  * Fetches all saved recommendation sets for a device.
  *
  * Joins the recommendations table with the scans table to assemble a summary
- * for each saved set: scan date, recognized book title preview, and recommendation count.
+ * for each saved set: scan date, recognized book title preview, recommendation count
+ * and the covers of the first recommendations.
  *
  * Returns an empty array (not 404) when no saved sets exist — having nothing saved
  * is a normal state, not an error. This is the same pattern as GET /api/preferences.
@@ -76,6 +83,7 @@ async function handleGet(req, res, user) {
             r.created_at,
             s.scan_date,
             s.recognized_books,
+            s.stored_images,
             r.book_data
         FROM recommendations r
         JOIN scans s ON r.scan_id = s.scan_id
@@ -83,10 +91,24 @@ async function handleGet(req, res, user) {
         ORDER by r.created_at DESC`,
       [user.id],
     );
+    // Covers of the first few recommendations of every set, joined from
+    // book_cache in one query for the whole page (lib/bookCache.js). Covers are
+    // decoration: if the lookup fails, the cards are shown without them.
+    const coverBooks = result.rows.map((row) =>
+      (row.book_data?.recommendations || []).slice(0, COVER_PREVIEW_COUNT),
+    );
+    let cachedEntries = [];
+    try {
+      cachedEntries = await findCachedBooks(coverBooks.flat());
+    } catch (error) {
+      console.error("[saved] Cover lookup failed:", error.message);
+    }
+    let coverOffset = 0;
+
     // Transform database rows into frontend-friendly format ──
     // The frontend doesn't need the full JSONB blobs. Extract only what the
     // Saved page needs to render each card: dates, title preview, counts.
-    const savedSets = result.rows.map((row) => {
+    const savedSets = result.rows.map((row, index) => {
       // recognized_books is JSONB: { books: [{ title, author, confidence }, ...] }
       // Guard with ?. and || [] in case the structure is missing or malformed.
       const books = row.recognized_books?.books || [];
@@ -99,6 +121,9 @@ async function handleGet(req, res, user) {
       // Count recommendations for the "8 recommendations" display text.
       const recommendationCount = row.book_data?.recommendations?.length || 0;
 
+      const setCovers = cachedEntries.slice(coverOffset, coverOffset + coverBooks[index].length);
+      coverOffset += coverBooks[index].length;
+
       return {
         scan_id: row.scan_id,
         scan_date: row.scan_date,
@@ -107,6 +132,15 @@ async function handleGet(req, res, user) {
         // First 4 titles for preview. The frontend shows these + "+N more" for the rest.
         recognized_books_preview: bookTitles.slice(0, 4),
         recommendation_count: recommendationCount,
+        // Covers of the first recommendations that have one, for the card
+        // (proxied when they have an ISBN, lib/coverImages.js)
+        cover_previews: setCovers
+          .filter((cached) => cached?.cover_url)
+          .map((cached) => coverUrl(cached, "small") || cached.cover_url),
+        // Thumbnail of the first photo, when image storage kept the photos
+        thumbnail_url: row.stored_images?.length
+          ? `/api/scan-images/${row.scan_id}?size=thumbnail`
+          : null,
       };
     });
 
@@ -199,6 +233,9 @@ async function handlePatch(req, res, user) {
  *   The response reports deleted_count vs requested_count so the frontend
  *   can detect any mismatch.
  *
+ * Stored photos (lib/imageStorage.js) are deleted after the rows. That is
+ * best effort: a leftover file is harmless, a failed response is not.
+ *
  * @param {object} req - Request with JSON body: { scan_ids: ["uuid", ...], device_id: "uuid" }
  * @param {object} res - Response with JSON body
  * @returns {Promise<void>}
@@ -219,10 +256,14 @@ async function handleDelete(req, res, user) {
     const result = await query(
       `DELETE FROM scans
         WHERE scan_id = ANY($1::uuid[]) AND user_id = $2
-        RETURNING scan_id`,
+        RETURNING scan_id, stored_images`,
       [scan_ids, user.id],
     );
 
+    for (const row of result.rows) {
+      await deleteScanImages(row.stored_images);
+    }
+
     // Extract the UUIDs of successfully deleted scans from the RETURNING rows.
     const deletedIds = result.rows.map((row) => row.scan_id);
 
@@ -0,0 +1,154 @@
+// =============================================================================
+// api/scan-events/[jobId].js
+// Purpose: Stream a scan job's progress as Server-Sent Events, so the Home
+//          page can show books as they are recognized and enriched instead of
+//          a spinner.
+//
+// ENDPOINT: GET /api/scan-events/:jobId  (?device_id=... for anonymous users)
+// CONTENT-TYPE: text/event-stream
+//
+// EVENTS (event name -> JSON data):
+//   stage      { stage, progress }        - resizing / recognizing / enriching / saving
+//   recognized { count, books }           - e.g. "recognized 14 books", raw AI output
+//   book       { index, book, progress }  - one book with its Google Books metadata
+//   done       { scan_id }                - last event; navigate to /results/:scanId
+//   failed     { error }                  - last event
+//
+// SOURCES:
+//   - Job running in this process (in-process queue): every event, live, from
+//     lib/scanEvents.js, including the ones published before the stream opened.
+//   - Job running elsewhere (another instance): the scan_jobs row is polled
+//     once a second and only stage / done / failed are sent. The client code is
+//     the same either way.
+//
+// The stream closes after done / failed. Clients that cannot use SSE poll
+// GET /api/scan-jobs/:jobId instead.
+// =============================================================================
+
+import { getCurrentUser } from "../../lib/auth.js";
+import { getScanJob } from "../../lib/scanJobs.js";
+import {
+  hasScanEvents,
+  subscribeToScanEvents,
+  isTerminalScanEvent,
+} from "../../lib/scanEvents.js";
+
+// Comment line sent while nothing happens, so proxies don't close an idle stream
+const HEARTBEAT_INTERVAL_MS = 15000;
+const POLL_INTERVAL_MS = 1000;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+      allowedMethods: ["GET"],
+    });
+  }
+
+  const { jobId } = req.query;
+
+  const uuidV4Regex =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!jobId || !uuidV4Regex.test(jobId)) {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid jobId format. Must be a UUID v4.",
+    });
+  }
+
+  let job;
+  let user = null;
+  try {
+    job = await getScanJob(jobId);
+    if (job?.user_id) user = await getCurrentUser(req);
+  } catch (error) {
+    console.error("Scan events API error:", error);
+    return res.status(500).json({ success: false, error: "Internal server error" });
+  }
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: "Scan job not found" });
+  }
+
+  // Ownership check, same rules as GET /api/scan-jobs/:jobId
+  if (job.user_id) {
+    if (!user || user.id !== job.user_id) {
+      return res.status(403).json({ success: false, error: "Access denied" });
+    }
+  } else if (job.device_id) {
+    const { device_id } = req.query;
+    if (!device_id || device_id !== job.device_id) {
+      return res.status(403).json({ success: false, error: "Access denied" });
+    }
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Disable response buffering in nginx-style proxies
+    "X-Accel-Buffering": "no",
+  });
+
+  let closed = false;
+  const cleanups = [];
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    cleanups.forEach((cleanup) => cleanup());
+    res.end();
+  };
+
+  const send = ({ type, ...data }) => {
+    if (closed) return;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (isTerminalScanEvent({ type })) close();
+  };
+
+  req.on("close", close);
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": keep-alive\n\n");
+  }, HEARTBEAT_INTERVAL_MS);
+  cleanups.push(() => clearInterval(heartbeat));
+
+  // Already finished: a single terminal event
+  if (job.status === "done") return send({ type: "done", scan_id: job.scan_id });
+  if (job.status === "failed") return send({ type: "failed", error: job.error });
+
+  if (hasScanEvents(jobId)) {
+    // The replay may already hold done / failed, which closes the stream
+    // before subscribeToScanEvents returns
+    const unsubscribe = subscribeToScanEvents(jobId, send);
+    if (closed) unsubscribe();
+    else cleanups.push(unsubscribe);
+    return;
+  }
+
+  // Job runs in another process: follow its status row instead
+  let lastStatus = null;
+  const poll = async () => {
+    if (closed) return;
+    try {
+      const current = await getScanJob(jobId);
+      if (!current) return send({ type: "failed", error: "Scan job not found" });
+      if (current.status === "done") return send({ type: "done", scan_id: current.scan_id });
+      if (current.status === "failed") return send({ type: "failed", error: current.error });
+
+      const status = JSON.stringify([current.stage, current.progress]);
+      if (status !== lastStatus) {
+        lastStatus = status;
+        send({ type: "stage", stage: current.stage, progress: current.progress || null });
+      }
+    } catch (error) {
+      console.error(`[scan-events] Poll failed for job ${jobId}:`, error.message);
+    }
+    if (!closed) {
+      const timer = setTimeout(poll, POLL_INTERVAL_MS);
+      cleanups.push(() => clearTimeout(timer));
+    }
+  };
+  poll();
+}
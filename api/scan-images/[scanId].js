@@ -0,0 +1,93 @@
+// =============================================================================
+// api/scan-images/[scanId].js
+// Purpose: Serve the stored photos of a scan (lib/imageStorage.js).
+//
+// ENDPOINT: GET /api/scan-images/:scanId
+//
+// QUERY:
+//   index     (number) - Photo index, like each book's image_index (default 0)
+//   size      (string) - "thumbnail" (default) | "original"
+//   device_id (string) - Required for anonymous scans, as for GET /api/scan/:scanId
+//
+// RESPONSE: The image bytes, or 404 when the scan has no stored photo at that
+//   index (image storage off, or the scan predates it).
+// =============================================================================
+
+import { query } from "../../lib/database.js";
+import { getCurrentUser } from "../../lib/auth.js";
+import { loadScanImage } from "../../lib/imageStorage.js";
+
+const IMAGE_SIZES = ["thumbnail", "original"];
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+      allowedMethods: ["GET"],
+    });
+  }
+
+  try {
+    const { scanId } = req.query;
+
+    const uuidV4Regex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!scanId || !uuidV4Regex.test(scanId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid scanId format. Must be a UUID v4.",
+      });
+    }
+
+    const index = parseInt(req.query.index ?? "0", 10);
+    const size = req.query.size || "thumbnail";
+    if (!Number.isInteger(index) || index < 0 || !IMAGE_SIZES.includes(size)) {
+      return res.status(400).json({
+        success: false,
+        error: `index must be a photo index and size one of: ${IMAGE_SIZES.join(", ")}`,
+      });
+    }
+
+    const result = await query(
+      "SELECT user_id, device_id, stored_images FROM scans WHERE scan_id = $1",
+      [scanId],
+    );
+    const scan = result.rows[0];
+
+    if (!scan) {
+      return res.status(404).json({ success: false, error: "Scan not found" });
+    }
+
+    // Ownership check, same rules as GET /api/scan/:scanId
+    if (scan.user_id) {
+      const user = await getCurrentUser(req);
+      if (!user || user.id !== scan.user_id) {
+        return res.status(403).json({ success: false, error: "Access denied" });
+      }
+    } else if (scan.device_id) {
+      const { device_id } = req.query;
+      if (!device_id || device_id !== scan.device_id) {
+        return res.status(403).json({ success: false, error: "Access denied" });
+      }
+    }
+
+    const image = await loadScanImage(scan.stored_images, index, size);
+    if (!image) {
+      return res.status(404).json({ success: false, error: "No stored photo" });
+    }
+
+    // Stored photos never change; private because they belong to one user
+    res.setHeader("Content-Type", image.contentType);
+    res.setHeader("Cache-Control", "private, max-age=86400");
+    return res.status(200).send(image.buffer);
+  } catch (error) {
+    console.error("Scan images API error:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to load photo",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
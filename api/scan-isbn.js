@@ -0,0 +1,181 @@
+/**
+ * scan-isbn.js
+ *
+ * POST /api/scan-isbn
+ *
+ * Purpose:
+ * Barcode input path. Creates a scan from ISBNs instead of a shelf photo: for
+ * books whose back cover faces out, or for adding single books. The EAN-13
+ * barcodes are decoded in the browser (CameraCapture.jsx); ISBNs can also be
+ * typed in. No vision model is called, so this costs no Groq quota, and every
+ * book is an exact edition match.
+ *
+ * Request body (JSON):
+ *   isbns     (string[]) - ISBN-13, ISBN-10 or EAN-13 barcode values, hyphens allowed
+ *   device_id (string)   - UUID v4 identifying the device (anonymous users only)
+ *
+ * Pipeline:
+ * 1. Normalize and validate the ISBNs (lib/isbn.js), dropping duplicates
+ * 2. Resolve each ISBN to a title + author through Google Books, via book_cache
+ *    (resolveIsbns in googleBooks.js, which also fills the cache)
+ * 3. Store the books in a scans row with the same { books, metadata } shape as
+ *    a vision scan, so Results, recommendations and Saved work unchanged
+ * 4. Return scan_id; the frontend navigates to /results/:scanId
+ *
+ * Dependencies:
+ * - database.js: PostgreSQL queries
+ * - googleBooks.js: ISBN resolution + cache
+ * - isbn.js: ISBN normalization
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { query } from "../lib/database.js";
+import { resolveIsbns } from "../lib/googleBooks.js";
+import { normalizeIsbn } from "../lib/isbn.js";
+import { getCurrentUser } from "../lib/auth.js";
+import { scanBookKeys } from "../lib/bookKeys.js";
+
+// One request per ISBN on a cache miss, so keep a batch well under the daily quota.
+const MAX_ISBNS_PER_SCAN = 50;
+
+/**
+ * Why export default: Vercel requires default exports to detect handlers.
+ * @param {Object} req - HTTP request object (Vercel)
+ * @param {Object} res - HTTP response object (Vercel)
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+      allowedMethods: ["POST"],
+    });
+  }
+
+  try {
+    const user = await getCurrentUser(req);
+    const { isbns, device_id } = req.body || {};
+
+    // Determine identity: logged-in user or anonymous device
+    const deviceId = user ? null : device_id;
+    if (!user && !deviceId) {
+      return res.status(400).json({ success: false, error: "device_id is required" });
+    }
+
+    if (!Array.isArray(isbns) || isbns.length === 0) {
+      return res.status(400).json({ success: false, error: "isbns must be a non-empty array" });
+    }
+
+    if (isbns.length > MAX_ISBNS_PER_SCAN) {
+      return res.status(400).json({
+        success: false,
+        error: `A scan can have up to ${MAX_ISBNS_PER_SCAN} ISBNs`,
+      });
+    }
+
+    // ---- Step 1: Normalize, keeping the first occurrence of each ISBN ----
+    const validIsbns = [];
+    const invalidIsbns = [];
+    for (const raw of isbns) {
+      const isbn = normalizeIsbn(raw);
+      if (!isbn) {
+        invalidIsbns.push(raw);
+      } else if (!validIsbns.includes(isbn)) {
+        validIsbns.push(isbn);
+      }
+    }
+
+    if (validIsbns.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No valid ISBNs. Check the numbers and try again.",
+        invalid_isbns: invalidIsbns,
+      });
+    }
+
+    console.log(
+      `[scan-isbn] Resolving ${validIsbns.length} ISBNs for ${user ? `user ${user.id}` : `device ${deviceId}`}`,
+    );
+
+    // ---- Step 2: Resolve ISBNs to books (cache first, then Google Books) ----
+    const startTime = Date.now();
+    const { books: resolvedBooks, unresolved, limited } = await resolveIsbns(validIsbns);
+
+    if (resolvedBooks.length === 0) {
+      return res.status(limited ? 429 : 404).json({
+        success: false,
+        error: limited
+          ? "Daily book lookup limit reached. Please try again tomorrow."
+          : "None of these ISBNs were found on Google Books.",
+        unresolved_isbns: unresolved,
+        invalid_isbns: invalidIsbns,
+      });
+    }
+
+    // ---- Step 3: Store as a regular scan ----
+    // confidence 1.0: the ISBN identifies the edition, there is nothing to guess.
+    // No bbox / image_index: there is no shelf photo to draw on.
+    const recognizedBooks = {
+      books: resolvedBooks.map((book) => ({
+        title: book.title,
+        author: book.author,
+        confidence: 1.0,
+        isbn: book.isbn,
+        source: "barcode",
+      })),
+      metadata: {
+        total_books_detected: resolvedBooks.length,
+        processing_time_ms: Date.now() - startTime,
+        model_used: "isbn-barcode",
+        mock: false,
+        provider: "barcode",
+        image_count: 0,
+        isbns_scanned: validIsbns,
+        unresolved_isbns: unresolved,
+        invalid_isbns: invalidIsbns,
+      },
+    };
+
+    const scanId = uuidv4();
+
+    if (user) {
+      await query(
+        `INSERT INTO scans (scan_id, user_id, recognized_books, preview_images, book_keys)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [scanId, user.id, JSON.stringify(recognizedBooks), JSON.stringify([]), scanBookKeys(recognizedBooks.books)],
+      );
+    } else {
+      // Anonymous user: upsert anon_sessions first (FK constraint), then insert scan
+      await query(
+        `INSERT INTO anon_sessions (device_id, created_at, last_active)
+         VALUES ($1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+         ON CONFLICT (device_id) DO UPDATE SET last_active = CURRENT_TIMESTAMP`,
+        [deviceId],
+      );
+      await query(
+        `INSERT INTO scans (scan_id, device_id, recognized_books, preview_images, book_keys)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [scanId, deviceId, JSON.stringify(recognizedBooks), JSON.stringify([]), scanBookKeys(recognizedBooks.books)],
+      );
+    }
+
+    console.log(
+      `[scan-isbn] Scan ${scanId} saved: ${resolvedBooks.length} books, ${unresolved.length} unresolved, ${invalidIsbns.length} invalid`,
+    );
+
+    return res.status(200).json({
+      success: true,
+      scan_id: scanId,
+      recognized_books: recognizedBooks,
+      unresolved_isbns: unresolved,
+      invalid_isbns: invalidIsbns,
+    });
+  } catch (error) {
+    console.error("[scan-isbn] Error:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to process ISBNs",
+      details: error.message,
+    });
+  }
+}
@@ -0,0 +1,94 @@
+// =============================================================================
+// api/scan-jobs/[jobId].js
+// Purpose: Report the progress of an asynchronous scan job.
+//
+// ENDPOINT: GET /api/scan-jobs/:jobId  (?device_id=... for anonymous users)
+//
+// RESPONSE:
+//   {
+//     success: true,
+//     job: {
+//       job_id, status: "queued" | "running" | "done" | "failed",
+//       stage: "queued" | "resizing" | "recognizing" | "enriching" | "saving" | "done",
+//       progress: { done, total } | null,  - photos, or books while enriching
+//       scan_id: set once status is "done",
+//       error: set once status is "failed",
+//       created_at, updated_at
+//     }
+//   }
+//
+// The frontend follows the job over GET /api/scan-events/:jobId and polls this
+// about once a second when the stream is unavailable, then navigates
+// to /results/:scanId. Jobs are created by api/upload-image.js and run by the
+// worker in lib/scanJobs.js.
+// =============================================================================
+
+import { getCurrentUser } from "../../lib/auth.js";
+import { getScanJob } from "../../lib/scanJobs.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+      allowedMethods: ["GET"],
+    });
+  }
+
+  try {
+    const { jobId } = req.query;
+
+    const uuidV4Regex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!jobId || !uuidV4Regex.test(jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid jobId format. Must be a UUID v4.",
+      });
+    }
+
+    const job = await getScanJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: "Scan job not found" });
+    }
+
+    // Ownership check, same rules as GET /api/scan/:scanId
+    if (job.user_id) {
+      const user = await getCurrentUser(req);
+      if (!user || user.id !== job.user_id) {
+        return res.status(403).json({ success: false, error: "Access denied" });
+      }
+    } else if (job.device_id) {
+      const { device_id } = req.query;
+      if (!device_id || device_id !== job.device_id) {
+        return res.status(403).json({ success: false, error: "Access denied" });
+      }
+    }
+
+    // Status changes every second or so; never serve it from a cache
+    res.setHeader("Cache-Control", "no-store");
+
+    return res.status(200).json({
+      success: true,
+      job: {
+        job_id: job.job_id,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress || null,
+        scan_id: job.scan_id || null,
+        error: job.error || null,
+        created_at: job.created_at,
+        updated_at: job.updated_at,
+      },
+    });
+  } catch (error) {
+    console.error("Scan job API error:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
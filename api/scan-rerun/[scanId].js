@@ -0,0 +1,172 @@
+// =============================================================================
+// api/scan-rerun/[scanId].js
+// Purpose: Recognize the stored photos of an existing scan again, e.g. after
+//          switching vision provider or with tiling / preprocessing variants
+//          the scan was not made with.
+//
+// ENDPOINT: POST /api/scan-rerun/:scanId  (?device_id=... for anonymous scans)
+// BODY (JSON, optional):
+//   tiled    (string) - "on" | "off" | "auto" (default from VISION_TILING)
+//   variants (string) - "rotated,contrast,deskew" (default VISION_VARIANTS)
+//   language (string) - Shelf language, as for uploads (default: the scan's
+//                       original hint, else the owner's preferred language)
+//   discard_edits (boolean) - Required for a scan with corrections (see below)
+// RESPONSE: 202 { job_id, status_url } - follow the job exactly like an upload
+//
+// The scan keeps its id: the job replaces its books and previews (see
+// lib/scanPipeline.js) and reports the same scan_id when done. Corrections
+// made through PATCH /api/scan/:scanId (renames, matches, owned editions)
+// address books by position, so they cannot survive a new reading: the job
+// deletes them with the old books. A scan with corrections is therefore only
+// re-run with discard_edits: true, and answers 409 { edited: true } without
+// it, so the client can ask the user first. The vision
+// cache is skipped, since a re-run is asked for to get a fresh reading.
+// Only scans whose photos were kept by image storage (lib/imageStorage.js)
+// can be re-run; others get 409.
+// =============================================================================
+
+import fs from "fs";
+import { query } from "../../lib/database.js";
+import { getCurrentUser } from "../../lib/auth.js";
+import { getVisionProvider } from "../../lib/visionProviders.js";
+import { resolveTilingMode } from "../../lib/tiledRecognition.js";
+import { resolveImageVariants } from "../../lib/imageVariants.js";
+import { resolveLanguageHint } from "../../lib/languageHints.js";
+import { downloadScanImages } from "../../lib/imageStorage.js";
+import { createScanJob, enqueueScanJob } from "../../lib/scanJobs.js";
+import { checkLimit } from "../../lib/usageTracking.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+      allowedMethods: ["POST"],
+    });
+  }
+
+  let images = [];
+
+  try {
+    const { scanId } = req.query;
+
+    const uuidV4Regex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!scanId || !uuidV4Regex.test(scanId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid scanId format. Must be a UUID v4.",
+      });
+    }
+
+    const result = await query(
+      "SELECT scan_id, user_id, device_id, recognized_books, stored_images FROM scans WHERE scan_id = $1",
+      [scanId],
+    );
+    const scan = result.rows[0];
+
+    if (!scan) {
+      return res.status(404).json({ success: false, error: "Scan not found" });
+    }
+
+    // Ownership check, same rules as GET /api/scan/:scanId
+    if (scan.user_id) {
+      const user = await getCurrentUser(req);
+      if (!user || user.id !== scan.user_id) {
+        return res.status(403).json({ success: false, error: "Access denied" });
+      }
+    } else if (scan.device_id) {
+      const { device_id } = req.query;
+      if (!device_id || device_id !== scan.device_id) {
+        return res.status(403).json({ success: false, error: "Access denied" });
+      }
+    }
+
+    if (!scan.stored_images?.length) {
+      return res.status(409).json({
+        success: false,
+        error: "The photos of this scan were not kept, so it cannot be recognized again.",
+      });
+    }
+
+    const { tiled, variants, language, discard_edits: discardEdits } = req.body || {};
+
+    if (discardEdits !== true) {
+      const corrections = await query(
+        "SELECT COUNT(*)::int AS count FROM scan_corrections WHERE scan_id = $1",
+        [scanId],
+      );
+      if (corrections.rows[0].count > 0) {
+        return res.status(409).json({
+          success: false,
+          error: "Recognizing this scan again discards its corrections. Send discard_edits: true to go ahead.",
+          edited: true,
+          corrections: corrections.rows[0].count,
+        });
+      }
+    }
+
+    const visionProvider = getVisionProvider();
+
+    // Same daily limit as an upload: a re-run costs the same provider requests,
+    // and the worker checks it again before each of them (lib/scanPipeline.js)
+    if (visionProvider.usageApi) {
+      const visionLimit = await checkLimit(visionProvider.usageApi);
+      if (visionLimit.limited) {
+        return res.status(429).json({ success: false, error: visionLimit.reason });
+      }
+    }
+
+    const tilingMode = resolveTilingMode(tiled);
+    const imageVariants = resolveImageVariants(variants);
+
+    let defaultLanguage = scan.recognized_books?.metadata?.language_hint?.language || null;
+    if (!defaultLanguage && scan.user_id) {
+      const prefResult = await query("SELECT language FROM preferences WHERE user_id = $1", [
+        scan.user_id,
+      ]);
+      defaultLanguage = prefResult.rows[0]?.language || null;
+    }
+    const languageHint = resolveLanguageHint(language, defaultLanguage);
+
+    images = await downloadScanImages(scan.stored_images);
+
+    const jobId = await createScanJob({ userId: scan.user_id, deviceId: scan.device_id });
+
+    console.log(
+      `[scan-rerun] Job ${jobId} re-runs scan ${scanId} (${images.length} photo(s), ${visionProvider.name}, tiling ${tilingMode})`,
+    );
+
+    // The worker owns the downloaded copies from here on and deletes them
+    const jobImages = images;
+    images = [];
+    await enqueueScanJob(jobId, {
+      images: jobImages,
+      providerName: visionProvider.name,
+      tilingMode,
+      variants: imageVariants,
+      languageHint,
+      forceRecognition: true,
+      userId: scan.user_id,
+      deviceId: scan.device_id,
+      rerunScanId: scanId,
+    });
+
+    return res.status(202).json({
+      success: true,
+      message: "Re-run queued",
+      job_id: jobId,
+      status_url: `/api/scan-jobs/${jobId}`,
+    });
+  } catch (error) {
+    for (const image of images) {
+      fs.promises.unlink(image.path).catch(() => {});
+    }
+    console.error("Scan re-run error:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to queue re-run",
+      details: error.message,
+    });
+  }
+}
@@ -2,7 +2,9 @@
 // api/scan/[scanId].js
 // Purpose: Fetch scan data and join enriched metadata from book_cache.
 //
-// ENDPOINT: GET /api/scan/:scanId
+// ENDPOINTS:
+//   GET   /api/scan/:scanId - Scan with enriched books and edit history
+//   PATCH /api/scan/:scanId - Rename, delete or add books (see lib/scanEdits.js)
 //
 // FILENAME NOTE: The square brackets [scanId] are REQUIRED by Vercel.
 //   Vercel uses filesystem-based routing. Square brackets indicate a dynamic
@@ -17,30 +19,33 @@
 //
 // DATA FLOW (Phase 2D):
 //   1. Fetch scan row from scans table (contains raw AI output only)
-//   2. For each book in recognized_books.books, look up book_cache by title+author
+//   2. Look up every book in recognized_books.books in book_cache by
+//      title+author, in one query (lib/bookCache.js)
 //   3. Merge cached metadata (cover_url, isbn, description, categories) into each book
 //   4. Return the fully assembled response to the frontend
 //
 //   This keeps the scans table lean (raw AI data only) while book_cache holds
 //   the Google Books metadata. No duplication across scans.
+//
+// EDITS (PATCH):
+//   Body: { operations: [...] } (device_id in the query string, as for GET).
+//   The edited books array replaces recognized_books.books, each applied
+//   operation is logged in scan_corrections (edit history + labeled data for
+//   accuracy evaluation), and renamed/added books go through enrichBooks so
+//   the read-time join finds their covers. A "match" operation picks one of
+//   the book's alternative metadata matches (book_cache.alternatives), an
+//   "edition" operation the edition of the book's work the user owns.
 // =============================================================================
 
-import { query } from "../../lib/database.js";
+import { query, getClient } from "../../lib/database.js";
 import { getCurrentUser } from "../../lib/auth.js";
-
-/**
- * Main handler function for the scan endpoint
- *
- * @param {Object} req - Vercel request object
- * @param {Object} res - Vercel response object
- *
- * Flow:
- * 1. Validate HTTP method (only GET allowed)
- * 2. Extract scanId from URL path
- * 3. Validate scanId format (must be UUID v4)
- * 4. Query database for scan record
- * 5. Return scan data or 404 if not found
- */
+import { enrichBooks } from "../../lib/googleBooks.js";
+import { findCachedBooks } from "../../lib/bookCache.js";
+import { DETAIL_FIELDS } from "../../lib/metadataProviders.js";
+import { coverUrl } from "../../lib/coverImages.js";
+import { linkWork, findEditions } from "../../lib/works.js";
+import { validateEditOperations, applyScanEdits } from "../../lib/scanEdits.js";
+import { scanBookKeys } from "../../lib/bookKeys.js";
 
 // =============================================================================
 // enrichBooksFromCache(books)
@@ -60,24 +65,38 @@ import { getCurrentUser } from "../../lib/auth.js";
 //     - cover_url (string|null)
 //     - description (string|null)
 //     - categories (string[])
+//     - cover_url_large, page_count, published_date, publisher, language,
+//       average_rating, ratings_count: book details (null when unknown)
+//     - metadata_sources (Object): provider behind each field (googleBooks.js)
+//     - alternatives (Array): other editions the search found, best first:
+//       { matched_title, matched_authors, cover_url, isbn, language,
+//         published_date, publisher }
+//     - work_id (string|null): the work the match belongs to (lib/works.js)
+//     - editions (Array): the work's known editions, oldest first:
+//       { edition_id, isbn, title, publisher, published_date, language,
+//         page_count, cover_url }
+//     - owned_edition (Object|undefined): the edition the user said they own
 //     - enriched (boolean): true if cache had data, false if cache miss
 //
+//   Covers of books with an ISBN are proxied: cover_url is /api/covers/:isbn
+//   (lib/coverImages.js), which also draws a placeholder when no provider
+//   has a cover. Books without an ISBN keep the provider's URL.
+//
+//   A book with a selected_match (the user picked an alternative) shows that
+//   match's isbn, cover, description, categories and details instead of the
+//   cached ones. An owned_edition's isbn, cover and edition details (publisher,
+//   date, language, page count) go over those.
+//
 // HOW IT WORKS:
-//   For each book, we query book_cache using the same lowercase title+author
-//   lookup that googleBooks.js uses when writing to the cache. This ensures
-//   consistency: what was cached at scan time is found at read time.
+//   All books are looked up in one query (lib/bookCache.js), using the same
+//   canonical title+author key (lib/bookKeys.js) that googleBooks.js uses
+//   when writing to the cache. This ensures consistency: what was cached at scan time is found at
+//   read time.
 //
 // PERFORMANCE:
-//   Each book requires one SELECT query hitting the unique index
-//   idx_book_cache_lookup(title_lower, author_lower). These are indexed
-//   lookups, so each takes <1ms. Even 20 books = ~20ms total.
-//
-// WHY NOT A SINGLE JOIN QUERY:
-//   The books are inside a JSONB column, not in a separate table with rows.
-//   To do a SQL join, we'd need to unnest the JSONB array into rows first
-//   (jsonb_array_elements), then join with book_cache, then re-aggregate.
-//   That SQL would be complex and hard to maintain. The loop approach is
-//   simpler, readable, and fast enough (indexed lookups are cheap).
+//   One round-trip per scan, however many books, each pair matched through
+//   the unique index idx_book_cache_lookup(title_key, author_key), and one
+//   more for the editions of all their works.
 // =============================================================================
 async function enrichBooksFromCache(books) {
   // Guard: if books is empty or missing, return empty array
@@ -85,114 +104,272 @@ async function enrichBooksFromCache(books) {
     return [];
   }
 
-  const enrichedBooks = [];
-
-  for (const book of books) {
-    // -------------------------------------------------------------------------
-    // Normalize title and author to lowercase for cache lookup.
-    // Must match exactly how googleBooks.js stores them:
-    //   title_lower = title.toLowerCase().trim()
-    //   author_lower = (author || '').toLowerCase().trim()
-    // -------------------------------------------------------------------------
-    const titleLower = (book.title || "").toLowerCase().trim();
-    const authorLower = (book.author || "").toLowerCase().trim();
-
-    try {
-      // -----------------------------------------------------------------------
-      // Query book_cache by the composite unique index (title_lower, author_lower).
-      // COALESCE(author_lower, '') handles NULL author_lower values in the DB.
-      // This is the same query pattern used in googleBooks.js checkCache().
-      // -----------------------------------------------------------------------
-      const cacheResult = await query(
-        `SELECT isbn, cover_url, description, categories
-         FROM book_cache
-         WHERE title_lower = $1 AND COALESCE(author_lower, '') = $2`,
-        [titleLower, authorLower],
-      );
+  // If the cache query fails, don't break the whole response: the books are
+  // returned without metadata.
+  let cachedEntries;
+  try {
+    cachedEntries = await findCachedBooks(books);
+  } catch (error) {
+    console.error("[scan] Cache lookup failed:", error.message);
+    cachedEntries = books.map(() => null);
+  }
 
-      if (cacheResult.rows.length > 0) {
-        // Cache hit, merged cached metadata into the book object
-        const cached = cacheResult.rows[0];
-        enrichedBooks.push({
-          ...book,
-          isbn: cached.isbn,
-          cover_url: cached.cover_url,
-          description: cached.description,
-          categories: cached.categories || [],
-          enriched: true,
-        });
-      } else {
-        // Cache miss: return the book with null metadata fields
-        // This can happen if:
-        //   - The cache was cleared after the scan was created
-        //   - The enrichment step failed for this book during upload
-        //   - The Google Books API key was not set when the scan was uploaded
-        enrichedBooks.push({
-          ...book,
-          isbn: null,
-          cover_url: null,
-          description: null,
-          categories: [],
-          enriched: false,
-        });
-      }
-    } catch (error) {
-      // If the cache query fails for one book, don't break the whole response.
-      // Return the book without metadata.
-      console.error(
-        `[scan] Cache lookup failed for "${book.title}":`,
-        error.message,
-      );
-      enrichedBooks.push({
+  // The editions of every work, in one query. Like the cache lookup, a
+  // failure only leaves the books without an edition list.
+  const workIds = books.map((book, index) => bookWorkId(book, cachedEntries[index]));
+  let editionsByWork = new Map();
+  try {
+    editionsByWork = await findEditions(workIds);
+  } catch (error) {
+    console.error("[scan] Edition lookup failed:", error.message);
+  }
+
+  return books.map((book, index) => {
+    const cached = cachedEntries[index];
+
+    if (!cached) {
+      // Cache miss: return the book with null metadata fields
+      // This can happen if:
+      //   - The cache was cleared after the scan was created
+      //   - The enrichment step failed for this book during upload
+      //   - The Google Books API key was not set when the scan was uploaded
+      return {
         ...book,
         isbn: null,
         cover_url: null,
         description: null,
         categories: [],
+        work_id: null,
+        editions: [],
         enriched: false,
-      });
+      };
     }
+
+    // Cache hit, merged cached metadata into the book object. An owned
+    // edition only changes what differs between editions.
+    const match = { ...(book.selected_match || cached), ...ownedEditionFields(book.owned_edition) };
+    return {
+      ...book,
+      isbn: match.isbn,
+      cover_url: coverUrl(match) || match.cover_url,
+      description: match.description,
+      categories: match.categories || [],
+      ...Object.fromEntries(DETAIL_FIELDS.map((field) => [field, match[field] ?? null])),
+      work_id: workIds[index],
+      editions: (editionsByWork.get(workIds[index]) || []).map((edition) => ({
+        edition_id: edition.edition_id,
+        isbn: edition.isbn,
+        title: edition.title,
+        publisher: edition.publisher,
+        published_date: edition.published_date,
+        language: edition.language,
+        page_count: edition.page_count,
+        cover_url: coverUrl(edition, "small"),
+      })),
+      metadata_sources: cached.metadata_sources || {},
+      alternatives: (cached.alternatives || []).map((alternative) => ({
+        matched_title: alternative.matched_title,
+        matched_authors: alternative.matched_authors || [],
+        cover_url: coverUrl(alternative, "small") || alternative.cover_url,
+        isbn: alternative.isbn,
+        language: alternative.language || null,
+        published_date: alternative.published_date || null,
+        publisher: alternative.publisher || null,
+      })),
+      enriched: true,
+    };
+  });
+}
+
+// The work of a scan book: its selected match's (picked on the Results page,
+// linked when it was picked), else the cached match's
+function bookWorkId(book, cached) {
+  if (book.selected_match) return book.selected_match.work_id || null;
+  return cached?.work_id || null;
+}
+
+// The fields of an owned edition that go over the match
+function ownedEditionFields(edition) {
+  if (!edition) return {};
+  const fields = { isbn: edition.isbn, cover_url: edition.cover_url, cover_url_large: null };
+  for (const field of ["publisher", "published_date", "language", "page_count"]) {
+    if (edition[field]) fields[field] = edition[field];
   }
-  return enrichedBooks;
+  return fields;
 }
 
+/**
+ * Main handler function for the scan endpoint
+ *
+ * @param {Object} req - Vercel request object
+ * @param {Object} res - Vercel response object
+ *
+ * Flow:
+ * 1. Route by HTTP method (GET or PATCH)
+ * 2. Extract scanId from URL path
+ * 3. Validate scanId format (must be UUID v4)
+ * 4. Query database for scan record and check ownership
+ * 5. Return (or edit, then return) scan data, or 404 if not found
+ */
 export default async function handler(req, res) {
-  if (req.method !== "GET") {
-    return res.status(405).json({
+  if (req.method === "GET") {
+    return handleGet(req, res);
+  }
+
+  if (req.method === "PATCH") {
+    return handlePatch(req, res);
+  }
+
+  return res.status(405).json({
+    success: false,
+    error: "Method not allowed",
+    allowedMethods: ["GET", "PATCH"],
+  });
+}
+
+// =============================================================================
+// getScanId(req, res)
+//
+// Purpose: Reads and validates the scanId URL segment.
+//
+// Returns:
+//   The scanId string, or null after sending a 400 response.
+// =============================================================================
+function getScanId(req, res) {
+  // Extract scanId from query parameters
+  // Vercel serverless functions receive URL params in req.query
+  // Example URL: /api/scan?scanId=abc123... OR /api/scan/abc123...
+  const scanId = req.query.scanId || req.query.id;
+  if (!scanId) {
+    res.status(400).json({
       success: false,
-      error: "Method not allowed",
-      allowedMethods: ["GET"],
+      error: "scanId is required as a query parameter",
     });
+    return null;
   }
 
-  try {
-    // Extract scanId from query parameters
-    // Vercel serverless functions receive URL params in req.query
-    // Example URL: /api/scan?scanId=abc123... OR /api/scan/abc123...
-    const scanId = req.query.scanId || req.query.id;
-    if (!scanId) {
-      return res.status(400).json({
-        success: false,
-        error: "scanId is required as a query parameter",
-      });
-    }
+  // scanid must be a valid UUID
+  const uuidV4Regex =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidV4Regex.test(scanId)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid scanId format. Must be a UUID v4.",
+    });
+    return null;
+  }
 
-    // scanid must be a valid UUID
-    const uuidV4Regex =
-      /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!uuidV4Regex.test(scanId)) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid scanId format. Must be a UUID v4.",
-      });
-    }
+  return scanId;
+}
 
-    // Step 5: Query database for scan record
+// =============================================================================
+// canAccessScan(req, scan)
+//
+// Purpose: Ownership check shared by GET and PATCH. A user's scan is only
+//          visible to that user; an anonymous scan to the device that made it
+//          (device_id in the query string).
+// =============================================================================
+async function canAccessScan(req, scan) {
+  if (scan.user_id) {
+    const user = await getCurrentUser(req);
+    return Boolean(user && user.id === scan.user_id);
+  }
+  if (scan.device_id) {
+    const { device_id } = req.query;
+    return Boolean(device_id && device_id === scan.device_id);
+  }
+  return true;
+}
+
+// =============================================================================
+// getEditHistory(scanId)
+//
+// Purpose: The scan's applied corrections, oldest first.
+// =============================================================================
+async function getEditHistory(scanId) {
+  const result = await query(
+    `SELECT action, position, model_output, corrected, created_at
+     FROM scan_corrections
+     WHERE scan_id = $1
+     ORDER BY created_at, correction_id`,
+    [scanId],
+  );
+  return result.rows;
+}
+
+// =============================================================================
+// buildScanResponse(scan)
+//
+// Purpose: Assembles the response body shared by GET and PATCH from a scans
+//          row: enriched books, original AI metadata and the edit history.
+// =============================================================================
+async function buildScanResponse(scan) {
+  // -------------------------------------------------------------------------
+  // Join enriched metadata from book_cache.
+  //
+  // scan.recognized_books is the JSONB column parsed into a JS object by pg.
+  // It has the structure: { books: [...], metadata: {...} }
+  //
+  // We take the raw books array, look up each one in book_cache, and merge
+  // the cached metadata (cover_url, isbn, description, categories) into
+  // each book object.
+  //
+  // The result is a fully assembled array that the frontend can render
+  // directly - covers, categories, and all.
+  // -------------------------------------------------------------------------
+  const rawBooks = scan.recognized_books?.books || []
+  const enrichedBooks = await enrichBooksFromCache(rawBooks)
+  const editHistory = await getEditHistory(scan.scan_id)
+
+  // -------------------------------------------------------------------------
+  // Build the response.
+  //
+  // We construct a new recognized_books object with:
+  //   - books: the enriched array (raw AI + cached Google Books metadata)
+  //   - metadata: the original AI metadata (model, timing, etc.) unchanged
+  //
+  // Convenience fields (total_books, processing_time_ms, model_used) are
+  // computed from the data so the frontend doesn't have to dig into nested
+  // objects for common values.
+  // -------------------------------------------------------------------------
+  return {
+    success: true,
+    scan: {
+      scan_id: scan.scan_id,
+      scan_date: scan.scan_date,
+      recognized_books: {
+        books: enrichedBooks,
+        metadata: scan.recognized_books?.metadata || {}
+      },
+      // Downscaled photos (data URLs) for the bounding box overlay, indexed
+      // like each book's image_index. Empty for scans created before
+      // previews were stored; a null entry means that photo has no preview.
+      preview_images: scan.preview_images || [],
+      // Original photos kept by image storage (lib/imageStorage.js); 0 when
+      // storage is off. Photos are served by GET /api/scan-images/:scanId and
+      // a scan with photos can be recognized again (POST /api/scan-rerun/:scanId).
+      stored_image_count: scan.stored_images?.length || 0,
+      // Corrections made on the Results page, oldest first
+      edit_history: editHistory,
+      // computed fields for convenience
+      total_books: enrichedBooks.length,
+      processing_time: scan.recognized_books?.metadata?.processing_time_ms || null,
+      model_used: scan.recognized_books?.metadata?.model_used || "unknown",
+    },
+  };
+}
+
+async function handleGet(req, res) {
+  try {
+    const scanId = getScanId(req, res);
+    if (!scanId) return;
+
+    // Query database for scan record
     // Using parameterized query ($1) to prevent SQL injection
     console.log(`Fetching scan data for scanId: ${scanId}`);
 
     const result = await query(
-      "SELECT scan_id, user_id, device_id, scan_date, recognized_books FROM scans WHERE scan_id = $1",
+      "SELECT scan_id, user_id, device_id, scan_date, recognized_books, preview_images, stored_images FROM scans WHERE scan_id = $1",
       [scanId],
     );
 
@@ -210,61 +387,11 @@ export default async function handler(req, res) {
     // Extract scan data from query result
     const scan = result.rows[0];
 
-    // Ownership check
-    if (scan.user_id) {
-      const user = await getCurrentUser(req);
-      if (!user || user.id !== scan.user_id) {
-        return res.status(403).json({ success: false, error: "Access denied" });
-      }
-    } else if (scan.device_id) {
-      const { device_id } = req.query;
-      if (!device_id || device_id !== scan.device_id) {
-        return res.status(403).json({ success: false, error: "Access denied" });
-      }
+    if (!(await canAccessScan(req, scan))) {
+      return res.status(403).json({ success: false, error: "Access denied" });
     }
 
-    // -------------------------------------------------------------------------
-    // Join enriched metadata from book_cache.
-    //
-    // scan.recognized_books is the JSONB column parsed into a JS object by pg.
-    // It has the structure: { books: [...], metadata: {...} }
-    //
-    // We take the raw books array, look up each one in book_cache, and merge
-    // the cached metadata (cover_url, isbn, description, categories) into
-    // each book object.
-    //
-    // The result is a fully assembled array that the frontend can render
-    // directly - covers, categories, and all.
-    // -------------------------------------------------------------------------
-    const rawBooks = scan.recognized_books?.books || []
-    const enrichedBooks = await enrichBooksFromCache(rawBooks)
-
-    // -------------------------------------------------------------------------
-    // Build and return the response.
-    //
-    // We construct a new recognized_books object with:
-    //   - books: the enriched array (raw AI + cached Google Books metadata)
-    //   - metadata: the original AI metadata (model, timing, etc.) unchanged
-    //
-    // Convenience fields (total_books, processing_time_ms, model_used) are
-    // computed from the data so the frontend doesn't have to dig into nested
-    // objects for common values.
-    // -------------------------------------------------------------------------
-    return res.status(200).json({
-      success: true,
-      scan: {
-        scan_id: scan.scan_id,
-        scan_date: scan.scan_date,
-        recognized_books: {
-          books: enrichedBooks,
-          metadata: scan.recognized_books?.metadata || {}
-        },
-        // computed fields for convenience
-        total_books: enrichedBooks.length,
-        processing_time: scan.recognized_books?.metadata?.processing_time_ms || null,
-        model_used: scan.recognized_books?.metadata?.model_used || "unknown",
-      },
-    });
+    return res.status(200).json(await buildScanResponse(scan));
   } catch (error) {
     console.error("Scan API error:", error);
     return res.status(500).json({
@@ -276,3 +403,245 @@ export default async function handler(req, res) {
     });
   }
 }
+
+// =============================================================================
+// resolveMatchOperations(operations, books)
+//
+// Purpose: Looks up the metadata each "match" operation picks: the chosen
+//          entry of the book's book_cache.alternatives, or the cached match
+//          itself for alternative: null. Sets operation.metadata. A picked
+//          alternative is linked to its work (lib/works.js) here, so the
+//          book's work and editions follow the pick.
+//
+// Returns:
+//   An error message for an unknown alternative, or null.
+//
+// WHY the server resolves it: the client only sends an index, so a scan
+//   cannot be given metadata that no search returned.
+// =============================================================================
+async function resolveMatchOperations(operations, books) {
+  const matches = [...operations.entries()].filter(([, operation]) => operation.op === "match");
+  const cachedEntries = await findCachedBooks(
+    matches.map(([, operation]) => books[operation.position]),
+  );
+
+  for (const [matchIndex, [index, operation]] of matches.entries()) {
+    const cached = cachedEntries[matchIndex];
+    const alternatives = cached?.alternatives || [];
+
+    if (operation.alternative === null) {
+      if (!cached?.matched_title) {
+        return `operations[${index}]: book ${operation.position} has no automatic match`;
+      }
+      operation.metadata = {
+        isbn: cached.isbn,
+        cover_url: cached.cover_url,
+        description: cached.description,
+        categories: cached.categories || [],
+        matched_title: cached.matched_title,
+        matched_authors: cached.matched_authors || [],
+        ...Object.fromEntries(DETAIL_FIELDS.map((field) => [field, cached[field] ?? null])),
+      };
+    } else if (operation.alternative < alternatives.length) {
+      const alternative = alternatives[operation.alternative];
+      let workId = null;
+      try {
+        workId = await linkWork(alternative);
+      } catch (error) {
+        console.error("[scan] Could not link the picked match to a work:", error.message);
+      }
+      operation.metadata = { ...alternative, work_id: workId };
+    } else {
+      return alternatives.length === 0
+        ? `operations[${index}]: book ${operation.position} has no alternative matches`
+        : `operations[${index}].alternative must be between 0 and ${alternatives.length - 1}`;
+    }
+  }
+  return null;
+}
+
+// =============================================================================
+// resolveEditionOperations(operations, books)
+//
+// Purpose: Looks up the edition each "edition" operation picks and checks it
+//          is an edition of the book's work. Sets operation.edition (left
+//          unset for edition_id: null).
+//
+// Returns:
+//   An error message for an edition of another work, or null.
+// =============================================================================
+async function resolveEditionOperations(operations, books) {
+  const picks = [...operations.entries()].filter(
+    ([, operation]) => operation.op === "edition" && operation.edition_id !== null,
+  );
+  if (picks.length === 0) return null;
+
+  const cachedEntries = await findCachedBooks(
+    picks.map(([, operation]) => books[operation.position]),
+  );
+  const result = await query(
+    `SELECT edition_id, work_id, isbn, title, publisher, published_date, language, page_count, cover_url
+     FROM editions
+     WHERE edition_id = ANY($1::uuid[])`,
+    [picks.map(([, operation]) => operation.edition_id)],
+  );
+  const editions = new Map(result.rows.map((edition) => [edition.edition_id, edition]));
+
+  for (const [pickIndex, [index, operation]] of picks.entries()) {
+    const { work_id: workId, ...edition } = editions.get(operation.edition_id) || {};
+    const bookWork = bookWorkId(books[operation.position], cachedEntries[pickIndex]);
+    if (!workId || workId !== bookWork) {
+      return `operations[${index}]: edition ${operation.edition_id} is not an edition of book ${operation.position}`;
+    }
+    operation.edition = edition;
+  }
+  return null;
+}
+
+// =============================================================================
+// handlePatch(req, res)
+//
+// Purpose: Applies user corrections to a scan's books.
+//
+// Body (JSON):
+//   operations (Array): see lib/scanEdits.js, e.g.
+//     [{ "op": "rename", "position": 2, "title": "Dune", "author": "Frank Herbert" },
+//      { "op": "delete", "position": 5 },
+//      { "op": "add", "title": "Emma", "author": "Jane Austen" },
+//      { "op": "match", "position": 3, "alternative": 0 },
+//      { "op": "edition", "position": 4, "edition_id": "<uuid>" }]
+//
+// CONCURRENCY:
+//   The scan row is locked (SELECT ... FOR UPDATE) while the edit is applied,
+//   so two tabs editing the same scan cannot overwrite each other's changes.
+//   Positions are resolved against the books as they are inside the lock.
+//
+// RE-ENRICHMENT:
+//   Renamed and added books are passed to enrichBooks after the commit, so the
+//   Google Books call doesn't hold the row lock. Like the upload handler, we
+//   only want the side effect (book_cache populated); a failure there leaves
+//   the edit in place and the book shows without a cover.
+// =============================================================================
+async function handlePatch(req, res) {
+  const scanId = getScanId(req, res);
+  if (!scanId) return;
+
+  const { operations } = req.body || {};
+  const client = await getClient();
+
+  let scan;
+  let changedBooks;
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      "SELECT scan_id, user_id, device_id, scan_date, recognized_books, preview_images, stored_images FROM scans WHERE scan_id = $1 FOR UPDATE",
+      [scanId],
+    );
+
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ success: false, error: "Scan not found", scan_id: scanId });
+    }
+
+    scan = result.rows[0];
+
+    if (!(await canAccessScan(req, scan))) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ success: false, error: "Access denied" });
+    }
+
+    const books = scan.recognized_books?.books || [];
+    const validationError = validateEditOperations(operations, books.length);
+    if (validationError) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const matchError =
+      (await resolveMatchOperations(operations, books)) ||
+      (await resolveEditionOperations(operations, books));
+    if (matchError) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ success: false, error: matchError });
+    }
+
+    const edit = applyScanEdits(books, operations);
+    changedBooks = edit.changedBooks;
+
+    scan.recognized_books = {
+      ...scan.recognized_books,
+      books: edit.books,
+      metadata: {
+        ...(scan.recognized_books?.metadata || {}),
+        last_edited_at: new Date().toISOString(),
+      },
+    };
+
+    await client.query(
+      "UPDATE scans SET recognized_books = $2, book_keys = $3 WHERE scan_id = $1",
+      [scanId, JSON.stringify(scan.recognized_books), scanBookKeys(edit.books)],
+    );
+
+    // The series report describes the old books; the Results page rebuilds it
+    await client.query("DELETE FROM scan_series WHERE scan_id = $1", [scanId]);
+
+    // Edit history + labeled data. model_used / provider record which model
+    // made the reading being corrected.
+    const metadata = scan.recognized_books.metadata;
+    for (const correction of edit.corrections) {
+      await client.query(
+        `INSERT INTO scan_corrections (scan_id, action, position, model_output, corrected, model_used, provider)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          scanId,
+          correction.action,
+          correction.position,
+          correction.model_output ? JSON.stringify(correction.model_output) : null,
+          correction.corrected ? JSON.stringify(correction.corrected) : null,
+          metadata.model_used || null,
+          metadata.provider || null,
+        ],
+      );
+    }
+
+    await client.query("COMMIT");
+
+    console.log(
+      `[scan] Applied ${edit.corrections.length} edit(s) to scan ${scanId}: ${books.length} -> ${edit.books.length} books`,
+    );
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Scan PATCH error:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to edit scan",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  } finally {
+    client.release();
+  }
+
+  try {
+    if (changedBooks.length > 0) {
+      // Same search language as the scan itself (lib/languageHints.js)
+      await enrichBooks(changedBooks, {
+        languageHint: scan.recognized_books?.metadata?.language_hint || null,
+      });
+    }
+  } catch (error) {
+    console.error(`[scan] Re-enrichment failed for scan ${scanId}:`, error.message);
+  }
+
+  try {
+    return res.status(200).json(await buildScanResponse(scan));
+  } catch (error) {
+    console.error("Scan PATCH response error:", error);
+    return res.status(500).json({
+      success: false,
+      error: "Scan was edited but could not be reloaded",
+    });
+  }
+}
@@ -0,0 +1,160 @@
+// =============================================================================
+// api/series/[scanId].js
+// Purpose: Series on a scan and the volumes missing from the shelf.
+//
+// ENDPOINTS (?device_id=... for anonymous scans):
+//   GET  /api/series/:scanId - The stored series report, 404 if none yet
+//   POST /api/series/:scanId - Build (or rebuild) the report and store it
+//
+// RESPONSE: { success, report: { series: [...], metadata } }
+//   (report shape in lib/seriesDetection.js)
+//
+// Same GET-then-POST flow as recommendations: the Results page asks for the
+// stored report first and only builds one on 404, so revisiting a scan does
+// not cost another LLM request. The report is deleted whenever the scan's
+// books change (PATCH /api/scan/:scanId, re-runs), so the next visit
+// rebuilds it.
+//
+// The LLM assist (lib/seriesAI.js) counts against the groq_text daily limit.
+// When the limit is reached or the request fails, the report is built from
+// book metadata alone (metadata.assisted = false): fewer series, and missing
+// volumes only where the owned volume numbers leave gaps.
+// =============================================================================
+
+import { query } from "../../lib/database.js";
+import { getCurrentUser } from "../../lib/auth.js";
+import { findCachedBooks } from "../../lib/bookCache.js";
+import { buildSeriesReport } from "../../lib/seriesDetection.js";
+import { detectSeriesWithLLM } from "../../lib/seriesAI.js";
+import { checkLimit, incrementUsage } from "../../lib/usageTracking.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+      allowedMethods: ["GET", "POST"],
+    });
+  }
+
+  try {
+    const { scanId } = req.query;
+
+    const uuidV4Regex =
+      /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!scanId || !uuidV4Regex.test(scanId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid scanId format. Must be a UUID v4.",
+      });
+    }
+
+    const result = await query(
+      "SELECT scan_id, user_id, device_id, recognized_books FROM scans WHERE scan_id = $1",
+      [scanId],
+    );
+    const scan = result.rows[0];
+
+    if (!scan) {
+      return res.status(404).json({ success: false, error: "Scan not found" });
+    }
+
+    // Ownership check, same rules as GET /api/scan/:scanId
+    if (scan.user_id) {
+      const user = await getCurrentUser(req);
+      if (!user || user.id !== scan.user_id) {
+        return res.status(403).json({ success: false, error: "Access denied" });
+      }
+    } else if (scan.device_id) {
+      const { device_id } = req.query;
+      if (!device_id || device_id !== scan.device_id) {
+        return res.status(403).json({ success: false, error: "Access denied" });
+      }
+    }
+
+    if (req.method === "GET") {
+      const stored = await query("SELECT series FROM scan_series WHERE scan_id = $1", [scanId]);
+      if (stored.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: "No series report for this scan yet",
+        });
+      }
+      return res.status(200).json({ success: true, report: stored.rows[0].series });
+    }
+
+    const books = await joinSeriesMetadata(scan.recognized_books?.books || []);
+
+    // ---- LLM assist, optional ----
+    let assist = null;
+    if (books.length > 0) {
+      const textLimit = await checkLimit("groq_text");
+      if (textLimit.limited) {
+        console.log(
+          `[series] Groq text daily limit reached (${textLimit.count}). Using metadata only.`,
+        );
+      } else {
+        try {
+          const llmResult = await detectSeriesWithLLM(books);
+          await incrementUsage("groq_text");
+          assist = llmResult.series;
+        } catch (error) {
+          console.error(`[series] LLM assist failed (using metadata only): ${error.message}`);
+        }
+      }
+    }
+
+    const report = buildSeriesReport(books, assist);
+
+    await query(
+      `INSERT INTO scan_series (scan_id, series)
+       VALUES ($1, $2)
+       ON CONFLICT (scan_id) DO UPDATE SET series = EXCLUDED.series, created_at = CURRENT_TIMESTAMP`,
+      [scanId, JSON.stringify(report)],
+    );
+
+    console.log(
+      `[series] Scan ${scanId}: ${report.series.length} series, ` +
+        `${report.metadata.missing_count} missing volume(s)` +
+        (report.metadata.assisted ? "" : " (metadata only)"),
+    );
+
+    return res.status(200).json({ success: true, report });
+  } catch (error) {
+    console.error(`[series] Error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to detect series",
+      details: error.message,
+    });
+  }
+}
+
+/**
+ * Joins each book with the series fields of its book_cache entry (same
+ * one-query lookup as the scan endpoint, lib/bookCache.js).
+ *
+ * @param {Array<Object>} books - recognized_books.books
+ * @returns {Promise<Array<Object>>} New book objects with matched_title,
+ *   series_name and series_volume (null on a cache miss)
+ */
+async function joinSeriesMetadata(books) {
+  let cachedEntries;
+  try {
+    cachedEntries = await findCachedBooks(books);
+  } catch (error) {
+    console.error(`[series] Cache lookup failed: ${error.message}`);
+    cachedEntries = books.map(() => null);
+  }
+
+  return books.map((book, index) => {
+    const cached = cachedEntries[index];
+    return {
+      title: book.title,
+      author: book.author,
+      matched_title: cached?.matched_title || null,
+      series_name: cached?.series_name || null,
+      series_volume: cached?.series_volume ?? null,
+    };
+  });
+}
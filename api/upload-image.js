@@ -1,13 +1,26 @@
 // =============================================================================
 // api/upload-image.js
-// Purpose: Accept image upload, process with AI, enrich with Google Books, store.
+// Purpose: Accept image upload and queue a scan job that processes it with AI,
+//          enriches with Google Books and stores the scan.
 //
 // ENDPOINT: POST /api/upload-image
 // CONTENT-TYPE: multipart/form-data
+// RESPONSE: 202 { job_id, status_url } - poll GET /api/scan-jobs/:jobId
 //
 // FORM FIELDS:
-//   image     (File)   - The bookshelf photo (JPEG, PNG, or HEIC, max 10MB)
+//   image     (File)   - A bookshelf photo (JPEG, PNG, or HEIC, max 10MB).
+//                        Repeat the field for multi-photo scans (up to 6 photos
+//                        of the same bookcase, merged into one scan).
 //   device_id (String) - UUID v4 identifying the device/session
+//   tiled     (String) - Optional: "on" | "off" | "auto" tiled recognition for
+//                        wide shelves (default from VISION_TILING, else "off")
+//   variants  (String) - Optional: comma-separated preprocessing passes,
+//                        "rotated,contrast,deskew" (default VISION_VARIANTS)
+//   force     (String) - Optional: "true" to recognize again even if the same
+//                        photo was recognized before (skips the vision cache)
+//   language  (String) - Optional: language of the shelf, a name from the
+//                        preferences list or an ISO code ("Arabic", "ru", "ja").
+//                        Defaults to the logged-in user's preferred language.
 // =============================================================================
 
 // -----------------------------------------------------------------------------
@@ -20,14 +33,15 @@
 //      instance. We configure it with options like uploadDir and maxFileSize.
 // -----------------------------------------------------------------------------
 import { IncomingForm } from "formidable";
-import { v4 as uuidv4 } from "uuid";
-import fs from "fs";
 import path from "path";
 import { query } from "../lib/database.js";
-//import { recognizeBooks as recognizeBooksMock } from "./lib/mockAI.js";
-import { recognizeBooks as recognizeBooksReal } from "../lib/groqVisionAI.js";
-import { enrichBooks } from "../lib/googleBooks.js";
-import { checkLimit, incrementUsage } from "../lib/usageTracking.js";
+import { getVisionProvider } from "../lib/visionProviders.js";
+import { resolveTilingMode } from "../lib/tiledRecognition.js";
+import { resolveImageVariants } from "../lib/imageVariants.js";
+import { resolveLanguageHint } from "../lib/languageHints.js";
+import { MAX_IMAGES_PER_SCAN } from "../lib/scanRecognition.js";
+import { createScanJob, enqueueScanJob } from "../lib/scanJobs.js";
+import { checkLimit } from "../lib/usageTracking.js";
 import { getCurrentUser } from "../lib/auth.js";
 
 // =============================================================================
@@ -69,12 +83,15 @@ export default async function handler(req, res) {
    * Configure Formidable for file parsing
    * - uploadDir: Platform-specific temp directory
    * - keepExtensions: Preserves .jpg, .png file extensions
-   * - maxFileSize: 10MB limit (prevents abuse)
+   * - maxFileSize: 10MB limit per photo (prevents abuse)
+   * - maxFiles / maxTotalFileSize: multi-photo scans, up to MAX_IMAGES_PER_SCAN photos
    */
   const form = new IncomingForm({
     uploadDir: "/tmp",
     keepExtensions: true,
     maxFileSize: 10 * 1024 * 1024, // 10MB in bytes
+    maxFiles: MAX_IMAGES_PER_SCAN,
+    maxTotalFileSize: MAX_IMAGES_PER_SCAN * 10 * 1024 * 1024,
   });
 
   /**
@@ -95,19 +112,21 @@ export default async function handler(req, res) {
       }
 
       /**
-       * Extract uploaded file from parsed form data
+       * Extract uploaded files from parsed form data
        * Formidable v3 returns files as array or single object
        * We handle both cases for compatibility
        */
-      const uploadedFile = files.image?.[0] || files.image;
+      const uploadedFiles = [].concat(files.image || []);
 
       console.log(
-        "Uploaded file:",
-        uploadedFile ? uploadedFile.originalFilename : "none",
+        "Uploaded files:",
+        uploadedFiles.length > 0
+          ? uploadedFiles.map((file) => file.originalFilename).join(", ")
+          : "none",
       );
 
-      // Validate that a file was actually uploaded
-      if (!uploadedFile) {
+      // Validate that at least one file was actually uploaded
+      if (uploadedFiles.length === 0) {
         console.error("No file in upload");
         res.status(400).json({
           success: false,
@@ -139,154 +158,137 @@ export default async function handler(req, res) {
       }
 
       try {
-        /**
-         * Generate unique scan ID
-         * This ID will be used to:
-         * - Store scan in database
-         * - Navigate to results page (/results/:scanId)
-         * - Link recommendations to this specific scan
-         */
-        const scanId = uuidv4();
-
         console.log(`Processing upload for ${user ? `user ${user.id}` : `device ${deviceId}`}`);
-        console.log(`Scan ID: ${scanId}`);
-        console.log(
-          `File: ${uploadedFile.originalFilename} (${uploadedFile.size} bytes)`,
-        );
-        console.log(`File path: ${uploadedFile.filepath}`);
+        uploadedFiles.forEach((file, index) => {
+          console.log(
+            `File ${index + 1}/${uploadedFiles.length}: ${file.originalFilename} (${file.size} bytes) at ${file.filepath}`,
+          );
+        });
 
         /**
          * AI Book Recognition
          *
-         * Check environment variable to determine mode:
-         * - USE_MOCK_AI=true: Use fake data (development/testing)
-         * - USE_MOCK_AI=false: Call real HuggingFace API (production)
+         * The backend is chosen by lib/visionProviders.js from configuration:
+         * - VISION_PROVIDER=groq: Llama 4 Scout on Groq (default, production)
+         * - VISION_PROVIDER=openai-compatible: any OpenAI-style server, e.g. a local model
+         * - VISION_PROVIDER=fixture (or USE_MOCK_AI=true): fixed books, no network
          *
-         * Default to mock if not set (safer for development)
+         * The provider is resolved here, not in the worker, so a misconfiguration
+         * fails the upload instead of a job the user is already waiting on.
          */
-        const useMockAI = process.env.USE_MOCK_AI === "true";
-
-        console.log(`AI Mode: ${useMockAI ? "MOCK" : "REAL"}`);
+        const visionProvider = getVisionProvider();
 
-        let recognizedBooks;
+        console.log(`[upload] Vision provider: ${visionProvider.name}`);
 
-        // Check Groq vision daily limit before calling AI.
-        const qwenLimit = await checkLimit("groq_vision");
-        if (qwenLimit.limited) {
-          console.log(
-            `[upload] Groq vision daily limit reached (${qwenLimit.count}). Blocking scan.`,
-          );
-          return res.status(429).json({
-            success: false,
-            error: qwenLimit.reason,
-          });
+        // Check the provider's daily limit before queueing the scan, so a
+        // blocked upload fails right away. The worker checks it again before
+        // every photo, tile and variant request (lib/scanPipeline.js).
+        // Providers without a usageApi (local server, fixture) cost nothing and are not tracked.
+        if (visionProvider.usageApi) {
+          const visionLimit = await checkLimit(visionProvider.usageApi);
+          if (visionLimit.limited) {
+            console.log(
+              `[upload] ${visionProvider.name} daily limit reached (${visionLimit.count}). Blocking scan.`,
+            );
+            res.status(429).json({
+              success: false,
+              error: visionLimit.reason,
+            });
+            return resolve();
+          }
         }
 
-        if (useMockAI) {
-          /**
-           * Mock AI Processing
-           * - No API costs
-           * - 3 second simulated delay
-           * - Returns 8 fake classic books
-           */
-          console.log("[upload] Using MOCK AI (USE_MOCK_AI=true)");
-          recognizedBooks = await recognizeBooksMock(uploadedFile.filepath);
-        } else {
-          // REAL PATH: Use llama-4-scout-17b (Groq) to analyze the bookshelf image.
-          // Requires GROQ_API_KEY to be set.
-          console.log("[upload] Using REAL AI - llama-4-scout via Groq (USE_MOCK_AI=false)");
-          recognizedBooks = await recognizeBooksReal(uploadedFile.filepath);
-        }
+        // Optional tiled mode for wide / high-resolution shelf photos.
+        // The "tiled" form field ("on" | "off" | "auto") overrides VISION_TILING.
+        const tilingMode = resolveTilingMode(fields.tiled?.[0] || fields.tiled);
+
+        // Optional extra recognition passes on rotated / contrast-normalized /
+        // deskewed copies, for spines the model skips in the upright photo.
+        const variants = resolveImageVariants(fields.variants?.[0] || fields.variants);
 
-        console.log(`AI recognized ${recognizedBooks.books.length} books`);
+        // A re-uploaded photo reuses its stored vision result unless forced
+        const forceValue = (fields.force?.[0] || fields.force || "").toString().toLowerCase();
+        const forceRecognition = ["true", "1", "on"].includes(forceValue);
 
-        // Increment Groq vision usage counter on success only.
-        if (!useMockAI) { await incrementUsage("groq_vision"); }
+        // Language/script hint for non-Latin shelves: the form field, else
+        // the language the user picked in their preferences
+        let preferredLanguage = null;
+        if (user) {
+          const prefResult = await query("SELECT language FROM preferences WHERE user_id = $1", [
+            user.id,
+          ]);
+          preferredLanguage = prefResult.rows[0]?.language || null;
+        }
+        const languageHint = resolveLanguageHint(
+          fields.language?.[0] || fields.language,
+          preferredLanguage,
+        );
 
-        // -------------------------------------------------------------------------
-        // STEP 6 (Phase 2D): Populate the book_cache with Google Books metadata.
-        //
-        // WHY we call enrichBooks here:
-        //   This is the moment we have book titles and authors fresh from the AI.
-        //   enrichBooks() checks the cache for each book, and for cache misses,
-        //   calls Google Books API and stores the result in book_cache.
-        //
-        // WHY we do NOT save the enriched data in the scans table:
-        //   The scans table stores only the raw AI output (title, author, confidence).
-        //   The enriched metadata (covers, ISBN, description, categories) lives
-        //   exclusively in book_cache. When the frontend requests scan results,
-        //   the GET /api/scan/:scanId endpoint joins the two at read time.
-        //
-        //   This avoids duplicating the same metadata across every scan that
-        //   detects the same book. 50 users scanning "The Great Gatsby" means
-        //   1 row in book_cache, not 50 copies of the same cover URL in scans.
-        //
-        // We discard the return value because we only care about the side effect
-        // (populating the cache). The enriched data is not stored in scans.
-        // -------------------------------------------------------------------------
         console.log(
-          "[upload] Populating book cache with Google Books metadata...",
+          `[upload] Tiling mode: ${tilingMode}, variants: ${variants.join(", ") || "none"}, ` +
+            `language: ${languageHint ? languageHint.language : "none"}` +
+            (forceRecognition ? ", forced recognition" : ""),
         );
-        await enrichBooks(recognizedBooks.books);
-        console.log("[upload] Cache population complete.");
 
-        /**
-         * Store scan results in database
-         *
-         * Table: scans
-         * Columns:
-         * - scan_id: UUID primary key
-         * - device_id: Links to sessions table (foreign key)
-         * - image_url: NULL (we don't store images, only results)
-         * - scan_date: Auto-set to CURRENT_TIMESTAMP
-         * - recognized_books: JSONB with AI results
-         *
-         * JSONB allows flexible querying:
-         * - SELECT recognized_books->'books' to get book array
-         * - WHERE recognized_books->'metadata'->>'model_used' = 'florence-2'
-         */
-        if (user) {
-          // Logged-in user: insert with user_id
-          await query(
-            `INSERT INTO scans (scan_id, user_id, recognized_books)
-             VALUES ($1, $2, $3)`,
-            [scanId, user.id, JSON.stringify(recognizedBooks)],
-          );
-        } else {
-          // Anonymous user: upsert anon_sessions first (FK constraint), then insert scan
+        // Anonymous user: upsert anon_sessions first (scan_jobs.device_id FK)
+        if (!user) {
           await query(
             `INSERT INTO anon_sessions (device_id, created_at, last_active)
              VALUES ($1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
              ON CONFLICT (device_id) DO UPDATE SET last_active = CURRENT_TIMESTAMP`,
             [deviceId],
           );
-          await query(
-            `INSERT INTO scans (scan_id, device_id, recognized_books)
-             VALUES ($1, $2, $3)`,
-            [scanId, deviceId, JSON.stringify(recognizedBooks)],
-          );
         }
 
-        console.log(`Scan ${scanId} saved to database`);
+        /**
+         * Queue the scan
+         *
+         * Recognition, Google Books enrichment and storage run in the scan job
+         * worker (lib/scanJobs.js -> lib/scanPipeline.js), which can take
+         * 20-40s on a large shelf. The client polls GET /api/scan-jobs/:jobId
+         * for the stage (resizing, recognizing, enriching n/m, saving) and
+         * navigates to /results/:scanId once the job is done.
+         *
+         * The worker owns the uploaded files from here on and deletes them
+         * when the job finishes (a copy is kept if IMAGE_STORAGE is set).
+         */
+        const jobId = await createScanJob({ userId: user?.id, deviceId });
+
+        console.log(`[upload] Scan job ${jobId} created`);
+
+        await enqueueScanJob(jobId, {
+          images: uploadedFiles.map((file) => ({
+            path: file.filepath,
+            filename: file.originalFilename,
+            size: file.size,
+            type: file.mimetype,
+          })),
+          providerName: visionProvider.name,
+          tilingMode,
+          variants,
+          languageHint,
+          forceRecognition,
+          userId: user?.id || null,
+          deviceId,
+        });
 
         /**
-         * Success Response
+         * Accepted Response
          *
          * Returns:
-         * - scan_id: Frontend uses this to navigate to /results/:scanId
-         * - recognized_books: Immediate display without additional API call
-         * - file metadata: For debugging and logging
+         * - job_id / status_url: Frontend polls this until the job is done
+         * - files metadata: For debugging and logging (one entry per photo)
          */
-        res.status(200).json({
+        res.status(202).json({
           success: true,
-          message: "Image processed successfully",
-          scan_id: scanId,
-          recognized_books: recognizedBooks,
-          file: {
-            filename: path.basename(uploadedFile.filepath),
-            size: uploadedFile.size,
-            mimetype: uploadedFile.mimetype,
-          },
+          message: "Scan queued",
+          job_id: jobId,
+          status_url: `/api/scan-jobs/${jobId}`,
+          files: uploadedFiles.map((file) => ({
+            filename: path.basename(file.filepath),
+            size: file.size,
+            mimetype: file.mimetype,
+          })),
         });
 
         resolve();
@@ -295,15 +297,14 @@ export default async function handler(req, res) {
          * Error Handling
          * Possible errors:
          * - Database connection failure
-         * - AI API timeout
-         * - Invalid image format
-         * - Disk space issues in /tmp
+         * - Unknown VISION_PROVIDER or SCAN_QUEUE configuration
+         * (recognition errors are reported on the job, not here)
          */
         console.error("Upload processing error:", error);
         console.error("Error stack:", error.stack);
         res.status(500).json({
           success: false,
-          error: "Failed to process image",
+          error: "Failed to queue scan",
           details: error.message,
         });
         resolve();
@@ -61,6 +61,27 @@ export async function requireUser(req, res) {
   return user
 }
 
+// Admins are the accounts listed in ADMIN_EMAILS (comma-separated). None by default.
+export function isAdmin(user) {
+  const admins = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean)
+  return Boolean(user?.email) && admins.includes(user.email.toLowerCase())
+}
+
+// Like requireUser, and sends 403 for a signed-in user who is not an admin.
+// Callers MUST check: if (!admin) return
+export async function requireAdmin(req, res) {
+  const user = await requireUser(req, res)
+  if (!user) return null
+  if (!isAdmin(user)) {
+    res.status(403).json({ error: 'Admin access required' })
+    return null
+  }
+  return user
+}
+
 export function serializeSessionCookie(token, expiresAt) {
   return serialize(COOKIE_NAME, token, {
     httpOnly: true,
@@ -0,0 +1,59 @@
+/**
+ * bookCache.js
+ *
+ * Read side of book_cache: looks up a list of books in one query.
+ *
+ * Book metadata is written to book_cache when a book is enriched
+ * (googleBooks.js) and joined into scans, recommendations and saved sets when
+ * they are read, so a cover found later shows up everywhere. The books live
+ * in JSONB arrays, not in rows, so the join happens here: the title/author
+ * pairs are passed as two parallel arrays and unnested into rows, which keeps
+ * the lookup on the (title_key, author_key) index and to one round-trip
+ * however many books there are.
+ *
+ * Keys are the canonical ones googleBooks.js stores (bookKeys.js), with ''
+ * for a missing author.
+ */
+
+import { query } from "./database.js";
+import { bookKey } from "./bookKeys.js";
+
+/**
+ * Finds the book_cache entry of every book.
+ *
+ * @param {Array<Object>} books - Objects with title and author (author may be
+ *   null or empty)
+ * @returns {Promise<Array<Object|null>>} One entry per book, in the same
+ *   order: { isbn, cover_url, description, categories, matched_title,
+ *   matched_authors, series_name, series_volume, metadata_sources,
+ *   alternatives, cover_url_large, page_count, published_date, publisher,
+ *   language, average_rating, ratings_count, work_id, stale }, or null for a
+ *   cache miss. stale is true past the entry's expires_at. Books with the
+ *   same key ("The Hobbit" and "Hobbit, The", or one book listed twice) get
+ *   the same entry.
+ * @throws {Error} If the query fails. Read-time callers usually log it and
+ *   show the books without metadata.
+ */
+export async function findCachedBooks(books) {
+  if (!books || books.length === 0) return [];
+
+  const keys = books.map((book) => bookKey(book.title, book.author));
+  const result = await query(
+    `SELECT k.position::int AS position,
+            c.isbn, c.cover_url, c.description, c.categories, c.matched_title,
+            c.matched_authors, c.series_name, c.series_volume, c.metadata_sources,
+            c.alternatives, c.cover_url_large, c.page_count, c.published_date, c.publisher,
+            c.language, c.average_rating, c.ratings_count, c.work_id,
+            COALESCE(c.expires_at <= CURRENT_TIMESTAMP, FALSE) AS stale
+     FROM unnest($1::text[], $2::text[]) WITH ORDINALITY AS k(title_key, author_key, position)
+     JOIN book_cache c
+       ON c.title_key = k.title_key AND COALESCE(c.author_key, '') = k.author_key`,
+    [keys.map((key) => key.title), keys.map((key) => key.author)],
+  );
+
+  const entries = books.map(() => null);
+  for (const { position, ...entry } of result.rows) {
+    entries[position - 1] = entry;
+  }
+  return entries;
+}
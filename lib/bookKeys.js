@@ -0,0 +1,175 @@
+/**
+ * bookKeys.js
+ *
+ * Canonical title and author keys for book_cache. Every read and write of the
+ * cache goes through bookKey(), so the different ways one book is read or
+ * typed share one cache row (and one provider lookup):
+ *
+ *   "The Hobbit", "Hobbit, The", "THE HOBBIT." and
+ *   "The Hobbit: or There and Back Again"              -> "hobbit"
+ *   "J. R. R. Tolkien", "J.R.R. Tolkien", "Tolkien, J.R.R." -> "jrr tolkien"
+ *
+ * Titles lose a descriptive subtitle, a leading article (English, French,
+ * German, Spanish, Italian, Dutch), punctuation and diacritics. Only a
+ * subtitle that describes the book is dropped: an alternative title
+ * ("or, The Modern Prometheus") or one starting with "a"/"an" ("A Novel",
+ * "A Brief History of Humankind"). Any other subtitle may be what tells the
+ * books of a series apart, so it is kept: "Star Wars: Episode IV",
+ * "Dune: Book 2", "Star Wars: Thrawn", "The Lord of the Rings: The Two
+ * Towers". A descriptive subtitle that names a volume ("A Novel, Part II") is
+ * kept too. Authors lose punctuation and diacritics, "Last, First" is turned
+ * around and runs of initials are joined.
+ *
+ * Keys are for equality only, never for display: book_cache keeps the title
+ * and author as first read next to them. This is stricter than dedupeKey()
+ * in bookMerge.js, which only folds case and punctuation for similarity
+ * scoring, where "The" and a subtitle are evidence worth keeping.
+ *
+ * Scans list the keys of their books in scans.book_keys (scanBookKeys), so
+ * the scans with a book are one indexed query.
+ *
+ * Changing these rules changes the keys of existing rows: add a migration
+ * that re-keys book_cache and scans (see "book_cache canonical keys" and
+ * "scans.book_keys" in scripts/migrate-database.js).
+ */
+
+// Left out on purpose: words that also start titles in English, like "die"
+// ("Die Hard") and "de" ("De Profundis")
+const LEADING_ARTICLES = [
+  "the", "a", "an",
+  "le", "la", "les", "l'",
+  "der", "das",
+  "el", "los", "las",
+  "il", "lo", "gli",
+  "het", "een",
+];
+
+// Subtitle separators: "Title: Subtitle", "Title; or, Subtitle",
+// "Title - Subtitle", "Title (Subtitle)"
+const SUBTITLE_PATTERN = /\s*(?::|;|\s[-–—]\s|\()(.*)$/;
+
+// A subtitle that describes the book rather than names it
+const DESCRIPTIVE_SUBTITLE_PATTERN = /^\W*(?:or|a|an)\b/i;
+
+// A subtitle that names a volume is part of what identifies the book
+const VOLUME_SUBTITLE_PATTERN = /\d|\b(book|volume|vol|part|tome|band|tomo|episode|[ivx]+)\b/i;
+
+// Letters that Unicode decomposition leaves alone
+const FOLDED_LETTERS = { ß: "ss", æ: "ae", œ: "oe", ø: "o", ł: "l", đ: "d", ð: "d", þ: "th", ı: "i" };
+
+const UNKNOWN_AUTHORS = ["unknown", "unknown author"];
+
+/**
+ * Lowercase, without diacritics, punctuation or extra whitespace. "&" reads
+ * as "and".
+ */
+function foldText(value) {
+  return value
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[ßæœøłđðþı]/g, (letter) => FOLDED_LETTERS[letter])
+    .replace(/&/g, " and ")
+    .replace(/['’]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function stripLeadingArticle(title) {
+  const lower = title.toLowerCase();
+  for (const article of LEADING_ARTICLES) {
+    const prefix = article.endsWith("'") ? article : `${article} `;
+    if (lower.startsWith(prefix) && title.length > prefix.length) {
+      return title.slice(prefix.length).trimStart();
+    }
+  }
+  return title;
+}
+
+/**
+ * Canonical key of a title.
+ *
+ * @param {string|null} title
+ * @returns {string} "" for a missing title
+ */
+export function normalizeTitle(title) {
+  let value = (title || "").trim();
+
+  const subtitle = value.match(SUBTITLE_PATTERN);
+  if (
+    subtitle &&
+    subtitle.index > 0 &&
+    DESCRIPTIVE_SUBTITLE_PATTERN.test(subtitle[1]) &&
+    !VOLUME_SUBTITLE_PATTERN.test(subtitle[1])
+  ) {
+    value = value.slice(0, subtitle.index);
+  }
+
+  // "Hobbit, The" -> "The Hobbit"
+  const inverted = value.match(/^(.+),\s*(\S+)$/);
+  if (inverted && LEADING_ARTICLES.includes(inverted[2].toLowerCase())) {
+    value = `${inverted[2]} ${inverted[1]}`;
+  }
+
+  const key = foldText(stripLeadingArticle(value));
+  // A title that is nothing but punctuation or an article still needs a key
+  return key || foldText(title || "") || (title || "").toLowerCase().trim();
+}
+
+/**
+ * Canonical key of an author (or an "A and B" author line).
+ *
+ * @param {string|null} author
+ * @returns {string} "" for a missing or unknown author
+ */
+export function normalizeAuthor(author) {
+  let value = (author || "").trim();
+
+  // "Tolkien, J.R.R." -> "J.R.R. Tolkien". Only with a one-word surname, so
+  // a list like "Neil Gaiman, Terry Pratchett" stays as it is.
+  const inverted = value.match(/^([^\s,]+),\s*([^,]+)$/);
+  if (inverted) value = `${inverted[2]} ${inverted[1]}`;
+
+  // "j r r tolkien" -> "jrr tolkien": a run of initials becomes one word
+  const words = [];
+  let initials = "";
+  for (const word of foldText(value).split(" ").filter(Boolean)) {
+    if (word.length === 1) {
+      initials += word;
+      continue;
+    }
+    if (initials) words.push(initials);
+    initials = "";
+    words.push(word);
+  }
+  if (initials) words.push(initials);
+
+  const key = words.join(" ");
+  return UNKNOWN_AUTHORS.includes(key) ? "" : key;
+}
+
+/**
+ * The book_cache key of a book: the title_key and author_key columns.
+ *
+ * @param {string|null} title
+ * @param {string|null} author
+ * @returns {{ title: string, author: string }}
+ */
+export function bookKey(title, author) {
+  return { title: normalizeTitle(title), author: normalizeAuthor(author) };
+}
+
+/**
+ * The keys of a scan's books for scans.book_keys, as "title|author" strings.
+ * Keys have no "|" of their own: foldText() turns punctuation into spaces.
+ *
+ * @param {Array<Object>} books - recognized_books.books
+ * @returns {Array<string>} Without duplicates
+ */
+export function scanBookKeys(books) {
+  const keys = (books || []).map((book) => {
+    const key = bookKey(book.title, book.author);
+    return `${key.title}|${key.author}`;
+  });
+  return [...new Set(keys)];
+}
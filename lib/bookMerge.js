@@ -0,0 +1,91 @@
+/**
+ * bookMerge.js
+ *
+ * Deduplicates books detected more than once in the same scan: a spine in the
+ * overlap between two tiles (tiledRecognition.js), a book that appears in
+ * two photos of the same bookcase (multi-photo scans), or one read by several
+ * preprocessing passes (imageVariants.js).
+ *
+ * Two detections are the same book when their normalized titles match and
+ * their normalized authors match, or when one of the two authors is
+ * "Unknown" (the author is often only legible in one of the two views).
+ *
+ * The merged entry keeps:
+ * - the known author, if any detection had one
+ * - the title, confidence, bbox and image_index of the most confident detection
+ * - a list of every source (tile, image index or variant) it was seen in
+ */
+
+/**
+ * Normalized comparison key: lowercased, punctuation and extra whitespace
+ * removed, so "The Hobbit" and "the hobbit." collapse together.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function dedupeKey(value) {
+  return (value || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function isUnknownAuthor(author) {
+  const key = dedupeKey(author);
+  return key === "" || key === "unknown";
+}
+
+/**
+ * Merges several groups of detected books into one deduplicated list.
+ *
+ * @param {Array<{ index: number|string, books: Array<Object> }>} groups - One
+ *   group per tile, image or preprocessing variant, in order
+ * @param {string} sourceField - Name of the provenance field added to each
+ *   merged book, e.g. "tiles", "images" or "variants". Holds the group indices
+ *   (variant names for variants) it was seen in.
+ * @returns {Array<Object>} Merged books, in first-seen order
+ */
+export function mergeBookDetections(groups, sourceField) {
+  const merged = [];
+
+  for (const { index, books } of groups) {
+    for (const book of books) {
+      const titleKey = dedupeKey(book.title);
+      if (!titleKey) continue;
+
+      const existing = merged.find(
+        (candidate) =>
+          dedupeKey(candidate.title) === titleKey &&
+          (dedupeKey(candidate.author) === dedupeKey(book.author) ||
+            isUnknownAuthor(candidate.author) ||
+            isUnknownAuthor(book.author)),
+      );
+
+      if (!existing) {
+        merged.push({ ...book, [sourceField]: [index] });
+        continue;
+      }
+
+      if (isUnknownAuthor(existing.author) && !isUnknownAuthor(book.author)) {
+        existing.author = book.author;
+      }
+      if ((book.confidence || 0) > (existing.confidence || 0)) {
+        existing.title = book.title;
+        existing.confidence = book.confidence;
+        // The box only makes sense together with the image it was drawn on
+        if (book.bbox) {
+          existing.bbox = book.bbox;
+          if (book.image_index !== undefined) existing.image_index = book.image_index;
+        }
+      }
+      if (!existing.bbox && book.bbox) {
+        existing.bbox = book.bbox;
+        if (book.image_index !== undefined) existing.image_index = book.image_index;
+      }
+      if (!existing[sourceField].includes(index)) existing[sourceField].push(index);
+    }
+  }
+
+  return merged;
+}
@@ -0,0 +1,436 @@
+/**
+ * cacheAdmin.js
+ *
+ * Admin tools for single book_cache entries, behind GET/PATCH/POST
+ * /api/admin/cache and npm run db:cache-admin: find an entry, look at it,
+ * correct or pin its fields, or invalidate it, instead of clearing the whole
+ * cache (scripts/clear-cache.js) because one book has the wrong cover.
+ *
+ * Corrections: any of OVERRIDE_FIELDS (metadataProviders.js) can be set by
+ * hand. The value goes into the column like a provider's would, and
+ * metadata_sources records it as "manual". Until it is pinned, the next
+ * refresh may replace it. A pinned field is listed in book_cache.overrides
+ * ({ field: value }), and storeInCache (googleBooks.js) keeps pinned columns
+ * whenever the providers are asked again, so the correction survives
+ * refreshes and invalidation. Unpinning hands the field back to the
+ * providers at the next refresh.
+ *
+ * Invalidating asks the providers about the entry again right away
+ * (refreshCacheEntry in googleBooks.js).
+ *
+ * A new cover (or ISBN) changes the book's cover URL, which carries a
+ * version (coverImages.js), so browsers and the CDN load the new image; the
+ * stored images of the old version are removed.
+ *
+ * After a correction or an invalidation every scan with the book is
+ * re-enriched: confidence and verification were scored against the old
+ * match, so model-read books are scored again (confidenceScoring.js), and the
+ * scan's series report is dropped to be rebuilt. Covers, descriptions and the
+ * other details need nothing: scans and recommendations join book_cache when
+ * they are read.
+ */
+
+import { query, getClient } from "./database.js";
+import { bookKey, normalizeTitle, normalizeAuthor } from "./bookKeys.js";
+import { normalizeIsbn } from "./isbn.js";
+import { OVERRIDE_FIELDS } from "./metadataProviders.js";
+import { refreshCacheEntry } from "./googleBooks.js";
+import { linkWork } from "./works.js";
+import { scoreBookMatch } from "./confidenceScoring.js";
+import { coverUrl, forgetCover, isCoverSourceUrl } from "./coverImages.js";
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+// How each overridable field is checked and stored
+const FIELD_TYPES = {
+  isbn: "isbn",
+  cover_url: "cover",
+  cover_url_large: "cover",
+  description: "text",
+  categories: "list",
+  matched_title: "text",
+  matched_authors: "list",
+  series_name: "text",
+  series_volume: "number",
+  page_count: "count",
+  published_date: "date",
+  publisher: "text",
+  language: "language",
+  average_rating: "number",
+  ratings_count: "count",
+};
+
+// Fields that decide which book (and work) an entry is
+const IDENTITY_FIELDS = ["matched_title", "matched_authors", "isbn"];
+
+const ENTRY_COLUMNS = `cache_id, title, author, title_key, author_key, isbn, cover_url,
+  description, categories, matched_title, matched_authors, series_name, series_volume,
+  metadata_sources, alternatives, cover_url_large, page_count, published_date, publisher,
+  language, average_rating, ratings_count, work_id, overrides, cached_at, last_checked,
+  expires_at, refresh_requested_at`;
+
+const SUMMARY_COLUMNS = `cache_id, title, author, isbn, matched_title, matched_authors,
+  cover_url, metadata_sources, overrides, last_checked, expires_at`;
+
+/**
+ * Finds cache entries by ISBN, title or author.
+ *
+ * @param {string} text - An ISBN, or words of a title or author. Empty lists
+ *   every entry.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - At most this many (default 20, max 100)
+ * @param {boolean} [options.pinned] - Only entries with pinned overrides
+ * @returns {Promise<Array<Object>>} Recently checked first: { cache_id, title,
+ *   author, isbn, matched_title, matched_authors, cover_url,
+ *   metadata_sources, overrides, last_checked, expires_at }
+ * @throws {Error} If the query fails
+ */
+export async function searchCacheEntries(text, options = {}) {
+  const { limit = DEFAULT_SEARCH_LIMIT, pinned = false } = options;
+
+  // Keys are only letters, digits and spaces, so they are safe inside LIKE
+  const result = await query(
+    `SELECT ${SUMMARY_COLUMNS}
+     FROM book_cache
+     WHERE (isbn = $1
+            OR title_key LIKE '%' || $2 || '%'
+            OR ($3 <> '' AND author_key LIKE '%' || $3 || '%'))
+       AND ($4 = FALSE OR overrides IS NOT NULL)
+     ORDER BY last_checked DESC NULLS LAST
+     LIMIT $5`,
+    [
+      normalizeIsbn(text),
+      normalizeTitle(text),
+      normalizeAuthor(text),
+      pinned,
+      Math.min(Math.max(limit, 1), MAX_SEARCH_LIMIT),
+    ],
+  );
+  return result.rows;
+}
+
+/**
+ * One cache entry with all its columns.
+ *
+ * @param {string} cacheId
+ * @param {Object} [db] - { query }, default the shared pool
+ * @returns {Promise<Object|null>} null when there is no such entry
+ * @throws {Error} If the query fails
+ */
+export async function getCacheEntry(cacheId, db = { query }) {
+  const result = await db.query(
+    `SELECT ${ENTRY_COLUMNS} FROM book_cache WHERE cache_id = $1`,
+    [cacheId],
+  );
+  return result.rows[0] || null;
+}
+
+// Numbers may also come as text (the CLI passes every value as text)
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  return typeof value === "string" && value.trim() ? Number(value) : NaN;
+}
+
+/**
+ * Checks one corrected value and brings it into the column's form. null
+ * clears a field.
+ *
+ * @returns {{ value: * } | { error: string }}
+ */
+function parseFieldValue(field, value) {
+  const type = FIELD_TYPES[field];
+  if (value === null) return { value: type === "list" ? [] : null };
+
+  switch (type) {
+    case "isbn": {
+      const isbn = normalizeIsbn(value);
+      return isbn ? { value: isbn } : { error: `${field} must be a valid ISBN-10 or ISBN-13` };
+    }
+    case "cover":
+      return typeof value === "string" && isCoverSourceUrl(value)
+        ? { value: value.replace(/^http:/, "https:") }
+        : { error: `${field} must be a Google Books or Open Library cover URL` };
+    case "text":
+      return typeof value === "string" && value.trim()
+        ? { value: value.trim() }
+        : { error: `${field} must be a non-empty string or null` };
+    case "list":
+      return Array.isArray(value) && value.every((item) => typeof item === "string" && item.trim())
+        ? { value: value.map((item) => item.trim()) }
+        : { error: `${field} must be an array of non-empty strings` };
+    case "number":
+      return Number.isFinite(toNumber(value)) && toNumber(value) >= 0
+        ? { value: toNumber(value) }
+        : { error: `${field} must be a non-negative number or null` };
+    case "count":
+      return Number.isInteger(toNumber(value)) && toNumber(value) >= 0
+        ? { value: toNumber(value) }
+        : { error: `${field} must be a non-negative integer or null` };
+    case "date":
+      return typeof value === "string" && /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)
+        ? { value }
+        : { error: `${field} must be YYYY, YYYY-MM or YYYY-MM-DD` };
+    default:
+      return typeof value === "string" && /^[a-z]{2,3}$/.test(value)
+        ? { value }
+        : { error: `${field} must be an ISO 639 language code like "en"` };
+  }
+}
+
+function checkFieldList(name, fields) {
+  if (!Array.isArray(fields)) return `${name} must be an array of field names`;
+  const unknown = fields.find((field) => !OVERRIDE_FIELDS.includes(field));
+  return unknown === undefined
+    ? null
+    : `${name}: unknown field "${unknown}". Expected one of: ${OVERRIDE_FIELDS.join(", ")}`;
+}
+
+/**
+ * Checks a correction from the admin API or CLI.
+ *
+ * @param {Object} body - {
+ *   set: { [field]: value } - new values (null clears a field)
+ *   pin: Array<string> - fields to pin, with their new or current value
+ *   unpin: Array<string> - pinned fields to hand back to the providers
+ * }, each part optional
+ * @returns {Object} { error } with a message for the caller, or the edit
+ *   with normalized values: { set, pin, unpin }
+ */
+export function parseCacheEdit(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "Body must be an object with set, pin and/or unpin" };
+  }
+  const { set = {}, pin = [], unpin = [] } = body;
+
+  if (!set || typeof set !== "object" || Array.isArray(set)) {
+    return { error: "set must be an object of field values" };
+  }
+  const listError =
+    checkFieldList("set", Object.keys(set)) ||
+    checkFieldList("pin", pin) ||
+    checkFieldList("unpin", unpin);
+  if (listError) return { error: listError };
+
+  const both = pin.find((field) => unpin.includes(field));
+  if (both) return { error: `${both} cannot be pinned and unpinned at once` };
+  if (Object.keys(set).length + pin.length + unpin.length === 0) {
+    return { error: "Nothing to change: give set, pin or unpin" };
+  }
+
+  const values = {};
+  for (const [field, value] of Object.entries(set)) {
+    const parsed = parseFieldValue(field, value);
+    if (parsed.error) return { error: parsed.error };
+    values[field] = parsed.value;
+  }
+  return { set: values, pin: [...new Set(pin)], unpin: [...new Set(unpin)] };
+}
+
+/**
+ * Applies a correction (from parseCacheEdit) to an entry, then re-enriches
+ * the scans with the book.
+ *
+ * A field that is already pinned stays pinned with its new value. A change
+ * to the match (title, authors or ISBN) links the entry to its work again.
+ *
+ * @param {string} cacheId
+ * @param {Object} edit - { set, pin, unpin }
+ * @returns {Promise<Object|null>} { entry, rescored: { scans, books } }, or
+ *   null when there is no such entry. rescored is null when only pins
+ *   changed.
+ * @throws {Error} If a query fails
+ */
+export async function updateCacheEntry(cacheId, edit) {
+  const client = await getClient();
+  let previous;
+  let entry;
+
+  try {
+    await client.query("BEGIN");
+
+    const locked = await client.query(
+      `SELECT ${ENTRY_COLUMNS} FROM book_cache WHERE cache_id = $1 FOR UPDATE`,
+      [cacheId],
+    );
+    previous = locked.rows[0];
+    if (!previous) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const values = { ...previous, ...edit.set };
+    const overrides = { ...(previous.overrides || {}) };
+    for (const field of Object.keys(edit.set)) {
+      if (Object.hasOwn(overrides, field)) overrides[field] = values[field];
+    }
+    for (const field of edit.pin) overrides[field] = values[field];
+    for (const field of edit.unpin) delete overrides[field];
+
+    const sources = { ...(previous.metadata_sources || {}) };
+    for (const field of Object.keys(edit.set)) sources[field] = "manual";
+
+    // Field names come from OVERRIDE_FIELDS (parseCacheEdit), values are parameters
+    const fields = Object.keys(edit.set);
+    await client.query(
+      `UPDATE book_cache
+       SET ${fields.map((field, index) => `${field} = $${index + 4}, `).join("")}
+           metadata_sources = $2,
+           overrides = $3
+       WHERE cache_id = $1`,
+      [
+        cacheId,
+        JSON.stringify(sources),
+        Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : null,
+        ...fields.map((field) => edit.set[field]),
+      ],
+    );
+
+    if (fields.some((field) => IDENTITY_FIELDS.includes(field))) {
+      const workId = await linkWork({ ...values, metadata_sources: sources }, client);
+      await client.query("UPDATE book_cache SET work_id = $2 WHERE cache_id = $1", [
+        cacheId,
+        workId,
+      ]);
+    }
+
+    entry = await getCacheEntry(cacheId, client);
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (coverUrl(entry) !== coverUrl(previous)) await forgetStoredCover(previous);
+
+  // Pinning and unpinning change no data
+  const rescored =
+    Object.keys(edit.set).length > 0 ? await reenrichScans(entry, previous.work_id) : null;
+  return { entry, rescored };
+}
+
+/**
+ * Asks the metadata providers about an entry again now (pinned fields are
+ * kept), removes its old stored cover when the cover changed and re-enriches
+ * the scans with the book.
+ *
+ * @param {string} cacheId
+ * @returns {Promise<Object|null>} { entry, outcome, rescored }, or null when
+ *   there is no such entry. outcome is "updated", "kept" (no provider found
+ *   the book this time; its data stays) or "limited" (no provider could be
+ *   asked; the entry is queued for the refresh job and rescored is null).
+ * @throws {Error} If a query or the provider lookup fails
+ */
+export async function invalidateCacheEntry(cacheId) {
+  const previous = await getCacheEntry(cacheId);
+  if (!previous) return null;
+
+  const outcome = await refreshCacheEntry(cacheId);
+  const entry = await getCacheEntry(cacheId);
+  if (outcome === "limited") return { entry, outcome, rescored: null };
+
+  if (coverUrl(entry) !== coverUrl(previous)) await forgetStoredCover(previous);
+
+  const rescored = await reenrichScans(entry, previous.work_id);
+  return { entry, outcome, rescored };
+}
+
+// Best effort: a stored cover that stays only takes up storage, since the
+// book's cover URL now names another version
+async function forgetStoredCover(book) {
+  try {
+    await forgetCover(book);
+  } catch (error) {
+    console.error(`[cacheAdmin] Could not remove the stored cover of ${book.isbn}:`, error.message);
+  }
+}
+
+function isEntryBook(book, entry) {
+  const key = bookKey(book.title, book.author);
+  return key.title === entry.title_key && key.author === (entry.author_key || "");
+}
+
+/**
+ * Re-enriches every scan with the entry's book. scans.book_keys lists the
+ * keys of each scan's books (scanBookKeys in bookKeys.js), so only those
+ * scans are read.
+ *
+ * @returns {Promise<Object>} { scans, books }: how many scans have the book,
+ *   and how many of their books were scored again
+ */
+async function reenrichScans(entry, previousWorkId) {
+  const summary = { scans: 0, books: 0 };
+  const workChanged = (entry.work_id || null) !== (previousWorkId || null);
+
+  const scans = await query("SELECT scan_id FROM scans WHERE book_keys @> ARRAY[$1]::text[]", [
+    `${entry.title_key}|${entry.author_key || ""}`,
+  ]);
+
+  for (const scan of scans.rows) {
+    try {
+      summary.books += await reenrichScan(scan.scan_id, entry, workChanged);
+      summary.scans++;
+    } catch (error) {
+      console.error(`[cacheAdmin] Could not re-enrich scan ${scan.scan_id}:`, error.message);
+    }
+  }
+
+  console.log(
+    `[cacheAdmin] Re-enriched ${summary.scans} scan(s) with "${entry.title}" (${summary.books} book(s) scored again)`,
+  );
+  return summary;
+}
+
+/**
+ * Scores a scan's copies of the entry's book again and drops its series
+ * report. A title the user typed or a match the user picked is left as it
+ * is, as scanEdits.js does. When the entry moved to another work, an owned
+ * edition of the old work no longer applies and is cleared.
+ *
+ * @returns {Promise<number>} How many books were scored again
+ */
+async function reenrichScan(scanId, entry, workChanged) {
+  const client = await getClient();
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      "SELECT recognized_books FROM scans WHERE scan_id = $1 FOR UPDATE",
+      [scanId],
+    );
+    const recognizedBooks = result.rows[0]?.recognized_books;
+    if (!recognizedBooks?.books) {
+      await client.query("ROLLBACK");
+      return 0;
+    }
+
+    let rescored = 0;
+    const books = recognizedBooks.books.map((book) => {
+      if (!isEntryBook(book, entry)) return book;
+      const updated = { ...book };
+      if (workChanged && !updated.selected_match) delete updated.owned_edition;
+      if (updated.source !== "user" && !updated.selected_match) {
+        Object.assign(updated, scoreBookMatch(updated, entry));
+        rescored++;
+      }
+      return updated;
+    });
+
+    await client.query("UPDATE scans SET recognized_books = $2 WHERE scan_id = $1", [
+      scanId,
+      JSON.stringify({ ...recognizedBooks, books }),
+    ]);
+    // Rebuilt from the new metadata on the next Results visit
+    await client.query("DELETE FROM scan_series WHERE scan_id = $1", [scanId]);
+
+    await client.query("COMMIT");
+    return rescored;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * candidateRanking.js
+ *
+ * Picks the best of several Google Books search results for a recognized
+ * book, instead of trusting the first one (googleBooks.js).
+ *
+ * Google ranks by relevance to the query, not by how likely a result is the
+ * book on the shelf: a search for "The Great Gatsby" by Fitzgerald often
+ * returns a study guide, a summary or a foreign edition first. Each candidate
+ * gets a score from:
+ * - title similarity to the reading (with or without the subtitle) and
+ *   author similarity, weighted like confidenceScoring.js
+ * - language: the search language, when the scan has one, over others
+ * - edition signals: study guides, summaries and other companion books are
+ *   pushed down (unless that is what the reading says), magazines too; a
+ *   cover, ISBN and description break ties between otherwise equal editions
+ *
+ * The runner-ups are kept as alternatives so a user can pick another match
+ * on the Results page.
+ */
+
+import { stringSimilarity, bestAuthorMatch, isUnknownAuthor } from "./confidenceScoring.js";
+
+const TITLE_WEIGHT = 0.6;
+const LANGUAGE_MATCH_BONUS = 0.05;
+const LANGUAGE_MISMATCH_PENALTY = 0.1;
+const DERIVATIVE_PENALTY = 0.3;
+const MAGAZINE_PENALTY = 0.3;
+const COMPLETENESS_BONUS = { cover_url: 0.03, isbn: 0.02, description: 0.02 };
+
+// Books about a book rather than the book itself
+const DERIVATIVE_PATTERN =
+  /\b(study guide|summary|summaries|analysis|sparknotes|cliffsnotes|cliffs notes|workbook|teacher'?s guide|reader'?s guide|literature guide|lesson plans?|quiz(zes)?|trivia|critical essays|bookrags|instaread|supersummary)\b/i;
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function isDerivative(candidate) {
+  const text = [candidate.matched_title, candidate.subtitle, ...(candidate.matched_authors || [])]
+    .filter(Boolean)
+    .join(" ");
+  return DERIVATIVE_PATTERN.test(text);
+}
+
+/**
+ * Scores one search result against what was read on the spine.
+ *
+ * @param {Object} book - { title, author } as read (or typed)
+ * @param {Object} candidate - Metadata from extractMetadata() in
+ *   googleBooks.js: matched_title, matched_authors, subtitle, language,
+ *   print_type, cover_url, isbn, description
+ * @param {Object} [options]
+ * @param {string|null} [options.language] - The search language (ISO 639-1)
+ * @returns {number} Higher is better; about 0-1 for a plausible match
+ */
+export function scoreCandidate(book, candidate, options = {}) {
+  const { language = null } = options;
+
+  const fullTitle = [candidate.matched_title, candidate.subtitle].filter(Boolean).join(" ");
+  const titleSimilarity = Math.max(
+    stringSimilarity(book.title, candidate.matched_title),
+    stringSimilarity(book.title, fullTitle),
+  );
+
+  let score = titleSimilarity;
+  if (!isUnknownAuthor(book.author) && candidate.matched_authors?.length > 0) {
+    const { similarity } = bestAuthorMatch(book.author, candidate.matched_authors);
+    score = TITLE_WEIGHT * titleSimilarity + (1 - TITLE_WEIGHT) * similarity;
+  }
+
+  if (language && candidate.language) {
+    score += candidate.language === language ? LANGUAGE_MATCH_BONUS : -LANGUAGE_MISMATCH_PENALTY;
+  }
+
+  if (isDerivative(candidate) && !DERIVATIVE_PATTERN.test(book.title)) {
+    score -= DERIVATIVE_PENALTY;
+  }
+  if (candidate.print_type === "MAGAZINE") score -= MAGAZINE_PENALTY;
+
+  for (const [field, bonus] of Object.entries(COMPLETENESS_BONUS)) {
+    if (candidate[field]) score += bonus;
+  }
+
+  return round(score);
+}
+
+/**
+ * Ranks search results for one book, best first.
+ *
+ * @param {Object} book - { title, author }
+ * @param {Array<Object>} candidates - Metadata objects, in search order
+ * @param {Object} [options] - See scoreCandidate()
+ * @returns {Array<Object>} The candidates with match_score set, sorted by
+ *   score; equal scores keep the search order. Results that are the same
+ *   edition as a better one (same ISBN, or same title and authors without
+ *   one) are dropped.
+ */
+export function rankCandidates(book, candidates, options = {}) {
+  const ranked = candidates
+    .map((candidate, index) => ({
+      candidate: { ...candidate, match_score: scoreCandidate(book, candidate, options) },
+      index,
+    }))
+    .sort((a, b) => b.candidate.match_score - a.candidate.match_score || a.index - b.index)
+    .map(({ candidate }) => candidate);
+
+  const seen = new Set();
+  return ranked.filter((candidate) => {
+    const key =
+      candidate.isbn ||
+      `${candidate.matched_title}|${(candidate.matched_authors || []).join(",")}`.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
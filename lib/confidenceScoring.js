@@ -0,0 +1,163 @@
+/**
+ * confidenceScoring.js
+ *
+ * Recomputes a recognized book's confidence after enrichment, from how well
+ * the Google Books match agrees with what the model read.
+ *
+ * The model's own confidence (computeConfidence in groqVisionAI.js) only says
+ * how sure the model was of its reading. A reading that Google Books finds
+ * under the same title and author is very likely the right book; one that
+ * only matches a different title is probably a misread, however confident
+ * the model was.
+ *
+ * Scoring:
+ * - matched:    0.25 x model confidence + 0.75 x match, where match is the
+ *               title similarity, or 60/40 title/author when the model read
+ *               an author
+ * - unverified: no Google Books match to compare with. The model confidence
+ *               is kept but capped at UNVERIFIED_MAX, so only verified books
+ *               rank as a good or high confidence match.
+ *
+ * The breakdown is stored on the book as `verification`, next to the new
+ * `confidence`:
+ *   { status, model_confidence, title_similarity, author_similarity,
+ *     matched_title, matched_author }
+ */
+
+import { dedupeKey } from "./bookMerge.js";
+
+const MODEL_WEIGHT = 0.25;
+const TITLE_WEIGHT = 0.6;
+const UNVERIFIED_MAX = 0.75;
+
+// Author written differently but with the same surname: "J. Austen" / "Jane Austen"
+const SURNAME_MATCH_SIMILARITY = 0.9;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function levenshteinDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two titles or names, from 0 (nothing in common) to 1 (same
+ * after normalization). The better of edit-distance similarity, which
+ * forgives misread letters, and word overlap (Dice), which forgives missing
+ * or reordered words.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function stringSimilarity(a, b) {
+  const left = dedupeKey(a);
+  const right = dedupeKey(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const editSimilarity =
+    1 - levenshteinDistance(left, right) / Math.max(left.length, right.length);
+
+  const leftWords = new Set(left.split(" "));
+  const rightWords = new Set(right.split(" "));
+  const shared = [...leftWords].filter((word) => rightWords.has(word)).length;
+  const wordSimilarity = (2 * shared) / (leftWords.size + rightWords.size);
+
+  return Math.max(editSimilarity, wordSimilarity);
+}
+
+export function isUnknownAuthor(author) {
+  const key = dedupeKey(author);
+  return key === "" || key === "unknown";
+}
+
+function surname(name) {
+  const words = dedupeKey(name).split(" ");
+  return words[words.length - 1];
+}
+
+/**
+ * @param {string} author - Author the model read
+ * @param {Array<string>} matchedAuthors - Authors of the Google Books match
+ * @returns {{ similarity: number, author: string|null }} Best matching author
+ */
+export function bestAuthorMatch(author, matchedAuthors) {
+  let best = { similarity: 0, author: matchedAuthors[0] || null };
+  for (const candidate of matchedAuthors) {
+    let similarity = stringSimilarity(author, candidate);
+    if (surname(author) === surname(candidate)) {
+      similarity = Math.max(similarity, SURNAME_MATCH_SIMILARITY);
+    }
+    if (similarity > best.similarity) best = { similarity, author: candidate };
+  }
+  return best;
+}
+
+/**
+ * Scores one recognized book against its enrichment result.
+ *
+ * @param {Object} book - Recognized book: { title, author, confidence }
+ * @param {Object} enriched - Same book from enrichBooks, with matched_title
+ *   and matched_authors when Google Books found it
+ * @returns {{ confidence: number, verification: Object }}
+ */
+export function scoreBookMatch(book, enriched) {
+  const modelConfidence = book.verification?.model_confidence ?? book.confidence ?? 0;
+
+  if (!enriched?.matched_title) {
+    return {
+      confidence: round(Math.min(modelConfidence, UNVERIFIED_MAX)),
+      verification: {
+        status: "unverified",
+        model_confidence: modelConfidence,
+        title_similarity: null,
+        author_similarity: null,
+        matched_title: null,
+        matched_author: null,
+      },
+    };
+  }
+
+  const titleSimilarity = stringSimilarity(book.title, enriched.matched_title);
+  const matchedAuthors = enriched.matched_authors || [];
+
+  let authorSimilarity = null;
+  let matchedAuthor = matchedAuthors[0] || null;
+  if (!isUnknownAuthor(book.author) && matchedAuthors.length > 0) {
+    ({ similarity: authorSimilarity, author: matchedAuthor } = bestAuthorMatch(
+      book.author,
+      matchedAuthors,
+    ));
+  }
+
+  const match =
+    authorSimilarity === null
+      ? titleSimilarity
+      : TITLE_WEIGHT * titleSimilarity + (1 - TITLE_WEIGHT) * authorSimilarity;
+
+  return {
+    confidence: round(MODEL_WEIGHT * modelConfidence + (1 - MODEL_WEIGHT) * match),
+    verification: {
+      status: "matched",
+      model_confidence: modelConfidence,
+      title_similarity: round(titleSimilarity),
+      author_similarity: authorSimilarity === null ? null : round(authorSimilarity),
+      matched_title: enriched.matched_title,
+      matched_author: matchedAuthor,
+    },
+  };
+}
@@ -0,0 +1,377 @@
+/**
+ * coverImages.js
+ *
+ * Book covers served from our own origin (GET /api/covers/:isbn) instead of
+ * hotlinked from Google Books and Open Library. Provider thumbnails are
+ * low-res, some networks block them, and every hotlinked image tells a third
+ * party which books a user looked at.
+ *
+ * The first request for an ISBN fetches the provider image once, resizes it
+ * to every size in COVER_SIZES with sharp and stores the JPEGs; later
+ * requests read them from storage. The provider image is the one book_cache
+ * has for the ISBN (the large cover when there is one), or an alternative
+ * match or a known edition with that ISBN, or else Open Library's cover for
+ * the ISBN. When no provider has a cover, an SVG placeholder with the book's
+ * title is served instead; it is not stored, so a cover found later replaces
+ * it.
+ *
+ * Only ISBNs the app knows (a book_cache match, an alternative match or an
+ * edition) are fetched. The endpoint is public, so anything else is a 404
+ * instead of a provider request and a resize for whoever asks.
+ *
+ * Not proxied, because the endpoint is keyed on the ISBN: matches and
+ * alternatives without an ISBN keep their provider cover URL.
+ *
+ * STORAGE (COVER_STORAGE env var, same backends as imageStorage.js):
+ *   local (default) - Files under COVER_STORAGE_DIR (default: librescan-covers
+ *                     in the system temp directory, the one writable place on
+ *                     serverless hosts). There each instance keeps its own
+ *                     copies and loses them on a cold start, but a cover is
+ *                     still fetched once per instance, not per request.
+ *   s3              - The S3 bucket of imageStorage.js, under covers/: one
+ *                     copy for every instance
+ *   none            - Nothing is stored; each request fetches and resizes,
+ *                     and only the endpoint's Cache-Control keeps covers in
+ *                     browsers and the CDN
+ *
+ * Keys: covers/<isbn13>/<version>/<size>.jpg
+ *
+ * VERSIONS: a cover URL carries a version, a hash of the provider image URL
+ * the book has (coverVersion), so the endpoint can let browsers and the CDN
+ * keep a cover for good. A cover correction (cacheAdmin.js) or a refresh that
+ * finds another image changes the version, hence the URL and the storage key:
+ * nothing cached under the old version is ever served for the new one.
+ */
+
+import crypto from "crypto";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { query } from "./database.js";
+import { getHttpFixturesMode } from "./httpFixtures.js";
+import { createStorageBackend, STORAGE_BACKENDS } from "./imageStorage.js";
+
+/** Width in pixels of each served size. Height follows the cover's aspect ratio. */
+export const COVER_SIZES = { small: 128, medium: 320, large: 640 };
+export const DEFAULT_COVER_SIZE = "medium";
+
+const COVER_JPEG_QUALITY = 80;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_SOURCE_BYTES = 5 * 1024 * 1024;
+
+// Hosts the metadata providers serve covers from. Source URLs come from
+// provider responses stored in book_cache; anything else is not fetched.
+const COVER_HOSTS = ["books.google.com", "books.googleusercontent.com", "covers.openlibrary.org"];
+
+// Placeholder cover, 2:3 like most books
+const PLACEHOLDER_ASPECT = 1.5;
+const PLACEHOLDER_LINE_CHARS = 16;
+const PLACEHOLDER_MAX_LINES = 5;
+
+let storage;
+
+// ISBN and version -> promise of the stored sizes, so parallel requests for
+// one cover (a card grid loading) fetch the provider image only once
+const pending = new Map();
+
+function getCoverStorage() {
+  if (storage !== undefined) return storage;
+
+  const backend = (process.env.COVER_STORAGE || "local").toLowerCase();
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(
+      `Unknown COVER_STORAGE "${backend}". Expected one of: ${STORAGE_BACKENDS.join(", ")}`,
+    );
+  }
+
+  storage = createStorageBackend(
+    backend,
+    process.env.COVER_STORAGE_DIR || path.join(os.tmpdir(), "librescan-covers"),
+  );
+  return storage;
+}
+
+function coverKey(isbn, version, size) {
+  return `covers/${isbn}/${version}/${size}.jpg`;
+}
+
+/**
+ * Version of a book's cover: the first 8 hex digits of a SHA-1 of its
+ * provider image URL ("" for none, so a cover found later is a new version).
+ *
+ * @param {Object} book - { cover_url, cover_url_large }, e.g. a book_cache row
+ * @returns {string}
+ */
+export function coverVersion(book) {
+  const source = book.cover_url_large || book.cover_url || "";
+  return crypto.createHash("sha1").update(source).digest("hex").slice(0, 8);
+}
+
+/**
+ * URL of the proxied cover of a book, for API responses.
+ *
+ * @param {Object} book - { isbn, cover_url, cover_url_large }: a book_cache
+ *   row, an alternative match or an edition
+ * @param {string} [size] - A COVER_SIZES key
+ * @returns {string|null} null without an ISBN
+ */
+export function coverUrl(book, size = DEFAULT_COVER_SIZE) {
+  return book?.isbn ? `/api/covers/${book.isbn}?size=${size}&v=${coverVersion(book)}` : null;
+}
+
+/**
+ * Provider cover URL and title of an ISBN: a cached book with that ISBN wins
+ * over an alternative match with it, then an edition.
+ *
+ * @returns {Promise<Object|null>} { source_url, matched_title, matched_authors },
+ *   or null for an ISBN the app doesn't know
+ */
+async function findCoverSource(isbn) {
+  const cached = await query(
+    `SELECT COALESCE(cover_url_large, cover_url) AS source_url, matched_title, matched_authors
+     FROM book_cache
+     WHERE isbn = $1
+     ORDER BY (cover_url IS NULL), last_checked DESC
+     LIMIT 1`,
+    [isbn],
+  );
+  if (cached.rows[0]?.source_url) return cached.rows[0];
+
+  // idx_book_cache_alternatives (GIN) answers the @>
+  const alternative = await query(
+    `SELECT COALESCE(alt->>'cover_url_large', alt->>'cover_url') AS source_url,
+            alt->>'matched_title' AS matched_title,
+            ARRAY(SELECT jsonb_array_elements_text(COALESCE(alt->'matched_authors', '[]'::jsonb))) AS matched_authors
+     FROM book_cache, jsonb_array_elements(alternatives) AS alt
+     WHERE alternatives @> jsonb_build_array(jsonb_build_object('isbn', $1::text))
+       AND alt->>'isbn' = $1
+     LIMIT 1`,
+    [isbn],
+  );
+  if (alternative.rows[0]?.source_url) return alternative.rows[0];
+
+  const edition = await query(
+    `SELECT cover_url AS source_url, title AS matched_title, authors AS matched_authors
+     FROM editions
+     WHERE isbn = $1`,
+    [isbn],
+  );
+  if (edition.rows[0]?.source_url) return edition.rows[0];
+
+  const known = cached.rows[0] || alternative.rows[0] || edition.rows[0];
+  if (!known) return null;
+
+  return {
+    source_url: `https://covers.openlibrary.org/b/isbn/${isbn}-L.jpg?default=false`,
+    matched_title: known.matched_title || null,
+    matched_authors: known.matched_authors || [],
+  };
+}
+
+/**
+ * Whether a cover URL is one the proxy fetches: http(s) on a provider's
+ * cover host. Manual cover corrections (cacheAdmin.js) are held to the same
+ * rule.
+ *
+ * @param {string} sourceUrl
+ * @returns {boolean}
+ */
+export function isCoverSourceUrl(sourceUrl) {
+  try {
+    const url = new URL(sourceUrl);
+    return ["http:", "https:"].includes(url.protocol) && COVER_HOSTS.includes(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Downloads a provider image.
+ *
+ * @returns {Promise<Buffer|null>} null when the provider has no image
+ * @throws {Error} On a network error or timeout
+ */
+async function fetchSourceImage(sourceUrl) {
+  const url = new URL(sourceUrl);
+  if (!isCoverSourceUrl(sourceUrl)) {
+    console.warn(`[coverImages] Not fetching cover from unknown host ${url.hostname}`);
+    return null;
+  }
+  url.protocol = "https:";
+  // Google's page-curl effect is drawn into the image
+  url.searchParams.delete("edge");
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Cover request failed with status ${response.status}`);
+  }
+  if (!(response.headers.get("content-type") || "").startsWith("image/")) return null;
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > MAX_SOURCE_BYTES) {
+    throw new Error(`Cover image is too large (${buffer.length} bytes)`);
+  }
+  return buffer;
+}
+
+/**
+ * Fetches the provider cover of an ISBN and renders every size.
+ *
+ * @returns {Promise<Object|null>} { sizes: { [size]: Buffer } | null, title,
+ *   authors }, or null for an unknown ISBN
+ */
+async function renderCover(isbn, version) {
+  const source = await findCoverSource(isbn);
+  if (!source) return null;
+  const placeholderInfo = { title: source.matched_title, authors: source.matched_authors || [] };
+
+  // Replay must not reach the network (httpFixtures.js); covers are images, not
+  // API responses, so they have no fixtures and get the placeholder.
+  if (getHttpFixturesMode() === "replay") return { sizes: null, ...placeholderInfo };
+
+  const original = await fetchSourceImage(source.source_url);
+  if (!original) return { sizes: null, ...placeholderInfo };
+
+  const sizes = {};
+  for (const [size, width] of Object.entries(COVER_SIZES)) {
+    sizes[size] = await sharp(original)
+      .resize({ width, withoutEnlargement: true })
+      .flatten({ background: "#ffffff" })
+      .jpeg({ quality: COVER_JPEG_QUALITY })
+      .toBuffer();
+  }
+
+  const backend = getCoverStorage();
+  if (backend) {
+    try {
+      for (const [size, buffer] of Object.entries(sizes)) {
+        await backend.putObject(coverKey(isbn, version, size), buffer, "image/jpeg");
+      }
+    } catch (error) {
+      // Still serve the cover; the next request tries to store it again
+      console.error(`[coverImages] Could not store cover ${isbn}:`, error.message);
+    }
+  }
+
+  return { sizes, ...placeholderInfo };
+}
+
+/**
+ * Cover image of a book, in one of COVER_SIZES.
+ *
+ * @param {string} isbn - 13-digit ISBN (normalizeIsbn() in isbn.js)
+ * @param {string} size - A COVER_SIZES key
+ * @param {string} version - From the cover URL (coverVersion). A stale
+ *   version still gets the current image; it only names the storage key.
+ * @returns {Promise<Object|null>} { buffer, contentType, placeholder };
+ *   placeholder is true when no provider has a cover and buffer is a
+ *   generated SVG. null for an ISBN the app doesn't know.
+ * @throws {Error} If the database or the provider request fails
+ */
+export async function loadCover(isbn, size, version) {
+  const backend = getCoverStorage();
+  if (backend) {
+    const stored = await backend.getObject(coverKey(isbn, version, size));
+    if (stored) return { buffer: stored, contentType: "image/jpeg", placeholder: false };
+  }
+
+  const renderKey = `${isbn}/${version}`;
+  if (!pending.has(renderKey)) {
+    pending.set(renderKey, renderCover(isbn, version).finally(() => pending.delete(renderKey)));
+  }
+  const cover = await pending.get(renderKey);
+
+  if (!cover) return null;
+  if (cover.sizes) {
+    return { buffer: cover.sizes[size], contentType: "image/jpeg", placeholder: false };
+  }
+  return {
+    buffer: Buffer.from(renderPlaceholder(cover.title, cover.authors, COVER_SIZES[size])),
+    contentType: "image/svg+xml",
+    placeholder: true,
+  };
+}
+
+/**
+ * Removes the stored sizes of a book's cover version, once nothing links to
+ * it anymore (after a cover correction in cacheAdmin.js). New URLs have
+ * another version, so this only frees storage.
+ *
+ * @param {Object} book - { isbn, cover_url, cover_url_large } as it was
+ * @returns {Promise<void>}
+ * @throws {Error} If the storage backend fails
+ */
+export async function forgetCover(book) {
+  const backend = getCoverStorage();
+  if (!backend || !book.isbn) return;
+  const version = coverVersion(book);
+  for (const size of Object.keys(COVER_SIZES)) {
+    await backend.deleteObject(coverKey(book.isbn, version, size));
+  }
+}
+
+// Same colors as the BookIcon component, so a book keeps its color
+function hashString(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = (hash << 5) - hash + str.charCodeAt(i);
+    hash = hash & hash;
+  }
+  return Math.abs(hash);
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function wrapWords(text, lineChars, maxLines) {
+  const lines = [];
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && (last + " " + word).length <= lineChars) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, lineChars - 1)}…`;
+  }
+  return lines.map((line) => (line.length > lineChars ? `${line.slice(0, lineChars - 1)}…` : line));
+}
+
+/**
+ * Generated cover for a book without one: a colored book with its title and
+ * first author.
+ *
+ * @param {string|null} title
+ * @param {Array<string>} authors
+ * @param {number} width - Pixel width; the height is PLACEHOLDER_ASPECT times it
+ * @returns {string} SVG markup
+ */
+export function renderPlaceholder(title, authors, width) {
+  const name = title || "Unknown Book";
+  const hue = hashString(name) % 360;
+  const height = Math.round(width * PLACEHOLDER_ASPECT);
+
+  // Drawn in a 200x300 box and scaled to the requested size
+  const titleLines = wrapWords(name, PLACEHOLDER_LINE_CHARS, PLACEHOLDER_MAX_LINES);
+  const titleText = titleLines
+    .map((line, index) => `<tspan x="110" dy="${index === 0 ? 0 : 24}">${escapeXml(line)}</tspan>`)
+    .join("");
+  const author = authors?.[0]
+    ? `<text x="110" y="262" font-size="14" opacity="0.8">${escapeXml(wrapWords(authors[0], 22, 1)[0] || "")}</text>`
+    : "";
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 200 300">
+<rect x="0" y="6" width="24" height="288" rx="3" fill="hsl(${hue}, 45%, 32%)"/>
+<rect x="14" y="0" width="186" height="300" rx="5" fill="hsl(${hue}, 45%, 45%)"/>
+<path d="M 150 0 L 140 0 L 140 32 L 145 26 L 150 32 Z" fill="white" opacity="0.4"/>
+<g fill="white" font-family="Georgia, 'Times New Roman', serif" text-anchor="middle">
+<text x="110" y="${150 - (titleLines.length - 1) * 12}" font-size="20" font-weight="bold">${titleText}</text>
+${author}
+</g>
+</svg>`;
+}
@@ -7,22 +7,52 @@
 //   each one with metadata from Google Books API: cover image, ISBN, description,
 //   and categories/genres.
 //
+// METADATA PROVIDERS:
+//   Google Books is one of two providers; Open Library (lib/openLibrary.js)
+//   is the other. METADATA_PROVIDERS / METADATA_MERGE decide which are asked
+//   and how their answers combine (lib/metadataProviders.js), e.g. a cover
+//   from Open Library when Google Books has none. Each cached field records
+//   the provider it came from (book_cache.metadata_sources).
+//
 // CACHING STRATEGY:
 //   Before calling Google Books API for any book, we check the book_cache table
-//   using a case-insensitive title+author lookup. If the book is already cached,
+//   (one query for the whole list) by canonical title+author (lib/bookKeys.js:
+//   case, punctuation, articles and descriptive subtitles don't matter). If the
+//   book is already cached,
 //   we return the cached data and skip the API call entirely. This saves our
 //   daily API quota (1,000 requests/day on the free tier).
 //
-//   Cache entries are stored indefinitely (no TTL). The cache can be manually
-//   cleared by running: npm run db:clear-cache
+//   Entries expire (expires_at): found books after BOOK_CACHE_TTL_DAYS,
+//   "not found" results after the much shorter BOOK_CACHE_NEGATIVE_TTL_DAYS,
+//   since a provider may add the book later. An expired "not found" entry is a
+//   cache miss. An expired found entry is still served, and is queued for the
+//   refresh job (refreshStaleCache, npm run db:refresh-cache), which re-queries
+//   the providers in the background. last_checked is when the providers were
+//   last asked. The cache can be manually cleared by running:
+//   npm run db:clear-cache
+//
+// MANUAL OVERRIDES:
+//   An admin can correct single fields of an entry (lib/cacheAdmin.js). A
+//   pinned correction is listed in book_cache.overrides, and storeInCache
+//   keeps the pinned columns as they are, so refreshes don't undo it.
 //
 // EXPORTS:
 //   enrichBooks(books) - Main function. Takes array of { title, author, confidence }
 //                        and returns the same array with added metadata fields.
+//   resolveIsbns(isbns) - Barcode input path. Takes ISBN-13 strings and returns
+//                         the book (title + author) behind each one, cached the
+//                         same way as enrichBooks so scans can join on it.
+//   refreshStaleCache(options) - Refresh job. Re-queries the providers for
+//                         expired cache entries, oldest requests first.
+//   refreshCacheEntry(cacheId) - Re-queries the providers for one entry now,
+//                         expired or not (cache admin invalidation).
 //
 // DEPENDENCIES:
 //   - Node.js built-in: fetch (available in Node 18+)
-//   - Internal: ./database.js (for cache reads/writes)
+//   - Internal: ./database.js (for cache writes), ./bookCache.js (cache reads)
+//   - Internal: ./httpFixtures.js (record/replay of API responses)
+//   - Internal: ./openLibrary.js, ./metadataProviders.js (second provider,
+//     provider order and merge rules)
 //   - External: uuid (for generating cache_id)
 // =============================================================================
 
@@ -45,6 +75,56 @@ import { v4 as uuidv4 } from "uuid";
 
 import { checkLimit, incrementUsage } from "./usageTracking.js";
 
+// -----------------------------------------------------------------------------
+// IMPORT: record/replay wrapper around fetch().
+// WHY: With HTTP_FIXTURES=replay, Google Books responses come from fixture
+//      files keyed by search query, so scans can run offline without quota.
+//      With HTTP_FIXTURES unset it is plain fetch().
+// -----------------------------------------------------------------------------
+import { fixtureFetch, replayApiKey } from "./httpFixtures.js";
+
+// -----------------------------------------------------------------------------
+// IMPORT: search language for a book under the scan's language hint.
+// -----------------------------------------------------------------------------
+import { searchLanguage } from "./languageHints.js";
+
+// -----------------------------------------------------------------------------
+// IMPORT: series name and volume spelled out in a title or subtitle.
+// -----------------------------------------------------------------------------
+import { parseSeriesFromTitle, parseVolumeNumber } from "./seriesDetection.js";
+
+// -----------------------------------------------------------------------------
+// IMPORT: the second metadata provider and the provider order / merge rules.
+// -----------------------------------------------------------------------------
+import { searchOpenLibrary, lookupIsbnOpenLibrary } from "./openLibrary.js";
+import {
+  getMetadataPolicy,
+  availableProviders,
+  collectMetadata,
+  DETAIL_FIELDS,
+  OVERRIDE_FIELDS,
+} from "./metadataProviders.js";
+
+// -----------------------------------------------------------------------------
+// IMPORT: scoring of several search results against the reading.
+// -----------------------------------------------------------------------------
+import { rankCandidates } from "./candidateRanking.js";
+
+// -----------------------------------------------------------------------------
+// IMPORT: one-query lookup of a list of books in book_cache.
+// -----------------------------------------------------------------------------
+import { findCachedBooks } from "./bookCache.js";
+
+// -----------------------------------------------------------------------------
+// IMPORT: canonical title/author keys of book_cache rows.
+// -----------------------------------------------------------------------------
+import { bookKey, normalizeTitle, normalizeAuthor } from "./bookKeys.js";
+
+// -----------------------------------------------------------------------------
+// IMPORT: the work (and editions) a match belongs to.
+// -----------------------------------------------------------------------------
+import { linkWork } from "./works.js";
+
 // =============================================================================
 // CONSTANTS
 // =============================================================================
@@ -66,13 +146,82 @@ const GOOGLE_BOOKS_API_URL = "https://www.googleapis.com/books/v1/volumes";
 const REQUEST_TIMEOUT_MS = 5000;
 
 // -----------------------------------------------------------------------------
-// DELAY_BETWEEN_REQUESTS_MS
-// WHY: Rate limiting courtesy. Google Books free tier allows 1,000 requests/day.
-//      Adding a small delay between requests prevents us from hitting any
-//      per-second rate limits and is polite to the API.
-//      100ms means 10 books take about 1 second of delay (plus actual API time).
+// DEFAULT_CONCURRENCY / DEFAULT_REQUESTS_PER_SECOND
+// WHY: Cache misses are looked up by a small pool of workers instead of one
+//      book at a time with a fixed sleep, which made enrichment the slowest
+//      part of uploading a 40-book shelf. Two knobs (environment variables):
+//        METADATA_CONCURRENCY          - lookups in flight at once (default 4)
+//        METADATA_REQUESTS_PER_SECOND  - calls per second to each provider
+//                                        (default 10, the old 100ms spacing)
+//      The rate is a budget per provider, so Open Library lookups do not
+//      slow down Google Books ones.
+// -----------------------------------------------------------------------------
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_REQUESTS_PER_SECOND = 10;
+
+// -----------------------------------------------------------------------------
+// DEFAULT_CACHE_TTL_DAYS / DEFAULT_NEGATIVE_CACHE_TTL_DAYS
+// WHY: Metadata changes slowly (a new cover, a better description), so found
+//      books are re-checked every few months. "Not found" is often temporary
+//      (a new release, a provider outage that returned nothing) and costs a
+//      book its cover, so it is re-checked within a week. Overridable with
+//      BOOK_CACHE_TTL_DAYS and BOOK_CACHE_NEGATIVE_TTL_DAYS.
+// DEFAULT_REFRESH_BATCH: Rows one refresh job run re-checks at most.
+// -----------------------------------------------------------------------------
+const DEFAULT_CACHE_TTL_DAYS = 90;
+const DEFAULT_NEGATIVE_CACHE_TTL_DAYS = 7;
+const DEFAULT_REFRESH_BATCH = 100;
+
+// -----------------------------------------------------------------------------
+// SEARCH_CANDIDATES / MAX_ALTERNATIVES
+// WHY: A title search fetches several results and ranks them
+//      (lib/candidateRanking.js) instead of trusting the first one, which is
+//      often a study guide or another edition. Up to MAX_ALTERNATIVES
+//      runner-ups are cached so the user can pick one on the Results page.
+//      Still one request per book: maxResults only changes the response size.
+// -----------------------------------------------------------------------------
+const SEARCH_CANDIDATES = 5;
+const MAX_ALTERNATIVES = 4;
+
+// -----------------------------------------------------------------------------
+// METADATA_PROVIDERS
+// WHY: One entry per provider name in lib/metadataProviders.js, with the same
+//      contract: search(title, author, language) and lookupIsbn(isbn) return
+//      metadata or null. usageApi is the daily-limit counter the provider
+//      consumes (null = free), as in lib/visionProviders.js.
 // -----------------------------------------------------------------------------
-const DELAY_BETWEEN_REQUESTS_MS = 100;
+const METADATA_PROVIDERS = {
+  "google-books": {
+    usageApi: "google_books",
+    isAvailable: () => Boolean(googleBooksApiKey()),
+    search: (title, author, language) =>
+      fetchFromGoogleBooks(title, author, googleBooksApiKey(), language),
+    lookupIsbn: (isbn) => fetchByIsbnFromGoogleBooks(isbn, googleBooksApiKey()),
+  },
+  "open-library": {
+    usageApi: null,
+    isAvailable: () => true,
+    search: searchOpenLibrary,
+    lookupIsbn: lookupIsbnOpenLibrary,
+  },
+};
+
+function googleBooksApiKey() {
+  return process.env.GOOGLE_BOOKS_API_KEY || replayApiKey();
+}
+
+// Days until a cache entry expires: found books and "not found" results have
+// separate TTLs (see DEFAULT_CACHE_TTL_DAYS)
+function cacheTtlDays(found) {
+  return found
+    ? parseFloat(process.env.BOOK_CACHE_TTL_DAYS) || DEFAULT_CACHE_TTL_DAYS
+    : parseFloat(process.env.BOOK_CACHE_NEGATIVE_TTL_DAYS) || DEFAULT_NEGATIVE_CACHE_TTL_DAYS;
+}
+
+// A cached "not found" result: stored with null fields by enrichBooks
+function isNegativeEntry(cached) {
+  return !cached.matched_title && !cached.isbn;
+}
 
 // =============================================================================
 // enrichBooks(books)
@@ -86,6 +235,17 @@ const DELAY_BETWEEN_REQUESTS_MS = 100;
 //     - title (string): Book title from AI recognition
 //     - author (string): Author name from AI recognition
 //     - confidence (number): AI confidence score (0.0 - 1.0)
+//   options (Object, optional):
+//     - onBookEnriched (Function): Called as
+//       onBookEnriched(book, { done, total, index }) after each book is looked
+//       up, so callers can report progress (scan jobs, live upload progress).
+//       Books finish out of order (cache hits first, then lookups as they
+//       complete); index is the book's position in `books`. May be async; it
+//       is awaited, and calls never overlap.
+//     - languageHint (Object|null): The scan's language hint
+//       (lib/languageHints.js). Books written in the hint's script are searched
+//       in that language only (langRestrict), so "Идиот" finds the Russian
+//       edition rather than a translation with a similar title.
 //
 // Returns:
 //   Array of enriched book objects. Each object has the original fields plus:
@@ -93,36 +253,55 @@ const DELAY_BETWEEN_REQUESTS_MS = 100;
 //     - cover_url (string|null): URL to cover image, or null if not found
 //     - description (string|null): Book synopsis, or null if not found
 //     - categories (string[]): Array of genre/category strings, empty if none
+//     - matched_title (string|null), matched_authors (string[]): what Google
+//       Books calls the book, when it was found (see lib/confidenceScoring.js)
+//     - metadata_sources (Object): provider behind each field, when found
+//     - cover_url_large, page_count, published_date, publisher, language,
+//       average_rating, ratings_count: book details, when found (null if the
+//       providers do not know them)
 //     - enriched (boolean): true if Google Books data was found, false otherwise
 //
 // Error Handling:
-//   - If the Google Books API key is missing, logs a warning and returns books
-//     unchanged (with enriched: false). This allows the app to work without
-//     the API key - you just don't get covers and metadata.
+//   - If no metadata provider is available (Google Books API key missing,
+//     and METADATA_PROVIDERS not set to enrich from Open Library alone),
+//     logs a warning and returns books unchanged (with
+//     enriched: false). This allows the app to work without the API key - you
+//     just don't get covers and metadata.
 //   - If an individual book lookup fails, that book gets enriched: false but
 //     the rest of the books still get processed. One failure doesn't break all.
+//   - Once every provider's daily limit is reached, the books not looked up
+//     yet are returned with enriched: false and not reported as progress.
+//
+// CONCURRENCY:
+//   All books are checked against the cache in one query (lib/bookCache.js).
+//   The misses are looked up METADATA_CONCURRENCY at a time, and every
+//   provider call waits for that provider's METADATA_REQUESTS_PER_SECOND
+//   slot (see DEFAULT_CONCURRENCY above).
 // =============================================================================
-export async function enrichBooks(books) {
+export async function enrichBooks(books, options = {}) {
+  const { onBookEnriched, languageHint = null } = options;
+
   // ---------------------------------------------------------------------------
-  // Guard: Check for API key before doing anything.
+  // Guard: Check that some provider can be asked before doing anything.
   // WHY: Rather than crashing, we gracefully degrade. The scan still works,
   //      you just get the AI-recognized titles without covers. This is important
   //      for development - you might not have the API key set up yet.
+  //      Open Library needs no key, so this only happens when it is not in
+  //      METADATA_PROVIDERS.
   // ---------------------------------------------------------------------------
-  const apiKey = process.env.GOOGLE_BOOKS_API_KEY;
+  const providerState = createProviderState();
 
-  if (!apiKey) {
+  if (providerState.available.length === 0) {
     console.warn(
-      "[googleBooks] GOOGLE_BOOKS_API_KEY is not set. Skipping enrichment.",
+      "[googleBooks] No metadata provider is available (GOOGLE_BOOKS_API_KEY is not set). Skipping enrichment; set METADATA_PROVIDERS=open-library to enrich without it.",
     );
-    return books.map((book) => ({
-      ...book,
-      isbn: null,
-      cover_url: null,
-      description: null,
-      categories: [],
-      enriched: false,
-    }));
+    const unenriched = (books || []).map(unenrichedBook);
+    if (onBookEnriched) {
+      for (const [index, book] of unenriched.entries()) {
+        await onBookEnriched(book, { done: index + 1, total: unenriched.length, index });
+      }
+    }
+    return unenriched;
   }
 
   // ---------------------------------------------------------------------------
@@ -137,111 +316,163 @@ export async function enrichBooks(books) {
   console.log(`[googleBooks] Enriching ${books.length} books...`);
 
   // ---------------------------------------------------------------------------
-  // Process each book sequentially (not in parallel).
-  // WHY SEQUENTIAL vs PARALLEL:
-  //   - Parallel (Promise.all) would be faster but risks hitting rate limits
-  //     if there are many books (e.g., 15+ books on a shelf).
-  //   - Sequential with a small delay is safer for the free tier.
-  //   - The total extra time is small: 10 books * 100ms delay = 1 second.
-  //   - The user is already waiting for AI processing (5-60s), so an extra
-  //     1-3 seconds for enrichment is barely noticeable.
+  // Results are kept in input order: callers map them back to their books.
+  // Progress is reported as books finish, which with several workers is not
+  // input order, so each report carries the book's index. Reports are chained
+  // so onBookEnriched never runs twice at once and `done` only goes up.
   // ---------------------------------------------------------------------------
-  const enrichedBooks = [];
+  const enrichedBooks = new Array(books.length);
+  let done = 0;
+  let reporting = Promise.resolve();
 
-  for (let i = 0; i < books.length; i++) {
-    const book = books[i];
+  const recordResult = async (index, enrichedBook) => {
+    enrichedBooks[index] = enrichedBook;
+    if (onBookEnriched) {
+      reporting = reporting.then(() =>
+        onBookEnriched(enrichedBook, { done: ++done, total: books.length, index }),
+      );
+      await reporting;
+    }
+  };
 
-    try {
-      // -----------------------------------------------------------------------
-      // Step 1: Check the cache first.
-      // WHY: If we already have metadata for this book from a previous scan,
-      //      we skip the Google Books API call entirely. This saves quota and
-      //      makes the response faster.
-      // -----------------------------------------------------------------------
-      const cached = await checkCache(book.title, book.author);
+  // ---------------------------------------------------------------------------
+  // Step 1: One cache query for the whole list.
+  // WHY: A round-trip per book added up on large shelves. Books already in the
+  //      cache (most of a re-scanned shelf) cost no API call at all.
+  // If the cache cannot be read, nothing can be stored either: every book is
+  // returned unenriched rather than spending quota on lookups that are lost.
+  // ---------------------------------------------------------------------------
+  let cachedEntries;
+  try {
+    cachedEntries = await findCachedBooks(books);
+  } catch (error) {
+    console.error("[googleBooks] Cache lookup failed:", error.message);
+    for (const [index, book] of books.entries()) {
+      await recordResult(index, unenrichedBook(book));
+    }
+    return enrichedBooks;
+  }
 
-      if (cached) {
-        console.log(`[googleBooks] Cache HIT: "${book.title}"`);
-        enrichedBooks.push({
-          ...book,
-          isbn: cached.isbn,
-          cover_url: cached.cover_url,
-          description: cached.description,
-          categories: cached.categories || [],
-          enriched: true,
-        });
-        // No delay needed for cache hits - we didn't call the API
-        continue;
-      }
+  // Cache misses grouped by cache key, so a book that appears twice on the
+  // shelf is looked up once
+  const misses = new Map();
+  // Expired entries served as they are, for the refresh job
+  const staleKeys = new Set();
 
-      // --- Phase 6: Check Google Books daily limit before API call ---
-      // This check only runs on cache MISSES (cache hits already
-      // used `continue` to skip to the next book). So we only consume
-      // quota when we actually need to call the external API.
-      const gbLimit = await checkLimit("google_books");
-      if (gbLimit.limited) {
-        console.log(
-          `[googleBooks] Daily limit reached (${gbLimit.count}). Skipping remaining enrichment.`,
-        );
-        // Mark this book as not enriched and stop processing further books.
-        // The `break` exits the for loop. Remaining books will have
-        // enriched: false, which makes BookCard show the SVG fallback icon.
-        book.enriched = false;
-        break;
-      }
+  for (const [index, book] of books.entries()) {
+    const key = cacheKey(book.title, book.author);
+    let cached = cachedEntries[index];
 
-      // -----------------------------------------------------------------------
-      // Step 2: Cache miss - call Google Books API.
-      // -----------------------------------------------------------------------
-      console.log(`[googleBooks] Cache MISS: "${book.title}" - calling API...`);
-      const metadata = await fetchFromGoogleBooks(
-        book.title,
-        book.author,
-        apiKey,
+    // An expired "not found" is worth asking again now: there is nothing to
+    // serve in the meantime
+    if (cached?.stale && isNegativeEntry(cached)) {
+      console.log(`[googleBooks] Cache EXPIRED (not found before): "${book.title}"`);
+      cached = null;
+    } else if (cached?.stale) {
+      staleKeys.add(key);
+    }
+
+    if (cached) {
+      console.log(`[googleBooks] Cache HIT${cached.stale ? " (stale)" : ""}: "${book.title}"`);
+      await recordResult(index, {
+        ...book,
+        isbn: cached.isbn,
+        cover_url: cached.cover_url,
+        description: cached.description,
+        categories: cached.categories || [],
+        matched_title: cached.matched_title || null,
+        matched_authors: cached.matched_authors || [],
+        metadata_sources: cached.metadata_sources || {},
+        ...bookDetails(cached),
+        work_id: cached.work_id || null,
+        enriched: true,
+      });
+    } else if (misses.has(key)) {
+      misses.get(key).push(index);
+    } else {
+      misses.set(key, [index]);
+    }
+  }
+
+  if (staleKeys.size > 0) {
+    await requestRefresh([...staleKeys]);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Step 2: Cache misses - ask the metadata providers, METADATA_CONCURRENCY
+  // books at a time. Each provider call waits for its turn under the provider's
+  // requests-per-second budget (createProviderState), and daily limits are
+  // checked per provider inside lookupMetadata (Phase 6), so quota is only
+  // consumed when an external API is actually called.
+  // ---------------------------------------------------------------------------
+  let allLimited = false;
+
+  await runWithConcurrency([...misses.values()], providerState.concurrency, async (indices) => {
+    if (allLimited) return;
+    const book = books[indices[0]];
+
+    try {
+      console.log(`[googleBooks] Cache MISS: "${book.title}" - calling providers...`);
+      const language = searchLanguage(book.title, languageHint);
+      const { metadata, asked } = await lookupMetadata(
+        `"${book.title}"`,
+        (provider) => provider.search(book.title, book.author, language),
+        providerState,
       );
 
-      // --- Phase 6: Increment Google Books usage counter ---
-      // Only counted when the API was actually called (cache misses).
-      // Cache hits don't reach this code path.
-      await incrementUsage("google_books");
+      let workId = null;
+      if (asked === 0) {
+        // Other workers finish the lookups they started; no new ones begin.
+        // The books left over are returned with enriched: false below.
+        if (!allLimited) {
+          console.log(
+            "[googleBooks] Daily limit reached for every metadata provider. Skipping remaining enrichment.",
+          );
+        }
+        allLimited = true;
+        return;
+      }
 
       if (metadata) {
         // ---------------------------------------------------------------------
         // Step 3: Store the result in the cache for future lookups.
         // WHY: Next time any user scans a shelf with this book, we skip the API.
         // ---------------------------------------------------------------------
-        await storeInCache(book.title, book.author, metadata);
-
-        enrichedBooks.push({
-          ...book,
-          isbn: metadata.isbn,
-          cover_url: metadata.cover_url,
-          description: metadata.description,
-          categories: metadata.categories || [],
-          enriched: true,
-        });
+        workId = await storeInCache(book.title, book.author, metadata);
       } else {
         // ---------------------------------------------------------------------
-        // Google Books had no results for this book.
+        // No provider had results for this book.
         // WHY we still cache "no result": To avoid calling the API again for
-        // the same book that Google doesn't have. We store it with null fields.
+        // the same book that no provider has. We store it with null fields.
         // ---------------------------------------------------------------------
-        console.log(`[googleBooks] No results found for: "${book.title}"`);
+        console.log(`[googleBooks] No provider found: "${book.title}"`);
         await storeInCache(book.title, book.author, {
           isbn: null,
           cover_url: null,
           description: null,
           categories: [],
         });
+      }
 
-        enrichedBooks.push({
-          ...book,
-          isbn: null,
-          cover_url: null,
-          description: null,
-          categories: [],
-          enriched: false,
-        });
+      for (const index of indices) {
+        await recordResult(
+          index,
+          metadata
+            ? {
+                ...books[index],
+                isbn: metadata.isbn,
+                cover_url: metadata.cover_url,
+                description: metadata.description,
+                categories: metadata.categories || [],
+                matched_title: metadata.matched_title,
+                matched_authors: metadata.matched_authors,
+                metadata_sources: metadata.metadata_sources,
+                ...bookDetails(metadata),
+                work_id: workId,
+                enriched: true,
+              }
+            : unenrichedBook(books[index]),
+        );
       }
     } catch (error) {
       // -----------------------------------------------------------------------
@@ -254,27 +485,19 @@ export async function enrichBooks(books) {
         `[googleBooks] Error enriching "${book.title}":`,
         error.message,
       );
-      enrichedBooks.push({
-        ...book,
-        isbn: null,
-        cover_url: null,
-        description: null,
-        categories: [],
-        enriched: false,
-      });
+      for (const index of indices) {
+        await recordResult(index, unenrichedBook(books[index]));
+      }
     }
+  });
 
-    // -------------------------------------------------------------------------
-    // Add delay between API calls (only if we actually called the API).
-    // WHY: Rate limiting courtesy. We check if the book was from cache - if so,
-    //      no delay needed. The delay only applies to actual API calls.
-    // We skip the delay after the last book (no point waiting after we're done).
-    // -------------------------------------------------------------------------
-    if (i < books.length - 1) {
-      await new Promise((resolve) =>
-        setTimeout(resolve, DELAY_BETWEEN_REQUESTS_MS),
-      );
-    }
+  // ---------------------------------------------------------------------------
+  // Books never looked up because every daily limit was reached. They are not
+  // reported through onBookEnriched: nothing was learned about them, and the
+  // scan pipeline marks books without a report as unverified.
+  // ---------------------------------------------------------------------------
+  for (const [index, book] of books.entries()) {
+    if (!enrichedBooks[index]) enrichedBooks[index] = unenrichedBook(book);
   }
 
   // ---------------------------------------------------------------------------
@@ -289,59 +512,519 @@ export async function enrichBooks(books) {
   return enrichedBooks;
 }
 
+// Page count, publication date, publisher, language, ratings and large cover
+// (DETAIL_FIELDS), null when unknown
+function bookDetails(source) {
+  return Object.fromEntries(DETAIL_FIELDS.map((field) => [field, source[field] ?? null]));
+}
+
+// A book returned without metadata (not found, failed, or never looked up)
+function unenrichedBook(book) {
+  return {
+    ...book,
+    isbn: null,
+    cover_url: null,
+    description: null,
+    categories: [],
+    enriched: false,
+  };
+}
+
 // =============================================================================
-// checkCache(title, author)
+// resolveIsbns(isbns)
 //
-// Purpose: Looks up a book in the book_cache table by title and author.
-//          Uses case-insensitive matching via pre-computed lowercase columns.
+// Purpose: Turns scanned ISBNs into books for the barcode input path
+//          (api/scan-isbn.js). No vision model is involved: the ISBN identifies
+//          the exact edition, so every resolved book is an exact match.
 //
 // Args:
-//   title (string): Book title from AI recognition.
-//   author (string): Author name from AI recognition. Can be null/undefined.
+//   isbns (string[]): Normalized ISBN-13 strings (see lib/isbn.js).
 //
 // Returns:
-//   Object with { isbn, cover_url, description, categories } if found.
-//   null if not found in cache.
+//   Object with:
+//     - books (Array): One { title, author, isbn } per resolved ISBN, in order
+//     - unresolved (string[]): ISBNs that no metadata provider knows, or that
+//       could not be looked up (API error, missing key, daily limit)
+//     - limited (boolean): true if the daily limits of every provider stopped
+//       lookups
 //
-// WHY LOWERCASE MATCHING:
-//   The AI might return "The Great Gatsby" in one scan and "the great gatsby"
-//   in another. By comparing lowercase versions, we treat these as the same
-//   book and avoid duplicate cache entries and duplicate API calls.
+// CACHING:
+//   book_cache is keyed by title + author, not by ISBN, because that is all the
+//   vision path knows. So a resolved ISBN is stored under the title and author
+//   Google Books returns, exactly like a spine-recognized book. The read-time
+//   join in api/scan/[scanId].js then finds it without knowing it came from a
+//   barcode. Lookups by ISBN use idx_book_cache_isbn.
 //
-// WHY COALESCE for author:
-//   Some books might be recognized without an author (author is null or empty).
-//   We normalize these to empty string ('') so the unique index works correctly.
-//   Without this, NULL != NULL in SQL, so two entries for the same book with
-//   NULL author would both be inserted (violating our uniqueness intent).
+//   Unlike enrichBooks, "not found" is NOT cached: without a title there is no
+//   cache key to store it under.
 // =============================================================================
-async function checkCache(title, author) {
-  // ---------------------------------------------------------------------------
-  // Normalize inputs to lowercase for case-insensitive matching.
-  // trim() removes leading/trailing whitespace that could cause mismatches.
-  // If author is falsy (null, undefined, empty string), we normalize to ''.
-  // ---------------------------------------------------------------------------
-  const titleLower = title.toLowerCase().trim();
-  const authorLower = (author || "").toLowerCase().trim();
+export async function resolveIsbns(isbns) {
+  const providerState = createProviderState();
+  const books = [];
+  const unresolved = [];
+  let limited = false;
+
+  for (const isbn of isbns) {
+    try {
+      const cached = await checkCacheByIsbn(isbn);
+      if (cached) {
+        console.log(`[googleBooks] Cache HIT for ISBN ${isbn}: "${cached.title}"`);
+        books.push({ title: cached.title, author: cached.author, isbn });
+        continue;
+      }
+
+      if (providerState.available.length === 0 || limited) {
+        unresolved.push(isbn);
+        continue;
+      }
+
+      // Same daily limits and request rate as enrichBooks: only cache misses
+      // cost quota. Barcode batches are short, so they stay sequential.
+      console.log(`[googleBooks] Cache MISS for ISBN ${isbn} - calling providers...`);
+      const { metadata: volume, asked } = await lookupMetadata(
+        `ISBN ${isbn}`,
+        (provider) => provider.lookupIsbn(isbn),
+        providerState,
+      );
+
+      if (asked === 0) {
+        console.log(
+          "[googleBooks] Daily limit reached for every metadata provider. Skipping remaining ISBN lookups.",
+        );
+        limited = true;
+        unresolved.push(isbn);
+        continue;
+      }
+
+      if (!volume) {
+        console.log(`[googleBooks] No provider found ISBN ${isbn}`);
+        unresolved.push(isbn);
+      } else {
+        // Keep the scanned ISBN: it is the edition on the user's shelf, while
+        // Google's first industryIdentifier may belong to another printing.
+        await storeInCache(volume.title, volume.author, {
+          ...volume,
+          isbn,
+          metadata_sources: { ...volume.metadata_sources, isbn: "barcode" },
+        });
+        books.push({ title: volume.title, author: volume.author, isbn });
+      }
+    } catch (error) {
+      console.error(`[googleBooks] Error resolving ISBN ${isbn}:`, error.message);
+      unresolved.push(isbn);
+    }
+  }
+
+  if (providerState.available.length === 0 && unresolved.length > 0) {
+    console.warn(
+      "[googleBooks] No metadata provider is available (GOOGLE_BOOKS_API_KEY is not set). Only cached ISBNs were resolved.",
+    );
+  }
+
+  console.log(
+    `[googleBooks] ISBN lookup complete: ${books.length}/${isbns.length} resolved.`,
+  );
+
+  return { books, unresolved, limited };
+}
+
+// =============================================================================
+// refreshStaleCache(options)
+//
+// Purpose: The refresh job (scripts/refresh-cache.js). Asks the providers
+//          again about expired book_cache entries and stores the answers,
+//          which resets their expiry. Until then enrichBooks keeps serving the
+//          stale data.
+//
+// Args:
+//   options (Object, optional):
+//     - limit (number): At most this many entries per run (default
+//       DEFAULT_REFRESH_BATCH), so one run cannot use up a day's quota.
+//
+// Returns:
+//   { checked, updated, kept, failed, limited }
+//     - checked: expired entries looked at
+//     - updated: entries stored again with the providers' current answer
+//     - kept: found entries no provider found this time. Their data is kept
+//       (a provider hiccup should not wipe a cover) and re-checked after the
+//       negative TTL.
+//     - failed: lookups that threw; the entry stays expired for the next run
+//     - limited: true if every provider's daily limit stopped the run
+//
+// ORDER: Entries enrichBooks served while stale (refresh_requested_at) come
+//   first, oldest request first, then the rest by expiry date.
+//
+// Same worker pool, request rate and daily limits as enrichBooks. Entries from
+// a barcode scan are looked up by their ISBN again, so the scanned edition is
+// kept; the others by their cached title and author.
+// =============================================================================
+export async function refreshStaleCache(options = {}) {
+  const { limit = DEFAULT_REFRESH_BATCH } = options;
+  const summary = { checked: 0, updated: 0, kept: 0, failed: 0, limited: false };
+
+  const providerState = createProviderState();
+  if (providerState.available.length === 0) {
+    console.warn(
+      "[googleBooks] No metadata provider is available (GOOGLE_BOOKS_API_KEY is not set). Nothing refreshed.",
+    );
+    return summary;
+  }
 
-  // ---------------------------------------------------------------------------
-  // Query the cache using the composite unique index (title_lower, author_lower).
-  // WHY parameterized query ($1, $2): Prevents SQL injection attacks.
-  //   Even though title and author come from our own AI, it's a good habit
-  //   and protects against edge cases (book titles with quotes, etc.).
-  // COALESCE(author_lower, ''): Handles the case where author_lower in the DB
-  //   is NULL. COALESCE returns the first non-null argument, so NULL becomes ''.
-  // ---------------------------------------------------------------------------
   const result = await query(
-    `SELECT isbn, cover_url, description, categories
+    `SELECT title, author, isbn, matched_title, metadata_sources
      FROM book_cache
-     WHERE title_lower = $1 AND COALESCE(author_lower, '') = $2`,
-    [titleLower, authorLower],
+     WHERE expires_at <= CURRENT_TIMESTAMP
+     ORDER BY refresh_requested_at IS NULL, refresh_requested_at, expires_at
+     LIMIT $1`,
+    [limit],
+  );
+
+  console.log(`[googleBooks] Refreshing ${result.rows.length} expired cache entries...`);
+
+  await runWithConcurrency(result.rows, providerState.concurrency, async (entry) => {
+    if (summary.limited) return;
+
+    try {
+      const outcome = await refreshEntry(entry, providerState);
+      if (outcome === "limited") {
+        summary.limited = true;
+        return;
+      }
+      summary.checked++;
+      summary[outcome]++;
+    } catch (error) {
+      console.error(`[googleBooks] Error refreshing "${entry.title}":`, error.message);
+      summary.checked++;
+      summary.failed++;
+    }
+  });
+
+  if (summary.limited) {
+    console.log(
+      "[googleBooks] Daily limit reached for every metadata provider. Remaining entries wait for the next run.",
+    );
+  }
+  console.log(
+    `[googleBooks] Refresh complete: ${summary.updated} updated, ${summary.kept} kept, ${summary.failed} failed.`,
+  );
+
+  return summary;
+}
+
+// =============================================================================
+// refreshCacheEntry(cacheId)
+//
+// Purpose: Re-queries the metadata providers for one book_cache entry right
+//          away, whether or not it has expired. Used by the cache admin
+//          (lib/cacheAdmin.js) to invalidate an entry.
+//
+// Returns:
+//   "updated" | "kept" (see refreshStaleCache), "limited" when no provider
+//   could be asked (no API key, or every daily limit reached) or null when
+//   there is no such entry. A limited entry is expired and queued instead,
+//   so the next refresh job run picks it up first.
+//
+// Pinned overrides are kept, as with every store.
+// =============================================================================
+export async function refreshCacheEntry(cacheId) {
+  const result = await query(
+    `SELECT title, author, isbn, matched_title, metadata_sources
+     FROM book_cache
+     WHERE cache_id = $1`,
+    [cacheId],
+  );
+  const entry = result.rows[0];
+  if (!entry) return null;
+
+  const providerState = createProviderState();
+  const outcome =
+    providerState.available.length === 0 ? "limited" : await refreshEntry(entry, providerState);
+
+  if (outcome === "limited") {
+    await query(
+      `UPDATE book_cache
+       SET expires_at = LEAST(expires_at, CURRENT_TIMESTAMP),
+           refresh_requested_at = COALESCE(refresh_requested_at, CURRENT_TIMESTAMP)
+       WHERE cache_id = $1`,
+      [cacheId],
+    );
+  }
+  return outcome;
+}
+
+// =============================================================================
+// refreshEntry(entry, providerState)
+//
+// Purpose: Asks the providers about one cached book again and stores the
+//          answer (refreshStaleCache, refreshCacheEntry).
+//
+// Args:
+//   entry (Object): { title, author, isbn, matched_title, metadata_sources }
+//   providerState (Object): From createProviderState().
+//
+// Returns:
+//   "updated" - the entry was stored again (found, or still not found)
+//   "kept"    - a found book no provider found this time keeps its data and
+//               is checked again after the negative TTL
+//   "limited" - every available provider has reached its daily limit
+//
+// Entries from a barcode scan are looked up by their ISBN again, so the
+// scanned edition is kept.
+//
+// Throws: If the lookup or a query fails.
+// =============================================================================
+async function refreshEntry(entry, providerState) {
+  const fromBarcode = entry.metadata_sources?.isbn === "barcode" && entry.isbn;
+
+  const { metadata, asked } = await lookupMetadata(
+    `"${entry.title}" (refresh)`,
+    fromBarcode
+      ? (provider) => provider.lookupIsbn(entry.isbn)
+      : (provider) =>
+          provider.search(entry.title, entry.author, searchLanguage(entry.title, null)),
+    providerState,
+  );
+
+  if (asked === 0) return "limited";
+
+  if (metadata) {
+    await storeInCache(entry.title, entry.author, {
+      ...metadata,
+      ...(fromBarcode && {
+        isbn: entry.isbn,
+        metadata_sources: { ...metadata.metadata_sources, isbn: "barcode" },
+      }),
+    });
+    return "updated";
+  }
+
+  if (isNegativeEntry(entry)) {
+    await storeInCache(entry.title, entry.author, {
+      isbn: null,
+      cover_url: null,
+      description: null,
+      categories: [],
+    });
+    return "updated";
+  }
+
+  await query(
+    `UPDATE book_cache
+     SET last_checked = CURRENT_TIMESTAMP,
+         expires_at = CURRENT_TIMESTAMP + $3 * INTERVAL '1 day',
+         refresh_requested_at = NULL
+     WHERE title_key = $1 AND COALESCE(author_key, '') = $2`,
+    [normalizeTitle(entry.title), normalizeAuthor(entry.author), cacheTtlDays(false)],
+  );
+  return "kept";
+}
+
+// =============================================================================
+// createProviderState()
+//
+// Purpose: Provider configuration for one enrichBooks / resolveIsbns /
+//          refreshStaleCache run.
+//
+// Returns:
+//   { policy, available, limited, throttles, concurrency }
+//     - policy: from getMetadataPolicy() (order, merge mode, field preferences)
+//     - available: configured providers that can be called (Google Books
+//       needs its API key; see availableProviders())
+//     - limited: providers whose daily limit was reached during this run, so
+//       the limit is not checked again for every remaining book
+//     - throttles: one createThrottle() per provider, shared by all workers
+//     - concurrency: how many books enrichBooks looks up at once
+// =============================================================================
+function createProviderState() {
+  const policy = getMetadataPolicy();
+  const requestsPerSecond =
+    parseFloat(process.env.METADATA_REQUESTS_PER_SECOND) || DEFAULT_REQUESTS_PER_SECOND;
+  const concurrency = parseInt(process.env.METADATA_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+
+  return {
+    policy,
+    available: availableProviders(policy, (name) => METADATA_PROVIDERS[name].isAvailable()),
+    limited: new Set(),
+    throttles: Object.fromEntries(
+      policy.providers.map((name) => [name, createThrottle(requestsPerSecond)]),
+    ),
+    concurrency: Math.max(1, concurrency),
+  };
+}
+
+// =============================================================================
+// createThrottle(requestsPerSecond)
+//
+// Purpose: Spaces out calls to one provider across concurrent workers.
+//
+// Returns:
+//   An async function that resolves when the caller may make its call. Each
+//   caller takes the next free slot, 1000 / requestsPerSecond ms after the
+//   previous one, so the budget holds no matter how many workers wait.
+// =============================================================================
+function createThrottle(requestsPerSecond) {
+  const intervalMs = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  return async function waitForSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + intervalMs;
+    if (slot > now) {
+      await new Promise((resolve) => setTimeout(resolve, slot - now));
+    }
+  };
+}
+
+// =============================================================================
+// runWithConcurrency(items, concurrency, worker)
+//
+// Purpose: Calls worker(item) for every item, at most `concurrency` at a time.
+//          Workers take the next item as soon as they finish one, so a slow
+//          lookup does not hold up a whole batch.
+//
+// Returns: Nothing. worker is expected to handle its own errors.
+// =============================================================================
+async function runWithConcurrency(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// =============================================================================
+// lookupMetadata(label, lookup, state)
+//
+// Purpose: Asks the metadata providers about one book, in the configured
+//          order, and merges their answers (collectMetadata() in
+//          lib/metadataProviders.js decides which providers are worth asking).
+//
+// Args:
+//   label (string): What is being looked up, for log messages only.
+//   lookup (Function): Called as lookup(provider); runs the provider's search
+//     or lookupIsbn and resolves to metadata or null.
+//   state (Object): From createProviderState().
+//
+// Returns:
+//   { metadata, asked }
+//     - metadata: merged metadata with metadata_sources, or null if no
+//       provider found the book
+//     - asked: how many providers were called. 0 means every available
+//       provider has reached its daily limit.
+//
+// DAILY LIMITS:
+//   A provider with a usageApi (Google Books) is checked before and counted
+//   after each call, as enrichBooks did before there were several providers.
+//   When its limit is reached, the remaining books go to the other providers.
+//   With several workers the count can overshoot by up to
+//   METADATA_CONCURRENCY - 1 calls (see the note in lib/usageTracking.js).
+//
+// RATE:
+//   Each call first waits for the provider's throttle, so a cache miss that
+//   falls through to a second provider also respects that provider's budget.
+//
+// ERRORS:
+//   A provider that throws (a missing replay fixture) fails the lookup only
+//   if no earlier provider found the book. Otherwise the book keeps the
+//   earlier providers' data instead of losing all of it.
+// =============================================================================
+async function lookupMetadata(label, lookup, state) {
+  let asked = 0;
+
+  const ask = async (name, results) => {
+    if (state.limited.has(name)) return null;
+    const provider = METADATA_PROVIDERS[name];
+
+    if (provider.usageApi) {
+      const usageLimit = await checkLimit(provider.usageApi);
+      if (usageLimit.limited) {
+        console.log(
+          `[googleBooks] ${name} daily limit reached (${usageLimit.count}). Using the other providers.`,
+        );
+        state.limited.add(name);
+        return null;
+      }
+    }
+
+    asked++;
+    try {
+      await state.throttles[name]();
+      const metadata = await lookup(provider);
+      if (provider.usageApi) await incrementUsage(provider.usageApi);
+      return metadata;
+    } catch (error) {
+      if (results.length === 0) throw error;
+      console.error(
+        `[googleBooks] ${name} failed for ${label}, keeping the other providers' data:`,
+        error.message,
+      );
+      return null;
+    }
+  };
+
+  const metadata = await collectMetadata(state.available, ask, state.policy);
+  return { metadata, asked };
+}
+
+// Identifies a book the way the cache's unique index does: canonical title +
+// author (bookKeys.js). Groups cache misses and names stale entries in
+// requestRefresh().
+function cacheKey(title, author) {
+  return `${normalizeTitle(title)}\u0000${normalizeAuthor(author)}`;
+}
+
+// =============================================================================
+// requestRefresh(keys)
+//
+// Purpose: Queues expired entries that were just served for the refresh job
+//          (refresh_requested_at), so books people still scan are refreshed
+//          before ones nobody has looked at since they expired.
+//
+// Args:
+//   keys (string[]): cacheKey() values of the stale entries.
+//
+// Best effort: a failure only means the entry waits its turn by expiry date.
+// =============================================================================
+async function requestRefresh(keys) {
+  const pairs = keys.map((key) => key.split("\u0000"));
+  try {
+    await query(
+      `UPDATE book_cache c
+       SET refresh_requested_at = CURRENT_TIMESTAMP
+       FROM unnest($1::text[], $2::text[]) AS k(title_key, author_key)
+       WHERE c.title_key = k.title_key
+         AND COALESCE(c.author_key, '') = k.author_key
+         AND c.refresh_requested_at IS NULL`,
+      [pairs.map(([title]) => title), pairs.map(([, author]) => author)],
+    );
+  } catch (error) {
+    console.error("[googleBooks] Could not queue stale entries for refresh:", error.message);
+  }
+}
+
+// =============================================================================
+// checkCacheByIsbn(isbn)
+//
+// Purpose: Looks up a book in book_cache by ISBN (barcode input path).
+//
+// Returns:
+//   Object with { title, author } if found, null otherwise.
+//
+// WHY LIMIT 1: isbn is not unique in book_cache. Two differently spelled
+//   title/author rows can point at the same edition; either one is fine.
+// =============================================================================
+async function checkCacheByIsbn(isbn) {
+  const result = await query(
+    `SELECT title, author
+     FROM book_cache
+     WHERE isbn = $1
+     LIMIT 1`,
+    [isbn],
   );
 
-  // ---------------------------------------------------------------------------
-  // result.rows is an array. If empty, the book is not in the cache.
-  // If found, return the first (and only, due to unique index) row.
-  // ---------------------------------------------------------------------------
   if (result.rows.length === 0) {
     return null;
   }
@@ -349,94 +1032,158 @@ async function checkCache(title, author) {
   return result.rows[0];
 }
 
+// One DO UPDATE SET clause of storeInCache: the stored value while the field
+// is pinned (book_cache.overrides), the new one otherwise. Field names come
+// from OVERRIDE_FIELDS, never from input.
+function updateUnlessPinned(field) {
+  return `${field} = CASE WHEN book_cache.overrides ? '${field}' THEN book_cache.${field} ELSE EXCLUDED.${field} END`;
+}
+
 // =============================================================================
 // storeInCache(title, author, metadata)
 //
-// Purpose: Inserts a book's Google Books metadata into the cache table.
+// Purpose: Inserts a book's metadata (from any provider) into the cache table.
 //
 // Args:
 //   title (string): Original title from AI (preserves casing for display).
 //   author (string): Original author from AI (preserves casing for display).
-//   metadata (Object): { isbn, cover_url, description, categories }
+//   metadata (Object): { isbn, cover_url, description, categories,
+//                        matched_title, matched_authors, series_name,
+//                        series_volume, metadata_sources, alternatives,
+//                        and the book details (DETAIL_FIELDS) }
 //
-// Returns: Nothing.
+// Returns: The row's work_id (lib/works.js), or null for "not found" or when
+//   linking the work failed. Linking is best effort: the row is stored either
+//   way, and is linked again the next time it is stored.
 //
-// ON CONFLICT: If a row with the same (title_lower, author_lower) already exists,
+// ON CONFLICT: If a row with the same (title_key, author_key) already exists,
 //   we UPDATE the existing row instead of throwing an error. This handles the
 //   race condition where two concurrent scans detect the same book and both
 //   try to insert at the same time. The second insert becomes an update.
 //
-// WHY STORE BOTH original AND lowercase:
+// WHY STORE BOTH original AND canonical key:
 //   - Original (title, author): For display purposes. "The Great Gatsby" looks
-//     better than "the great gatsby" on the results page.
-//   - Lowercase (title_lower, author_lower): For lookups and uniqueness.
-//     The unique index is on the lowercase columns.
+//     better than "great gatsby" on the results page.
+//   - Canonical (title_key, author_key): For lookups and uniqueness
+//     (lib/bookKeys.js), so "The Hobbit" and "Hobbit, The" share a row.
+//     The unique index is on the key columns.
+//
+// PINNED OVERRIDES: A field listed in the existing row's overrides
+//   (lib/cacheAdmin.js) keeps its value, and metadata_sources keeps "manual"
+//   for it. While the match itself (title, authors or ISBN) is pinned, so is
+//   the row's work.
 // =============================================================================
 async function storeInCache(title, author, metadata) {
   const cacheId = uuidv4();
-  const titleLower = title.toLowerCase().trim();
-  const authorLower = (author || "").toLowerCase().trim();
+  const key = bookKey(title, author);
+
+  let workId = null;
+  try {
+    workId = await linkWork(metadata);
+  } catch (error) {
+    console.error(`[googleBooks] Could not link "${title}" to a work:`, error.message);
+  }
 
   // ---------------------------------------------------------------------------
   // INSERT with ON CONFLICT (upsert pattern).
   //
   // The SQL reads as: "Try to insert this row. If a row with the same
-  // (title_lower, author_lower) already exists, update that row's metadata
+  // (title_key, author_key) already exists, update that row's metadata
   // fields instead."
   //
   // $1 = cache_id (UUID)
   // $2 = title (original casing)
   // $3 = author (original casing, or empty string if null)
-  // $4 = title_lower (for index)
-  // $5 = author_lower (for index)
+  // $4 = title_key (canonical title, for index)
+  // $5 = author_key (canonical author, for index)
   // $6 = isbn (from Google Books, may be null)
   // $7 = cover_url (from Google Books, may be null)
   // $8 = description (from Google Books, may be null)
   // $9 = categories (TEXT array, may be empty array)
+  // $10 = matched_title (Google Books' own title, null if not found)
+  // $11 = matched_authors (TEXT array, Google Books' authors)
+  // $12 = series_name, $13 = series_volume (lib/seriesDetection.js, may be null)
+  // $14 = metadata_sources (JSONB, provider behind each field)
+  // $15 = alternatives (JSONB, runner-up search results, see fetchFromGoogleBooks)
+  // $16 = TTL in days (cacheTtlDays), for expires_at
+  // $17-$23 = book details: cover_url_large, page_count, published_date,
+  //   publisher, language, average_rating, ratings_count (may be null)
+  // $24 = work_id (lib/works.js, null when not found)
+  //
+  // Every store is a fresh check: last_checked moves to now, expires_at is
+  // pushed out by the TTL and a pending refresh request is cleared.
   //
   // ON CONFLICT target: idx_book_cache_lookup is our unique index on
-  // (title_lower, author_lower). When there's a conflict on these columns,
+  // (title_key, author_key). When there's a conflict on these columns,
   // PostgreSQL executes the DO UPDATE SET clause instead of INSERT.
   //
   // EXCLUDED refers to the row that was proposed for insertion (the conflicting
-  // row). So EXCLUDED.isbn is the isbn value from the new INSERT attempt.
+  // row). So EXCLUDED.isbn is the isbn value from the new INSERT attempt, and
+  // book_cache.isbn the value already stored (kept when it is pinned).
   // ---------------------------------------------------------------------------
   await query(
-    `INSERT INTO book_cache (cache_id, title, author, title_lower, author_lower, isbn, cover_url, description, categories)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-     ON CONFLICT (title_lower, author_lower)
+    `INSERT INTO book_cache (cache_id, title, author, title_key, author_key, isbn, cover_url, description, categories, matched_title, matched_authors, series_name, series_volume, metadata_sources, alternatives, last_checked, expires_at, cover_url_large, page_count, published_date, publisher, language, average_rating, ratings_count, work_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP + $16 * INTERVAL '1 day', $17, $18, $19, $20, $21, $22, $23, $24)
+     ON CONFLICT (title_key, author_key)
      DO UPDATE SET
-       isbn = EXCLUDED.isbn,
-       cover_url = EXCLUDED.cover_url,
-       description = EXCLUDED.description,
-       categories = EXCLUDED.categories`,
+       ${OVERRIDE_FIELDS.map(updateUnlessPinned).join(",\n       ")},
+       metadata_sources = EXCLUDED.metadata_sources || COALESCE(
+         (SELECT jsonb_object_agg(field, '"manual"'::jsonb)
+          FROM jsonb_object_keys(book_cache.overrides) AS field),
+         '{}'::jsonb),
+       alternatives = EXCLUDED.alternatives,
+       last_checked = EXCLUDED.last_checked,
+       expires_at = EXCLUDED.expires_at,
+       refresh_requested_at = NULL,
+       work_id = CASE WHEN book_cache.overrides ?| ARRAY['matched_title', 'matched_authors', 'isbn']
+         THEN book_cache.work_id ELSE EXCLUDED.work_id END`,
     [
       cacheId,
       title,
       author || "",
-      titleLower,
-      authorLower,
+      key.title,
+      key.author,
       metadata.isbn || null,
       metadata.cover_url || null,
       metadata.description || null,
       metadata.categories || [],
+      metadata.matched_title || null,
+      metadata.matched_authors || [],
+      metadata.series_name || null,
+      metadata.series_volume ?? null,
+      JSON.stringify(metadata.metadata_sources || {}),
+      JSON.stringify(metadata.alternatives || []),
+      cacheTtlDays(!isNegativeEntry(metadata)),
+      metadata.cover_url_large || null,
+      metadata.page_count || null,
+      metadata.published_date || null,
+      metadata.publisher || null,
+      metadata.language || null,
+      metadata.average_rating ?? null,
+      metadata.ratings_count ?? null,
+      workId,
     ],
   );
+
+  return workId;
 }
 
 // =============================================================================
-// fetchFromGoogleBooks(title, author, apiKey)
+// fetchFromGoogleBooks(title, author, apiKey, language)
 //
 // Purpose: Calls the Google Books API to search for a book by title and author.
-//          Extracts and returns the most relevant metadata from the first result.
+//          Ranks the results against the reading and returns the best one.
 //
 // Args:
 //   title (string): Book title to search for.
 //   author (string): Author name to search for. Can be empty.
 //   apiKey (string): Google Books API key.
+//   language (string|null): ISO 639-1 code to restrict results to, or null.
 //
 // Returns:
-//   Object with { isbn, cover_url, description, categories } if a result is found.
+//   Object with { isbn, cover_url, description, categories, ..., match_score,
+//   alternatives } if a result is found, where alternatives are the runner-ups
+//   (same fields, best first, at most MAX_ALTERNATIVES).
 //   null if no results were returned by Google Books.
 //
 // HOW THE SEARCH WORKS:
@@ -446,9 +1193,11 @@ async function storeInCache(title, author, metadata) {
 //     inauthor: - Restricts the search to the author field
 //   Example query: "intitle:The Great Gatsby+inauthor:F. Scott Fitzgerald"
 //
-//   We request maxResults=1 because we only need the best match.
-//   Google Books returns results ranked by relevance, so the first result
-//   is almost always the correct book.
+//   We request SEARCH_CANDIDATES results. Google Books ranks them by relevance
+//   to the query, which is not the same as being the book on the shelf: study
+//   guides, summaries and other editions often come first. rankCandidates
+//   (lib/candidateRanking.js) scores them on title/author similarity,
+//   language and edition signals instead.
 //
 // COVER IMAGE:
 //   Google Books returns imageLinks with "thumbnail" and "smallThumbnail".
@@ -456,7 +1205,7 @@ async function storeInCache(title, author, metadata) {
 //   "https://" because Google sometimes returns HTTP URLs, and modern browsers
 //   may block mixed content (HTTP images on HTTPS pages).
 // =============================================================================
-async function fetchFromGoogleBooks(title, author, apiKey) {
+async function fetchFromGoogleBooks(title, author, apiKey, language = null) {
   // ---------------------------------------------------------------------------
   // Build the search query.
   // WHY encodeURIComponent: The title and author may contain special characters
@@ -472,7 +1221,98 @@ async function fetchFromGoogleBooks(title, author, apiKey) {
     searchQuery += `+inauthor:${encodeURIComponent(author)}`;
   }
 
-  const url = `${GOOGLE_BOOKS_API_URL}?q=${searchQuery}&maxResults=1&key=${apiKey}`;
+  const volumes = await requestVolumes(
+    searchQuery,
+    apiKey,
+    `"${title}"`,
+    language,
+    SEARCH_CANDIDATES,
+  );
+  if (volumes.length === 0) return null;
+
+  const [best, ...runnersUp] = rankCandidates(
+    { title, author },
+    volumes.map(extractMetadata),
+    { language },
+  );
+
+  // Worth a log line when ranking overrode Google's own first result
+  if (best.matched_title !== (volumes[0].title || null)) {
+    console.log(
+      `[googleBooks] Best of ${volumes.length} results for "${title}": "${best.matched_title}" (${best.match_score})`,
+    );
+  }
+
+  // Alternatives keep what a user needs to recognize the edition and what
+  // replaces the cached fields when they pick it
+  const alternatives = runnersUp.slice(0, MAX_ALTERNATIVES).map((candidate) => ({
+    isbn: candidate.isbn,
+    cover_url: candidate.cover_url,
+    description: candidate.description,
+    categories: candidate.categories,
+    matched_title: candidate.matched_title,
+    matched_authors: candidate.matched_authors,
+    ...Object.fromEntries(DETAIL_FIELDS.map((field) => [field, candidate[field]])),
+    match_score: candidate.match_score,
+  }));
+
+  return { ...best, alternatives };
+}
+
+// =============================================================================
+// fetchByIsbnFromGoogleBooks(isbn, apiKey)
+//
+// Purpose: Looks up one edition on Google Books by ISBN ("isbn:" prefix).
+//
+// Returns:
+//   Object with { title, author, isbn, cover_url, description, categories },
+//   or null if Google Books has no volume with this ISBN.
+//
+// TITLE AND AUTHOR:
+//   The title is the main title without the subtitle, and the author is the
+//   first listed author: the way the vision model reports a spine.
+//   Keeping the same shape means a spine scan and a barcode scan of the same
+//   book usually land on the same book_cache row.
+// =============================================================================
+async function fetchByIsbnFromGoogleBooks(isbn, apiKey) {
+  const [volumeInfo] = await requestVolumes(`isbn:${isbn}`, apiKey, `ISBN ${isbn}`);
+  if (!volumeInfo) return null;
+
+  const title = volumeInfo.title || volumeInfo.subtitle;
+  if (!title) return null;
+
+  return {
+    ...extractMetadata(volumeInfo),
+    title,
+    author: volumeInfo.authors?.[0] || "Unknown",
+  };
+}
+
+// =============================================================================
+// requestVolumes(searchQuery, apiKey, label, language, maxResults)
+//
+// Purpose: Runs one Google Books volumes search and returns the volumeInfo of
+//          each result, in Google's relevance order.
+//
+// Args:
+//   searchQuery (string): Already URL-encoded "q" value, e.g.
+//     "intitle:The%20Hobbit+inauthor:Tolkien" or "isbn:9780261103344".
+//   apiKey (string): Google Books API key.
+//   label (string): What is being looked up, for log messages only.
+//   language (string|null): Optional langRestrict, an ISO 639-1 code.
+//   maxResults (number): How many results to ask for (default 1: an isbn:
+//     search has at most one match).
+//
+// Returns:
+//   Array of volumeInfo objects, empty if there were no results or the
+//   request failed.
+//
+// FIXTURE KEY: maxResults is not part of it, so responses recorded before
+//   several candidates were fetched still replay (with one candidate).
+// =============================================================================
+async function requestVolumes(searchQuery, apiKey, label, language = null, maxResults = 1) {
+  const languageParam = language ? `&langRestrict=${language}` : "";
+  const url = `${GOOGLE_BOOKS_API_URL}?q=${searchQuery}${languageParam}&maxResults=${maxResults}&key=${apiKey}`;
 
   // ---------------------------------------------------------------------------
   // Create an AbortController for request timeout.
@@ -489,8 +1329,13 @@ async function fetchFromGoogleBooks(title, author, apiKey) {
     // -------------------------------------------------------------------------
     // Make the HTTP request to Google Books API.
     // WHY signal: Connects the AbortController so we can cancel on timeout.
+    // WHY fixtureFetch: Recorded and replayed by search query (HTTP_FIXTURES).
     // -------------------------------------------------------------------------
-    const response = await fetch(url, { signal: controller.signal });
+    const response = await fixtureFetch(
+      { service: "google-books", key: searchQuery + languageParam },
+      url,
+      { signal: controller.signal },
+    );
 
     // -------------------------------------------------------------------------
     // Check for HTTP errors.
@@ -506,7 +1351,7 @@ async function fetchFromGoogleBooks(title, author, apiKey) {
       console.error(
         `[googleBooks] API error: ${response.status} ${response.statusText}`,
       );
-      return null;
+      return [];
     }
 
     // -------------------------------------------------------------------------
@@ -520,97 +1365,26 @@ async function fetchFromGoogleBooks(title, author, apiKey) {
     //      are no matches. We check both totalItems and items existence.
     // -------------------------------------------------------------------------
     if (!data.items || data.items.length === 0 || data.totalItems === 0) {
-      return null;
-    }
-
-    // -------------------------------------------------------------------------
-    // Extract metadata from the first (best match) result.
-    // WHY first result: Google ranks by relevance. The first result for
-    //   "intitle:The Great Gatsby+inauthor:Fitzgerald" is almost always the
-    //   correct edition.
-    // -------------------------------------------------------------------------
-    const volumeInfo = data.items[0].volumeInfo;
-
-    // -------------------------------------------------------------------------
-    // Extract ISBN.
-    // WHY: volumeInfo.industryIdentifiers is an array of { type, identifier }
-    //   objects. There can be multiple ISBNs:
-    //     - ISBN_13 (preferred, 13 digits, modern standard)
-    //     - ISBN_10 (older 10-digit format)
-    //   We prefer ISBN_13 but fall back to ISBN_10.
-    //   Some books (very old or obscure) may have no ISBN at all.
-    // ---------------------------------------------------------------------------
-    let isbn = null;
-    if (volumeInfo.industryIdentifiers) {
-      // First, try to find ISBN_13 (preferred)
-      const isbn13 = volumeInfo.industryIdentifiers.find(
-        (id) => id.type === "ISBN_13",
-      );
-      // If no ISBN_13, try ISBN_10
-      const isbn10 = volumeInfo.industryIdentifiers.find(
-        (id) => id.type === "ISBN_10",
-      );
-      // Use ISBN_13 if available, otherwise ISBN_10, otherwise null
-      isbn = isbn13?.identifier || isbn10?.identifier || null;
+      return [];
     }
 
-    // -------------------------------------------------------------------------
-    // Extract cover image URL.
-    // WHY: volumeInfo.imageLinks contains URLs at different sizes.
-    //   "thumbnail" is about 128x196px - good enough for our card layout.
-    //   "smallThumbnail" is about 80x128px - too small.
-    //   We fall back to smallThumbnail if thumbnail isn't available.
-    //
-    // WHY replace http with https: Google Books sometimes returns HTTP URLs.
-    //   Modern browsers block "mixed content" (HTTP resources on HTTPS pages).
-    //   Our app will be served over HTTPS in production, so we need HTTPS URLs
-    //   for the cover images to load correctly.
-    // -------------------------------------------------------------------------
-    let coverUrl = null;
-    if (volumeInfo.imageLinks) {
-      coverUrl =
-        volumeInfo.imageLinks.thumbnail ||
-        volumeInfo.imageLinks.smallThumbnail ||
-        null;
-      // Force HTTPS
-      if (coverUrl) {
-        coverUrl = coverUrl.replace("http://", "https://");
-      }
-    }
-
-    // -------------------------------------------------------------------------
-    // Extract description.
-    // WHY: volumeInfo.description is a string with the book's synopsis.
-    //   It can be quite long (1000+ characters). We store the full text and
-    //   let the frontend decide how much to show (e.g., truncate with "...").
-    //   Some books don't have descriptions - we return null in that case.
-    // -------------------------------------------------------------------------
-    const description = volumeInfo.description || null;
-
-    // -------------------------------------------------------------------------
-    // Extract categories.
-    // WHY: volumeInfo.categories is an array of strings like
-    //   ["Fiction", "Literary Criticism / American / General"].
-    //   Google Books sometimes uses very specific nested categories.
-    //   We store the full array and let the frontend display them as needed.
-    //   Some books don't have categories - we return an empty array.
-    // -------------------------------------------------------------------------
-    const categories = volumeInfo.categories || [];
-
-    return { isbn, cover_url: coverUrl, description, categories };
+    return data.items.map((item) => item.volumeInfo).filter(Boolean);
   } catch (error) {
     // -------------------------------------------------------------------------
     // Handle specific error types.
     // AbortError: Our timeout triggered (request took > 5 seconds).
     // Other errors: Network issues, DNS failures, etc.
-    // In all cases, we return null (no metadata) rather than crashing.
+    // In all cases, we return no results rather than crashing.
+    // EXCEPTION: A missing replay fixture is rethrown, so enrichBooks does not
+    //   cache "not found" for a book that was simply never recorded.
     // -------------------------------------------------------------------------
+    if (error.code === "ENOFIXTURE") throw error;
     if (error.name === "AbortError") {
-      console.error(`[googleBooks] Request timed out for: "${title}"`);
+      console.error(`[googleBooks] Request timed out for: ${label}`);
     } else {
-      console.error(`[googleBooks] Fetch error for "${title}":`, error.message);
+      console.error(`[googleBooks] Fetch error for ${label}:`, error.message);
     }
-    return null;
+    return [];
   } finally {
     // -------------------------------------------------------------------------
     // Always clear the timeout to prevent memory leaks.
@@ -620,3 +1394,140 @@ async function fetchFromGoogleBooks(title, author, apiKey) {
     clearTimeout(timeout);
   }
 }
+
+// =============================================================================
+// extractMetadata(volumeInfo)
+//
+// Purpose: Picks the fields we cache out of a Google Books volumeInfo object.
+//
+// Returns:
+//   Object with { isbn, cover_url, description, categories, matched_title,
+//   matched_authors, series_name, series_volume, the book details
+//   (DETAIL_FIELDS in lib/metadataProviders.js: cover_url_large, page_count,
+//   published_date, publisher, language, average_rating, ratings_count),
+//   subtitle, print_type }. subtitle, print_type and language are also ranking
+//   signals (lib/candidateRanking.js).
+// =============================================================================
+function extractMetadata(volumeInfo) {
+  // ---------------------------------------------------------------------------
+  // Extract ISBN.
+  // WHY: volumeInfo.industryIdentifiers is an array of { type, identifier }
+  //   objects. There can be multiple ISBNs:
+  //     - ISBN_13 (preferred, 13 digits, modern standard)
+  //     - ISBN_10 (older 10-digit format)
+  //   We prefer ISBN_13 but fall back to ISBN_10.
+  //   Some books (very old or obscure) may have no ISBN at all.
+  // ---------------------------------------------------------------------------
+  let isbn = null;
+  if (volumeInfo.industryIdentifiers) {
+    // First, try to find ISBN_13 (preferred)
+    const isbn13 = volumeInfo.industryIdentifiers.find(
+      (id) => id.type === "ISBN_13",
+    );
+    // If no ISBN_13, try ISBN_10
+    const isbn10 = volumeInfo.industryIdentifiers.find(
+      (id) => id.type === "ISBN_10",
+    );
+    // Use ISBN_13 if available, otherwise ISBN_10, otherwise null
+    isbn = isbn13?.identifier || isbn10?.identifier || null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Extract cover image URL.
+  // WHY: volumeInfo.imageLinks contains URLs at different sizes.
+  //   "thumbnail" is about 128x196px - good enough for our card layout.
+  //   "smallThumbnail" is about 80x128px - too small.
+  //   We fall back to smallThumbnail if thumbnail isn't available.
+  //
+  // WHY replace http with https: Google Books sometimes returns HTTP URLs.
+  //   Modern browsers block "mixed content" (HTTP resources on HTTPS pages).
+  //   Our app will be served over HTTPS in production, so we need HTTPS URLs
+  //   for the cover images to load correctly.
+  // ---------------------------------------------------------------------------
+  let coverUrl = null;
+  if (volumeInfo.imageLinks) {
+    coverUrl =
+      volumeInfo.imageLinks.thumbnail ||
+      volumeInfo.imageLinks.smallThumbnail ||
+      null;
+    // Force HTTPS
+    if (coverUrl) {
+      coverUrl = coverUrl.replace("http://", "https://");
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Extract description.
+  // WHY: volumeInfo.description is a string with the book's synopsis.
+  //   It can be quite long (1000+ characters). We store the full text and
+  //   let the frontend decide how much to show (e.g., truncate with "...").
+  //   Some books don't have descriptions - we return null in that case.
+  // ---------------------------------------------------------------------------
+  const description = volumeInfo.description || null;
+
+  // ---------------------------------------------------------------------------
+  // Extract categories.
+  // WHY: volumeInfo.categories is an array of strings like
+  //   ["Fiction", "Literary Criticism / American / General"].
+  //   Google Books sometimes uses very specific nested categories.
+  //   We store the full array and let the frontend display them as needed.
+  //   Some books don't have categories - we return an empty array.
+  // ---------------------------------------------------------------------------
+  const categories = volumeInfo.categories || [];
+
+  // ---------------------------------------------------------------------------
+  // Larger cover, for detail views (BookCard keeps the thumbnail).
+  // WHY a separate field: "large"/"medium"/"small" are only in the full volume
+  //   record and often missing from search results; when they are missing the
+  //   thumbnail is all there is.
+  // ---------------------------------------------------------------------------
+  let coverUrlLarge = null;
+  if (volumeInfo.imageLinks) {
+    const largeUrl =
+      volumeInfo.imageLinks.large ||
+      volumeInfo.imageLinks.medium ||
+      volumeInfo.imageLinks.small ||
+      null;
+    coverUrlLarge = largeUrl ? largeUrl.replace("http://", "https://") : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Keep what Google Books calls the book.
+  // WHY: lib/confidenceScoring.js compares it with what the model read, to
+  //   tell a confirmed reading from a search that landed on another book.
+  // ---------------------------------------------------------------------------
+  const matchedTitle = volumeInfo.title || null;
+  const matchedAuthors = volumeInfo.authors || [];
+
+  // ---------------------------------------------------------------------------
+  // Series name and volume, for the series panel (lib/seriesDetection.js).
+  // WHY from the title: volumeInfo.seriesInfo only has an opaque series id
+  //   and the volume number, not the series name. Editions usually spell the
+  //   series out in the title or subtitle ("The Expanse, Book 2"); when they
+  //   do, seriesInfo's number is preferred over the parsed one.
+  // ---------------------------------------------------------------------------
+  const series = parseSeriesFromTitle(volumeInfo.title, volumeInfo.subtitle);
+  const seriesVolume = series
+    ? (parseVolumeNumber(volumeInfo.seriesInfo?.bookDisplayNumber) ?? series.volume)
+    : null;
+
+  return {
+    isbn,
+    cover_url: coverUrl,
+    description,
+    categories,
+    matched_title: matchedTitle,
+    matched_authors: matchedAuthors,
+    series_name: series?.name || null,
+    series_volume: seriesVolume,
+    cover_url_large: coverUrlLarge,
+    page_count: volumeInfo.pageCount || null,
+    published_date: volumeInfo.publishedDate || null,
+    publisher: volumeInfo.publisher || null,
+    language: volumeInfo.language || null,
+    average_rating: volumeInfo.averageRating ?? null,
+    ratings_count: volumeInfo.ratingsCount ?? null,
+    subtitle: volumeInfo.subtitle || null,
+    print_type: volumeInfo.printType || null,
+  };
+}
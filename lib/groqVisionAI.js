@@ -1,5 +1,7 @@
 import fs from "fs/promises";
 import sharp from "sharp";
+import { fixtureFetch, hashFixtureKey, replayApiKey } from "./httpFixtures.js";
+import { detectScript, titleLength, languagePromptSection } from "./languageHints.js";
 
 const GROQ_API_URL = "https://api.groq.com/openai/v1/chat/completions";
 const MODEL_ID = "meta-llama/llama-4-scout-17b-16e-instruct";
@@ -7,21 +9,26 @@ const REQUEST_TIMEOUT_MS = 30000;
 
 const BOOK_RECOGNITION_PROMPT = `You are a book recognition expert. Look at this bookshelf image carefully.
 Identify every book you can see. For each book, extract:
-1. The title (as accurately as you can read it)
-2. The author (if visible, otherwise use "Unknown")
+1. The title (as accurately as you can read it), exactly as printed, in its original script
+2. The author (if visible, otherwise use "Unknown"), also in its original script
 3. Your certainty level: "high" if you can clearly read the title, "medium" if partially readable, "low" if you are guessing
+4. The bounding box of the book's spine (or cover, if it faces out) as [x_min, y_min, x_max, y_max], each a fraction of the image width or height between 0 and 1, measured from the top-left corner
+5. If the title is not written in the Latin alphabet (Arabic, Cyrillic, Chinese, Japanese, Korean, ...), "title_latin": its transliteration into the Latin alphabet (romanization, not a translation)
 
 Return ONLY a valid JSON array with no additional text, no markdown fences, no explanation. Example format:
 [
-  {"title": "The Great Gatsby", "author": "F. Scott Fitzgerald", "certainty": "high"},
-  {"title": "1984", "author": "George Orwell", "certainty": "medium"}
+  {"title": "The Great Gatsby", "author": "F. Scott Fitzgerald", "certainty": "high", "box": [0.12, 0.08, 0.17, 0.94]},
+  {"title": "1984", "author": "George Orwell", "certainty": "medium", "box": [0.17, 0.10, 0.21, 0.93]},
+  {"title": "Мастер и Маргарита", "author": "Михаил Булгаков", "certainty": "high", "box": [0.21, 0.09, 0.25, 0.95], "title_latin": "Master i Margarita"}
 ]
 
 Rules:
 - Do NOT guess or hallucinate book titles. Only list books you can actually see.
+- Do NOT translate titles or authors. Keep the script printed on the book.
 - If you cannot read any text at all, return an empty array: []
 - If the author is not visible, use "Unknown" as the author value.
 - Include ALL books you can identify, even if only partially readable.
+- If you cannot tell where a book is, omit the "box" field for that book.
 - Return ONLY the JSON array. No other text before or after it.`;
 
 // Resize to longest edge ≤1568px and re-encode as JPEG to stay under Groq's 4MB base64 limit.
@@ -50,14 +57,39 @@ function computeConfidence(book) {
     book.author.trim().toLowerCase() !== "unknown";
   if (hasAuthor) score += 0.05;
 
-  const titleLength = (book.title || "").trim().length;
-  if (titleLength < 3) score -= 0.05;
-  if (titleLength > 80) score -= 0.03;
+  // Weighted length: a two-character Chinese title is as plausible as "Emma"
+  const length = titleLength(book.title);
+  if (length < 3) score -= 0.05;
+  if (length > 80) score -= 0.03;
   if (!hasAuthor) score -= 0.03;
 
   return Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
 }
 
+// Normalizes the model's [x_min, y_min, x_max, y_max] box to { x, y, width, height } in 0-1 image fractions.
+// Some models answer in 0-1000 units despite the prompt, so values above 1 are rescaled.
+// Returns null for anything that is not a usable box; the overlay simply skips those books.
+export function parseBoundingBox(box) {
+  if (!Array.isArray(box) || box.length !== 4) return null;
+  let values = box.map(Number);
+  if (values.some((v) => !Number.isFinite(v) || v < 0)) return null;
+  if (values.some((v) => v > 1)) {
+    if (values.some((v) => v > 1000)) return null;
+    values = values.map((v) => v / 1000);
+  }
+
+  const [xMin, yMin, xMax, yMax] = values;
+  if (xMax <= xMin || yMax <= yMin) return null;
+
+  const round = (v) => Math.round(v * 10000) / 10000;
+  return {
+    x: round(xMin),
+    y: round(yMin),
+    width: round(Math.min(1, xMax) - xMin),
+    height: round(Math.min(1, yMax) - yMin),
+  };
+}
+
 function parseAIResponse(responseText) {
   if (!responseText || typeof responseText !== "string" || responseText.trim() === "") {
     console.warn("[groqVisionAI] Empty or invalid response text received");
@@ -99,27 +131,62 @@ function parseAIResponse(responseText) {
   return [];
 }
 
-export async function recognizeBooks(imagePath) {
-  const startTime = Date.now();
-  console.log(`[groqVisionAI] Starting book recognition for: ${imagePath}`);
+// Only titles outside the Latin alphabet keep a transliteration
+function parseTransliteration(book, script) {
+  if (!script || script === "Latin") return null;
+  const value = typeof book.title_latin === "string" ? book.title_latin.trim() : "";
+  return value.length > 0 && detectScript(value) === "Latin" ? value : null;
+}
 
-  const apiKey = process.env.GROQ_API_KEY;
+// options.languageHint: scan language hint (languageHints.js), or null
+export async function recognizeBooks(imagePath, options = {}) {
+  const apiKey = process.env.GROQ_API_KEY || replayApiKey();
   if (!apiKey) {
     throw new Error("GROQ_API_KEY is not set in environment variables.");
   }
 
+  return recognizeBooksViaChatCompletions(imagePath, {
+    apiUrl: GROQ_API_URL,
+    apiKey,
+    modelId: MODEL_ID,
+    modelLabel: "llama-4-scout-17b",
+    providerLabel: "Groq",
+    fixtureService: "groq-vision",
+    languageHint: options.languageHint || null,
+  });
+}
+
+// Shared by every OpenAI-compatible vision backend (Groq, local servers, etc.).
+// apiKey is optional: local servers such as Ollama or llama.cpp accept unauthenticated requests.
+export async function recognizeBooksViaChatCompletions(imagePath, options) {
+  const {
+    apiUrl,
+    apiKey = null,
+    modelId,
+    modelLabel = modelId,
+    providerLabel = "Vision",
+    timeoutMs = REQUEST_TIMEOUT_MS,
+    // Record/replay (lib/httpFixtures.js): fixtures are keyed by model and image hash
+    fixtureService = "vision",
+    // Expected language and script of the shelf (languageHints.js)
+    languageHint = null,
+  } = options;
+
+  const startTime = Date.now();
+  console.log(`[groqVisionAI] Starting book recognition for: ${imagePath}`);
+
   console.log("[groqVisionAI] Resizing image...");
   const imageDataUrl = await convertImageToBase64(imagePath);
   console.log(`[groqVisionAI] Image ready (data URL length: ${imageDataUrl.length} chars)`);
 
   const requestBody = {
-    model: MODEL_ID,
+    model: modelId,
     messages: [
       {
         role: "user",
         content: [
           { type: "image_url", image_url: { url: imageDataUrl } },
-          { type: "text", text: BOOK_RECOGNITION_PROMPT },
+          { type: "text", text: BOOK_RECOGNITION_PROMPT + languagePromptSection(languageHint) },
         ],
       },
     ],
@@ -127,19 +194,26 @@ export async function recognizeBooks(imagePath) {
     temperature: 0.1,
   };
 
-  console.log(`[groqVisionAI] Sending request (model: ${MODEL_ID})...`);
+  console.log(`[groqVisionAI] Sending request to ${providerLabel} (model: ${modelId})...`);
+
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
 
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
 
   let response;
   try {
-    response = await fetch(GROQ_API_URL, {
+    // The hint changes the prompt, so it is part of the key; without one the
+    // key is unchanged and fixtures recorded before hints still replay.
+    const hintKey = languageHint ? `${languageHint.code}:` : "";
+    const fixture = {
+      service: fixtureService,
+      key: `${modelId}:${hintKey}${hashFixtureKey(imageDataUrl)}`,
+    };
+    response = await fixtureFetch(fixture, apiUrl, {
       method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
+      headers,
       body: JSON.stringify(requestBody),
       signal: controller.signal,
     });
@@ -147,10 +221,10 @@ export async function recognizeBooks(imagePath) {
     clearTimeout(timeoutId);
     if (fetchError.name === "AbortError") {
       throw new Error(
-        `Groq API request timed out after ${REQUEST_TIMEOUT_MS / 1000} seconds.`
+        `${providerLabel} API request timed out after ${timeoutMs / 1000} seconds.`
       );
     }
-    throw new Error(`Groq API request failed: ${fetchError.message}`);
+    throw new Error(`${providerLabel} API request failed: ${fetchError.message}`);
   }
 
   clearTimeout(timeoutId);
@@ -160,9 +234,9 @@ export async function recognizeBooks(imagePath) {
     try { errorBody = await response.text(); } catch { errorBody = "(could not read error body)"; }
 
     const status = response.status;
-    if (status === 401) throw new Error("Groq API authentication failed (401). Check GROQ_API_KEY.");
-    if (status === 429) throw new Error("Groq API rate limit exceeded (429). Wait and retry.");
-    throw new Error(`Groq API returned status ${status}: ${errorBody.substring(0, 300)}`);
+    if (status === 401) throw new Error(`${providerLabel} API authentication failed (401). Check the API key.`);
+    if (status === 429) throw new Error(`${providerLabel} API rate limit exceeded (429). Wait and retry.`);
+    throw new Error(`${providerLabel} API returned status ${status}: ${errorBody.substring(0, 300)}`);
   }
 
   const data = await response.json();
@@ -170,21 +244,28 @@ export async function recognizeBooks(imagePath) {
 
   const aiResponseText = data.choices?.[0]?.message?.content;
   if (!aiResponseText) {
-    throw new Error("Groq API returned an empty response.");
+    throw new Error(`${providerLabel} API returned an empty response.`);
   }
 
   const rawBooks = parseAIResponse(aiResponseText);
 
   const books = rawBooks
     .filter((book) => book.title && typeof book.title === "string" && book.title.trim().length > 0)
-    .map((book) => ({
-      title: book.title.trim(),
-      author:
-        book.author && typeof book.author === "string" && book.author.trim().length > 0
-          ? book.author.trim()
-          : "Unknown",
-      confidence: computeConfidence(book),
-    }));
+    .map((book) => {
+      const title = book.title.trim();
+      const script = detectScript(title);
+      return {
+        title,
+        author:
+          book.author && typeof book.author === "string" && book.author.trim().length > 0
+            ? book.author.trim()
+            : "Unknown",
+        confidence: computeConfidence(book),
+        bbox: parseBoundingBox(book.box),
+        script,
+        title_transliterated: parseTransliteration(book, script),
+      };
+    });
 
   const processingTimeMs = Date.now() - startTime;
   console.log(`[groqVisionAI] Recognition complete: ${books.length} books found in ${processingTimeMs}ms`);
@@ -194,7 +275,7 @@ export async function recognizeBooks(imagePath) {
     metadata: {
       total_books_detected: books.length,
       processing_time_ms: processingTimeMs,
-      model_used: "llama-4-scout-17b",
+      model_used: modelLabel,
       mock: false,
     },
   };
@@ -0,0 +1,158 @@
+/**
+ * httpFixtures.js
+ *
+ * Record-and-replay for the external APIs the scan flow calls (Groq vision,
+ * Groq recommendations, Google Books, Open Library), so tests and demos can run offline
+ * without spending quota.
+ *
+ * Call sites use fixtureFetch() in place of fetch(), with a stable key for the
+ * request: a hash of the resized image for vision, the prompt for
+ * recommendations, the search query for Google Books. Request bodies can
+ * contain whole images and URLs contain API keys, so the key - not the raw
+ * request - identifies a fixture.
+ *
+ * Configuration (environment variables):
+ * - HTTP_FIXTURES: "off" (default) | "record" | "replay"
+ *     record - Calls the real API and saves each response to a fixture file.
+ *     replay - Serves saved responses; no request leaves the process, no API
+ *              keys are needed, and a missing fixture is an error.
+ * - HTTP_FIXTURES_DIR: Fixture directory (default "fixtures/http"). One JSON
+ *     file per request, at <dir>/<service>/<sha256 of key>.json.
+ *
+ * `npm test` replays the fixtures committed under test/fixtures/http
+ * (test/httpFixtures.test.js); fixtures/http itself is local to each checkout.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+const MODES = ["off", "record", "replay"];
+const DEFAULT_FIXTURES_DIR = "fixtures/http";
+
+/**
+ * @returns {string} "off" | "record" | "replay"
+ * @throws {Error} If HTTP_FIXTURES is set to anything else
+ */
+export function getHttpFixturesMode() {
+  const mode = (process.env.HTTP_FIXTURES || "off").trim().toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown HTTP_FIXTURES mode "${mode}". Use one of: ${MODES.join(", ")}.`);
+  }
+  return mode;
+}
+
+/**
+ * Stand-in for an API key that is not set. Replay never sends requests, so
+ * code that refuses to run without a key can still run offline.
+ *
+ * @returns {string|null} A placeholder in replay mode, otherwise null
+ */
+export function replayApiKey() {
+  return getHttpFixturesMode() === "replay" ? "replay" : null;
+}
+
+/**
+ * @param {string|Buffer} value
+ * @returns {string} Hex SHA-256, also usable as a fixture key for large inputs
+ */
+export function hashFixtureKey(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * @param {string} service - e.g. "groq-vision"
+ * @param {string} key
+ * @returns {string} Path of the fixture file for this request
+ */
+function fixturePath(service, key) {
+  const dir = process.env.HTTP_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  return path.join(dir, service, `${hashFixtureKey(key)}.json`);
+}
+
+/**
+ * Drops query parameters that carry credentials before a URL is written to disk.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function redactUrl(url) {
+  return url.replace(/([?&](?:key|api_key|apikey)=)[^&]*/gi, "$1REDACTED");
+}
+
+/**
+ * fetch() with recording and replay.
+ *
+ * With HTTP_FIXTURES unset this is exactly fetch(). Only the status, status
+ * text, content type and body of a response are recorded; callers must not
+ * rely on anything else.
+ *
+ * @param {Object} fixture
+ * @param {string} fixture.service - Fixture subdirectory, e.g. "google-books"
+ * @param {string} fixture.key - Identifies the request among that service's fixtures
+ * @param {string} url - Passed to fetch()
+ * @param {Object} [init] - Passed to fetch()
+ * @returns {Promise<Response>}
+ * @throws {Error} In replay mode, if no fixture was recorded for this request
+ *   (error.code "ENOFIXTURE")
+ */
+export async function fixtureFetch(fixture, url, init = {}) {
+  const mode = getHttpFixturesMode();
+  if (mode === "off") return fetch(url, init);
+
+  const file = fixturePath(fixture.service, fixture.key);
+
+  if (mode === "replay") {
+    let recorded;
+    try {
+      recorded = JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      const missing = new Error(
+        `No ${fixture.service} fixture for "${fixture.key.substring(0, 100)}" (${file}). ` +
+          "Record it with HTTP_FIXTURES=record.",
+      );
+      missing.code = "ENOFIXTURE";
+      throw missing;
+    }
+
+    const { status, statusText, contentType, body } = recorded.response;
+    return new Response(body, {
+      status,
+      statusText,
+      headers: contentType ? { "Content-Type": contentType } : {},
+    });
+  }
+
+  const response = await fetch(url, init);
+  const body = await response.text();
+
+  // Error responses are recorded too, so failure handling can be replayed
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(
+    file,
+    JSON.stringify(
+      {
+        service: fixture.service,
+        key: fixture.key,
+        recorded_at: new Date().toISOString(),
+        request: { method: init.method || "GET", url: redactUrl(url) },
+        response: {
+          status: response.status,
+          statusText: response.statusText,
+          contentType: response.headers.get("content-type"),
+          body,
+        },
+      },
+      null,
+      2,
+    ),
+  );
+  console.log(`[httpFixtures] Recorded ${fixture.service} response to ${file}`);
+
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
@@ -0,0 +1,244 @@
+/**
+ * imageStorage.js
+ *
+ * Optional storage of the original scan photos, so a scan can be recognized
+ * again later (POST /api/scan-rerun/:scanId) and the Saved page can show a
+ * thumbnail of the shelf.
+ *
+ * Off by default: scans.preview_images already covers the Results overlay,
+ * and keeping users' photos is a choice the deployment has to make.
+ *
+ * BACKENDS (IMAGE_STORAGE env var):
+ *   none (default) - Photos are deleted once the scan job finishes
+ *   local          - Files under IMAGE_STORAGE_DIR (default "storage/images").
+ *                    For local dev and long-lived servers with a disk.
+ *   s3             - Any S3-compatible bucket (s3Storage.js)
+ *
+ * Every backend implements the same small interface:
+ *   { name, putObject(key, buffer, contentType), getObject(key) -> Buffer|null,
+ *     deleteObject(key) }
+ *
+ * Per photo, the original file and a THUMBNAIL_MAX_EDGE_PX JPEG thumbnail are
+ * stored under scans/<scanId>/. The keys are recorded in scans.stored_images:
+ *   [{ filename, original: { key, content_type, size }, thumbnail: { key, content_type } }]
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { v4 as uuidv4 } from "uuid";
+import { createS3Storage } from "./s3Storage.js";
+
+export const STORAGE_BACKENDS = ["none", "local", "s3"];
+
+const THUMBNAIL_MAX_EDGE_PX = 320;
+const THUMBNAIL_JPEG_QUALITY = 70;
+
+const EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/heic": ".heic",
+  "image/heif": ".heif",
+};
+
+let storage;
+
+/**
+ * Creates a storage backend by name. Also used for cover images
+ * (coverImages.js), which keep their own setting and directory.
+ *
+ * @param {string} backend - "none" | "local" | "s3"
+ * @param {string} localDir - Root directory of the local backend
+ * @returns {Object|null} Backend, or null for "none"
+ * @throws {Error} On incomplete S3 configuration
+ */
+export function createStorageBackend(backend, localDir) {
+  if (backend === "local") return createLocalStorage(localDir);
+  if (backend === "s3") return createS3Storage();
+  return null;
+}
+
+function createLocalStorage(dir) {
+  const root = path.resolve(dir);
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    async putObject(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    async getObject(key) {
+      try {
+        return await fs.promises.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async deleteObject(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+}
+
+/**
+ * Returns the configured storage backend, created once per process.
+ *
+ * @returns {Object|null} Backend, or null when IMAGE_STORAGE is "none"
+ * @throws {Error} On an unknown IMAGE_STORAGE or incomplete S3 configuration
+ */
+export function getImageStorage() {
+  if (storage !== undefined) return storage;
+
+  const backend = (process.env.IMAGE_STORAGE || "none").toLowerCase();
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(
+      `Unknown IMAGE_STORAGE "${backend}". Expected one of: ${STORAGE_BACKENDS.join(", ")}`,
+    );
+  }
+
+  storage = createStorageBackend(backend, process.env.IMAGE_STORAGE_DIR || "storage/images");
+  return storage;
+}
+
+/**
+ * Stores the original and a thumbnail of every photo of a scan.
+ *
+ * @param {string} scanId
+ * @param {Array<Object>} images - { path, filename, size, type } per photo
+ * @returns {Promise<Array<Object>|null>} The scans.stored_images value, or
+ *   null when storage is off
+ */
+export async function storeScanImages(scanId, images) {
+  const backend = getImageStorage();
+  if (!backend) return null;
+
+  const stored = [];
+  for (let index = 0; index < images.length; index++) {
+    const image = images[index];
+    const contentType = image.type || "image/jpeg";
+    const extension =
+      EXTENSIONS[contentType] || path.extname(image.filename || image.path) || ".jpg";
+
+    const original = await fs.promises.readFile(image.path);
+    const thumbnail = await sharp(original)
+      .rotate() // honour EXIF orientation, like the scan preview
+      .resize({
+        width: THUMBNAIL_MAX_EDGE_PX,
+        height: THUMBNAIL_MAX_EDGE_PX,
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .jpeg({ quality: THUMBNAIL_JPEG_QUALITY })
+      .toBuffer();
+
+    const entry = {
+      filename: image.filename || null,
+      original: {
+        key: `scans/${scanId}/${index}-original${extension}`,
+        content_type: contentType,
+        size: original.length,
+      },
+      thumbnail: {
+        key: `scans/${scanId}/${index}-thumbnail.jpg`,
+        content_type: "image/jpeg",
+      },
+    };
+
+    await backend.putObject(entry.original.key, original, entry.original.content_type);
+    await backend.putObject(entry.thumbnail.key, thumbnail, entry.thumbnail.content_type);
+    stored.push(entry);
+  }
+
+  console.log(`[imageStorage] Stored ${stored.length} photo(s) of scan ${scanId} (${backend.name})`);
+  return stored;
+}
+
+/**
+ * Reads one stored photo.
+ *
+ * @param {Array<Object>} storedImages - scans.stored_images
+ * @param {number} index - Photo index
+ * @param {string} size - "original" | "thumbnail"
+ * @returns {Promise<Object|null>} { buffer, contentType }, or null if missing
+ */
+export async function loadScanImage(storedImages, index, size) {
+  const backend = getImageStorage();
+  const object = storedImages?.[index]?.[size];
+  if (!backend || !object) return null;
+
+  const buffer = await backend.getObject(object.key);
+  return buffer ? { buffer, contentType: object.content_type } : null;
+}
+
+/**
+ * Copies the stored originals of a scan to temporary files, in the
+ * { path, filename, size, type } shape the scan pipeline takes. The scan job
+ * deletes them when it finishes, like uploaded files.
+ *
+ * @param {Array<Object>} storedImages - scans.stored_images
+ * @returns {Promise<Array<Object>>}
+ * @throws {Error} If an original is missing from storage, after removing
+ *   the temporary files already written
+ */
+export async function downloadScanImages(storedImages) {
+  const images = [];
+  try {
+    for (let index = 0; index < storedImages.length; index++) {
+      const loaded = await loadScanImage(storedImages, index, "original");
+      if (!loaded) {
+        throw new Error(`Stored photo ${index + 1} is missing from image storage`);
+      }
+
+      const filePath = path.join(
+        os.tmpdir(),
+        `${uuidv4()}${path.extname(storedImages[index].original.key)}`,
+      );
+      await fs.promises.writeFile(filePath, loaded.buffer);
+      images.push({
+        path: filePath,
+        filename: storedImages[index].filename,
+        size: loaded.buffer.length,
+        type: loaded.contentType,
+      });
+    }
+  } catch (error) {
+    // The caller never gets the list, so the files written so far are removed here
+    await Promise.all(images.map((image) => fs.promises.rm(image.path, { force: true })));
+    throw error;
+  }
+  return images;
+}
+
+/**
+ * Deletes every stored photo of a scan. Best effort: failures are logged.
+ *
+ * @param {Array<Object>|null} storedImages - scans.stored_images
+ */
+export async function deleteScanImages(storedImages) {
+  if (!storedImages?.length) return;
+
+  try {
+    const backend = getImageStorage();
+    if (!backend) return;
+    for (const entry of storedImages) {
+      await backend.deleteObject(entry.original.key);
+      await backend.deleteObject(entry.thumbnail.key);
+    }
+  } catch (error) {
+    console.error("[imageStorage] Could not delete stored photos:", error.message);
+  }
+}
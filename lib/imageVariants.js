@@ -0,0 +1,289 @@
+/**
+ * imageVariants.js
+ *
+ * Orientation-aware preprocessing: extra recognition passes on altered copies
+ * of a photo, for spines the model skips in the upright image.
+ *
+ * Problem:
+ * Spine text runs vertically, and the vision prompt gets one upright photo.
+ * The model reads horizontal text far better, and skips spines that are dark,
+ * low-contrast, or photographed at a slight angle.
+ *
+ * Approach:
+ * - Recognize the photo as usual (the "original" pass, tiled or not)
+ * - Write each configured variant next to the upload with sharp and run the
+ *   vision provider on it, one after another
+ * - Map every variant's bounding boxes back onto the original photo
+ * - Merge all passes with the same rules as tiles and photos (bookMerge.js),
+ *   so each book lists the variants that saw it, and record per-variant
+ *   counts (how many books each pass found, and how many only it found)
+ *
+ * Variants (VISION_VARIANTS, or the "variants" upload field, comma-separated):
+ * - "rotated":  turned 90° clockwise, so bottom-to-top spine text reads
+ *               left to right
+ * - "contrast": histogram-stretched, for dark or washed-out shelves
+ * - "deskew":   rotated upright when the spines lean by 1-10°; skipped when
+ *               the photo is already straight
+ *
+ * Default is no variants: each one is an extra vision API call per photo.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { v4 as uuidv4 } from "uuid";
+import { recognizeWithProvider } from "./visionProviders.js";
+import { mergeBookDetections } from "./bookMerge.js";
+
+// In the order they run. "original" is the normal pass and always comes first.
+export const IMAGE_VARIANTS = ["rotated", "contrast", "deskew"];
+
+// Deskew search range and step, in degrees
+const DESKEW_MAX_ANGLE = 10;
+const DESKEW_STEP = 0.5;
+// Leans smaller than this are not worth another API call
+const DESKEW_MIN_ANGLE = 1;
+// Edge-detection work size for the skew estimate
+const DESKEW_ANALYSIS_PX = 400;
+
+/**
+ * Resolves the variant list from the request value and the VISION_VARIANTS default.
+ * Unknown names are ignored; "off" or "none" disables variants.
+ *
+ * @param {string|undefined} requested - Value of the "variants" form field, if any
+ * @returns {Array<string>} Subset of IMAGE_VARIANTS, in run order
+ */
+export function resolveImageVariants(requested) {
+  const names = (requested || process.env.VISION_VARIANTS || "")
+    .toString()
+    .toLowerCase()
+    .split(",")
+    .map((name) => name.trim());
+  return IMAGE_VARIANTS.filter((variant) => names.includes(variant));
+}
+
+/**
+ * Estimates how far the spines lean from vertical.
+ *
+ * Spine edges are long vertical lines. On a horizontal-gradient image, the
+ * column sums are most uneven when those lines are exactly vertical, so each
+ * candidate angle is scored by shearing the edge pixels into columns and
+ * taking the variance of the column sums.
+ *
+ * @param {string} imagePath
+ * @returns {Promise<number>} Clockwise lean in degrees (negative: counter-clockwise)
+ */
+async function estimateSkewAngle(imagePath) {
+  const { data, info } = await sharp(imagePath)
+    .rotate()
+    .greyscale()
+    .resize({ width: DESKEW_ANALYSIS_PX, height: DESKEW_ANALYSIS_PX, fit: "inside" })
+    .convolve({ width: 3, height: 3, kernel: [-1, 0, 1, -2, 0, 2, -1, 0, 1] })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = info;
+  const margin = Math.ceil(height * Math.tan((DESKEW_MAX_ANGLE * Math.PI) / 180));
+  const columns = new Float64Array(width + 2 * margin);
+
+  let bestAngle = 0;
+  let bestScore = -Infinity;
+
+  for (let angle = -DESKEW_MAX_ANGLE; angle <= DESKEW_MAX_ANGLE; angle += DESKEW_STEP) {
+    const shear = Math.tan((angle * Math.PI) / 180);
+    columns.fill(0);
+
+    for (let y = 0; y < height; y++) {
+      const offset = margin + (y - height / 2) * shear;
+      for (let x = 0; x < width; x++) {
+        const value = data[y * width + x];
+        if (value > 0) columns[Math.round(x + offset)] += value;
+      }
+    }
+
+    let sum = 0;
+    let sumSquares = 0;
+    for (const value of columns) {
+      sum += value;
+      sumSquares += value * value;
+    }
+    const score = sumSquares / columns.length - (sum / columns.length) ** 2;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  // A spine leaning right (clockwise) lines up under a positive shear; rotate
+  // the other way to straighten it.
+  return -bestAngle;
+}
+
+/**
+ * EXIF-rotated copy of the photo as a new pipeline. sharp applies one rotation
+ * per pipeline, so a second one needs the upright pixels first.
+ *
+ * @param {string} imagePath
+ * @returns {Promise<sharp.Sharp>}
+ */
+async function uprightImage(imagePath) {
+  const { data, info } = await sharp(imagePath).rotate().raw().toBuffer({ resolveWithObject: true });
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+}
+
+/**
+ * Writes one variant of the photo next to the upload.
+ *
+ * @param {string} imagePath
+ * @param {string} variant - One of IMAGE_VARIANTS
+ * @returns {Promise<Object|null>} { path, angle } - angle is the clockwise
+ *   rotation applied, in degrees - or null when the variant is not needed
+ */
+async function createVariant(imagePath, variant) {
+  let angle = 0;
+  let image;
+
+  if (variant === "rotated") {
+    angle = 90;
+    image = (await uprightImage(imagePath)).rotate(90);
+  } else if (variant === "contrast") {
+    image = sharp(imagePath).rotate().normalise();
+  } else if (variant === "deskew") {
+    angle = Math.round((await estimateSkewAngle(imagePath)) * 10) / 10;
+    if (Math.abs(angle) < DESKEW_MIN_ANGLE) return null;
+    image = (await uprightImage(imagePath)).rotate(angle, { background: "#000000" });
+  }
+
+  const variantPath = path.join(path.dirname(imagePath), `variant-${uuidv4()}-${variant}.jpg`);
+  await image.jpeg({ quality: 90 }).toFile(variantPath);
+  return { path: variantPath, angle };
+}
+
+/**
+ * Converts a bounding box on a variant rotated clockwise by `angle` into a
+ * box on the original photo. sharp grows the canvas to fit a rotated image,
+ * so both images share their centre; the box corners are rotated back around
+ * it and the axis-aligned bounds kept.
+ *
+ * @param {Object|null} bbox - { x, y, width, height } as fractions of the variant
+ * @param {number} angle - Clockwise rotation of the variant, in degrees
+ * @param {number} width - Oriented width of the original photo
+ * @param {number} height - Oriented height of the original photo
+ * @returns {Object|null} { x, y, width, height } as fractions of the original photo
+ */
+export function variantBoxToImageBox(bbox, angle, width, height) {
+  if (!bbox || angle === 0) return bbox || null;
+
+  const radians = (angle * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const variantWidth = Math.abs(width * cos) + Math.abs(height * sin);
+  const variantHeight = Math.abs(width * sin) + Math.abs(height * cos);
+
+  const corners = [
+    [bbox.x, bbox.y],
+    [bbox.x + bbox.width, bbox.y],
+    [bbox.x, bbox.y + bbox.height],
+    [bbox.x + bbox.width, bbox.y + bbox.height],
+  ].map(([fx, fy]) => {
+    const dx = fx * variantWidth - variantWidth / 2;
+    const dy = fy * variantHeight - variantHeight / 2;
+    return [
+      (dx * cos + dy * sin + width / 2) / width,
+      (-dx * sin + dy * cos + height / 2) / height,
+    ];
+  });
+
+  const clamp = (v) => Math.min(1, Math.max(0, v));
+  const round = (v) => Math.round(v * 10000) / 10000;
+  const xMin = clamp(Math.min(...corners.map(([x]) => x)));
+  const xMax = clamp(Math.max(...corners.map(([x]) => x)));
+  const yMin = clamp(Math.min(...corners.map(([, y]) => y)));
+  const yMax = clamp(Math.max(...corners.map(([, y]) => y)));
+  if (xMax <= xMin || yMax <= yMin) return null;
+
+  return { x: round(xMin), y: round(yMin), width: round(xMax - xMin), height: round(yMax - yMin) };
+}
+
+/**
+ * Runs the variant passes for one photo and reconciles them with the original pass.
+ *
+ * A variant that fails (provider error, unreadable image) is recorded in the
+ * metadata and skipped; the original pass alone still makes a valid result.
+ *
+ * @param {string} imagePath - Path to the uploaded photo
+ * @param {Object} originalResult - { books, metadata } of the normal pass
+ * @param {Object} provider - A provider from getVisionProvider()
+ * @param {Array<string>} variants - Result of resolveImageVariants()
+ * @param {Object} [options]
+ * @param {Object|null} [options.languageHint] - Passed to the provider for every variant
+ * @returns {Promise<Object>} {
+ *   books: merged books, each with variants: ["original", "rotated", ...],
+ *   variants: [{ name, books_detected, unique_books, processing_time_ms, angle?, skipped?, error? }]
+ * }
+ */
+export async function recognizeImageVariants(imagePath, originalResult, provider, variants, options = {}) {
+  const { languageHint = null } = options;
+  const { width, height, orientation } = await sharp(imagePath).metadata();
+  const oriented = orientation >= 5 ? { width: height, height: width } : { width, height };
+
+  const groups = [{ index: "original", books: originalResult.books }];
+  const variantMetadata = [
+    {
+      name: "original",
+      books_detected: originalResult.books.length,
+      processing_time_ms: originalResult.metadata?.processing_time_ms ?? null,
+    },
+  ];
+
+  for (const variant of variants) {
+    let created = null;
+    try {
+      created = await createVariant(imagePath, variant);
+      if (!created) {
+        console.log(`[imageVariants] ${variant}: not needed, skipped`);
+        variantMetadata.push({ name: variant, books_detected: 0, skipped: true });
+        continue;
+      }
+
+      const result = await recognizeWithProvider(created.path, provider, { languageHint });
+
+      console.log(`[imageVariants] ${variant}: ${result.books.length} books`);
+
+      groups.push({
+        index: variant,
+        books: result.books.map((book) => ({
+          ...book,
+          bbox: variantBoxToImageBox(book.bbox, created.angle, oriented.width, oriented.height),
+        })),
+      });
+      variantMetadata.push({
+        name: variant,
+        books_detected: result.books.length,
+        processing_time_ms: result.metadata?.processing_time_ms ?? null,
+        ...(created.angle ? { angle: created.angle } : {}),
+      });
+    } catch (error) {
+      console.error(`[imageVariants] ${variant} pass failed:`, error.message);
+      variantMetadata.push({ name: variant, books_detected: 0, error: error.message });
+    } finally {
+      if (created) await fs.unlink(created.path).catch(() => {});
+    }
+  }
+
+  const books = mergeBookDetections(groups, "variants");
+
+  // What each pass added: books no other pass found
+  for (const entry of variantMetadata) {
+    entry.unique_books = books.filter(
+      (book) => book.variants.length === 1 && book.variants[0] === entry.name,
+    ).length;
+  }
+
+  console.log(
+    `[imageVariants] Merged ${groups.length} passes into ${books.length} books (original alone: ${originalResult.books.length})`,
+  );
+
+  return { books, variants: variantMetadata };
+}
@@ -0,0 +1,82 @@
+/**
+ * isbn.js
+ *
+ * ISBN parsing for the barcode input path (api/scan-isbn.js).
+ *
+ * The barcode on the back of a book is an EAN-13 whose digits are the ISBN-13
+ * ("Bookland" prefixes 978 and 979). Typed ISBNs can also be the older
+ * ISBN-10 form. Everything is normalized to ISBN-13, the form Google Books
+ * returns first and the one stored in book_cache.isbn.
+ */
+
+/**
+ * ISBN-13 / EAN-13 check: digits weighted 1,3,1,3,... must sum to a multiple of 10.
+ *
+ * @param {string} digits - 13 digits
+ * @returns {boolean}
+ */
+function isValidIsbn13(digits) {
+  let sum = 0;
+  for (let i = 0; i < 13; i++) {
+    sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * ISBN-10 check: digits weighted 10,9,...,1 must sum to a multiple of 11.
+ * The last character may be "X" (= 10).
+ *
+ * @param {string} chars - 9 digits followed by a digit or "X"
+ * @returns {boolean}
+ */
+function isValidIsbn10(chars) {
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const value = chars[i] === "X" ? 10 : Number(chars[i]);
+    sum += value * (10 - i);
+  }
+  return sum % 11 === 0;
+}
+
+/**
+ * Converts a valid ISBN-10 to its ISBN-13 (978 prefix, recomputed check digit).
+ *
+ * @param {string} isbn10
+ * @returns {string}
+ */
+function isbn10To13(isbn10) {
+  const body = `978${isbn10.slice(0, 9)}`;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(body[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return `${body}${(10 - (sum % 10)) % 10}`;
+}
+
+/**
+ * Normalizes a scanned or typed ISBN to ISBN-13.
+ *
+ * Accepts hyphens and spaces ("978-0-7432-7356-5"), ISBN-10 with a lowercase
+ * or uppercase X, and EAN-13 barcodes. EAN-13 codes outside the 978/979
+ * book prefixes (e.g. a magazine or a price barcode) are rejected.
+ *
+ * @param {string} raw
+ * @returns {string|null} 13-digit ISBN, or null if the input is not a valid ISBN
+ */
+export function normalizeIsbn(raw) {
+  if (typeof raw !== "string" && typeof raw !== "number") return null;
+
+  const chars = String(raw).replace(/[\s-]/g, "").toUpperCase();
+
+  if (/^\d{13}$/.test(chars)) {
+    if (!chars.startsWith("978") && !chars.startsWith("979")) return null;
+    return isValidIsbn13(chars) ? chars : null;
+  }
+
+  if (/^\d{9}[\dX]$/.test(chars)) {
+    return isValidIsbn10(chars) ? isbn10To13(chars) : null;
+  }
+
+  return null;
+}
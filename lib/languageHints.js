@@ -0,0 +1,160 @@
+/**
+ * languageHints.js
+ *
+ * Language and writing-system support for shelves that are not in English:
+ * Arabic, Cyrillic, Chinese, Japanese, Korean or Devanagari spines.
+ *
+ * A scan can carry a language hint (the "language" upload field, else the
+ * user's preferences.language). The hint:
+ * - tells the vision model which language and script to expect
+ *   (groqVisionAI.js), which matters most for short CJK and Arabic titles
+ * - restricts the Google Books search to that language (langRestrict) for
+ *   books written in the hint's script (googleBooks.js)
+ *
+ * Without a hint, titles are still read in their original script and
+ * transliterated; only the search restriction is skipped.
+ *
+ * Languages are the same list users pick from in their preferences
+ * (api/preferences.js VALID_LANGUAGES).
+ */
+
+const SCAN_LANGUAGES = {
+  English: { code: "en", script: "Latin" },
+  "Chinese (Mandarin)": { code: "zh", script: "Han" },
+  German: { code: "de", script: "Latin" },
+  French: { code: "fr", script: "Latin" },
+  Spanish: { code: "es", script: "Latin" },
+  Japanese: { code: "ja", script: "Japanese" },
+  Russian: { code: "ru", script: "Cyrillic" },
+  Portuguese: { code: "pt", script: "Latin" },
+  Korean: { code: "ko", script: "Hangul" },
+  Italian: { code: "it", script: "Latin" },
+  Dutch: { code: "nl", script: "Latin" },
+  Swedish: { code: "sv", script: "Latin" },
+  Arabic: { code: "ar", script: "Arabic" },
+  Hindi: { code: "hi", script: "Devanagari" },
+  Turkish: { code: "tr", script: "Latin" },
+};
+
+// Hint scripts that also cover titles in another script: Japanese titles are
+// often all kanji
+const HINT_SCRIPT_ALIASES = {
+  Japanese: ["Han"],
+};
+
+// Scripts that identify their language on their own, so a book written in
+// one is searched in that language even without a hint
+const SCRIPT_LANGUAGES = {
+  Japanese: "ja",
+  Hangul: "ko",
+};
+
+// In checking order: kana before Han, since Japanese titles mix both
+const SCRIPT_PATTERNS = [
+  ["Japanese", /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+  ["Hangul", /\p{Script=Hangul}/u],
+  ["Han", /\p{Script=Han}/u],
+  ["Arabic", /\p{Script=Arabic}/u],
+  ["Cyrillic", /\p{Script=Cyrillic}/u],
+  ["Devanagari", /\p{Script=Devanagari}/u],
+  ["Greek", /\p{Script=Greek}/u],
+  ["Hebrew", /\p{Script=Hebrew}/u],
+  ["Latin", /\p{Script=Latin}/u],
+];
+
+// One CJK character carries about as much of a title as three Latin letters
+const WIDE_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const WIDE_CHARACTER_WEIGHT = 3;
+
+/**
+ * Resolves the language hint of a scan.
+ *
+ * @param {string} [requested] - Language name ("Russian") or ISO 639-1 code
+ *   ("ru"), case-insensitive, e.g. from the upload form
+ * @param {string} [preferredLanguage] - The user's preferences.language, used
+ *   when nothing (or nothing known) was requested
+ * @returns {Object|null} { language, code, script }, or null for no hint
+ */
+export function resolveLanguageHint(requested, preferredLanguage) {
+  for (const candidate of [requested, preferredLanguage]) {
+    const value = (candidate || "").toString().trim().toLowerCase();
+    if (!value) continue;
+
+    const match = Object.entries(SCAN_LANGUAGES).find(
+      ([language, { code }]) => language.toLowerCase() === value || code === value,
+    );
+    if (match) {
+      const [language, { code, script }] = match;
+      return { language, code, script };
+    }
+  }
+  return null;
+}
+
+/**
+ * Detects the writing system of a title or name.
+ *
+ * @param {string} text
+ * @returns {string|null} "Latin", "Cyrillic", "Arabic", "Han", "Japanese",
+ *   "Hangul", "Devanagari", "Greek", "Hebrew", or null if it has no letters
+ */
+export function detectScript(text) {
+  const value = text || "";
+  for (const [script, pattern] of SCRIPT_PATTERNS) {
+    if (pattern.test(value)) return script;
+  }
+  return null;
+}
+
+/**
+ * Length of a title for plausibility checks, with CJK characters weighted
+ * like the Latin letters they stand for: 三体 is a normal two-character
+ * title, not a suspiciously short one.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function titleLength(text) {
+  let length = 0;
+  for (const character of (text || "").trim()) {
+    length += WIDE_CHARACTER.test(character) ? WIDE_CHARACTER_WEIGHT : 1;
+  }
+  return length;
+}
+
+/**
+ * Picks the Google Books langRestrict value for one book: the hint's language
+ * when the title is written in the hint's script, otherwise the language its
+ * script implies, if any. A Latin-script title on a Russian shelf is searched
+ * without restriction.
+ *
+ * @param {string} title
+ * @param {Object|null} languageHint - From resolveLanguageHint()
+ * @returns {string|null} ISO 639-1 code
+ */
+export function searchLanguage(title, languageHint) {
+  const script = detectScript(title);
+  if (!script) return null;
+  if (
+    languageHint &&
+    (languageHint.script === script || HINT_SCRIPT_ALIASES[languageHint.script]?.includes(script))
+  ) {
+    return languageHint.code;
+  }
+  return SCRIPT_LANGUAGES[script] || null;
+}
+
+/**
+ * Prompt lines telling the vision model what to expect on the shelf.
+ *
+ * @param {Object|null} languageHint - From resolveLanguageHint()
+ * @returns {string} Empty without a hint
+ */
+export function languagePromptSection(languageHint) {
+  if (!languageHint) return "";
+  return (
+    `\n\nLanguage hint: most books on this shelf are in ${languageHint.language} ` +
+    `(${languageHint.script} script). Expect spine text in that script, possibly ` +
+    "printed vertically or right-to-left. Books in other languages may also be present."
+  );
+}
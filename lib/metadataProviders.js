@@ -0,0 +1,285 @@
+/**
+ * metadataProviders.js
+ *
+ * Which book metadata providers enrichment asks, in what order, and how their
+ * answers are merged into one book_cache row. The provider adapters
+ * themselves (Google Books, openLibrary.js) are wired up in googleBooks.js,
+ * which owns the cache; this module is configuration and merge rules only.
+ *
+ * Providers:
+ * - google-books: Google Books volumes search (needs GOOGLE_BOOKS_API_KEY,
+ *                 counts against the google_books daily limit)
+ * - open-library: Open Library search (no key, no quota)
+ *
+ * Configuration (environment variables):
+ * - METADATA_PROVIDERS: Provider order, comma-separated
+ *     (default "google-books,open-library"). The first provider that finds a
+ *     book decides what the book is: its matched title and authors are the
+ *     ones confidence scoring compares with the reading. In the default order
+ *     Open Library only backs up Google Books: without a Google Books key,
+ *     enrichment is skipped rather than sending every book to Open Library.
+ *     Set METADATA_PROVIDERS (e.g. "open-library") to enrich without one.
+ * - METADATA_MERGE: "fill" (default) | "fallback"
+ *     fill     - A later provider is only asked when the earlier ones did not
+ *                find the book, or left a required field empty, so a book can
+ *                get its cover from one provider and its ISBN from another.
+ *                A later provider's answer is only used when it is the same
+ *                book (same canonical title and first author, or the same
+ *                ISBN).
+ *     fallback - Only the first provider that finds the book is used.
+ * - METADATA_REQUIRED_FIELDS: Fields worth another request when still empty,
+ *     comma-separated, from MERGED_FIELDS (default "isbn,cover_url": the
+ *     cover proxy needs both). Add "description" to have a book without one
+ *     looked up on the next provider too.
+ * - METADATA_FIELD_PROVIDERS: Per-field preference, e.g.
+ *     "cover_url=open-library,description=google-books". The named provider
+ *     is tried first for that field, the others after it in the usual order.
+ *     For a required field the preferred provider is always asked.
+ *
+ * The other fields and the book details (page count, publication date,
+ * publisher, language, ratings, large cover) are merged the same way, from
+ * whichever providers were asked, but never cause a provider to be asked.
+ *
+ * The provider behind each field is recorded in book_cache.metadata_sources,
+ * e.g. { isbn: "google-books", cover_url: "open-library" }.
+ */
+
+import { bookKey } from "./bookKeys.js";
+
+export const METADATA_PROVIDER_NAMES = ["google-books", "open-library"];
+
+// Fields that can come from any provider. matched_title / matched_authors
+// always come from the first provider that found the book, and series from
+// the first one that knows it. Only the required ones among them
+// (METADATA_REQUIRED_FIELDS) make a later provider worth asking.
+export const MERGED_FIELDS = ["isbn", "cover_url", "description", "categories"];
+
+// Book details: filled the same way from the providers that were asked, but
+// a missing detail never makes another provider worth asking. Ratings and
+// page counts are often missing everywhere, and one extra lookup per book for
+// them would double the requests.
+export const DETAIL_FIELDS = [
+  "cover_url_large",
+  "page_count",
+  "published_date",
+  "publisher",
+  "language",
+  "average_rating",
+  "ratings_count",
+];
+
+// Fields an admin can correct by hand (lib/cacheAdmin.js). A pinned
+// correction wins over every provider: refreshes keep it, and
+// metadata_sources records it as "manual".
+export const OVERRIDE_FIELDS = [
+  ...MERGED_FIELDS,
+  "matched_title",
+  "matched_authors",
+  "series_name",
+  "series_volume",
+  ...DETAIL_FIELDS,
+];
+
+const DEFAULT_PROVIDERS = "google-books,open-library";
+const DEFAULT_REQUIRED_FIELDS = "isbn,cover_url";
+const MERGE_MODES = ["fill", "fallback"];
+
+function splitList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Same canonical title and first author (bookKeys.js), or the same ISBN: an
+// ISBN lookup finds one edition even where providers spell its title apart
+function isSameBook(a, b) {
+  if (a.isbn && a.isbn === b.isbn) return true;
+  const left = bookKey(a.matched_title, a.matched_authors?.[0]);
+  const right = bookKey(b.matched_title, b.matched_authors?.[0]);
+  return left.title === right.title && left.author === right.author;
+}
+
+function hasValue(value) {
+  return Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== "";
+}
+
+/**
+ * Reads the metadata provider configuration.
+ *
+ * @returns {{ providers: string[], explicit: boolean, mode: string,
+ *   requiredFields: string[], fieldProviders: Object }} explicit is whether
+ *   METADATA_PROVIDERS is set
+ * @throws {Error} On an unknown provider, merge mode or field. Like
+ *   VISION_PROVIDER, a typo should fail loudly rather than silently drop a
+ *   provider.
+ */
+export function getMetadataPolicy() {
+  const providers = [...new Set(splitList(process.env.METADATA_PROVIDERS || DEFAULT_PROVIDERS))];
+  for (const name of providers) {
+    if (!METADATA_PROVIDER_NAMES.includes(name)) {
+      throw new Error(
+        `Unknown metadata provider "${name}". Must be one of: ${METADATA_PROVIDER_NAMES.join(", ")}`,
+      );
+    }
+  }
+
+  const mode = (process.env.METADATA_MERGE || "fill").trim().toLowerCase();
+  if (!MERGE_MODES.includes(mode)) {
+    throw new Error(`Unknown METADATA_MERGE "${mode}". Must be one of: ${MERGE_MODES.join(", ")}`);
+  }
+
+  const requiredFields = splitList(
+    process.env.METADATA_REQUIRED_FIELDS ?? DEFAULT_REQUIRED_FIELDS,
+  );
+  for (const field of requiredFields) {
+    if (!MERGED_FIELDS.includes(field)) {
+      throw new Error(
+        `Unknown METADATA_REQUIRED_FIELDS field "${field}". Must be one of: ${MERGED_FIELDS.join(", ")}`,
+      );
+    }
+  }
+
+  const fieldProviders = {};
+  for (const entry of splitList(process.env.METADATA_FIELD_PROVIDERS)) {
+    const [field, provider] = entry.split("=").map((part) => part.trim());
+    if (![...MERGED_FIELDS, ...DETAIL_FIELDS].includes(field) || !providers.includes(provider)) {
+      throw new Error(
+        `Invalid METADATA_FIELD_PROVIDERS entry "${entry}". Use <field>=<provider> with a field ` +
+          `from ${[...MERGED_FIELDS, ...DETAIL_FIELDS].join(", ")} and a provider from METADATA_PROVIDERS.`,
+      );
+    }
+    fieldProviders[field] = provider;
+  }
+
+  return {
+    providers,
+    explicit: Boolean(process.env.METADATA_PROVIDERS),
+    mode,
+    requiredFields,
+    fieldProviders,
+  };
+}
+
+/**
+ * Providers enrichment can ask, in policy order.
+ *
+ * @param {Object} policy - From getMetadataPolicy()
+ * @param {Function} isAvailable - isAvailable(name): whether the provider is
+ *   configured (Google Books needs an API key)
+ * @returns {string[]} Empty when the default order's first provider is not
+ *   available: the default only uses the others to back it up
+ */
+export function availableProviders(policy, isAvailable) {
+  const available = policy.providers.filter((name) => isAvailable(name));
+  if (!policy.explicit && !available.includes(policy.providers[0])) return [];
+  return available;
+}
+
+// Providers in the order they are tried for one field
+function fieldOrder(field, policy) {
+  const preferred = policy.fieldProviders[field];
+  if (!preferred) return policy.providers;
+  return [preferred, ...policy.providers.filter((name) => name !== preferred)];
+}
+
+/**
+ * Whether a provider should still be asked about a book.
+ *
+ * @param {string} name - Provider about to be asked
+ * @param {Array<Object>} results - [{ provider, metadata }] from the providers
+ *   asked so far that found the book
+ * @param {Object} policy - From getMetadataPolicy()
+ * @returns {boolean} true if nothing was found yet, or (fill mode) some
+ *   required field is not yet filled by a provider that ranks above this one
+ *   for that field
+ */
+export function needsProvider(name, results, policy) {
+  if (results.length === 0) return true;
+  if (policy.mode === "fallback") return false;
+
+  return policy.requiredFields.some((field) => {
+    for (const candidate of fieldOrder(field, policy)) {
+      if (candidate === name) return true;
+      const result = results.find((entry) => entry.provider === candidate);
+      if (result && hasValue(result.metadata[field])) return false;
+    }
+    return false;
+  });
+}
+
+/**
+ * Asks the providers about one book, in order, skipping each one
+ * needsProvider() rules out, and merges what they found.
+ *
+ * @param {string[]} names - Providers to consider, from availableProviders()
+ * @param {Function} ask - Awaited as ask(name, results) for every provider
+ *   worth asking; returns its metadata for the book, or null. results are
+ *   the answers so far, as passed to needsProvider()
+ * @param {Object} policy - From getMetadataPolicy()
+ * @returns {Promise<Object|null>} mergeMetadata() of the answers, or null if
+ *   no provider found the book
+ */
+export async function collectMetadata(names, ask, policy) {
+  const results = [];
+  for (const name of names) {
+    if (!needsProvider(name, results, policy)) continue;
+    const metadata = await ask(name, results);
+    if (metadata) results.push({ provider: name, metadata });
+  }
+  return results.length > 0 ? mergeMetadata(results, policy) : null;
+}
+
+/**
+ * Merges provider answers for one book.
+ *
+ * @param {Array<Object>} results - [{ provider, metadata }] in the order the
+ *   providers were asked; at least one entry
+ * @param {Object} policy - From getMetadataPolicy()
+ * @returns {Object} The first result's metadata with merged fields and
+ *   details filled in from the results that are the same book, plus
+ *   metadata_sources: { <field>: <provider> } for every field with a value
+ */
+export function mergeMetadata(results, policy) {
+  const [primary] = results;
+  const merged = { ...primary.metadata };
+  const sources = {};
+
+  // A later provider's first search result can be another book than the
+  // primary match (a study guide, the next volume). Nothing is taken from
+  // it, not even a field the primary left empty, unless it is the same book.
+  const sameBook = results.filter(
+    (entry) => entry === primary || isSameBook(entry.metadata, primary.metadata),
+  );
+
+  for (const field of ["matched_title", "matched_authors"]) {
+    if (hasValue(merged[field])) sources[field] = primary.provider;
+  }
+
+  // Only Open Library knows works; its work key groups editions (works.js)
+  const workResult = sameBook.find((entry) => entry.metadata.work_key);
+  merged.work_key = workResult?.metadata.work_key || null;
+
+  const seriesResult = sameBook.find((entry) => entry.metadata.series_name);
+  merged.series_name = seriesResult?.metadata.series_name || null;
+  merged.series_volume = seriesResult?.metadata.series_volume ?? null;
+  if (seriesResult) {
+    sources.series_name = seriesResult.provider;
+    sources.series_volume = seriesResult.provider;
+  }
+
+  for (const field of [...MERGED_FIELDS, ...DETAIL_FIELDS]) {
+    merged[field] = field === "categories" ? [] : null;
+    for (const name of fieldOrder(field, policy)) {
+      const result = sameBook.find((entry) => entry.provider === name);
+      if (result && hasValue(result.metadata[field])) {
+        merged[field] = result.metadata[field];
+        sources[field] = name;
+        break;
+      }
+    }
+  }
+
+  merged.metadata_sources = sources;
+  return merged;
+}
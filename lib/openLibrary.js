@@ -0,0 +1,202 @@
+/**
+ * openLibrary.js
+ *
+ * Open Library adapter for book metadata enrichment, the second provider
+ * next to Google Books (see metadataProviders.js and googleBooks.js).
+ *
+ * Open Library needs no API key and has no daily quota, and it often has a
+ * cover or a description where Google Books has none. A search costs two
+ * requests: search.json finds the work and edition fields, and the work
+ * record holds the description.
+ *
+ * Both functions return the same metadata shape as the Google Books lookups
+ * (isbn, cover_url, description, categories, matched_title, matched_authors
+ * and the book details: page count, first publication year, publisher,
+ * language, ratings), or null when Open Library has no match or the request
+ * failed. Series are not available from Open Library search. They also
+ * return the Open Library work key, which groups the editions and
+ * translations of a book (works.js).
+ *
+ * Requests go through fixtureFetch (service "open-library"), keyed by the
+ * search parameters or work key, so replay mode covers them too.
+ */
+
+import { fixtureFetch } from "./httpFixtures.js";
+
+const OPEN_LIBRARY_URL = "https://openlibrary.org";
+const COVERS_URL = "https://covers.openlibrary.org/b/id";
+const REQUEST_TIMEOUT_MS = 5000;
+const SEARCH_FIELDS =
+  "key,title,author_name,isbn,cover_i,subject,number_of_pages_median,first_publish_year," +
+  "publisher,language,ratings_average,ratings_count";
+const MAX_CATEGORIES = 5;
+
+// Open Library asks API clients to identify themselves
+const USER_AGENT = "LibreScan/1.0 (book shelf scanner)";
+
+// Open Library lists MARC language codes; the rest of the app uses ISO 639-1
+// (Google Books, scan language hints). Common ones only: others are left out.
+const MARC_LANGUAGES = {
+  eng: "en", fre: "fr", ger: "de", spa: "es", ita: "it", por: "pt", dut: "nl",
+  swe: "sv", dan: "da", nor: "no", fin: "fi", pol: "pl", cze: "cs", rus: "ru",
+  ukr: "uk", gre: "el", tur: "tr", ara: "ar", heb: "he", per: "fa", hin: "hi",
+  chi: "zh", jpn: "ja", kor: "ko",
+};
+
+// Library-management subjects, not genres
+const IGNORED_SUBJECTS = new Set([
+  "accessible book",
+  "protected daisy",
+  "in library",
+  "lending library",
+  "large type books",
+  "open library staff picks",
+  "overdrive",
+]);
+
+/**
+ * GETs one Open Library JSON resource.
+ *
+ * @param {string} url
+ * @param {string} fixtureKey - Stable key for record/replay
+ * @param {string} label - What is being looked up, for log messages only
+ * @returns {Promise<Object|null>} Parsed body, or null on a failed request
+ * @throws {Error} ENOFIXTURE in replay mode, so a missing fixture is not
+ *   mistaken for "not found"
+ */
+async function requestJson(url, fixtureKey, label) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fixtureFetch({ service: "open-library", key: fixtureKey }, url, {
+      headers: { "User-Agent": USER_AGENT, Accept: "application/json" },
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      console.error(`[openLibrary] API error for ${label}: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error.code === "ENOFIXTURE") throw error;
+    if (error.name === "AbortError") {
+      console.error(`[openLibrary] Request timed out for: ${label}`);
+    } else {
+      console.error(`[openLibrary] Fetch error for ${label}:`, error.message);
+    }
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Runs a search.json query and returns the first document.
+ *
+ * @param {URLSearchParams} params - Search parameters (title/author or isbn)
+ * @param {string} label
+ * @returns {Promise<Object|null>}
+ */
+async function searchFirstDoc(params, label) {
+  params.set("fields", SEARCH_FIELDS);
+  params.set("limit", "1");
+  const search = params.toString();
+
+  const data = await requestJson(`${OPEN_LIBRARY_URL}/search.json?${search}`, search, label);
+  return data?.docs?.[0] || null;
+}
+
+/**
+ * The work's description, which search.json does not return.
+ *
+ * @param {string} workKey - e.g. "/works/OL45804W"
+ * @returns {Promise<string|null>}
+ */
+async function fetchWorkDescription(workKey) {
+  if (!workKey) return null;
+  const work = await requestJson(`${OPEN_LIBRARY_URL}${workKey}.json`, workKey, workKey);
+  const description = work?.description;
+  // Either a plain string or { type: "/type/text", value }
+  const text = typeof description === "string" ? description : description?.value;
+  return text?.trim() || null;
+}
+
+/**
+ * Maps a search document to the shared metadata shape.
+ *
+ * @param {Object} doc - search.json document
+ * @param {string|null} description
+ * @returns {Object}
+ */
+function extractMetadata(doc, description) {
+  const isbns = doc.isbn || [];
+  const isbn = isbns.find((value) => value.length === 13) || isbns[0] || null;
+
+  const categories = (doc.subject || [])
+    .filter((subject) => !IGNORED_SUBJECTS.has(subject.toLowerCase()))
+    .slice(0, MAX_CATEGORIES);
+
+  // A work in several languages has no single language to report
+  const languages = doc.language || [];
+
+  return {
+    isbn,
+    cover_url: doc.cover_i ? `${COVERS_URL}/${doc.cover_i}-M.jpg` : null,
+    description,
+    categories,
+    matched_title: doc.title || null,
+    matched_authors: doc.author_name || [],
+    cover_url_large: doc.cover_i ? `${COVERS_URL}/${doc.cover_i}-L.jpg` : null,
+    page_count: doc.number_of_pages_median || null,
+    published_date: doc.first_publish_year ? String(doc.first_publish_year) : null,
+    publisher: doc.publisher?.[0] || null,
+    language: languages.length === 1 ? MARC_LANGUAGES[languages[0]] || null : null,
+    average_rating: doc.ratings_average ? Math.round(doc.ratings_average * 100) / 100 : null,
+    ratings_count: doc.ratings_count || null,
+    work_key: doc.key || null,
+  };
+}
+
+/**
+ * Searches Open Library for a book by title and author.
+ *
+ * @param {string} title
+ * @param {string} [author] - Skipped when empty or "Unknown"
+ * @param {string|null} [language] - ISO 639-1 code; Open Library prefers
+ *   editions in that language ("lang") rather than filtering on it
+ * @returns {Promise<Object|null>} Metadata (see the header comment)
+ */
+export async function searchOpenLibrary(title, author, language = null) {
+  const params = new URLSearchParams({ title });
+  if (author && author.trim() !== "" && author.toLowerCase() !== "unknown") {
+    params.set("author", author);
+  }
+  if (language) params.set("lang", language);
+
+  const doc = await searchFirstDoc(params, `"${title}"`);
+  if (!doc) return null;
+
+  return extractMetadata(doc, await fetchWorkDescription(doc.key));
+}
+
+/**
+ * Looks up one edition by ISBN (barcode input path).
+ *
+ * @param {string} isbn - ISBN-13
+ * @returns {Promise<Object|null>} Metadata plus the title and first author,
+ *   like the Google Books ISBN lookup; the scanned ISBN is kept
+ */
+export async function lookupIsbnOpenLibrary(isbn) {
+  const doc = await searchFirstDoc(new URLSearchParams({ isbn }), `ISBN ${isbn}`);
+  if (!doc?.title) return null;
+
+  return {
+    ...extractMetadata(doc, await fetchWorkDescription(doc.key)),
+    isbn,
+    title: doc.title,
+    author: doc.author_name?.[0] || "Unknown",
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * openaiCompatibleVisionAI.js
+ *
+ * Book recognition against any OpenAI-compatible chat completions endpoint
+ * that accepts image_url content parts (Ollama, llama.cpp server, vLLM,
+ * LM Studio, OpenRouter, ...). Lets the scan flow run against a model on
+ * the developer's own machine instead of Groq.
+ *
+ * Configuration (environment variables):
+ * - VISION_API_URL:    Full chat completions URL.
+ *                      Defaults to Ollama's local endpoint.
+ * - VISION_MODEL:      Model name as the server knows it (required).
+ * - VISION_API_KEY:    Bearer token, if the server needs one (optional).
+ * - VISION_TIMEOUT_MS: Request timeout. Local models on CPU are slow,
+ *                      so the default is much longer than Groq's 30s.
+ *
+ * The request format, prompt, response parsing and confidence scoring are
+ * shared with the Groq provider via recognizeBooksViaChatCompletions().
+ */
+
+import { recognizeBooksViaChatCompletions } from "./groqVisionAI.js";
+
+const DEFAULT_API_URL = "http://localhost:11434/v1/chat/completions";
+const DEFAULT_TIMEOUT_MS = 120000;
+
+export async function recognizeBooks(imagePath, options = {}) {
+  const modelId = process.env.VISION_MODEL;
+  if (!modelId) {
+    throw new Error(
+      "VISION_MODEL is not set. The openai-compatible vision provider needs a model name (e.g. llava:13b).",
+    );
+  }
+
+  const timeoutMs = parseInt(process.env.VISION_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+  return recognizeBooksViaChatCompletions(imagePath, {
+    apiUrl: process.env.VISION_API_URL || DEFAULT_API_URL,
+    apiKey: process.env.VISION_API_KEY || null,
+    modelId,
+    providerLabel: "OpenAI-compatible vision",
+    timeoutMs,
+    languageHint: options.languageHint || null,
+  });
+}
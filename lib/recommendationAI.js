@@ -14,8 +14,13 @@
  * - Sends the prompt to Groq (OpenAI-compatible chat completions API)
  * - Parses the JSON response with multiple fallback strategies
  * - Returns an array of 8 recommended books with title, author, and reason
+ * - Optionally receives candidates: volumes missing from series on the shelf
+ *   (seriesDetection.js). The LLM is asked to consider them, and picks that
+ *   match one are tagged with the series they complete.
  */
 
+import { fixtureFetch } from "./httpFixtures.js";
+import { dedupeKey } from "./bookMerge.js";
 
 const GROQ_API_URL = "https://api.groq.com/openai/v1/chat/completions";
 const MODEL_ID = "meta-llama/llama-4-scout-17b-16e-instruct";
@@ -46,6 +51,8 @@ const MAX_TOKENS = 1024;
  *   - confidence {number}: AI confidence score 0.0-1.0 (used to weight importance)
  *   - categories {Array<string>}: Genre categories from Google Books (optional)
  *   - description {string}: Book synopsis from Google Books (optional)
+ *   - page_count, published_date, language, average_rating: Book details
+ *     from book_cache (optional)
  *
  * @param {Object|null} preferences - Optional user preferences from the preferences table.
  *   If null or empty, recommendations are based solely on the bookshelf.
@@ -54,11 +61,16 @@ const MAX_TOKENS = 1024;
  *   - language {string}: Preferred language (e.g., "English")
  *   - reading_level {string}: Preferred level (e.g., "Intermediate")
  *
+ * @param {Object} [options]
+ *   - candidates {Array<Object>}: Missing series volumes to consider, from
+ *       missingVolumeCandidates() in seriesDetection.js: { title, author, series, volume }
+ *
  * @returns {Object} Result object with:
  *   - recommendations {Array<Object>}: Array of recommended books, each with:
  *       - title {string}: Recommended book title
  *       - author {string}: Recommended book author
  *       - reason {string}: Short personalized explanation (1-2 sentences)
+ *       - series {Object} (only for missing series volumes): { name, volume }
  *   - metadata {Object}: Processing info:
  *       - model_used {string}: The model ID that was called
  *       - processing_time_ms {number}: Total time for the LLM call
@@ -67,7 +79,8 @@ const MAX_TOKENS = 1024;
  *
  * @throws {Error} If the API call fails or response cannot be parsed
  */
-export async function generateRecommendations(books, preferences = null) {
+export async function generateRecommendations(books, preferences = null, options = {}) {
+  const candidates = options.candidates || [];
   const startTime = Date.now();
 
   if (!books || books.length === 0) {
@@ -88,7 +101,7 @@ export async function generateRecommendations(books, preferences = null) {
   // This is the most critical part. The prompt structure directly determines
   // the quality of recommendations.
   // Phase 4: preferences are now passed to buildPrompt for injection into the user message.
-  const prompt = buildPrompt(books, preferences);
+  const prompt = buildPrompt(books, preferences, candidates);
 
   // Determine if preferences were actually included (non-null and non-empty).
   // This is tracked in metadata so the frontend or logs can distinguish
@@ -107,7 +120,10 @@ export async function generateRecommendations(books, preferences = null) {
   const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
 
   try {
-    const response = await fetch(GROQ_API_URL, {
+    // Record/replay (lib/httpFixtures.js): the prompt identifies the request,
+    // since the same books and preferences always produce the same prompt.
+    const fixture = { service: "groq-recommendations", key: `${MODEL_ID}:${prompt}` };
+    const response = await fixtureFetch(fixture, GROQ_API_URL, {
       method: "POST",
       headers: {
         Authorization: `Bearer ${process.env.GROQ_API_KEY}`,
@@ -163,7 +179,7 @@ export async function generateRecommendations(books, preferences = null) {
     );
 
     // ---- Step 6: Parse the JSON from the response ----
-    const recommendations = parseRecommendations(rawResponse);
+    const recommendations = tagSeriesCandidates(parseRecommendations(rawResponse), candidates);
 
     const processingTime = Date.now() - startTime;
     console.log(
@@ -176,6 +192,7 @@ export async function generateRecommendations(books, preferences = null) {
         model_used: MODEL_ID,
         processing_time_ms: processingTime,
         prompt_book_count: books.length,
+        series_candidate_count: candidates.length,
       },
     };
   } catch (error) {
@@ -235,13 +252,29 @@ OUTPUT FORMAT (strict JSON array):
 ]`;
 }
 
+/**
+ * One line of book details for the prompt, e.g.
+ * "published 1965 · 412 pages · language: en · rated 4.3/5".
+ *
+ * @param {Object} book - Recognized book joined with book_cache
+ * @returns {string} Empty when no details are known
+ */
+function describeBookDetails(book) {
+  const parts = [];
+  if (book.published_date) parts.push(`published ${book.published_date.slice(0, 4)}`);
+  if (book.page_count) parts.push(`${book.page_count} pages`);
+  if (book.language) parts.push(`language: ${book.language}`);
+  if (book.average_rating) parts.push(`rated ${book.average_rating}/5`);
+  return parts.join(" · ");
+}
+
 /**
  * Builds the user-facing prompt that describes the bookshelf and preferences.
  *
  * Strategy:
  * - Sort books by confidence score (highest first) so the LLM treats
  *   high-confidence books as stronger signals of the user's taste
- * - Include categories and descriptions when available (richer context = better recs)
+ * - Include categories, descriptions and book details when available (richer context = better recs)
  * - Keep descriptions short (first 150 chars) to avoid blowing up token count
  * - Mark which books have low confidence so the LLM doesn't over-index on them
  * - Phase 4: Append preferences section after the bookshelf if preferences exist
@@ -254,9 +287,10 @@ OUTPUT FORMAT (strict JSON array):
  *
  * @param {Array<Object>} books - Recognized books array
  * @param {Object|null} preferences - Optional user preferences (Phase 4)
+ * @param {Array<Object>} candidates - Missing series volumes (may be empty)
  * @returns {string} The formatted user prompt
  */
-function buildPrompt(books, preferences = null) {
+function buildPrompt(books, preferences = null, candidates = []) {
   // Array.sort mutates in place, so we spread into a new array to avoid modifying the caller's data.
   const sortedBooks = [...books].sort(
     (a, b) => (b.confidence || 0) - (a.confidence || 0),
@@ -277,6 +311,14 @@ function buildPrompt(books, preferences = null) {
       entry += `\n   Categories: ${book.categories.join(", ")}`;
     }
 
+    // Publication year, length, language and rating: hint at the reader's
+    // taste for classics vs. new releases, long vs. short reads, and the
+    // languages they read in
+    const details = describeBookDetails(book);
+    if (details) {
+      entry += `\n   Details: ${details}`;
+    }
+
     // Add a truncated description if available (from Google Books enrichment), max 150 chars to control budget
     if (book.description) {
       const truncated =
@@ -301,6 +343,16 @@ function buildPrompt(books, preferences = null) {
     prompt += `\n\n${preferencesSection}`;
   }
 
+  // Volumes missing from series on the shelf: the most obvious next reads,
+  // but still the LLM's call, so a shelf with many gaps does not get only those
+  if (candidates.length > 0) {
+    const candidateLines = candidates.map(
+      (candidate) =>
+        `- "${candidate.title}" by ${candidate.author} (${candidate.series}, volume ${candidate.volume})`,
+    );
+    prompt += `\n\nI own other volumes of these series but not these ones. Consider recommending some of them, using these exact titles:\n${candidateLines.join("\n")}`;
+  }
+
   // Final instruction
   prompt += `\n\nBased on these ${books.length} books${hasAnyPreferences(preferences) ? " and my reading preferences" : ""}, recommend ${NUM_RECOMMENDATIONS} similar books I would enjoy. Remember: respond ONLY with a JSON array, no other text.`;
 
@@ -484,6 +536,27 @@ function parseRecommendations(rawResponse) {
   return [];
 }
 
+/**
+ * Tags recommendations that are a missing series volume with the series
+ * they complete, for the "Completes your series" badge.
+ *
+ * @param {Array<Object>} recommendations - Cleaned LLM picks
+ * @param {Array<Object>} candidates - Missing series volumes
+ * @returns {Array<Object>} The same recommendations, tagged in place
+ */
+function tagSeriesCandidates(recommendations, candidates) {
+  if (candidates.length === 0) return recommendations;
+
+  const byTitle = new Map(candidates.map((candidate) => [dedupeKey(candidate.title), candidate]));
+  for (const rec of recommendations) {
+    const candidate = byTitle.get(dedupeKey(rec.title));
+    if (candidate) {
+      rec.series = { name: candidate.series, volume: candidate.volume };
+    }
+  }
+  return recommendations;
+}
+
 /**
  * Validates and cleans the parsed recommendation array.
  *
@@ -0,0 +1,149 @@
+/**
+ * s3Storage.js
+ *
+ * S3-compatible backend for imageStorage.js: AWS S3, Cloudflare R2, MinIO,
+ * Backblaze B2 and anything else that speaks the S3 object API.
+ *
+ * Only three calls are needed (PUT, GET, DELETE of one object), so requests
+ * are signed here with AWS Signature Version 4 instead of pulling in the AWS
+ * SDK. Objects are addressed path-style (endpoint/bucket/key), which every
+ * S3-compatible service accepts.
+ *
+ * Configuration (environment variables):
+ * - S3_BUCKET (required)
+ * - S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY (required)
+ * - S3_REGION: default "us-east-1" ("auto" for R2)
+ * - S3_ENDPOINT: default https://s3.<region>.amazonaws.com; set it for any
+ *     other service, e.g. https://<account>.r2.cloudflarestorage.com
+ */
+
+import crypto from "crypto";
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function hmac(key, value) {
+  return crypto.createHmac("sha256", key).update(value).digest();
+}
+
+// RFC 3986 encoding of each key segment, as SigV4 expects in the canonical URI
+function encodeKey(key) {
+  return key
+    .split("/")
+    .map((segment) =>
+      encodeURIComponent(segment).replace(
+        /[!'()*]/g,
+        (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`,
+      ),
+    )
+    .join("/");
+}
+
+/**
+ * @returns {Object} Storage backend: { name, putObject, getObject, deleteObject }
+ * @throws {Error} If the bucket or credentials are not configured
+ */
+export function createS3Storage() {
+  const bucket = process.env.S3_BUCKET;
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  const region = process.env.S3_REGION || "us-east-1";
+  const endpoint = (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(
+    /\/+$/,
+    "",
+  );
+
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error(
+      "IMAGE_STORAGE=s3 needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.",
+    );
+  }
+
+  /**
+   * Sends one signed request for an object.
+   *
+   * @param {string} method - "PUT" | "GET" | "DELETE"
+   * @param {string} key - Object key
+   * @param {Object} [options]
+   * @param {Buffer} [options.body]
+   * @param {string} [options.contentType]
+   * @returns {Promise<Response>}
+   */
+  async function request(method, key, { body, contentType } = {}) {
+    const url = new URL(`${endpoint}/${bucket}/${encodeKey(key)}`);
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body || "");
+
+    const headers = {
+      host: url.host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+    };
+    if (contentType) headers["content-type"] = contentType;
+
+    const signedHeaders = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      "",
+      signedHeaders.map((name) => `${name}:${headers[name]}\n`).join(""),
+      signedHeaders.join(";"),
+      payloadHash,
+    ].join("\n");
+
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join(
+      "\n",
+    );
+    const signingKey = hmac(
+      hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), "s3"),
+      "aws4_request",
+    );
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+    // fetch sets Host itself from the URL
+    const { host, ...sentHeaders } = headers;
+    return fetch(url, {
+      method,
+      headers: {
+        ...sentHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`,
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  }
+
+  async function failure(action, key, response) {
+    const detail = await response.text().catch(() => "");
+    return new Error(
+      `S3 ${action} ${key} failed with status ${response.status}: ${detail.substring(0, 300)}`,
+    );
+  }
+
+  return {
+    name: "s3",
+
+    async putObject(key, body, contentType) {
+      const response = await request("PUT", key, { body, contentType });
+      if (!response.ok) throw await failure("PUT", key, response);
+    },
+
+    async getObject(key) {
+      const response = await request("GET", key);
+      if (response.status === 404) return null;
+      if (!response.ok) throw await failure("GET", key, response);
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async deleteObject(key) {
+      const response = await request("DELETE", key);
+      if (!response.ok && response.status !== 404) throw await failure("DELETE", key, response);
+    },
+  };
+}
@@ -0,0 +1,249 @@
+/**
+ * scanEdits.js
+ *
+ * User corrections to a scan's recognized books (PATCH /api/scan/:scanId).
+ *
+ * Five operations, addressed by the book's position in recognized_books.books:
+ *   { op: "rename", position, title, author } - fix a misread spine
+ *   { op: "delete", position }                - remove a false detection
+ *   { op: "add", title, author }              - add a book the model missed
+ *   { op: "match", position, alternative }    - use another metadata match:
+ *       an index into the book's cached alternatives (candidateRanking.js),
+ *       or null to go back to the automatic match
+ *   { op: "edition", position, edition_id }  - the edition the user owns: one
+ *       of the editions of the book's work (works.js), or null for none
+ *
+ * This module has no database access, so the handler resolves each match
+ * operation to the chosen metadata (operation.metadata), and each edition
+ * operation to the edition (operation.edition), before applying.
+ *
+ * Positions always refer to the books array as it was BEFORE the request, so
+ * a client can send several operations without re-indexing after a delete.
+ *
+ * Each applied operation also produces a correction record. These are stored
+ * in scan_corrections: they are the scan's edit history, and labeled data
+ * (what the model read vs. what the book really is) for measuring recognition
+ * accuracy later.
+ */
+
+import { detectScript } from "./languageHints.js";
+import { scoreBookMatch } from "./confidenceScoring.js";
+
+export const MAX_OPERATIONS_PER_EDIT = 100;
+const MAX_FIELD_LENGTH = 500;
+
+const OPERATIONS = ["rename", "delete", "add", "match", "edition"];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function cleanText(value) {
+  return typeof value === "string" ? value.trim().replace(/\s+/g, " ") : "";
+}
+
+// The model's own reading of a book, kept on the first edit so that corrections
+// are always labeled against what the model said, not against an earlier edit.
+// null for a book the user added: there is no model reading to label.
+function modelReading(book) {
+  if (book.original) return book.original;
+  if (book.source === "user") return null;
+  return {
+    title: book.title,
+    author: book.author,
+    // The model's own confidence, not the metadata-verified one
+    confidence: book.verification?.model_confidence ?? book.confidence ?? null,
+  };
+}
+
+/**
+ * Checks an operations array before anything is applied.
+ *
+ * @param {Array<Object>} operations
+ * @param {number} bookCount - Current number of books in the scan
+ * @returns {string|null} An error message, or null if every operation is valid
+ */
+export function validateEditOperations(operations, bookCount) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return "operations must be a non-empty array";
+  }
+  if (operations.length > MAX_OPERATIONS_PER_EDIT) {
+    return `At most ${MAX_OPERATIONS_PER_EDIT} operations per request`;
+  }
+
+  const touched = new Set();
+
+  for (const [index, operation] of operations.entries()) {
+    const label = `operations[${index}]`;
+
+    if (!operation || !OPERATIONS.includes(operation.op)) {
+      return `${label}.op must be one of: ${OPERATIONS.join(", ")}`;
+    }
+
+    if (operation.op !== "add") {
+      const { position } = operation;
+      if (!Number.isInteger(position) || position < 0 || position >= bookCount) {
+        return `${label}.position must be an integer between 0 and ${bookCount - 1}`;
+      }
+      if (touched.has(position)) {
+        return `${label}: book ${position} is edited more than once`;
+      }
+      touched.add(position);
+    }
+
+    if (operation.op === "match") {
+      const { alternative } = operation;
+      if (alternative !== null && !(Number.isInteger(alternative) && alternative >= 0)) {
+        return `${label}.alternative must be a non-negative integer, or null for the automatic match`;
+      }
+    }
+
+    if (operation.op === "edition") {
+      const { edition_id: editionId } = operation;
+      if (editionId !== null && !(typeof editionId === "string" && UUID_PATTERN.test(editionId))) {
+        return `${label}.edition_id must be an edition id, or null for no edition`;
+      }
+    }
+
+    if (operation.op === "rename" || operation.op === "add") {
+      const title = cleanText(operation.title);
+      if (!title) {
+        return `${label}.title is required`;
+      }
+      if (title.length > MAX_FIELD_LENGTH || cleanText(operation.author).length > MAX_FIELD_LENGTH) {
+        return `${label}: title and author must be at most ${MAX_FIELD_LENGTH} characters`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Applies validated operations to a books array.
+ *
+ * Renamed and added books get confidence 1.0 and source "user": a person
+ * typed them, there is nothing left to guess. A renamed book keeps its bbox
+ * and image_index (the spine is still where the model found it) and gets an
+ * `original` field with the model's reading.
+ *
+ * A matched book stores the chosen metadata as `selected_match`, which the
+ * read-time join uses instead of the cached match, and a model-read book's
+ * confidence is scored again against it. A rename drops it: the match was
+ * picked for the old title. Either can make it another work,
+ * so the owned edition is cleared; an edition operation sets it as
+ * `owned_edition`.
+ *
+ * @param {Array<Object>} books - recognized_books.books, not modified
+ * @param {Array<Object>} operations - Already checked by validateEditOperations
+ * @returns {Object} {
+ *   books: Array<Object> - the edited books array
+ *   changedBooks: Array<Object> - renamed and added books, to re-enrich
+ *   corrections: Array<Object> - { action, position, model_output, corrected }
+ * }
+ */
+export function applyScanEdits(books, operations) {
+  const edited = books.map((book) => ({ ...book }));
+  const deleted = new Set();
+  const added = [];
+  const changedBooks = [];
+  const corrections = [];
+
+  for (const operation of operations) {
+    if (operation.op === "rename") {
+      const book = edited[operation.position];
+      const original = modelReading(book);
+      const corrected = {
+        title: cleanText(operation.title),
+        author: cleanText(operation.author) || "Unknown",
+      };
+
+      Object.assign(book, corrected, {
+        confidence: 1.0,
+        source: "user",
+        script: detectScript(corrected.title),
+      });
+      // The match breakdown and transliteration were for the model's reading,
+      // the picked match and the edition for the book it was
+      delete book.verification;
+      delete book.title_transliterated;
+      delete book.selected_match;
+      delete book.owned_edition;
+      if (original) book.original = original;
+      changedBooks.push(book);
+      corrections.push({
+        action: "rename",
+        position: operation.position,
+        model_output: original,
+        corrected,
+      });
+    } else if (operation.op === "match") {
+      const book = edited[operation.position];
+      if (operation.alternative === null) {
+        delete book.selected_match;
+      } else {
+        book.selected_match = operation.metadata;
+      }
+      delete book.owned_edition;
+      // A title the user typed is not a reading to verify
+      if (book.source !== "user") {
+        Object.assign(book, scoreBookMatch(book, operation.metadata));
+      }
+      corrections.push({
+        action: "match",
+        position: operation.position,
+        model_output: modelReading(book),
+        corrected: {
+          alternative: operation.alternative,
+          matched_title: operation.metadata.matched_title || null,
+          matched_authors: operation.metadata.matched_authors || [],
+          isbn: operation.metadata.isbn || null,
+        },
+      });
+    } else if (operation.op === "edition") {
+      const book = edited[operation.position];
+      if (operation.edition) {
+        book.owned_edition = operation.edition;
+      } else {
+        delete book.owned_edition;
+      }
+      corrections.push({
+        action: "edition",
+        position: operation.position,
+        model_output: modelReading(book),
+        corrected: operation.edition
+          ? { edition_id: operation.edition.edition_id, isbn: operation.edition.isbn }
+          : null,
+      });
+    } else if (operation.op === "delete") {
+      const book = edited[operation.position];
+      deleted.add(operation.position);
+      corrections.push({
+        action: "delete",
+        position: operation.position,
+        model_output: modelReading(book),
+        corrected: null,
+      });
+    } else {
+      const book = {
+        title: cleanText(operation.title),
+        author: cleanText(operation.author) || "Unknown",
+        confidence: 1.0,
+        source: "user",
+      };
+      book.script = detectScript(book.title);
+      added.push(book);
+      changedBooks.push(book);
+      corrections.push({
+        action: "add",
+        position: null,
+        model_output: null,
+        corrected: { title: book.title, author: book.author },
+      });
+    }
+  }
+
+  return {
+    books: [...edited.filter((_, position) => !deleted.has(position)), ...added],
+    changedBooks,
+    corrections,
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * scanEvents.js
+ *
+ * In-process event bus for scan jobs, feeding the live progress stream
+ * (GET /api/scan-events/:jobId, Server-Sent Events).
+ *
+ * runScanJob (scanJobs.js) publishes every pipeline event here: stages,
+ * "recognized" with the raw book list, one "book" per enriched book, and a
+ * final "done" or "failed". Subscribers first get the events they missed, so
+ * a stream opened a moment after the upload still sees the whole scan.
+ *
+ * Only jobs running in this process are visible. A stream served by another
+ * instance falls back to the job status row (see api/scan-events/[jobId].js).
+ */
+
+import { EventEmitter } from "events";
+
+// How long a finished job's events stay available for late subscribers
+const HISTORY_TTL_MS = 5 * 60 * 1000;
+
+const emitter = new EventEmitter();
+// One listener per open stream; the default limit of 10 would only warn
+emitter.setMaxListeners(0);
+
+const history = new Map();
+
+/**
+ * @param {Object} event
+ * @returns {boolean} true for "done" and "failed", after which nothing follows
+ */
+export function isTerminalScanEvent(event) {
+  return event.type === "done" || event.type === "failed";
+}
+
+/**
+ * Records and broadcasts one event of a job.
+ *
+ * @param {string} jobId
+ * @param {Object} event - { type, ... } as emitted by runScanPipeline
+ */
+export function publishScanEvent(jobId, event) {
+  if (!history.has(jobId)) history.set(jobId, []);
+  history.get(jobId).push(event);
+
+  emitter.emit(jobId, event);
+
+  if (isTerminalScanEvent(event)) {
+    setTimeout(() => history.delete(jobId), HISTORY_TTL_MS).unref();
+  }
+}
+
+/**
+ * @param {string} jobId
+ * @returns {boolean} true if the job runs (or recently ran) in this process
+ */
+export function hasScanEvents(jobId) {
+  return history.has(jobId);
+}
+
+/**
+ * Replays the job's past events to the listener, then forwards new ones.
+ *
+ * @param {string} jobId
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe. The listener may have seen the terminal
+ *   event during the replay, so callers that stop there must still call it.
+ */
+export function subscribeToScanEvents(jobId, listener) {
+  // Attached before the replay, which runs synchronously, so no event is
+  // missed or sent twice
+  emitter.on(jobId, listener);
+  for (const event of [...(history.get(jobId) || [])]) {
+    listener(event);
+  }
+  return () => emitter.off(jobId, listener);
+}
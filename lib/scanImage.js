@@ -0,0 +1,48 @@
+/**
+ * scanImage.js
+ *
+ * Downscaled copy of the scan photo, kept so the Results page can draw the
+ * per-book bounding boxes over the shelf the user actually photographed.
+ *
+ * Why a small data URL in the scans row (and not the original file):
+ * - Serverless functions have no persistent disk; /tmp is wiped between invocations
+ * - The overlay only needs enough resolution to recognise the shelf, ~800px is plenty
+ * - At quality 70 that is typically 60-130KB of base64, small enough to live next to the scan
+ *
+ * The image is EXIF-rotated exactly like the copy sent to the vision model
+ * (convertImageToBase64 in groqVisionAI.js), so normalized bounding boxes
+ * line up with it without any coordinate conversion.
+ */
+
+import sharp from "sharp";
+
+const PREVIEW_MAX_EDGE_PX = 800;
+const PREVIEW_JPEG_QUALITY = 70;
+
+/**
+ * Creates the downscaled preview for a scan.
+ *
+ * @param {string} imagePath - Path to the uploaded image
+ * @returns {Promise<Object>} {
+ *   data_url (string): "data:image/jpeg;base64,...",
+ *   width (number), height (number): Preview dimensions in pixels
+ * }
+ */
+export async function createScanPreview(imagePath) {
+  const { data, info } = await sharp(imagePath)
+    .rotate() // honour EXIF orientation, same as the copy the model sees
+    .resize({
+      width: PREVIEW_MAX_EDGE_PX,
+      height: PREVIEW_MAX_EDGE_PX,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .jpeg({ quality: PREVIEW_JPEG_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    data_url: `data:image/jpeg;base64,${data.toString("base64")}`,
+    width: info.width,
+    height: info.height,
+  };
+}
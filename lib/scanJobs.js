@@ -0,0 +1,203 @@
+/**
+ * scanJobs.js
+ *
+ * Asynchronous scan jobs. api/upload-image.js stores the photos, creates a
+ * job and returns its id at once; the pipeline (scanPipeline.js) then runs in
+ * a worker and records its progress in the scan_jobs table, which
+ * GET /api/scan-jobs/:jobId reads.
+ *
+ * Job state lives in Postgres, not in memory, so any server instance can
+ * answer a status request. Every pipeline event is also published on the
+ * in-process event bus (scanEvents.js) for the live progress stream.
+ *
+ * QUEUE DRIVERS (SCAN_QUEUE env var):
+ *   background - Starts the job right away without waiting for it, and hands
+ *                it to Vercel's waitUntil(), which keeps the function alive
+ *                after the response until the job is done. The upload
+ *                answers with the job id before recognition runs, and the
+ *                job can be followed live. Default everywhere but
+ *                development. The job counts against the function's
+ *                maxDuration, like the request would. Off Vercel,
+ *                waitUntil() does nothing and the job simply runs in the
+ *                process, concurrently with any others.
+ *   memory     - In-process FIFO queue, one job at a time, started after the
+ *                upload response is sent. For local dev and long-lived
+ *                servers. Default when NODE_ENV is "development". On a
+ *                serverless host a function is frozen once its response is
+ *                sent, so a "memory" job stalls there until the stale-job
+ *                sweep fails it.
+ *   inline     - Runs the job inside the upload request before responding,
+ *                for hosts where neither works. The client flow is the same,
+ *                the job is just already finished, so there is no live
+ *                progress to show.
+ */
+
+import fs from "fs";
+import { v4 as uuidv4 } from "uuid";
+import { waitUntil } from "@vercel/functions";
+import { query } from "./database.js";
+import { runScanPipeline } from "./scanPipeline.js";
+import { publishScanEvent } from "./scanEvents.js";
+
+const QUEUE_DRIVERS = ["background", "memory", "inline"];
+
+// A running job that has not reported progress for this long has lost its
+// worker (crash, redeploy, instance frozen) and is reported as failed.
+const STALE_JOB_MS = 10 * 60 * 1000;
+const STALE_JOB_ERROR = "The scan stopped responding. Please try again.";
+
+// In-process queue for the "memory" driver
+const pendingJobs = [];
+let draining = false;
+
+function getQueueDriver() {
+  const fallback = process.env.NODE_ENV === "development" ? "memory" : "background";
+  const driver = (process.env.SCAN_QUEUE || fallback).toLowerCase();
+  if (!QUEUE_DRIVERS.includes(driver)) {
+    throw new Error(
+      `Unknown SCAN_QUEUE "${driver}". Expected one of: ${QUEUE_DRIVERS.join(", ")}`,
+    );
+  }
+  return driver;
+}
+
+/**
+ * Creates a queued job row.
+ *
+ * @param {Object} owner - { userId, deviceId }, exactly one set
+ * @returns {Promise<string>} job_id
+ */
+export async function createScanJob({ userId, deviceId }) {
+  const jobId = uuidv4();
+  await query(
+    `INSERT INTO scan_jobs (job_id, user_id, device_id, status, stage)
+     VALUES ($1, $2, $3, 'queued', 'queued')`,
+    [jobId, userId || null, userId ? null : deviceId],
+  );
+  return jobId;
+}
+
+/**
+ * Reads a job, marking it failed if its worker went away.
+ *
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} The scan_jobs row, or null if not found
+ */
+export async function getScanJob(jobId) {
+  const result = await query(
+    `SELECT job_id, user_id, device_id, status, stage, progress, scan_id, error, created_at, updated_at
+     FROM scan_jobs WHERE job_id = $1`,
+    [jobId],
+  );
+  const job = result.rows[0];
+  if (!job) return null;
+
+  const isActive = job.status === "queued" || job.status === "running";
+  if (isActive && Date.now() - new Date(job.updated_at).getTime() > STALE_JOB_MS) {
+    await updateScanJob(jobId, { status: "failed", error: STALE_JOB_ERROR });
+    return { ...job, status: "failed", error: STALE_JOB_ERROR };
+  }
+
+  return job;
+}
+
+// fields: column -> value, for the fixed set of columns this module writes
+async function updateScanJob(jobId, fields) {
+  const columns = Object.keys(fields);
+  const values = columns.map((column) =>
+    column === "progress" && fields.progress ? JSON.stringify(fields.progress) : fields[column],
+  );
+  const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+  await query(
+    `UPDATE scan_jobs SET ${assignments.join(", ")}, updated_at = CURRENT_TIMESTAMP
+     WHERE job_id = $1`,
+    [jobId, ...values],
+  );
+}
+
+/**
+ * Runs one job to completion. Never throws: failures are recorded on the job.
+ * The uploaded files are deleted afterwards either way.
+ *
+ * @param {string} jobId
+ * @param {Object} input - runScanPipeline input
+ */
+export async function runScanJob(jobId, input) {
+  try {
+    await updateScanJob(jobId, { status: "running" });
+
+    let scanId;
+    await runScanPipeline(input, {
+      onEvent: async (event) => {
+        if (event.type === "stage") {
+          // Progress is best effort: a failed status write must not fail the scan
+          await updateScanJob(jobId, { stage: event.stage, progress: event.progress }).catch(
+            (error) => console.error(`[scanJobs] Could not update job ${jobId}:`, error.message),
+          );
+        }
+        if (event.type === "done") {
+          // The row must say "done" before the stream does, so a client that
+          // navigates on the "done" event can load the scan right away.
+          scanId = event.scan_id;
+          await updateScanJob(jobId, { status: "done", stage: "done", progress: null, scan_id: scanId });
+        }
+        publishScanEvent(jobId, event);
+      },
+    });
+
+    console.log(`[scanJobs] Job ${jobId} done: scan ${scanId}`);
+  } catch (error) {
+    console.error(`[scanJobs] Job ${jobId} failed:`, error);
+    await updateScanJob(jobId, { status: "failed", error: error.message }).catch((updateError) =>
+      console.error(`[scanJobs] Could not record failure of job ${jobId}:`, updateError.message),
+    );
+    publishScanEvent(jobId, { type: "failed", error: error.message });
+  } finally {
+    for (const image of input.images) {
+      fs.promises.unlink(image.path).catch(() => {});
+    }
+  }
+}
+
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+  try {
+    while (pendingJobs.length > 0) {
+      const { jobId, input } = pendingJobs.shift();
+      await runScanJob(jobId, input);
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Hands a job to the configured queue driver.
+ *
+ * @param {string} jobId
+ * @param {Object} input - runScanPipeline input
+ * @returns {Promise<void>} Resolves once started ("background"), queued
+ *   ("memory") or finished ("inline")
+ */
+export async function enqueueScanJob(jobId, input) {
+  const driver = getQueueDriver();
+
+  if (driver === "inline") {
+    await runScanJob(jobId, input);
+    return;
+  }
+
+  publishScanEvent(jobId, { type: "stage", stage: "queued", progress: null });
+
+  if (driver === "background") {
+    // runScanJob never rejects, so nothing is left unhandled
+    waitUntil(runScanJob(jobId, input));
+    console.log(`[scanJobs] Job ${jobId} started in the background`);
+    return;
+  }
+
+  pendingJobs.push({ jobId, input });
+  console.log(`[scanJobs] Job ${jobId} queued (${pendingJobs.length} pending)`);
+  setImmediate(drainQueue);
+}
@@ -0,0 +1,239 @@
+/**
+ * scanPipeline.js
+ *
+ * The photo scan pipeline, run by the scan job worker (scanJobs.js) after
+ * api/upload-image.js has accepted the upload:
+ *
+ *   resizing     - downscaled previews for the Results page overlay
+ *   recognizing  - vision provider, one photo (or tile) at a time
+ *   enriching    - Google Books metadata into book_cache, one book at a time
+ *   saving       - one scans row for all photos, plus the original photos
+ *                  when image storage is on (imageStorage.js)
+ *
+ * A re-run (input.rerunScanId) recognizes the stored photos of an existing
+ * scan again and replaces that scan's books instead of creating a new scan.
+ * The scan's corrections (scan_corrections) go with the old books: they
+ * address books by position, which mean nothing in the new reading.
+ * api/scan-rerun/[scanId].js only re-runs an edited scan once the user agreed
+ * to that.
+ *
+ * Progress is reported through a single onEvent callback, so the same pipeline
+ * can feed job status rows and a live stream without knowing about either:
+ *
+ *   { type: "stage", stage, progress: { done, total } | null }
+ *   { type: "recognized", count, books }   - after recognition, raw AI output
+ *   { type: "book", index, book, progress } - each book as its metadata arrives,
+ *                                            with its verified confidence; index
+ *                                            is its place in "recognized"
+ *   { type: "done", scan_id }
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { query } from "./database.js";
+import { getVisionProvider } from "./visionProviders.js";
+import { recognizeScanImages } from "./scanRecognition.js";
+import { enrichBooks } from "./googleBooks.js";
+import { scoreBookMatch } from "./confidenceScoring.js";
+import { checkLimit, incrementUsage } from "./usageTracking.js";
+import { storeScanImages } from "./imageStorage.js";
+import { scanBookKeys } from "./bookKeys.js";
+import { coverUrl } from "./coverImages.js";
+
+/**
+ * Wraps a vision provider so every request checks the daily limit first and
+ * is counted once it succeeds, like the metadata lookups in googleBooks.js.
+ * The upload only checks the limit once, and tiles and variants can turn one
+ * scan into dozens of requests (MAX_IMAGES_PER_SCAN photos, each up to
+ * MAX_TILES tiles plus the variant passes).
+ *
+ * A request past the limit throws with the limit's reason, which fails the
+ * job. A variant pass that hits it is only skipped (imageVariants.js), but
+ * the next photo or tile then stops the scan. Photos answered by the vision
+ * cache never reach the provider, so they cost nothing.
+ *
+ * Providers without a usageApi (local server, fixture) are returned as is.
+ */
+function withUsageLimit(provider) {
+  if (!provider.usageApi) return provider;
+
+  return {
+    ...provider,
+    recognizeBooks: async (imagePath, options) => {
+      const usageLimit = await checkLimit(provider.usageApi);
+      if (usageLimit.limited) {
+        console.log(
+          `[scanPipeline] ${provider.name} daily limit reached (${usageLimit.count}). Stopping recognition.`,
+        );
+        throw new Error(usageLimit.reason);
+      }
+
+      const result = await provider.recognizeBooks(imagePath, options);
+      await incrementUsage(provider.usageApi);
+      return result;
+    },
+  };
+}
+
+/**
+ * Runs recognition, enrichment and storage for one upload.
+ *
+ * @param {Object} input
+ * @param {Array<Object>} input.images - { path, filename, size, type } per photo
+ * @param {string} input.providerName - Vision provider, resolved at upload time
+ * @param {string} input.tilingMode - "off" | "on" | "auto"
+ * @param {Array<string>} [input.variants] - Preprocessing variants (imageVariants.js)
+ * @param {Object|null} [input.languageHint] - Expected language and script of
+ *   the shelf (languageHints.js), for recognition and Google Books lookups
+ * @param {boolean} [input.forceRecognition] - Ignore cached vision results (visionCache.js)
+ * @param {string|null} input.userId - Owner if logged in
+ * @param {string|null} input.deviceId - Owner if anonymous
+ * @param {string} [input.rerunScanId] - Existing scan to update instead of
+ *   creating a new one (its photos are already stored)
+ * @param {Object} [options]
+ * @param {Function} [options.onEvent] - Awaited for every progress event (see above)
+ * @returns {Promise<Object>} { scanId, recognizedBooks }
+ */
+export async function runScanPipeline(input, options = {}) {
+  const {
+    images,
+    providerName,
+    tilingMode,
+    variants = [],
+    languageHint = null,
+    forceRecognition = false,
+    userId,
+    deviceId,
+    rerunScanId,
+  } = input;
+  const emit = async (event) => {
+    if (options.onEvent) await options.onEvent(event);
+  };
+
+  const provider = withUsageLimit(getVisionProvider(providerName));
+
+  // Recognize every photo, create the overlay previews and merge the photos
+  // into one deduplicated books array
+  const { recognizedBooks, previewImages } = await recognizeScanImages(images, provider, {
+    tilingMode,
+    variants,
+    languageHint,
+    forceRecognition,
+    owner: { userId, deviceId },
+    onProgress: (stage, progress) => emit({ type: "stage", stage, progress }),
+  });
+
+  console.log(`[scanPipeline] AI recognized ${recognizedBooks.books.length} books`);
+  await emit({
+    type: "recognized",
+    count: recognizedBooks.books.length,
+    books: recognizedBooks.books,
+  });
+
+  // Populate book_cache: the scans row keeps the AI output, and
+  // GET /api/scan/:scanId joins the metadata at read time. Each book's
+  // confidence is recomputed from how well its Google Books match agrees with
+  // the reading (confidenceScoring.js), and that is stored with the scan.
+  await emit({
+    type: "stage",
+    stage: "enriching",
+    progress: { done: 0, total: recognizedBooks.books.length },
+  });
+  await enrichBooks(recognizedBooks.books, {
+    languageHint,
+    onBookEnriched: async (book, progress) => {
+      const { index } = progress;
+      const recognized = recognizedBooks.books[index];
+      Object.assign(recognized, scoreBookMatch(recognized, book));
+
+      await emit({
+        type: "book",
+        index,
+        book: {
+          ...book,
+          // Proxied like GET /api/scan/:scanId does, so live cards don't hotlink
+          cover_url: coverUrl(book) || book.cover_url,
+          confidence: recognized.confidence,
+          verification: recognized.verification,
+        },
+        progress,
+      });
+      await emit({ type: "stage", stage: "enriching", progress });
+    },
+  });
+
+  // Books enrichment never reached (daily Google Books limit) are unverified
+  for (const book of recognizedBooks.books) {
+    if (!book.verification) Object.assign(book, scoreBookMatch(book, null));
+  }
+
+  await emit({ type: "stage", stage: "saving", progress: null });
+
+  if (rerunScanId) {
+    await query(
+      "UPDATE scans SET recognized_books = $2, preview_images = $3, book_keys = $4 WHERE scan_id = $1",
+      [
+        rerunScanId,
+        JSON.stringify(recognizedBooks),
+        JSON.stringify(previewImages),
+        scanBookKeys(recognizedBooks.books),
+      ],
+    );
+    await query("DELETE FROM scan_corrections WHERE scan_id = $1", [rerunScanId]);
+    // Rebuilt from the new books on the next Results visit
+    await query("DELETE FROM scan_series WHERE scan_id = $1", [rerunScanId]);
+
+    console.log(`[scanPipeline] Scan ${rerunScanId} recognized again`);
+    await emit({ type: "done", scan_id: rerunScanId });
+
+    return { scanId: rerunScanId, recognizedBooks };
+  }
+
+  const scanId = uuidv4();
+
+  // Keep the photos for re-runs and thumbnails. Storage is optional, so a
+  // failure only costs those features, not the scan.
+  const storedImages = await storeScanImages(scanId, images).catch((error) => {
+    console.error("[scanPipeline] Could not store photos:", error.message);
+    return null;
+  });
+
+  if (userId) {
+    await query(
+      `INSERT INTO scans (scan_id, user_id, recognized_books, preview_images, stored_images, book_keys)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        scanId,
+        userId,
+        JSON.stringify(recognizedBooks),
+        JSON.stringify(previewImages),
+        storedImages ? JSON.stringify(storedImages) : null,
+        scanBookKeys(recognizedBooks.books),
+      ],
+    );
+  } else {
+    // Anonymous user: upsert anon_sessions first (FK constraint), then insert scan
+    await query(
+      `INSERT INTO anon_sessions (device_id, created_at, last_active)
+       VALUES ($1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+       ON CONFLICT (device_id) DO UPDATE SET last_active = CURRENT_TIMESTAMP`,
+      [deviceId],
+    );
+    await query(
+      `INSERT INTO scans (scan_id, device_id, recognized_books, preview_images, stored_images, book_keys)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        scanId,
+        deviceId,
+        JSON.stringify(recognizedBooks),
+        JSON.stringify(previewImages),
+        storedImages ? JSON.stringify(storedImages) : null,
+        scanBookKeys(recognizedBooks.books),
+      ],
+    );
+  }
+
+  console.log(`[scanPipeline] Scan ${scanId} saved to database`);
+  await emit({ type: "done", scan_id: scanId });
+
+  return { scanId, recognizedBooks };
+}
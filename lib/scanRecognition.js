@@ -0,0 +1,224 @@
+/**
+ * scanRecognition.js
+ *
+ * Recognition step of the upload pipeline for a whole scan, which can be made
+ * of several photos of the same bookcase (a real bookcase needs 3-6 shots).
+ *
+ * 1. Create the downscaled preview of every photo, used by the Results page
+ *    overlay ("resizing")
+ * 2. For each photo, recognize books with the configured vision provider,
+ *    tiled or not (see tiledRecognition.js), and tag every detected book with
+ *    the photo's image_index, so its bbox can be drawn on the right photo
+ *    ("recognizing"). With preprocessing variants configured, each photo also
+ *    gets the extra passes of imageVariants.js, reconciled per photo.
+ *    A photo recognized before (same perceptual hash, give or take a few
+ *    bits) reuses the stored result instead (visionCache.js).
+ *
+ * Then all photos are merged into one books array, deduplicated by normalized
+ * title/author (bookMerge.js): a book at the edge of two overlapping photos
+ * shows up once, with images: [0, 1].
+ *
+ * The result has the same { books, metadata } shape as a single-photo
+ * recognition, so enrichment, storage and the read endpoints stay unchanged.
+ * metadata.images holds the per-photo details.
+ */
+
+import { recognizeWithProvider } from "./visionProviders.js";
+import { shouldTile, recognizeBooksTiled } from "./tiledRecognition.js";
+import { recognizeImageVariants } from "./imageVariants.js";
+import {
+  computeImageHash,
+  recognitionSettings,
+  findCachedRecognition,
+  storeCachedRecognition,
+} from "./visionCache.js";
+import { createScanPreview } from "./scanImage.js";
+import { mergeBookDetections } from "./bookMerge.js";
+
+// Maximum photos per scan. Each photo is at least one vision API call.
+export const MAX_IMAGES_PER_SCAN = 6;
+
+/**
+ * Recognizes one photo: tiled or whole, then the preprocessing variants.
+ * Every provider call gets the scan's language hint.
+ *
+ * @returns {Promise<Object>} { books, metadata, variants } - variants is the
+ *   per-variant metadata, or null without variants
+ */
+async function recognizePhoto(
+  imagePath,
+  provider,
+  { useTiling, variants, languageHint },
+) {
+  const result = useTiling
+    ? await recognizeBooksTiled(imagePath, provider, { languageHint })
+    : await recognizeWithProvider(imagePath, provider, { languageHint });
+
+  if (variants.length === 0) {
+    return { books: result.books, metadata: result.metadata || {}, variants: null };
+  }
+
+  const merged = await recognizeImageVariants(imagePath, result, provider, variants, {
+    languageHint,
+  });
+  return { books: merged.books, metadata: result.metadata || {}, variants: merged.variants };
+}
+
+/**
+ * Recognizes books across all photos of a scan.
+ *
+ * @param {Array<Object>} images - One entry per photo:
+ *   { path (string), filename (string|null), size (number|null) }
+ * @param {Object} provider - A provider from getVisionProvider(). Every
+ *   photo, tile and variant is one provider.recognizeBooks() call, so usage
+ *   tracking wraps the provider (scanPipeline.js)
+ * @param {Object} [options]
+ * @param {string} [options.tilingMode] - "off" | "on" | "auto", applied per photo
+ * @param {Array<string>} [options.variants] - Preprocessing variants run on
+ *   every photo, from resolveImageVariants() (default none)
+ * @param {Object|null} [options.languageHint] - Expected language and script
+ *   of the shelf, from resolveLanguageHint() (default none)
+ * @param {boolean} [options.forceRecognition] - Skip the vision cache lookup
+ *   and always call the provider (the fresh result is still stored)
+ * @param {Object} [options.owner] - { userId, deviceId } of the scan; cached
+ *   vision results are only shared with the same owner (without one, the
+ *   cache is not used)
+ * @param {Function} [options.onProgress] - Awaited as onProgress(stage, { done, total })
+ *   before each photo of each stage ("resizing", "recognizing"), and once more
+ *   with done === total when the stage is complete
+ * @returns {Promise<Object>} {
+ *   recognizedBooks: { books, metadata } - ready to store in scans.recognized_books
+ *   previewImages: Array<string|null> - preview data URL per photo, by image_index
+ * }
+ */
+export async function recognizeScanImages(images, provider, options = {}) {
+  const {
+    tilingMode = "off",
+    variants = [],
+    languageHint = null,
+    forceRecognition = false,
+    owner = null,
+    onProgress,
+  } = options;
+  const report = async (stage, done) => {
+    if (onProgress) await onProgress(stage, { done, total: images.length });
+  };
+  const startTime = Date.now();
+
+  const groups = [];
+  const imageMetadata = [];
+  const previews = [];
+  let lastMetadata = {};
+
+  for (let index = 0; index < images.length; index++) {
+    await report("resizing", index);
+
+    // A failed preview must not fail the scan; the overlay is simply hidden for that photo.
+    let preview = null;
+    try {
+      preview = await createScanPreview(images[index].path);
+    } catch (previewError) {
+      console.error(
+        `[scanRecognition] Could not create preview for photo ${index + 1}:`,
+        previewError.message,
+      );
+    }
+    previews.push(preview);
+  }
+  await report("resizing", images.length);
+
+  for (let index = 0; index < images.length; index++) {
+    await report("recognizing", index);
+
+    const image = images[index];
+    const preview = previews[index];
+    const useTiling = await shouldTile(image.path, tilingMode);
+
+    console.log(
+      `[scanRecognition] Photo ${index + 1}/${images.length}: ${image.filename || image.path} (${useTiling ? "tiled" : "single image"})`,
+    );
+
+    const settings = recognitionSettings(useTiling, variants, languageHint);
+    const imageHash = await computeImageHash(image.path).catch((hashError) => {
+      console.error(`[scanRecognition] Could not hash photo ${index + 1}:`, hashError.message);
+      return null;
+    });
+
+    // A near-identical photo recognized before: reuse its result, no provider call
+    const cached =
+      imageHash && !forceRecognition
+        ? await findCachedRecognition(imageHash, provider.name, settings, owner)
+        : null;
+
+    let photo;
+    if (cached) {
+      console.log(
+        `[scanRecognition] Photo ${index + 1}: reusing result cached ${cached.cached_at} (distance ${cached.distance})`,
+      );
+      photo = cached.result;
+    } else {
+      photo = await recognizePhoto(image.path, provider, {
+        useTiling,
+        variants,
+        languageHint,
+      });
+      // Fixture results say nothing about the photo; never let them answer for it
+      if (imageHash && !photo.metadata.mock) {
+        await storeCachedRecognition(imageHash, provider.name, settings, photo, owner);
+      }
+    }
+
+    const { books, variants: variantMetadata } = photo;
+    lastMetadata = photo.metadata;
+
+    groups.push({
+      index,
+      books: books.map((book) => ({ ...book, image_index: index })),
+    });
+
+    imageMetadata.push({
+      index,
+      filename: image.filename || null,
+      size: image.size ?? null,
+      books_detected: books.length,
+      processing_time_ms: lastMetadata.processing_time_ms ?? null,
+      tiled: Boolean(lastMetadata.tiled),
+      ...(lastMetadata.tiled
+        ? { tile_grid: lastMetadata.tile_grid, tiles: lastMetadata.tiles }
+        : {}),
+      ...(variantMetadata ? { variants: variantMetadata } : {}),
+      vision_cache: cached
+        ? { hit: true, distance: cached.distance, cached_at: cached.cached_at }
+        : { hit: false },
+      preview: preview ? { width: preview.width, height: preview.height } : null,
+    });
+  }
+
+  await report("recognizing", images.length);
+
+  const books = mergeBookDetections(groups, "images");
+  const processingTimeMs = Date.now() - startTime;
+
+  if (images.length > 1) {
+    console.log(
+      `[scanRecognition] Merged ${groups.reduce((sum, g) => sum + g.books.length, 0)} detections from ${images.length} photos into ${books.length} books`,
+    );
+  }
+
+  return {
+    recognizedBooks: {
+      books,
+      metadata: {
+        total_books_detected: books.length,
+        processing_time_ms: processingTimeMs,
+        model_used: lastMetadata.model_used || "unknown",
+        mock: Boolean(lastMetadata.mock),
+        provider: provider.name,
+        image_count: images.length,
+        language_hint: languageHint,
+        images: imageMetadata,
+      },
+    },
+    previewImages: previews.map((preview) => (preview ? preview.data_url : null)),
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * seriesAI.js
+ *
+ * LLM assist for series detection (seriesDetection.js), on the same Groq
+ * text model as recommendationAI.js.
+ *
+ * Titles rarely say which series a book belongs to ("Harry Potter and the
+ * Chamber of Secrets" is volume 2 of 7), and book metadata never lists the
+ * volumes a shelf is missing. The model is given the scan's books, with any
+ * series already found in their metadata, and answers with the series they
+ * belong to: name, author, the full list of main volumes and which books on
+ * the shelf are which volume.
+ *
+ * The answer is validated strictly (book numbers in range, whole volume
+ * numbers, at most MAX_SERIES_VOLUMES volumes): anything malformed is
+ * dropped rather than trusted.
+ */
+
+import { fixtureFetch, replayApiKey } from "./httpFixtures.js";
+import { MAX_SERIES_VOLUMES, parseVolumeNumber } from "./seriesDetection.js";
+
+const GROQ_API_URL = "https://api.groq.com/openai/v1/chat/completions";
+const MODEL_ID = "meta-llama/llama-4-scout-17b-16e-instruct";
+const REQUEST_TIMEOUT_MS = 20000;
+const MAX_TOKENS = 2048;
+
+const SYSTEM_MESSAGE = `You are a librarian who knows book series well. You are given the books on a user's shelf, numbered.
+
+Find the books that belong to a book series (novels, manga, comics, multi-volume non-fiction). For each series:
+- "series": the series name as it is usually known
+- "author": the series author
+- "total_volumes": the number of main volumes published so far
+- "volumes": every main volume in reading order, as {"number": 1, "title": "..."}
+- "owned": which of the user's books are which volume, as {"book": <book number>, "number": <volume number>}
+
+RULES:
+1. Only list series that at least one of the user's books belongs to.
+2. Only main numbered volumes: no novellas, companions or box sets.
+3. Give titles in the language and script of the user's books when possible.
+4. If a book line already names its series and volume, keep them.
+5. Do NOT invent series or volumes. If you are unsure, leave the book out.
+6. Respond ONLY with a valid JSON array, no other text. Respond [] if no book is in a series.`;
+
+/**
+ * @param {Array<Object>} books - Scan books: { title, author, series_name?, series_volume? }
+ * @returns {string}
+ */
+function buildPrompt(books) {
+  const lines = books.map((book, index) => {
+    let line = `${index}. "${book.title}" by ${book.author || "Unknown"}`;
+    if (book.series_name) {
+      line += ` [series: ${book.series_name}${book.series_volume ? `, volume ${book.series_volume}` : ""}]`;
+    }
+    return line;
+  });
+  return `My shelf:\n${lines.join("\n")}\n\nWhich of these books belong to a series?`;
+}
+
+function parseJsonArray(text) {
+  const trimmed = (text || "").trim();
+  for (const candidate of [trimmed, trimmed.match(/\[[\s\S]*\]/)?.[0]]) {
+    if (!candidate) continue;
+    try {
+      const parsed = JSON.parse(candidate);
+      if (Array.isArray(parsed)) return parsed;
+    } catch {
+      // try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Keeps only well-formed series entries.
+ *
+ * @param {Array<Object>} entries - Parsed model output
+ * @param {number} bookCount - Books in the prompt
+ * @returns {Array<Object>} [{ series, author, total_volumes, volumes, owned }]
+ */
+function validateSeries(entries, bookCount) {
+  const series = [];
+  for (const entry of entries) {
+    const name = typeof entry?.series === "string" ? entry.series.trim() : "";
+    if (!name) continue;
+
+    const volumes = (Array.isArray(entry.volumes) ? entry.volumes : [])
+      .map((volume) => ({
+        number: parseVolumeNumber(volume?.number),
+        title: typeof volume?.title === "string" ? volume.title.trim() : "",
+      }))
+      .filter((volume) => Number.isInteger(volume.number) && volume.title)
+      .slice(0, MAX_SERIES_VOLUMES);
+
+    const owned = (Array.isArray(entry.owned) ? entry.owned : [])
+      .map((item) => ({ book: Number(item?.book), number: parseVolumeNumber(item?.number) }))
+      .filter(
+        (item) =>
+          Number.isInteger(item.book) && item.book >= 0 && item.book < bookCount && item.number,
+      );
+    if (owned.length === 0) continue;
+
+    const total = Number(entry.total_volumes);
+    series.push({
+      series: name,
+      author: typeof entry.author === "string" && entry.author.trim() ? entry.author.trim() : null,
+      total_volumes:
+        Number.isInteger(total) && total > 0 && total <= MAX_SERIES_VOLUMES ? total : null,
+      volumes,
+      owned,
+    });
+  }
+  return series;
+}
+
+/**
+ * Asks the LLM which books of a scan belong to which series.
+ *
+ * @param {Array<Object>} books - Scan books in scan order (book numbers in
+ *   the answer are indices into this array)
+ * @returns {Promise<Object>} { series: [...] (see validateSeries), metadata }
+ * @throws {Error} If the API key is missing or the request fails
+ */
+export async function detectSeriesWithLLM(books) {
+  const apiKey = process.env.GROQ_API_KEY || replayApiKey();
+  if (!apiKey) {
+    throw new Error("GROQ_API_KEY is not set in environment variables.");
+  }
+
+  const startTime = Date.now();
+  const prompt = buildPrompt(books);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    // Record/replay (lib/httpFixtures.js): the prompt identifies the request
+    const response = await fixtureFetch(
+      { service: "groq-series", key: `${MODEL_ID}:${prompt}` },
+      GROQ_API_URL,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          model: MODEL_ID,
+          messages: [
+            { role: "system", content: SYSTEM_MESSAGE },
+            { role: "user", content: prompt },
+          ],
+          max_tokens: MAX_TOKENS,
+          // Factual recall, not creativity
+          temperature: 0.1,
+        }),
+        signal: controller.signal,
+      },
+    );
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(`Groq API returned ${response.status}: ${errorBody.substring(0, 300)}`);
+    }
+
+    const data = await response.json();
+    const parsed = parseJsonArray(data.choices?.[0]?.message?.content);
+    if (!parsed) {
+      console.warn("[seriesAI] Could not parse the series answer; treating it as no series");
+    }
+
+    const series = validateSeries(parsed || [], books.length);
+    const processingTime = Date.now() - startTime;
+    console.log(`[seriesAI] ${series.length} series found in ${processingTime}ms`);
+
+    return {
+      series,
+      metadata: { model_used: MODEL_ID, processing_time_ms: processingTime },
+    };
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw new Error(`Groq series detection timed out after ${REQUEST_TIMEOUT_MS}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * seriesDetection.js
+ *
+ * Groups the books of a scan into series with volume numbers and works out
+ * which volumes are missing from the shelf.
+ *
+ * Two sources, combined per book:
+ * - metadata: the series and volume Google Books gives for the matched
+ *   edition (book_cache.series_name / series_volume, see googleBooks.js), or
+ *   a series pattern in the title itself: "Leviathan Wakes (The Expanse, #1)",
+ *   "Dune Messiah: Dune Chronicles, Book 2", "One Piece, Vol. 3"
+ * - assist: the LLM (seriesAI.js), which knows series that titles do not
+ *   spell out ("Harry Potter and the Chamber of Secrets" is volume 2) and
+ *   lists every main volume of a series
+ *
+ * Metadata wins when both place a book. Missing volumes come from the
+ * assist's volume list; without one, only the gaps below the highest owned
+ * volume are known (owning 1 and 4 means 2 and 3 are missing).
+ *
+ * Report shape, stored in scan_series.series:
+ *   { series: [{ name, author, total_volumes,
+ *                owned: [{ volume, title, position }],
+ *                missing: [{ volume, title }],
+ *                sources: ["metadata", "assist"] }],
+ *     metadata: { assisted, books_in_series, missing_count, created_at } }
+ */
+
+import { dedupeKey } from "./bookMerge.js";
+
+// A series volume list longer than this is not a shelf series (or a bad answer)
+export const MAX_SERIES_VOLUMES = 60;
+
+const ROMAN_NUMERALS = { i: 1, ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7, viii: 8, ix: 9, x: 10 };
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10,
+};
+
+const VOLUME = String.raw`(\d+(?:\.\d+)?|[ivx]+|one|two|three|four|five|six|seven|eight|nine|ten)`;
+const VOLUME_WORD = String.raw`(?:book|vol\.?|volume|part|tome|band|#)`;
+
+// In order; every pattern captures (series, volume)
+const TITLE_PATTERNS = [
+  // "Leviathan Wakes (The Expanse, #1)", "(Discworld Book 3)"
+  new RegExp(String.raw`\(\s*([^()]+?)\s*,?\s*${VOLUME_WORD}\s*${VOLUME}\s*\)`, "i"),
+  // "Dune Chronicles, Book 2", "One Piece, Vol. 3", "Wheel of Time #4"
+  new RegExp(String.raw`([^:,()]+?)\s*,?\s+${VOLUME_WORD}\s*${VOLUME}\b`, "i"),
+  // "Book Two of the Expanse", "Volume 3 of The Stormlight Archive"
+  new RegExp(String.raw`${VOLUME_WORD}\s*${VOLUME}\s+(?:of|in)\s+(?:the\s+)?([^:,()]+)`, "i"),
+];
+
+/**
+ * @param {string|number} value - "3", "iii", "three", "third", 3
+ * @returns {number|null}
+ */
+export function parseVolumeNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) && value > 0 ? value : null;
+  const text = (value || "").toString().trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = parseFloat(text);
+    return number > 0 ? number : null;
+  }
+  return ROMAN_NUMERALS[text] ?? NUMBER_WORDS[text] ?? null;
+}
+
+/**
+ * Finds a series and volume number spelled out in a title.
+ *
+ * @param {string} title
+ * @param {string} [subtitle]
+ * @returns {{ name: string, volume: number }|null}
+ */
+export function parseSeriesFromTitle(title, subtitle) {
+  for (const text of [title, subtitle]) {
+    if (!text) continue;
+    for (const [index, pattern] of TITLE_PATTERNS.entries()) {
+      const match = text.match(pattern);
+      if (!match) continue;
+      // The "Book Two of the Expanse" pattern captures volume first
+      const [name, volume] = index === 2 ? [match[2], match[1]] : [match[1], match[2]];
+      const number = parseVolumeNumber(volume);
+      const cleanName = name.trim();
+      if (number && cleanName.length > 1) return { name: cleanName, volume: number };
+    }
+  }
+  return null;
+}
+
+// "The Expanse", "Expanse" and "The Expanse series" are the same series
+function seriesKey(name) {
+  return dedupeKey(name)
+    .replace(/^the /, "")
+    .replace(/ (series|saga|trilogy|cycle|chronicles)$/, "");
+}
+
+/**
+ * Series and volume of one book from its metadata, if any.
+ *
+ * @param {Object} book - Scan book joined with book_cache: { title,
+ *   matched_title, series_name, series_volume }
+ * @returns {{ name: string, volume: number }|null}
+ */
+function metadataSeries(book) {
+  const volume = parseVolumeNumber(book.series_volume);
+  if (book.series_name && volume) return { name: book.series_name, volume };
+  return parseSeriesFromTitle(book.title) || parseSeriesFromTitle(book.matched_title);
+}
+
+/**
+ * Builds the series report of a scan.
+ *
+ * @param {Array<Object>} books - Scan books in scan order, joined with
+ *   book_cache (title, author, matched_title, series_name, series_volume)
+ * @param {Array<Object>|null} assist - From detectSeriesWithLLM(), or null
+ *   when the LLM was not available
+ * @returns {Object} { series, metadata } (see the header comment)
+ */
+export function buildSeriesReport(books, assist = null) {
+  const groups = new Map();
+  const placed = new Set();
+
+  const groupFor = (name, author) => {
+    const key = seriesKey(name);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        name,
+        author: author || null,
+        total_volumes: null,
+        owned: [],
+        known: new Map(),
+        sources: new Set(),
+      });
+    }
+    return groups.get(key);
+  };
+
+  books.forEach((book, position) => {
+    const found = metadataSeries(book);
+    if (!found) return;
+    const group = groupFor(found.name, book.author);
+    group.owned.push({ volume: found.volume, title: book.title, position });
+    group.sources.add("metadata");
+    placed.add(position);
+  });
+
+  for (const entry of assist || []) {
+    const group = groupFor(entry.series, entry.author);
+    if (entry.author && !group.author) group.author = entry.author;
+    if (entry.total_volumes) group.total_volumes = entry.total_volumes;
+    for (const volume of entry.volumes) {
+      if (!group.known.has(volume.number)) group.known.set(volume.number, volume.title);
+    }
+    for (const owned of entry.owned) {
+      if (placed.has(owned.book)) continue;
+      group.owned.push({ volume: owned.number, title: books[owned.book].title, position: owned.book });
+      group.sources.add("assist");
+      placed.add(owned.book);
+    }
+  }
+
+  const series = [];
+  for (const group of groups.values()) {
+    if (group.owned.length === 0) continue;
+
+    group.owned.sort((a, b) => a.volume - b.volume);
+    const ownedVolumes = new Set(group.owned.map((book) => book.volume));
+
+    let missing;
+    if (group.known.size > 0) {
+      missing = [...group.known.entries()]
+        .filter(([volume]) => !ownedVolumes.has(volume))
+        .map(([volume, title]) => ({ volume, title: title || null }));
+    } else {
+      const highest = Math.floor(Math.max(...ownedVolumes));
+      missing = [];
+      for (let volume = 1; volume < highest && volume <= MAX_SERIES_VOLUMES; volume++) {
+        if (!ownedVolumes.has(volume)) missing.push({ volume, title: null });
+      }
+    }
+    missing.sort((a, b) => a.volume - b.volume);
+
+    // One book of a series with nothing known about the rest is not worth a panel
+    if (group.owned.length === 1 && missing.length === 0 && !group.total_volumes) continue;
+
+    series.push({
+      name: group.name,
+      author: group.author,
+      total_volumes: group.total_volumes || (group.known.size > 0 ? group.known.size : null),
+      owned: group.owned,
+      missing,
+      sources: [...group.sources],
+    });
+  }
+
+  series.sort((a, b) => b.owned.length - a.owned.length || a.name.localeCompare(b.name));
+
+  return {
+    series,
+    metadata: {
+      assisted: assist !== null,
+      books_in_series: series.reduce((sum, entry) => sum + entry.owned.length, 0),
+      missing_count: series.reduce((sum, entry) => sum + entry.missing.length, 0),
+      created_at: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Missing volumes with a known title, as recommendation candidates.
+ *
+ * @param {Object|null} report - From buildSeriesReport()
+ * @returns {Array<Object>} [{ title, author, series, volume }]
+ */
+export function missingVolumeCandidates(report) {
+  const candidates = [];
+  for (const entry of report?.series || []) {
+    for (const volume of entry.missing) {
+      if (!volume.title) continue;
+      candidates.push({
+        title: volume.title,
+        author: entry.author || "Unknown",
+        series: entry.name,
+        volume: volume.volume,
+      });
+    }
+  }
+  return candidates;
+}
@@ -0,0 +1,259 @@
+/**
+ * tiledRecognition.js
+ *
+ * Tiled book recognition for wide or high-resolution shelf photos.
+ *
+ * Problem:
+ * Every vision request downscales the photo to 1568px on the longest edge
+ * (see convertImageToBase64 in groqVisionAI.js). On a full-wall bookcase shot
+ * at 4000-6000px, that shrinks each spine to a few pixels wide and the model
+ * misses most of the titles.
+ *
+ * Approach:
+ * - Cut the EXIF-rotated image into a grid of overlapping crops with sharp,
+ *   each close to the 1568px the model actually sees, so no detail is lost
+ * - Run the configured vision provider on each crop, one after another
+ *   (sequential to stay polite with provider rate limits)
+ * - Merge the per-tile results into one books array, removing the duplicates
+ *   caused by spines that sit in the overlap between two tiles
+ * - Record which tiles each book came from, plus a per-tile summary in
+ *   metadata.tiles, so a bad tile can be traced when debugging
+ *
+ * Modes (form field "tiled" on upload, or VISION_TILING as the default):
+ * - "off":  never tile (default)
+ * - "on":   always tile
+ * - "auto": tile only when the image is large enough to lose detail
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import { v4 as uuidv4 } from "uuid";
+import { recognizeWithProvider } from "./visionProviders.js";
+import { mergeBookDetections } from "./bookMerge.js";
+
+// Matches the resize target in groqVisionAI.js: a tile this size reaches the model unscaled.
+const TILE_TARGET_PX = 1568;
+
+// Fraction of each tile shared with its neighbour, so a spine cut by one tile edge is whole in the next.
+const TILE_OVERLAP = 0.15;
+
+// Upper bound on tiles per image. Each tile is one vision API call, so this caps quota per scan.
+const MAX_TILES = 8;
+
+// In "auto" mode, tile when the longest edge is at least this many times the target size.
+const AUTO_TILE_THRESHOLD = 1.5;
+
+const VALID_MODES = new Set(["off", "on", "auto"]);
+
+/**
+ * Resolves the tiling mode from the request value and the VISION_TILING default.
+ * Accepts "true"/"false" from form checkboxes as aliases for "on"/"off".
+ *
+ * @param {string|undefined} requested - Value of the "tiled" form field, if any
+ * @returns {string} "off" | "on" | "auto"
+ */
+export function resolveTilingMode(requested) {
+  let mode = (requested || process.env.VISION_TILING || "off").toString().trim().toLowerCase();
+  if (mode === "true") mode = "on";
+  if (mode === "false") mode = "off";
+  return VALID_MODES.has(mode) ? mode : "off";
+}
+
+/**
+ * Decides whether an image should be tiled under the given mode.
+ *
+ * @param {string} imagePath - Path to the uploaded image
+ * @param {string} mode - Result of resolveTilingMode()
+ * @returns {Promise<boolean>}
+ */
+export async function shouldTile(imagePath, mode) {
+  if (mode === "on") return true;
+  if (mode !== "auto") return false;
+
+  const { width, height } = await getOrientedSize(imagePath);
+  return Math.max(width, height) >= TILE_TARGET_PX * AUTO_TILE_THRESHOLD;
+}
+
+/**
+ * Returns the image dimensions after EXIF rotation.
+ * sharp's metadata() reports the stored size, so portrait phone photos
+ * (orientation 5-8) need width and height swapped.
+ */
+async function getOrientedSize(imagePath) {
+  const { width, height, orientation } = await sharp(imagePath).metadata();
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Computes a grid of overlapping crop rectangles covering the whole image.
+ *
+ * Columns and rows are chosen so each tile is close to TILE_TARGET_PX. If that
+ * would exceed MAX_TILES, the grid is shrunk (tiles get bigger and are
+ * downscaled a little by the provider, which is still far better than one
+ * downscaled image).
+ *
+ * @param {number} width - Oriented image width
+ * @param {number} height - Oriented image height
+ * @returns {{ columns: number, rows: number, regions: Array<Object> }}
+ *   regions: [{ left, top, width, height }] in pixels, row-major order
+ */
+export function computeTileGrid(width, height) {
+  let columns = Math.max(1, Math.ceil(width / TILE_TARGET_PX));
+  let rows = Math.max(1, Math.ceil(height / TILE_TARGET_PX));
+
+  while (columns * rows > MAX_TILES) {
+    // Shrink the dimension with more tiles first, keeping tiles roughly square
+    if (columns >= rows) columns -= 1;
+    else rows -= 1;
+  }
+
+  const tileWidth = Math.min(width, Math.ceil((width / columns) * (1 + TILE_OVERLAP)));
+  const tileHeight = Math.min(height, Math.ceil((height / rows) * (1 + TILE_OVERLAP)));
+
+  // Evenly spaced origins; the last tile in each direction ends exactly on the image edge.
+  const stepX = columns > 1 ? (width - tileWidth) / (columns - 1) : 0;
+  const stepY = rows > 1 ? (height - tileHeight) / (rows - 1) : 0;
+
+  const regions = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      regions.push({
+        left: Math.round(column * stepX),
+        top: Math.round(row * stepY),
+        width: tileWidth,
+        height: tileHeight,
+      });
+    }
+  }
+
+  return { columns, rows, regions };
+}
+
+/**
+ * Writes one JPEG per tile next to the uploaded file.
+ * Files are written to disk because providers take an image path.
+ *
+ * @param {string} imagePath - Path to the uploaded image
+ * @returns {Promise<Object>} { columns, rows, width, height, tiles: [{ index, path, region }] }
+ */
+async function createTiles(imagePath) {
+  const { width, height } = await getOrientedSize(imagePath);
+  const { columns, rows, regions } = computeTileGrid(width, height);
+
+  const tileDir = path.dirname(imagePath);
+  const tilePrefix = `tile-${uuidv4()}`;
+  const tiles = [];
+
+  for (let index = 0; index < regions.length; index++) {
+    const region = regions[index];
+    const tilePath = path.join(tileDir, `${tilePrefix}-${index}.jpg`);
+
+    await sharp(imagePath)
+      .rotate() // honour EXIF orientation so regions match getOrientedSize()
+      .extract(region)
+      .jpeg({ quality: 90 })
+      .toFile(tilePath);
+
+    tiles.push({ index, path: tilePath, region });
+  }
+
+  return { columns, rows, width, height, tiles };
+}
+
+/**
+ * Converts a bounding box relative to one tile into a box relative to the
+ * whole image, so the Results overlay can draw it on the full photo.
+ *
+ * @param {Object|null} bbox - { x, y, width, height } as fractions of the tile
+ * @param {Object} region - The tile's { left, top, width, height } in pixels
+ * @param {number} imageWidth - Oriented full image width
+ * @param {number} imageHeight - Oriented full image height
+ * @returns {Object|null} { x, y, width, height } as fractions of the full image
+ */
+function tileBoxToImageBox(bbox, region, imageWidth, imageHeight) {
+  if (!bbox) return null;
+  const round = (v) => Math.round(v * 10000) / 10000;
+  return {
+    x: round((region.left + bbox.x * region.width) / imageWidth),
+    y: round((region.top + bbox.y * region.height) / imageHeight),
+    width: round((bbox.width * region.width) / imageWidth),
+    height: round((bbox.height * region.height) / imageHeight),
+  };
+}
+
+/**
+ * Recognizes books tile by tile and merges the results.
+ *
+ * @param {string} imagePath - Path to the uploaded image
+ * @param {Object} provider - A provider from getVisionProvider()
+ * @param {Object} [options]
+ * @param {Object|null} [options.languageHint] - Passed to the provider for every tile
+ * @returns {Promise<Object>} { books, metadata } in the same shape as a
+ *   single-image result, with metadata.tiled, metadata.tile_grid and
+ *   metadata.tiles (per-tile provenance) added
+ */
+export async function recognizeBooksTiled(imagePath, provider, options = {}) {
+  const { languageHint = null } = options;
+  const startTime = Date.now();
+  const { columns, rows, width, height, tiles } = await createTiles(imagePath);
+
+  console.log(
+    `[tiledRecognition] ${width}x${height} image split into ${columns}x${rows} tiles (${tiles.length} total)`,
+  );
+
+  const tileResults = [];
+  let lastMetadata = {};
+
+  try {
+    for (const tile of tiles) {
+      const result = await recognizeWithProvider(tile.path, provider, { languageHint });
+      lastMetadata = result.metadata || {};
+
+      console.log(
+        `[tiledRecognition] Tile ${tile.index + 1}/${tiles.length}: ${result.books.length} books`,
+      );
+
+      tileResults.push({
+        index: tile.index,
+        region: tile.region,
+        books: result.books.map((book) => ({
+          ...book,
+          bbox: tileBoxToImageBox(book.bbox, tile.region, width, height),
+        })),
+        processing_time_ms: lastMetadata.processing_time_ms ?? null,
+      });
+    }
+  } finally {
+    // Tiles are only needed for the provider calls; never leave them in /tmp.
+    await Promise.all(tiles.map((tile) => fs.unlink(tile.path).catch(() => {})));
+  }
+
+  // Spines in the overlap between tiles are seen twice; see bookMerge.js for the rules.
+  const books = mergeBookDetections(tileResults, "tiles");
+  const processingTimeMs = Date.now() - startTime;
+
+  console.log(
+    `[tiledRecognition] Merged ${tileResults.reduce((sum, t) => sum + t.books.length, 0)} tile detections into ${books.length} books in ${processingTimeMs}ms`,
+  );
+
+  return {
+    books,
+    metadata: {
+      total_books_detected: books.length,
+      processing_time_ms: processingTimeMs,
+      model_used: lastMetadata.model_used || "unknown",
+      mock: Boolean(lastMetadata.mock),
+      provider: provider.name,
+      tiled: true,
+      tile_grid: { columns, rows, overlap: TILE_OVERLAP, image_width: width, image_height: height },
+      tiles: tileResults.map((tile) => ({
+        index: tile.index,
+        region: tile.region,
+        books_detected: tile.books.length,
+        processing_time_ms: tile.processing_time_ms,
+        titles: tile.books.map((book) => book.title),
+      })),
+    },
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * visionCache.js
+ *
+ * Reuses vision results for photos that were already recognized, so a photo
+ * re-uploaded after a failure, or from a second device of the same account,
+ * does not cost another groq_vision request.
+ *
+ * Photos are matched by perceptual hash (dHash) rather than by file bytes: a
+ * re-encoded, resized or re-shared copy of the same photo has different bytes
+ * but a hash within a few bits of the original. A stored result is reused
+ * when the Hamming distance is at most VISION_CACHE_MAX_DISTANCE bits of 256
+ * (default 24), for the same provider and recognition settings (tiling,
+ * preprocessing variants, language hint), since those change what the model
+ * sees or is asked.
+ *
+ * Only the same owner's results are reused: the user account when logged in,
+ * the device otherwise. A stored result lists the books on someone's shelf, so
+ * a near-identical photo from another account must not reveal it.
+ *
+ * The distance is only computed for candidates that share at least one of 16
+ * hash bands (16 bits each, GIN-indexed). Two hashes within 15 bits always
+ * share a band; further apart they almost always still do, since the flipped
+ * bits would have to touch every band.
+ *
+ * Results expire after VISION_CACHE_TTL_DAYS (default 30): they are no longer
+ * matched, and expired rows are deleted whenever a new result is stored.
+ *
+ * Everything here is best effort: a cache error is logged and the photo is
+ * simply recognized again.
+ *
+ * Table: vision_cache (scripts/setup-database.js)
+ */
+
+import sharp from "sharp";
+import { query } from "./database.js";
+
+// dHash grid: 17x16 pixels give 16 left/right comparisons per row, 256 bits.
+// Finer than the classic 64-bit dHash, so two overlapping shots of the same
+// bookcase do not pass for the same photo.
+const HASH_WIDTH = 17;
+const HASH_HEIGHT = 16;
+
+const BAND_BITS = 16;
+
+const DEFAULT_MAX_DISTANCE = 24;
+const DEFAULT_TTL_DAYS = 30;
+
+function maxDistance() {
+  const value = parseInt(process.env.VISION_CACHE_MAX_DISTANCE, 10);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_MAX_DISTANCE;
+}
+
+function ttlDays() {
+  const value = parseInt(process.env.VISION_CACHE_TTL_DAYS, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_TTL_DAYS;
+}
+
+/**
+ * Splits a hash into its bands, e.g. ["0:3fa0", "1:0c1e", ...]. The band
+ * number is part of the value so equal bits at different offsets don't match.
+ *
+ * @param {string} imageHash - From computeImageHash()
+ * @returns {Array<string>}
+ */
+function hashBands(imageHash) {
+  const bands = [];
+  for (let offset = 0; offset < imageHash.length; offset += BAND_BITS) {
+    const value = parseInt(imageHash.slice(offset, offset + BAND_BITS), 2);
+    bands.push(`${offset / BAND_BITS}:${value.toString(16).padStart(BAND_BITS / 4, "0")}`);
+  }
+  return bands;
+}
+
+/**
+ * Column and value a cached result is scoped to: the account when logged in,
+ * the device otherwise.
+ *
+ * @param {{ userId: string|null, deviceId: string|null }} owner
+ * @returns {{ column: string, value: string }|null} null without either
+ */
+function ownerScope({ userId, deviceId } = {}) {
+  if (userId) return { column: "user_id", value: userId };
+  if (deviceId) return { column: "device_id", value: deviceId };
+  return null;
+}
+
+/**
+ * Computes the difference hash of a photo: EXIF-rotated, greyscale, squashed
+ * to 17x16, one bit per pixel set when it is brighter than its right neighbour.
+ *
+ * @param {string} imagePath
+ * @returns {Promise<string>} 256-character bit string, the format of a BIT(256) column
+ */
+export async function computeImageHash(imagePath) {
+  const pixels = await sharp(imagePath)
+    .rotate()
+    .greyscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let bits = "";
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const offset = y * HASH_WIDTH + x;
+      bits += pixels[offset] > pixels[offset + 1] ? "1" : "0";
+    }
+  }
+  return bits;
+}
+
+/**
+ * Describes the settings a result depends on, e.g. "tiled+rotated,contrast@ru".
+ *
+ * @param {boolean} tiled - Whether the photo is recognized tile by tile
+ * @param {Array<string>} variants - Preprocessing variants (imageVariants.js)
+ * @param {Object|null} [languageHint] - Scan language hint (languageHints.js),
+ *   which changes the prompt
+ * @returns {string}
+ */
+export function recognitionSettings(tiled, variants = [], languageHint = null) {
+  const base = tiled ? "tiled" : "single";
+  const settings = variants.length > 0 ? `${base}+${variants.join(",")}` : base;
+  return languageHint ? `${settings}@${languageHint.code}` : settings;
+}
+
+/**
+ * Finds the owner's stored result of the nearest matching photo.
+ *
+ * @param {string} imageHash - From computeImageHash()
+ * @param {string} providerName
+ * @param {string} settings - From recognitionSettings()
+ * @param {{ userId: string|null, deviceId: string|null }} owner - Scan owner
+ * @returns {Promise<Object|null>} { result, distance, cached_at }, or null
+ */
+export async function findCachedRecognition(imageHash, providerName, settings, owner) {
+  const scope = ownerScope(owner);
+  if (!scope) return null;
+
+  try {
+    // Hamming distance: XOR the hashes and count the 1 bits, only for
+    // unexpired candidates sharing a band
+    const { rows } = await query(
+      `SELECT cache_id, result, created_at, distance
+       FROM (
+         SELECT cache_id, result, created_at,
+                length(replace((image_hash # $1::bit(256))::text, '0', '')) AS distance
+         FROM vision_cache
+         WHERE hash_bands && $2::text[]
+           AND ${scope.column} = $3
+           AND provider = $4 AND settings = $5
+           AND created_at > CURRENT_TIMESTAMP - make_interval(days => $6)
+       ) candidates
+       WHERE distance <= $7
+       ORDER BY distance, created_at DESC
+       LIMIT 1`,
+      [
+        imageHash,
+        hashBands(imageHash),
+        scope.value,
+        providerName,
+        settings,
+        ttlDays(),
+        maxDistance(),
+      ],
+    );
+
+    const match = rows[0];
+    if (!match) return null;
+
+    await query(
+      `UPDATE vision_cache SET hit_count = hit_count + 1, last_used_at = CURRENT_TIMESTAMP
+       WHERE cache_id = $1`,
+      [match.cache_id],
+    );
+
+    return { result: match.result, distance: match.distance, cached_at: match.created_at };
+  } catch (error) {
+    console.error("[visionCache] Lookup failed:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Stores a photo's recognition result for the owner's later uploads, and
+ * deletes expired results.
+ *
+ * @param {string} imageHash - From computeImageHash()
+ * @param {string} providerName
+ * @param {string} settings - From recognitionSettings()
+ * @param {Object} result - { books, metadata, variants } of one photo
+ * @param {{ userId: string|null, deviceId: string|null }} owner - Scan owner
+ */
+export async function storeCachedRecognition(imageHash, providerName, settings, result, owner) {
+  const scope = ownerScope(owner);
+  if (!scope) return;
+
+  try {
+    await query(
+      `DELETE FROM vision_cache
+       WHERE created_at <= CURRENT_TIMESTAMP - make_interval(days => $1)`,
+      [ttlDays()],
+    );
+    await query(
+      `INSERT INTO vision_cache (image_hash, hash_bands, ${scope.column}, provider, settings, result)
+       VALUES ($1::bit(256), $2, $3, $4, $5, $6)`,
+      [
+        imageHash,
+        hashBands(imageHash),
+        scope.value,
+        providerName,
+        settings,
+        JSON.stringify(result),
+      ],
+    );
+  } catch (error) {
+    console.error("[visionCache] Could not store result:", error.message);
+  }
+}
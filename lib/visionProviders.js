@@ -0,0 +1,104 @@
+/**
+ * visionProviders.js
+ *
+ * Registry of book recognition backends. The upload pipeline asks this module
+ * for "the" vision provider instead of importing a specific AI client, so the
+ * backend can be switched with configuration alone.
+ *
+ * Providers:
+ * - groq:              Llama 4 Scout on Groq (production default).
+ * - openai-compatible: Any OpenAI-compatible chat completions server,
+ *                      including a local one (see openaiCompatibleVisionAI.js).
+ * - fixture:           Deterministic fixed result, no network (see fixtureVisionAI.js).
+ *
+ * Selection (first match wins):
+ * 1. VISION_PROVIDER environment variable, e.g. VISION_PROVIDER=fixture
+ * 2. USE_MOCK_AI=true → fixture (kept for existing .env.local files)
+ * 3. groq
+ *
+ * Every provider exposes the same recognizeBooks(imagePath, options) contract
+ * and returns { books: [{ title, author, confidence }], metadata: {...} }.
+ * options.languageHint (languageHints.js) is a hint; providers may ignore it.
+ *
+ * usageApi names the api_usage_tracking counter the provider consumes, or null
+ * if calls are free (local server, fixture). The upload handler uses it to
+ * decide whether to run checkLimit()/incrementUsage().
+ */
+
+import { recognizeBooks as recognizeBooksGroq } from "./groqVisionAI.js";
+import { recognizeBooks as recognizeBooksOpenAICompatible } from "./openaiCompatibleVisionAI.js";
+import { recognizeBooks as recognizeBooksFixture } from "./fixtureVisionAI.js";
+
+const DEFAULT_PROVIDER = "groq";
+
+const PROVIDERS = {
+  groq: {
+    name: "groq",
+    usageApi: "groq_vision",
+    recognizeBooks: recognizeBooksGroq,
+  },
+  "openai-compatible": {
+    name: "openai-compatible",
+    usageApi: null,
+    recognizeBooks: recognizeBooksOpenAICompatible,
+  },
+  fixture: {
+    name: "fixture",
+    usageApi: null,
+    recognizeBooks: recognizeBooksFixture,
+  },
+};
+
+/**
+ * Returns the names of all registered providers.
+ *
+ * @returns {Array<string>}
+ */
+export function listVisionProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Resolves a vision provider by name, falling back to configuration.
+ *
+ * @param {string} [name] - Provider name. If omitted, uses VISION_PROVIDER /
+ *   USE_MOCK_AI / the default, in that order.
+ * @returns {{ name: string, usageApi: string|null, recognizeBooks: Function }}
+ * @throws {Error} If the name does not match a registered provider. A typo in
+ *   VISION_PROVIDER is a configuration error and should fail loudly rather
+ *   than silently fall back to a paid API.
+ */
+export function getVisionProvider(name) {
+  let providerName = name || process.env.VISION_PROVIDER;
+
+  if (!providerName) {
+    providerName = process.env.USE_MOCK_AI === "true" ? "fixture" : DEFAULT_PROVIDER;
+  }
+
+  const provider = PROVIDERS[providerName.trim().toLowerCase()];
+  if (!provider) {
+    throw new Error(
+      `Unknown vision provider "${providerName}". Must be one of: ${listVisionProviders().join(", ")}`,
+    );
+  }
+
+  return provider;
+}
+
+/**
+ * Runs book recognition with the given provider and tags the result with the
+ * provider name, so scans record which backend produced them.
+ *
+ * @param {string} imagePath - Path to the uploaded image
+ * @param {Object} provider - A provider from getVisionProvider()
+ * @param {Object} [options]
+ * @param {Object|null} [options.languageHint] - From resolveLanguageHint()
+ * @returns {Promise<Object>} { books, metadata } with metadata.provider set
+ */
+export async function recognizeWithProvider(imagePath, provider, options = {}) {
+  const result = await provider.recognizeBooks(imagePath, options);
+  return {
+    ...result,
+    metadata: { ...result.metadata, provider: provider.name },
+  };
+}
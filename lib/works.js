@@ -0,0 +1,178 @@
+/**
+ * works.js
+ *
+ * Works and editions: which book_cache rows, ISBNs, translations and formats
+ * are the same book.
+ *
+ * book_cache has one row per way a book was read ("The Hobbit" by Tolkien),
+ * and its match is one edition. Enrichment links every found row to a work
+ * (book_cache.work_id) and records the editions it saw: the matched one and
+ * the runner-up search results that are the same book (same canonical title
+ * and first author, bookKeys.js). Scans and recommendations reach a work
+ * through the read-time join, so a paperback on one shelf and a translated
+ * hardcover recommended later are recognizably the same work.
+ *
+ * A match joins an existing work, in this order:
+ * 1. the same Open Library work (works.openlibrary_key), which groups
+ *    translations and retitled editions
+ * 2. an edition with one of its ISBNs
+ * 3. the same canonical title and first author. Keys keep volume and
+ *    series subtitles (bookKeys.js), so "Star Wars: Thrawn" and "Star Wars:
+ *    Lost Stars" are two works; only Open Library can tell that a retitled
+ *    edition is the same work.
+ * and otherwise starts a new work. An ISBN belongs to the first work it was
+ * linked to; it is never moved.
+ *
+ * Tables (scripts/setup-database.js):
+ *   works    - { work_id, title, authors, title_key, author_key, openlibrary_key }
+ *   editions - { edition_id, work_id, isbn, title, authors, publisher,
+ *                published_date, language, page_count, cover_url, source }
+ *
+ * Functions that write take an optional db ({ query }), so the migration
+ * that links existing cache rows can run them on its transaction's client.
+ */
+
+import { query } from "./database.js";
+import { bookKey } from "./bookKeys.js";
+
+/**
+ * The editions a match shows: the match itself, then its alternatives that
+ * are the same work. Only editions with an ISBN can be told apart.
+ */
+function matchEditions(metadata, key) {
+  const editions = [{ ...metadata, source: metadata.metadata_sources?.isbn || null }];
+  for (const alternative of metadata.alternatives || []) {
+    const alternativeKey = bookKey(alternative.matched_title, alternative.matched_authors?.[0]);
+    if (alternativeKey.title === key.title && alternativeKey.author === key.author) {
+      // Alternatives are Google Books search results (candidateRanking.js)
+      editions.push({ ...alternative, source: "google-books" });
+    }
+  }
+
+  const seen = new Set();
+  return editions.filter((edition) => {
+    if (!edition.isbn || seen.has(edition.isbn)) return false;
+    seen.add(edition.isbn);
+    return true;
+  });
+}
+
+/**
+ * Links a metadata match to its work, creating the work and recording its
+ * editions as needed.
+ *
+ * @param {Object} metadata - A match as stored in book_cache (or one of its
+ *   alternatives): matched_title, matched_authors, isbn, the book details,
+ *   alternatives, metadata_sources and, from Open Library, work_key
+ * @param {Object} [db] - { query }, default the shared pool
+ * @returns {Promise<string|null>} work_id, or null for a "not found" entry
+ * @throws {Error} If a query fails. Callers treat linking as best effort.
+ */
+export async function linkWork(metadata, db = { query }) {
+  if (!metadata?.matched_title) return null;
+
+  const key = bookKey(metadata.matched_title, metadata.matched_authors?.[0]);
+  const editions = matchEditions(metadata, key);
+  const openLibraryKey = metadata.work_key || null;
+
+  const existing = await db.query(
+    `SELECT work_id FROM (
+       SELECT work_id, 1 AS priority FROM works WHERE openlibrary_key = $1
+       UNION ALL
+       SELECT work_id, 2 FROM editions WHERE isbn = ANY($2::text[])
+       UNION ALL
+       SELECT work_id, 3 FROM works WHERE title_key = $3 AND author_key = $4
+     ) AS candidates
+     ORDER BY priority
+     LIMIT 1`,
+    [openLibraryKey, editions.map((edition) => edition.isbn), key.title, key.author],
+  );
+
+  let workId = existing.rows[0]?.work_id;
+  if (workId) {
+    if (openLibraryKey) {
+      await db.query(
+        `UPDATE works SET openlibrary_key = $2
+         WHERE work_id = $1 AND openlibrary_key IS NULL
+           AND NOT EXISTS (SELECT 1 FROM works WHERE openlibrary_key = $2)`,
+        [workId, openLibraryKey],
+      );
+    }
+  } else {
+    // ON CONFLICT: a concurrent enrichment created the same work first
+    const created = await db.query(
+      `INSERT INTO works (title, authors, title_key, author_key, openlibrary_key)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (title_key, author_key)
+       DO UPDATE SET openlibrary_key = COALESCE(works.openlibrary_key, EXCLUDED.openlibrary_key)
+       RETURNING work_id`,
+      [metadata.matched_title, metadata.matched_authors || [], key.title, key.author, openLibraryKey],
+    );
+    workId = created.rows[0].work_id;
+  }
+
+  if (editions.length > 0) {
+    // A known ISBN keeps its work; its details are brought up to date
+    await db.query(
+      `INSERT INTO editions (work_id, isbn, title, authors, publisher, published_date, language, page_count, cover_url, source)
+       SELECT $1, e.isbn, e.title, e.authors, e.publisher, e.published_date, e.language, e.page_count, e.cover_url, e.source
+       FROM jsonb_to_recordset($2::jsonb) AS e(isbn text, title text, authors text[], publisher text,
+         published_date text, language text, page_count int, cover_url text, source text)
+       ON CONFLICT (isbn) DO UPDATE SET
+         title = COALESCE(EXCLUDED.title, editions.title),
+         authors = COALESCE(EXCLUDED.authors, editions.authors),
+         publisher = COALESCE(EXCLUDED.publisher, editions.publisher),
+         published_date = COALESCE(EXCLUDED.published_date, editions.published_date),
+         language = COALESCE(EXCLUDED.language, editions.language),
+         page_count = COALESCE(EXCLUDED.page_count, editions.page_count),
+         cover_url = COALESCE(EXCLUDED.cover_url, editions.cover_url)`,
+      [
+        workId,
+        JSON.stringify(
+          editions.map((edition) => ({
+            isbn: edition.isbn,
+            title: edition.matched_title || null,
+            authors: edition.matched_authors || null,
+            publisher: edition.publisher || null,
+            published_date: edition.published_date || null,
+            language: edition.language || null,
+            page_count: edition.page_count || null,
+            cover_url: edition.cover_url || null,
+            source: edition.source,
+          })),
+        ),
+      ],
+    );
+  }
+
+  return workId;
+}
+
+/**
+ * The known editions of several works, in one query.
+ *
+ * @param {Array<string>} workIds
+ * @returns {Promise<Map<string, Array<Object>>>} work_id -> editions, oldest
+ *   publication first: { edition_id, work_id, isbn, title, authors,
+ *   publisher, published_date, language, page_count, cover_url }
+ * @throws {Error} If the query fails
+ */
+export async function findEditions(workIds) {
+  const byWork = new Map();
+  const ids = [...new Set(workIds.filter(Boolean))];
+  if (ids.length === 0) return byWork;
+
+  const result = await query(
+    `SELECT edition_id, work_id, isbn, title, authors, publisher, published_date,
+            language, page_count, cover_url
+     FROM editions
+     WHERE work_id = ANY($1::uuid[])
+     ORDER BY published_date NULLS LAST, created_at`,
+    [ids],
+  );
+  for (const edition of result.rows) {
+    if (!byWork.has(edition.work_id)) byWork.set(edition.work_id, []);
+    byWork.get(edition.work_id).push(edition);
+  }
+  return byWork;
+}
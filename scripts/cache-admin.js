@@ -0,0 +1,167 @@
+// =============================================================================
+// scripts/cache-admin.js
+// Purpose: View, correct, pin or invalidate single book_cache entries from
+//          the command line (lib/cacheAdmin.js, same as /api/admin/cache).
+// Run with: npm run db:cache-admin -- <command> [args]
+//           (or: node scripts/cache-admin.js <command> [args])
+//
+// COMMANDS:
+//   search [text] [--pinned] [--limit N]  Find entries by ISBN, title or author
+//   show <cacheId>                        Every column of one entry
+//   set <cacheId> <field> <value> [--pin] Correct a field. null clears it,
+//                                         a list field takes a JSON array
+//                                         ('["Fantasy","Classics"]').
+//                                         --pin keeps it through refreshes.
+//   pin <cacheId> <field...>              Pin fields with their current value
+//   unpin <cacheId> <field...>            Hand pinned fields back to the providers
+//   invalidate <cacheId>                  Ask the providers again now
+//
+// Examples:
+//   npm run db:cache-admin -- search "the hobbit"
+//   npm run db:cache-admin -- set <cacheId> cover_url "https://covers.openlibrary.org/b/id/123-L.jpg" --pin
+//
+// WHY THIS EXISTS:
+//   npm run db:clear-cache empties the whole cache to fix one wrong cover.
+//   This fixes the one entry, and re-enriches the scans that have the book.
+// =============================================================================
+
+// -----------------------------------------------------------------------------
+// IMPORT: dotenv
+// WHY: Loads DATABASE_URL and the provider keys from .env.local. cacheAdmin.js
+//      is imported only after this, because lib/database.js creates its pool
+//      from DATABASE_URL when it is first imported.
+// -----------------------------------------------------------------------------
+import dotenv from 'dotenv'
+
+dotenv.config({ path: '.env.local' })
+
+const USAGE = `Usage: npm run db:cache-admin -- <command> [args]
+  search [text] [--pinned] [--limit N]
+  show <cacheId>
+  set <cacheId> <field> <value> [--pin]
+  pin <cacheId> <field...>
+  unpin <cacheId> <field...>
+  invalidate <cacheId>`
+
+// Removes a flag from args and reports whether it was there
+function takeFlag(args, flag) {
+  const index = args.indexOf(flag)
+  if (index === -1) return false
+  args.splice(index, 1)
+  return true
+}
+
+// Removes "--name value" from args and returns the value
+function takeOption(args, name) {
+  const index = args.indexOf(name)
+  if (index === -1) return undefined
+  const [, value] = args.splice(index, 2)
+  return value
+}
+
+// Text as typed, so a title like "1984" stays text; cacheAdmin.js reads
+// numbers from text itself
+function parseValue(raw) {
+  if (raw === 'null') return null
+  if (!raw.startsWith('[')) return raw
+  try {
+    return JSON.parse(raw)
+  } catch {
+    return raw
+  }
+}
+
+function printEntry(entry) {
+  for (const [column, value] of Object.entries(entry)) {
+    const shown = value !== null && typeof value === 'object' && !(value instanceof Date)
+      ? JSON.stringify(value)
+      : value
+    console.log(`${column.padEnd(22)} ${shown ?? ''}`)
+  }
+}
+
+function printRescored(rescored) {
+  if (!rescored) return
+  console.log(`\nRe-enriched ${rescored.scans} scan(s), ${rescored.books} book(s) scored again.`)
+}
+
+async function run(command, args) {
+  const admin = await import('../lib/cacheAdmin.js')
+
+  if (command === 'search') {
+    const pinned = takeFlag(args, '--pinned')
+    const limitArg = takeOption(args, '--limit')
+    const limit = limitArg === undefined ? undefined : parseInt(limitArg, 10)
+    if (limit !== undefined && !(limit > 0)) throw new Error('--limit must be a positive integer')
+
+    const entries = await admin.searchCacheEntries(args.join(' '), { pinned, limit })
+    for (const entry of entries) {
+      const pins = entry.overrides ? `  [pinned: ${Object.keys(entry.overrides).join(', ')}]` : ''
+      const match = entry.matched_title
+        ? `${entry.matched_title} / ${(entry.matched_authors || []).join(', ')}`
+        : '(not found)'
+      console.log(`${entry.cache_id}  "${entry.title}" by ${entry.author || 'Unknown'} -> ${match}  ${entry.isbn || ''}${pins}`)
+    }
+    console.log(`\n${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}.`)
+    return
+  }
+
+  const [cacheId, ...rest] = args
+  if (!cacheId) throw new Error(`${command} needs a cacheId\n\n${USAGE}`)
+
+  if (command === 'show') {
+    const entry = await admin.getCacheEntry(cacheId)
+    if (!entry) throw new Error(`No cache entry ${cacheId}`)
+    printEntry(entry)
+    return
+  }
+
+  if (command === 'invalidate') {
+    const result = await admin.invalidateCacheEntry(cacheId)
+    if (!result) throw new Error(`No cache entry ${cacheId}`)
+    console.log(`Outcome: ${result.outcome}`)
+    if (result.outcome === 'limited') {
+      console.log('No metadata provider could be asked. The entry is queued for npm run db:refresh-cache.')
+    }
+    printRescored(result.rescored)
+    return
+  }
+
+  let body
+  if (command === 'set') {
+    const pin = takeFlag(rest, '--pin')
+    const [field, value] = rest
+    if (!field || value === undefined) throw new Error(`set needs a field and a value\n\n${USAGE}`)
+    body = { set: { [field]: parseValue(value) }, pin: pin ? [field] : [] }
+  } else if (command === 'pin' || command === 'unpin') {
+    if (rest.length === 0) throw new Error(`${command} needs at least one field`)
+    body = { [command]: rest }
+  } else {
+    throw new Error(`Unknown command "${command}"\n\n${USAGE}`)
+  }
+
+  const edit = admin.parseCacheEdit(body)
+  if (edit.error) throw new Error(edit.error)
+
+  const result = await admin.updateCacheEntry(cacheId, edit)
+  if (!result) throw new Error(`No cache entry ${cacheId}`)
+  printEntry(result.entry)
+  printRescored(result.rescored)
+}
+
+;(async () => {
+  const [command, ...args] = process.argv.slice(2)
+  if (!command) {
+    console.log(USAGE)
+    process.exit(1)
+  }
+
+  try {
+    console.log('LibreScan - Book Cache Admin\n')
+    await run(command, args)
+    process.exit(0)
+  } catch (error) {
+    console.error('Cache admin failed:', error.message)
+    process.exit(1)
+  }
+})()
@@ -4,12 +4,14 @@
 // Run with: npm run db:clear-cache (or: node scripts/clear-cache.js)
 //
 // WHY THIS EXISTS:
-//   The book_cache stores Google Books API responses indefinitely (no TTL).
-//   This script provides a manual way to clear stale or incorrect cached data.
+//   The book_cache stores metadata provider responses until they expire, and
+//   npm run db:refresh-cache re-checks expired entries. This script provides a
+//   manual way to clear all cached data at once.
 //   Use cases:
-//     - Google Books returned wrong metadata for a book (e.g., wrong cover)
 //     - You want to re-fetch all metadata with updated code/logic
 //     - Testing: start fresh without dropping/recreating all tables
+//   Wrong metadata for one book (e.g., wrong cover) doesn't need this: correct,
+//   pin or invalidate that entry with npm run db:cache-admin.
 //
 // WHAT IT DOES:
 //   1. Counts current cache entries (so you know what you're deleting)
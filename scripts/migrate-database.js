@@ -0,0 +1,409 @@
+// =============================================================================
+// scripts/migrate-database.js
+// Purpose: Brings an existing database up to the current schema without
+//          dropping any data.
+// Run with: npm run db:migrate (or: node scripts/migrate-database.js)
+//
+// WHY THIS EXISTS:
+//   setup-database.js drops and recreates every table. That is fine for a new
+//   database but destroys scans, users and the book cache on a live one. This
+//   script applies only the additive changes made since the initial schema.
+//
+// HOW IT WORKS:
+//   MIGRATIONS is an ordered list. Every statement is idempotent
+//   (ADD COLUMN IF NOT EXISTS, CREATE TABLE IF NOT EXISTS, ...), so the whole
+//   list is safe to re-run at any time. There is no migrations table to keep
+//   in sync. A statement is SQL, or a function of the client for a data
+//   change SQL alone can't express (it must be just as safe to re-run).
+//
+// KEEP IN SYNC:
+//   Every schema change goes in two places: the CREATE TABLE statements in
+//   setup-database.js (fresh installs) and a new entry at the end of
+//   MIGRATIONS here (existing installs).
+// =============================================================================
+
+import pg from "pg";
+import * as dotenv from "dotenv";
+import { bookKey } from "../lib/bookKeys.js";
+
+dotenv.config({ path: ".env.local" });
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+// Re-keys book_cache with the canonical keys of lib/bookKeys.js and merges
+// the rows that now share a key: "The Hobbit" and "The Hobbit: or There and
+// Back Again" become one row, while "Star Wars: Thrawn" and "Star Wars: Lost
+// Stars" stay two (only descriptive subtitles are dropped). The row kept is a
+// found book over a "not found" one, then the most recently checked; the
+// others are deleted. Scans only reference books by title and author, so
+// nothing points at a deleted row. Runs while idx_book_cache_lookup is
+// dropped, so rows can pass through each other's old keys.
+async function rekeyBookCache(client) {
+  const { rows } = await client.query(
+    `SELECT cache_id, title, author, title_key, COALESCE(author_key, '') AS author_key,
+            (matched_title IS NOT NULL OR isbn IS NOT NULL) AS found
+     FROM book_cache
+     ORDER BY found DESC, last_checked DESC NULLS LAST, cached_at DESC NULLS LAST`,
+  );
+
+  const kept = new Set();
+  const duplicates = [];
+  const rekeyed = [];
+  for (const row of rows) {
+    const key = bookKey(row.title, row.author);
+    const id = `${key.title}\u0000${key.author}`;
+    if (kept.has(id)) {
+      duplicates.push(row.cache_id);
+      continue;
+    }
+    kept.add(id);
+    if (key.title !== row.title_key || key.author !== row.author_key) {
+      rekeyed.push({ cacheId: row.cache_id, ...key });
+    }
+  }
+
+  await client.query("DELETE FROM book_cache WHERE cache_id = ANY($1::uuid[])", [duplicates]);
+  await client.query(
+    `UPDATE book_cache c
+     SET title_key = k.title_key, author_key = k.author_key
+     FROM unnest($1::uuid[], $2::text[], $3::text[]) AS k(cache_id, title_key, author_key)
+     WHERE c.cache_id = k.cache_id`,
+    [
+      rekeyed.map((row) => row.cacheId),
+      rekeyed.map((row) => row.title),
+      rekeyed.map((row) => row.author),
+    ],
+  );
+  console.log(`  Re-keyed ${rekeyed.length} row(s), merged ${duplicates.length} duplicate(s).`);
+}
+
+// Links the found rows of book_cache to works (lib/works.js), like
+// enrichment does for new rows. Imported here rather than at the top:
+// lib/database.js reads DATABASE_URL when it is first imported.
+async function linkCachedWorks(client) {
+  const { linkWork } = await import("../lib/works.js");
+  const { rows } = await client.query(
+    `SELECT cache_id, isbn, matched_title, matched_authors, cover_url, publisher,
+            published_date, language, page_count, metadata_sources, alternatives
+     FROM book_cache
+     WHERE work_id IS NULL AND matched_title IS NOT NULL`,
+  );
+
+  for (const row of rows) {
+    const workId = await linkWork(row, client);
+    await client.query("UPDATE book_cache SET work_id = $2 WHERE cache_id = $1", [row.cache_id, workId]);
+  }
+  console.log(`  Linked ${rows.length} cached book(s) to works.`);
+}
+
+// Fills scans.book_keys (scanBookKeys in lib/bookKeys.js) where it is
+// missing or was made with other key rules, a page of scans at a time.
+const SCAN_PAGE = 500;
+
+async function rekeyScanBooks(client) {
+  const { scanBookKeys } = await import("../lib/bookKeys.js");
+  let updated = 0;
+  let after = null;
+
+  for (;;) {
+    const { rows } = await client.query(
+      `SELECT scan_id, recognized_books->'books' AS books, book_keys
+       FROM scans
+       WHERE $1::uuid IS NULL OR scan_id > $1::uuid
+       ORDER BY scan_id
+       LIMIT $2`,
+      [after, SCAN_PAGE],
+    );
+
+    for (const row of rows) {
+      const keys = scanBookKeys(row.books);
+      if (row.book_keys && keys.join("\n") === row.book_keys.join("\n")) continue;
+      await client.query("UPDATE scans SET book_keys = $2 WHERE scan_id = $1", [row.scan_id, keys]);
+      updated++;
+    }
+
+    if (rows.length < SCAN_PAGE) break;
+    after = rows[rows.length - 1].scan_id;
+  }
+  console.log(`  Keyed the books of ${updated} scan(s).`);
+}
+
+const MIGRATIONS = [
+  {
+    name: "scans.preview_images (one preview per photo, for multi-photo scans)",
+    statements: [
+      "ALTER TABLE scans ADD COLUMN IF NOT EXISTS preview_images JSONB",
+      // Databases that had the single-photo scans.preview_image column get
+      // its previews moved into the array, and lose the column. Guarded, so
+      // a database without it (new, or already migrated) is left alone.
+      `DO $$
+       BEGIN
+         IF EXISTS (
+           SELECT 1 FROM information_schema.columns
+           WHERE table_name = 'scans' AND column_name = 'preview_image'
+         ) THEN
+           UPDATE scans SET preview_images = jsonb_build_array(preview_image)
+           WHERE preview_images IS NULL AND preview_image IS NOT NULL;
+           ALTER TABLE scans DROP COLUMN preview_image;
+         END IF;
+       END $$`,
+    ],
+  },
+  {
+    name: "scan_corrections (edit history and labeled corrections)",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS scan_corrections (
+        correction_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        scan_id UUID REFERENCES scans(scan_id) ON DELETE SET NULL,
+        action VARCHAR(10) NOT NULL CHECK (action IN ('rename', 'delete', 'add')),
+        position INT,
+        model_output JSONB,
+        corrected JSONB,
+        model_used VARCHAR(100),
+        provider VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+      "CREATE INDEX IF NOT EXISTS idx_scan_corrections_scan_id ON scan_corrections(scan_id)",
+    ],
+  },
+  {
+    name: "scan_jobs (asynchronous upload processing)",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS scan_jobs (
+        job_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        device_id UUID REFERENCES anon_sessions(device_id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        stage VARCHAR(20) NOT NULL DEFAULT 'queued',
+        progress JSONB,
+        scan_id UUID REFERENCES scans(scan_id) ON DELETE SET NULL,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+      "CREATE INDEX IF NOT EXISTS idx_scan_jobs_created_at ON scan_jobs(created_at)",
+    ],
+  },
+  {
+    name: "vision_cache (reuse vision results for re-uploaded photos)",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS vision_cache (
+        cache_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        image_hash BIT(256) NOT NULL,
+        provider VARCHAR(50) NOT NULL,
+        settings VARCHAR(100) NOT NULL,
+        result JSONB NOT NULL,
+        hit_count INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP
+      )`,
+      "CREATE INDEX IF NOT EXISTS idx_vision_cache_provider_settings ON vision_cache(provider, settings)",
+    ],
+  },
+  {
+    name: "book_cache.matched_title / matched_authors (metadata-verified confidence)",
+    statements: [
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS matched_title TEXT",
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS matched_authors TEXT[]",
+    ],
+  },
+  {
+    name: "scans.stored_images (original photos kept by image storage)",
+    statements: ["ALTER TABLE scans ADD COLUMN IF NOT EXISTS stored_images JSONB"],
+  },
+  {
+    name: "book_cache.series_name / series_volume and scan_series (series detection)",
+    statements: [
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS series_name TEXT",
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS series_volume REAL",
+      `CREATE TABLE IF NOT EXISTS scan_series (
+        scan_id UUID PRIMARY KEY REFERENCES scans(scan_id) ON DELETE CASCADE,
+        series JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+    ],
+  },
+  {
+    name: "book_cache.metadata_sources (provider behind each cached field)",
+    statements: ["ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS metadata_sources JSONB"],
+  },
+  {
+    name: "book_cache.alternatives and scan_corrections 'match' action (pick another match)",
+    statements: [
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS alternatives JSONB",
+      "ALTER TABLE scan_corrections DROP CONSTRAINT IF EXISTS scan_corrections_action_check",
+      // Every action there is now, not just 'match': this re-runs after later
+      // migrations added actions, and must still accept their rows
+      `ALTER TABLE scan_corrections ADD CONSTRAINT scan_corrections_action_check
+        CHECK (action IN ('rename', 'delete', 'add', 'match', 'edition'))`,
+    ],
+  },
+  {
+    name: "book_cache freshness (last_checked, expires_at, refresh_requested_at)",
+    statements: [
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS last_checked TIMESTAMP",
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP",
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS refresh_requested_at TIMESTAMP",
+      // Existing rows were last checked when cached; they expire on the default
+      // TTLs (lib/googleBooks.js): 90 days when found, 7 for "not found"
+      `UPDATE book_cache
+       SET last_checked = COALESCE(cached_at, CURRENT_TIMESTAMP)
+       WHERE last_checked IS NULL`,
+      `UPDATE book_cache
+       SET expires_at = last_checked + CASE
+         WHEN matched_title IS NULL AND isbn IS NULL THEN INTERVAL '7 days'
+         ELSE INTERVAL '90 days'
+       END
+       WHERE expires_at IS NULL`,
+      "ALTER TABLE book_cache ALTER COLUMN last_checked SET DEFAULT CURRENT_TIMESTAMP",
+      "CREATE INDEX IF NOT EXISTS idx_book_cache_expires ON book_cache(expires_at)",
+    ],
+  },
+  {
+    name: "book_cache book details (page count, publication date, publisher, language, ratings, large cover)",
+    statements: [
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS cover_url_large TEXT",
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS page_count INT",
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS published_date VARCHAR(10)",
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS publisher TEXT",
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS language VARCHAR(10)",
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS average_rating REAL",
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS ratings_count INT",
+    ],
+  },
+  {
+    name: "book_cache canonical keys (title_key / author_key, duplicates merged)",
+    statements: [
+      `DO $$
+       BEGIN
+         IF EXISTS (
+           SELECT 1 FROM information_schema.columns
+           WHERE table_name = 'book_cache' AND column_name = 'title_lower'
+         ) THEN
+           ALTER TABLE book_cache RENAME COLUMN title_lower TO title_key;
+           ALTER TABLE book_cache RENAME COLUMN author_lower TO author_key;
+         END IF;
+       END $$`,
+      "DROP INDEX IF EXISTS idx_book_cache_lookup",
+      rekeyBookCache,
+      "CREATE UNIQUE INDEX idx_book_cache_lookup ON book_cache(title_key, author_key)",
+    ],
+  },
+  {
+    name: "works and editions, book_cache.work_id and scan_corrections 'edition' action",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS works (
+        work_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        title TEXT NOT NULL,
+        authors TEXT[],
+        title_key TEXT NOT NULL,
+        author_key TEXT NOT NULL,
+        openlibrary_key TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS editions (
+        edition_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        work_id UUID NOT NULL REFERENCES works(work_id) ON DELETE CASCADE,
+        isbn VARCHAR(20) NOT NULL,
+        title TEXT,
+        authors TEXT[],
+        publisher TEXT,
+        published_date VARCHAR(10),
+        language VARCHAR(10),
+        page_count INT,
+        cover_url TEXT,
+        source VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`,
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_works_key ON works(title_key, author_key)",
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_works_openlibrary_key ON works(openlibrary_key)",
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_editions_isbn ON editions(isbn)",
+      "CREATE INDEX IF NOT EXISTS idx_editions_work_id ON editions(work_id)",
+      "ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS work_id UUID REFERENCES works(work_id) ON DELETE SET NULL",
+      "CREATE INDEX IF NOT EXISTS idx_book_cache_work_id ON book_cache(work_id)",
+      linkCachedWorks,
+      "ALTER TABLE scan_corrections DROP CONSTRAINT IF EXISTS scan_corrections_action_check",
+      `ALTER TABLE scan_corrections ADD CONSTRAINT scan_corrections_action_check
+        CHECK (action IN ('rename', 'delete', 'add', 'match', 'edition'))`,
+    ],
+  },
+  {
+    name: "book_cache.overrides (pinned manual corrections)",
+    statements: ["ALTER TABLE book_cache ADD COLUMN IF NOT EXISTS overrides JSONB"],
+  },
+  {
+    name: "scans.book_keys (which scans have a book, for cache corrections)",
+    statements: [
+      "ALTER TABLE scans ADD COLUMN IF NOT EXISTS book_keys TEXT[]",
+      rekeyScanBooks,
+      "CREATE INDEX IF NOT EXISTS idx_scans_book_keys ON scans USING GIN (book_keys)",
+    ],
+  },
+  {
+    name: "book_cache.alternatives index (cover proxy ISBN lookups)",
+    statements: [
+      "CREATE INDEX IF NOT EXISTS idx_book_cache_alternatives ON book_cache USING GIN (alternatives jsonb_path_ops)",
+    ],
+  },
+  {
+    name: "vision_cache owner, hash bands and expiry (per-owner, indexed lookups)",
+    statements: [
+      "ALTER TABLE vision_cache ADD COLUMN IF NOT EXISTS hash_bands TEXT[]",
+      "ALTER TABLE vision_cache ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE",
+      "ALTER TABLE vision_cache ADD COLUMN IF NOT EXISTS device_id UUID REFERENCES anon_sessions(device_id) ON DELETE CASCADE",
+      // Results stored before scoping have no owner to match them to
+      "DELETE FROM vision_cache WHERE hash_bands IS NULL",
+      "ALTER TABLE vision_cache ALTER COLUMN hash_bands SET NOT NULL",
+      "CREATE INDEX IF NOT EXISTS idx_vision_cache_hash_bands ON vision_cache USING GIN (hash_bands)",
+      "CREATE INDEX IF NOT EXISTS idx_vision_cache_created_at ON vision_cache(created_at)",
+    ],
+  },
+];
+
+async function migrateDatabase() {
+  console.log("LibreScan - Migrate Database\n");
+
+  const client = await pool.connect();
+  try {
+    for (const migration of MIGRATIONS) {
+      console.log(`Applying: ${migration.name}`);
+      // One transaction per migration: a failing statement leaves that migration unapplied, not half-applied.
+      await client.query("BEGIN");
+      try {
+        for (const statement of migration.statements) {
+          if (typeof statement === "function") {
+            await statement(client);
+          } else {
+            await client.query(statement);
+          }
+        }
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      }
+    }
+  } finally {
+    client.release();
+  }
+
+  console.log(`\n${MIGRATIONS.length} migration(s) applied.`);
+}
+
+;(async () => {
+  try {
+    await migrateDatabase();
+  } catch (error) {
+    console.error("Migration failed:", error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log("\nDatabase connection closed.");
+  }
+})();
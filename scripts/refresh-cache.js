@@ -0,0 +1,71 @@
+// =============================================================================
+// scripts/refresh-cache.js
+// Purpose: The book_cache refresh job. Re-queries the metadata providers for
+//          expired cache entries.
+// Run with: npm run db:refresh-cache [-- --limit 200]
+//           (or: node scripts/refresh-cache.js --limit 200)
+//
+// WHY THIS EXISTS:
+//   book_cache entries expire (lib/googleBooks.js): found books after
+//   BOOK_CACHE_TTL_DAYS, "not found" results after BOOK_CACHE_NEGATIVE_TTL_DAYS.
+//   Scans keep serving an expired found entry instead of waiting on the
+//   providers, and queue it here. Run this script from a cron job (daily is
+//   plenty) so those entries are brought up to date in the background.
+//
+// WHAT IT DOES:
+//   Calls refreshStaleCache(): up to --limit expired entries (default 100),
+//   the ones scans asked for first, with the same request rate and daily
+//   limits as enrichment. Entries past the limit wait for the next run.
+//
+// SAFETY:
+//   Never deletes an entry. A found book that no provider finds this time
+//   keeps its data and is checked again after the negative TTL.
+// =============================================================================
+
+// -----------------------------------------------------------------------------
+// IMPORT: dotenv
+// WHY: Loads DATABASE_URL and the provider keys from .env.local. googleBooks.js
+//      is imported only after this, because lib/database.js creates its pool
+//      from DATABASE_URL when it is first imported.
+// -----------------------------------------------------------------------------
+import dotenv from 'dotenv'
+
+dotenv.config({ path: '.env.local' })
+
+// -----------------------------------------------------------------------------
+// --limit N: how many expired entries this run re-checks at most.
+// -----------------------------------------------------------------------------
+function parseLimit(args) {
+  const index = args.indexOf('--limit')
+  if (index === -1) return undefined
+
+  const limit = parseInt(args[index + 1], 10)
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('--limit must be a positive integer')
+  }
+  return limit
+}
+
+;(async () => {
+  try {
+    console.log('LibreScan - Refresh Book Cache\n')
+
+    const limit = parseLimit(process.argv.slice(2))
+    const { refreshStaleCache } = await import('../lib/googleBooks.js')
+    const summary = await refreshStaleCache({ limit })
+
+    console.log('')
+    console.log(`Checked: ${summary.checked}`)
+    console.log(`  Updated: ${summary.updated}`)
+    console.log(`  Kept (not found this time): ${summary.kept}`)
+    console.log(`  Failed: ${summary.failed}`)
+    if (summary.limited) {
+      console.log('Stopped early: daily limit reached for every metadata provider.')
+    }
+    process.exit(0)
+  } catch (error) {
+    console.error('Failed to refresh cache:', error.message)
+    console.error(error)
+    process.exit(1)
+  }
+})()
@@ -24,7 +24,13 @@ async function setupDatabase() {
     console.log("Dropping existing tables...");
     await client.query("DROP TABLE IF EXISTS api_usage_tracking CASCADE");
     await client.query("DROP TABLE IF EXISTS book_cache CASCADE");
+    await client.query("DROP TABLE IF EXISTS editions CASCADE");
+    await client.query("DROP TABLE IF EXISTS works CASCADE");
+    await client.query("DROP TABLE IF EXISTS vision_cache CASCADE");
     await client.query("DROP TABLE IF EXISTS recommendations CASCADE");
+    await client.query("DROP TABLE IF EXISTS scan_corrections CASCADE");
+    await client.query("DROP TABLE IF EXISTS scan_series CASCADE");
+    await client.query("DROP TABLE IF EXISTS scan_jobs CASCADE");
     await client.query("DROP TABLE IF EXISTS preferences CASCADE");
     await client.query("DROP TABLE IF EXISTS scans CASCADE");
     await client.query("DROP TABLE IF EXISTS user_sessions CASCADE");
@@ -71,6 +77,9 @@ async function setupDatabase() {
         device_id UUID REFERENCES anon_sessions(device_id) ON DELETE CASCADE,
         scan_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         recognized_books JSONB,
+        preview_images JSONB,
+        stored_images JSONB,
+        book_keys TEXT[],
         CHECK (
           (user_id IS NOT NULL AND device_id IS NULL) OR
           (user_id IS NULL AND device_id IS NOT NULL)
@@ -99,18 +108,128 @@ async function setupDatabase() {
       );
     `);
 
+    // Asynchronous upload processing (lib/scanJobs.js), polled by the client
+    await client.query(`
+      CREATE TABLE scan_jobs (
+        job_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        device_id UUID REFERENCES anon_sessions(device_id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        stage VARCHAR(20) NOT NULL DEFAULT 'queued',
+        progress JSONB,
+        scan_id UUID REFERENCES scans(scan_id) ON DELETE SET NULL,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Series report of a scan (lib/seriesDetection.js), built on demand and
+    // dropped whenever the scan's books change
+    await client.query(`
+      CREATE TABLE scan_series (
+        scan_id UUID PRIMARY KEY REFERENCES scans(scan_id) ON DELETE CASCADE,
+        series JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Edits made on the Results page: the scan's edit history, and labeled data
+    // (model reading vs. correction) for accuracy evaluation. SET NULL keeps the
+    // labels when a scan is deleted.
+    await client.query(`
+      CREATE TABLE scan_corrections (
+        correction_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        scan_id UUID REFERENCES scans(scan_id) ON DELETE SET NULL,
+        action VARCHAR(10) NOT NULL CHECK (action IN ('rename', 'delete', 'add', 'match', 'edition')),
+        position INT,
+        model_output JSONB,
+        corrected JSONB,
+        model_used VARCHAR(100),
+        provider VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Works and their editions (lib/works.js): one work per book, whatever
+    // ISBN, translation or format was read or matched
+    await client.query(`
+      CREATE TABLE works (
+        work_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        title TEXT NOT NULL,
+        authors TEXT[],
+        title_key TEXT NOT NULL,
+        author_key TEXT NOT NULL,
+        openlibrary_key TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE editions (
+        edition_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        work_id UUID NOT NULL REFERENCES works(work_id) ON DELETE CASCADE,
+        isbn VARCHAR(20) NOT NULL,
+        title TEXT,
+        authors TEXT[],
+        publisher TEXT,
+        published_date VARCHAR(10),
+        language VARCHAR(10),
+        page_count INT,
+        cover_url TEXT,
+        source VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
     await client.query(`
       CREATE TABLE book_cache (
         cache_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
         title TEXT NOT NULL,
         author TEXT,
-        title_lower TEXT NOT NULL,
-        author_lower TEXT,
+        title_key TEXT NOT NULL,
+        author_key TEXT,
         isbn VARCHAR(20),
         cover_url TEXT,
         description TEXT,
         categories TEXT[],
-        cached_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        matched_title TEXT,
+        matched_authors TEXT[],
+        series_name TEXT,
+        series_volume REAL,
+        metadata_sources JSONB,
+        alternatives JSONB,
+        cached_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_checked TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP,
+        refresh_requested_at TIMESTAMP,
+        cover_url_large TEXT,
+        page_count INT,
+        published_date VARCHAR(10),
+        publisher TEXT,
+        language VARCHAR(10),
+        average_rating REAL,
+        ratings_count INT,
+        work_id UUID REFERENCES works(work_id) ON DELETE SET NULL,
+        overrides JSONB
+      );
+    `);
+
+    // Vision results by perceptual hash of the photo (lib/visionCache.js), so a
+    // re-uploaded photo does not cost another vision request
+    await client.query(`
+      CREATE TABLE vision_cache (
+        cache_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        image_hash BIT(256) NOT NULL,
+        hash_bands TEXT[] NOT NULL,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        device_id UUID REFERENCES anon_sessions(device_id) ON DELETE CASCADE,
+        provider VARCHAR(50) NOT NULL,
+        settings VARCHAR(100) NOT NULL,
+        result JSONB NOT NULL,
+        hit_count INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP
       );
     `);
 
@@ -135,10 +254,23 @@ async function setupDatabase() {
     await client.query("CREATE INDEX IF NOT EXISTS idx_scans_user_id ON scans(user_id);");
     await client.query("CREATE INDEX IF NOT EXISTS idx_scans_device_id ON scans(device_id);");
     await client.query("CREATE INDEX IF NOT EXISTS idx_scans_scan_date ON scans(scan_date);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_scans_book_keys ON scans USING GIN (book_keys);");
     await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_recommendations_scan_id_unique ON recommendations(scan_id);");
     await client.query("CREATE INDEX IF NOT EXISTS idx_recommendations_saved_created_at ON recommendations(saved, created_at);");
-    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_book_cache_lookup ON book_cache(title_lower, author_lower);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_scan_jobs_created_at ON scan_jobs(created_at);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_scan_corrections_scan_id ON scan_corrections(scan_id);");
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_book_cache_lookup ON book_cache(title_key, author_key);");
     await client.query("CREATE INDEX IF NOT EXISTS idx_book_cache_isbn ON book_cache(isbn);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_book_cache_expires ON book_cache(expires_at);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_book_cache_work_id ON book_cache(work_id);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_book_cache_alternatives ON book_cache USING GIN (alternatives jsonb_path_ops);");
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_works_key ON works(title_key, author_key);");
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_works_openlibrary_key ON works(openlibrary_key);");
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_editions_isbn ON editions(isbn);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_editions_work_id ON editions(work_id);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_vision_cache_provider_settings ON vision_cache(provider, settings);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_vision_cache_hash_bands ON vision_cache USING GIN (hash_bands);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_vision_cache_created_at ON vision_cache(created_at);");
     console.log("Indexes created successfully!");
 
     // Verify tables exist
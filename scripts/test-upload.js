@@ -3,10 +3,35 @@ import path from 'path';
 import fetch from 'node-fetch';
 import FormData from 'form-data';
 
+// Needs a running dev server and DATABASE_URL. With `npm run dev:replay` it
+// runs without API keys, but only after the Groq and Google Books responses
+// for test-image.jpg were recorded once with `npm run dev:record`; fixtures/http
+// is not committed (see lib/httpFixtures.js). `npm test` runs the offline
+// checks, which need neither.
 const API_URL = 'http://localhost:3000/api/upload-image';
 // Use process.cwd() to correctly locate the file in the project root
 const IMAGE_PATH = path.join(process.cwd(), 'test-image.jpg');
 
+const DEVICE_ID = '361ae423-0fc4-41e4-8bc9-465552e7abf0';
+
+// A large shelf takes 20-40s; give up well after that
+const POLL_INTERVAL_MS = 1000;
+const MAX_POLLS = 180;
+
+// Uploads only queue the scan; poll the job until it is done or failed
+async function waitForJob(jobId) {
+  for (let attempt = 0; attempt < MAX_POLLS; attempt++) {
+    const response = await fetch(
+      `http://localhost:3000/api/scan-jobs/${jobId}?device_id=${DEVICE_ID}`,
+    );
+    const { job } = await response.json();
+    if (!job || job.status === 'done' || job.status === 'failed') return job || { status: 'failed', error: 'Job not found' };
+    console.log(`   ${job.stage}${job.progress ? ` ${job.progress.done}/${job.progress.total}` : ''}`);
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+  return { status: 'failed', error: `Still not done after ${(MAX_POLLS * POLL_INTERVAL_MS) / 1000}s` };
+}
+
 async function testUpload() {
   console.log('🚀 Starting Upload Test...');
 
@@ -28,7 +53,7 @@ async function testUpload() {
       contentType: 'image/jpeg',
     });
     
-    form.append('device_id', '361ae423-0fc4-41e4-8bc9-465552e7abf0');
+    form.append('device_id', DEVICE_ID);
 
     console.log(`📸 Uploading ${path.basename(IMAGE_PATH)} (${fileBuffer.length} bytes)...`);
 
@@ -44,10 +69,17 @@ async function testUpload() {
       const data = await response.json();
       
       if (response.ok) {
+        console.log(`⏳ Scan job ${data.job_id} queued, waiting for it to finish...`);
+        const job = await waitForJob(data.job_id);
+
+        if (job.status !== 'done') {
+          console.error('\n❌ Scan job failed:', job.error);
+          return;
+        }
+
         console.log('\n✅ TEST PASSED!');
         console.log('--------------------------------------------------');
-        console.log(`Scan ID:   ${data.scan_id}`);
-        console.log(`Books:     ${data.recognized_books?.books?.length || 0} found`);
+        console.log(`Scan ID:   ${job.scan_id}`);
         console.log('--------------------------------------------------');
       } else {
         console.error('\n❌ Server Error:', data);
@@ -0,0 +1,224 @@
+import { useState, useRef } from "react";
+import { useSession } from "../contexts/SessionContext.jsx";
+
+// Must match MAX_ISBNS_PER_SCAN in api/scan-isbn.js
+const MAX_ISBNS = 50;
+
+// Book barcodes are EAN-13 codes with the "Bookland" prefixes 978 / 979.
+// Anything else on a back cover (price add-on, magazine EAN) is ignored.
+const BOOK_EAN_PATTERN = /^97[89]\d{10}$/;
+
+// The Barcode Detection API is available in Chrome, Edge and Android browsers.
+// Elsewhere, ISBNs can still be typed in.
+const barcodeDetectionSupported = typeof window !== "undefined" && "BarcodeDetector" in window;
+
+async function decodeBookBarcodes(file) {
+  const detector = new window.BarcodeDetector({ formats: ["ean_13"] });
+  const bitmap = await createImageBitmap(file);
+  try {
+    const codes = await detector.detect(bitmap);
+    return codes.map((code) => code.rawValue).filter((value) => BOOK_EAN_PATTERN.test(value));
+  } finally {
+    bitmap.close();
+  }
+}
+
+function BarcodeCapture({ onUploadSuccess }) {
+  const [isbns, setIsbns] = useState([]);
+  const [manualIsbn, setManualIsbn] = useState("");
+  const [decoding, setDecoding] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+  const { deviceId } = useSession();
+
+  const addIsbns = (values) => {
+    const added = values.filter((value) => !isbns.includes(value));
+    if (isbns.length + added.length > MAX_ISBNS) {
+      setError(`A scan can have up to ${MAX_ISBNS} ISBNs.`);
+      return;
+    }
+    setIsbns((current) => [...current, ...added]);
+  };
+
+  const handlePhotoSelect = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = "";
+    if (files.length === 0) return;
+
+    setDecoding(true);
+    setError(null);
+
+    try {
+      const found = [];
+      for (const file of files) {
+        found.push(...(await decodeBookBarcodes(file)));
+      }
+      if (found.length === 0) {
+        setError("No book barcode found. Try a closer, sharper photo of the back cover.");
+        return;
+      }
+      addIsbns(found);
+    } catch (err) {
+      setError("Could not read the photo. Try again or type the ISBN.");
+    } finally {
+      setDecoding(false);
+    }
+  };
+
+  const handleManualAdd = (event) => {
+    event.preventDefault();
+    const value = manualIsbn.replace(/[\s-]/g, "").toUpperCase();
+    if (!/^(\d{13}|\d{9}[\dX])$/.test(value)) {
+      setError("An ISBN has 10 or 13 digits.");
+      return;
+    }
+    setError(null);
+    addIsbns([value]);
+    setManualIsbn("");
+  };
+
+  const handleRemove = (isbn) => {
+    setIsbns((current) => current.filter((value) => value !== isbn));
+  };
+
+  const handleSubmit = async () => {
+    if (isbns.length === 0) {
+      setError("Add at least one ISBN.");
+      return;
+    }
+    if (!deviceId) {
+      setError("Session not initialized. Please refresh the page.");
+      return;
+    }
+
+    setUploading(true);
+    setError(null);
+
+    try {
+      const response = await fetch("/api/scan-isbn", {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ isbns, device_id: deviceId }),
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || "Lookup failed");
+      }
+
+      if (onUploadSuccess) {
+        onUploadSuccess(data.scan_id);
+      }
+
+      setIsbns([]);
+    } catch (err) {
+      setError(err.message || "Lookup failed. Please try again.");
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const busy = decoding || uploading;
+
+  return (
+    <div className="w-full">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/jpeg, image/jpg, image/png"
+        onChange={handlePhotoSelect}
+        multiple
+        className="hidden"
+        capture="environment"
+      />
+
+      <div className="border border-dashed border-border hover:border-border-accent transition-colors duration-300 rounded-xl p-8 bg-bg-surface/30 space-y-5">
+        {barcodeDetectionSupported ? (
+          <div className="text-center">
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={busy}
+              className="px-7 py-3 bg-accent text-white rounded-lg hover:bg-accent-hover font-medium transition-all duration-150 active:scale-[0.98] disabled:opacity-50 disabled:cursor-not-allowed shadow-sm"
+            >
+              {decoding ? "Reading barcode..." : "Photograph Barcode"}
+            </button>
+            <p className="text-xs text-text-muted mt-2">
+              The barcode on the back cover · one or several books per photo
+            </p>
+          </div>
+        ) : (
+          <p className="text-center text-sm text-text-secondary">
+            Barcode reading isn't supported in this browser. Type the ISBN printed above the barcode instead.
+          </p>
+        )}
+
+        <form onSubmit={handleManualAdd} className="flex justify-center gap-2">
+          <input
+            type="text"
+            inputMode="numeric"
+            value={manualIsbn}
+            onChange={(e) => setManualIsbn(e.target.value)}
+            placeholder="ISBN, e.g. 978-0-7432-7356-5"
+            disabled={busy}
+            className="w-64 px-4 py-2 border border-border rounded-lg bg-bg-surface text-text-primary text-sm focus:outline-none focus:ring-2 focus:ring-accent/40 focus:border-accent"
+          />
+          <button
+            type="submit"
+            disabled={busy || manualIsbn.trim() === ""}
+            className="px-4 py-2 bg-bg-surface text-text-secondary border border-border hover:border-border-accent hover:text-text-primary rounded-lg transition-all duration-150 disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium"
+          >
+            Add
+          </button>
+        </form>
+
+        {isbns.length > 0 && (
+          <>
+            <ul className="flex flex-wrap justify-center gap-2">
+              {isbns.map((isbn) => (
+                <li
+                  key={isbn}
+                  className="flex items-center gap-2 pl-3 pr-1 py-1 rounded-full bg-bg-surface border border-border text-sm text-text-primary font-mono"
+                >
+                  {isbn}
+                  <button
+                    type="button"
+                    onClick={() => handleRemove(isbn)}
+                    disabled={busy}
+                    aria-label={`Remove ISBN ${isbn}`}
+                    className="w-6 h-6 rounded-full text-text-muted hover:text-danger hover:bg-danger-muted transition-colors duration-150 disabled:opacity-50"
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <div className="flex justify-center">
+              <button
+                type="button"
+                onClick={handleSubmit}
+                disabled={busy}
+                className="px-6 py-2.5 bg-accent text-white rounded-lg hover:bg-accent-hover font-medium transition-all duration-150 active:scale-[0.98] disabled:opacity-50 disabled:cursor-not-allowed text-sm shadow-sm"
+              >
+                {uploading
+                  ? "Looking up..."
+                  : `Look Up ${isbns.length} ${isbns.length === 1 ? "Book" : "Books"}`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+
+      {error && !busy && (
+        <div className="mt-4 p-4 bg-danger-muted border border-danger/30 rounded-lg">
+          <p className="text-danger text-sm">{error}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BarcodeCapture;
@@ -1,5 +1,6 @@
 import { useState } from "react";
 import BookIcon from "./BookIcon.jsx";
+import { describeDetails, describeRating, publicationYear } from "../utils/bookDetails.js";
 
 function getConfidenceBadge(confidence) {
   const percent = Math.round(confidence * 100);
@@ -9,9 +10,56 @@ function getConfidenceBadge(confidence) {
   return { label: "Low Confidence", colors: "bg-bg-surface text-text-muted border-border" };
 }
 
-export default function BookCard({ book }) {
+// Breakdown of a metadata-verified confidence (lib/confidenceScoring.js), shown on hover
+function describeVerification(verification) {
+  if (!verification) return undefined;
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  if (verification.status !== "matched") {
+    return `Not found on Google Books · model confidence ${percent(verification.model_confidence)}`;
+  }
+  const lines = [
+    `Matched "${verification.matched_title}"${verification.matched_author ? ` by ${verification.matched_author}` : ""}`,
+    `Title match ${percent(verification.title_similarity)}`,
+  ];
+  if (verification.author_similarity !== null) {
+    lines.push(`Author match ${percent(verification.author_similarity)}`);
+  }
+  lines.push(`Model confidence ${percent(verification.model_confidence)}`);
+  return lines.join("\n");
+}
+
+// Same edition as the picked match (alternatives carry no id of their own)
+function isSelectedMatch(alternative, selectedMatch) {
+  if (!selectedMatch) return false;
+  if (alternative.isbn || selectedMatch.isbn) return alternative.isbn === selectedMatch.isbn;
+  return alternative.matched_title === selectedMatch.matched_title;
+}
+
+// Stops clicks on edit controls from also selecting the card
+function stop(handler) {
+  return (event) => {
+    event.stopPropagation();
+    handler?.(event);
+  };
+}
+
+export default function BookCard({
+  book,
+  selected = false,
+  onSelect,
+  onSave,
+  onDelete,
+  onSelectMatch,
+  onSelectEdition,
+  saving = false,
+}) {
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [showMatches, setShowMatches] = useState(false);
+  const [showEditions, setShowEditions] = useState(false);
+  const [draftTitle, setDraftTitle] = useState("");
+  const [draftAuthor, setDraftAuthor] = useState("");
 
   const {
     title = "Unknown Title",
@@ -19,13 +67,48 @@ export default function BookCard({ book }) {
     confidence = 0,
     cover_url = null,
     categories = [],
+    alternatives = [],
+    editions = [],
   } = book;
 
   const badge = getConfidenceBadge(confidence);
+  const details = describeDetails(book, { language: true });
+  const rating = describeRating(book);
   const showRealCover = cover_url && imageLoaded && !imageError;
+  const editable = Boolean(onSave || onDelete);
+  const canPickMatch = Boolean(onSelectMatch) && (alternatives.length > 0 || book.selected_match);
+
+  const canPickEdition = Boolean(onSelectEdition) && editions.length > 1;
+  const ownedEditionId = book.owned_edition?.edition_id || null;
+
+  const pickMatch = async (alternative) => {
+    const saved = await onSelectMatch(alternative);
+    if (saved !== false) setShowMatches(false);
+  };
+
+  const pickEdition = async (editionId) => {
+    const saved = await onSelectEdition(editionId);
+    if (saved !== false) setShowEditions(false);
+  };
+
+  const startEditing = () => {
+    setDraftTitle(title);
+    setDraftAuthor(author === "Unknown" ? "" : author);
+    setEditing(true);
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    if (!draftTitle.trim()) return;
+    const saved = await onSave({ title: draftTitle.trim(), author: draftAuthor.trim() });
+    if (saved !== false) setEditing(false);
+  };
 
   return (
-    <div className="glass-card glass-card-hover overflow-hidden flex flex-col animate-fade-in-up">
+    <div
+      onClick={onSelect}
+      className={`glass-card glass-card-hover overflow-hidden flex flex-col animate-fade-in-up ${onSelect ? "cursor-pointer" : ""} ${selected ? "ring-2 ring-accent" : ""}`}
+    >
       <div className="h-64 bg-bg-surface flex items-center justify-center relative">
         <div className={`transition-opacity duration-300 ${showRealCover ? "opacity-0" : "opacity-100"}`}>
           <BookIcon title={title} size={120} />
@@ -42,8 +125,176 @@ export default function BookCard({ book }) {
       </div>
 
       <div className="p-4 flex-1 flex flex-col">
-        <h3 className="font-semibold text-text-primary line-clamp-2">{title}</h3>
-        <p className="text-sm text-text-secondary line-clamp-1 mt-1">{author}</p>
+        {editing ? (
+          <form onSubmit={handleSave} onClick={(e) => e.stopPropagation()} className="space-y-2">
+            <input
+              type="text"
+              value={draftTitle}
+              onChange={(e) => setDraftTitle(e.target.value)}
+              placeholder="Title"
+              aria-label="Title"
+              autoFocus
+              disabled={saving}
+              className="w-full px-3 py-1.5 border border-border rounded-lg bg-bg-surface text-text-primary text-sm focus:outline-none focus:ring-2 focus:ring-accent/40 focus:border-accent"
+            />
+            <input
+              type="text"
+              value={draftAuthor}
+              onChange={(e) => setDraftAuthor(e.target.value)}
+              placeholder="Author"
+              aria-label="Author"
+              disabled={saving}
+              className="w-full px-3 py-1.5 border border-border rounded-lg bg-bg-surface text-text-primary text-sm focus:outline-none focus:ring-2 focus:ring-accent/40 focus:border-accent"
+            />
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={saving || !draftTitle.trim()}
+                className="px-3 py-1.5 bg-accent text-white rounded-lg hover:bg-accent-hover text-xs font-medium transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? "Saving..." : "Save"}
+              </button>
+              <button
+                type="button"
+                onClick={() => setEditing(false)}
+                disabled={saving}
+                className="px-3 py-1.5 bg-bg-surface text-text-secondary border border-border hover:text-text-primary rounded-lg text-xs font-medium transition-colors duration-150 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <h3 className="font-semibold text-text-primary line-clamp-2" dir="auto">{title}</h3>
+            {book.title_transliterated && (
+              <p className="text-xs text-text-muted italic line-clamp-1">{book.title_transliterated}</p>
+            )}
+            <p dir="auto" className="text-sm text-text-secondary line-clamp-1 mt-1">{author}</p>
+            {book.verification?.status === "matched" && book.verification.title_similarity < 1 && (
+              <p className="text-xs text-text-muted line-clamp-1 mt-1">
+                Found as “{book.verification.matched_title}”
+              </p>
+            )}
+            {(details || rating) && (
+              <p className="text-xs text-text-muted line-clamp-1 mt-1">
+                {details}
+                {details && rating && " · "}
+                {rating}
+              </p>
+            )}
+          </>
+        )}
+
+        {canPickMatch && !editing && (
+          <div className="mt-2" onClick={(e) => e.stopPropagation()}>
+            <button
+              type="button"
+              onClick={() => setShowMatches(!showMatches)}
+              className="text-xs font-medium text-text-muted hover:text-accent transition-colors duration-150"
+            >
+              {showMatches ? "Hide other matches" : `Wrong book? ${alternatives.length} other match${alternatives.length === 1 ? "" : "es"}`}
+            </button>
+            {showMatches && (
+              <ul className="mt-2 space-y-1">
+                {book.selected_match && (
+                  <li>
+                    <button
+                      type="button"
+                      onClick={() => pickMatch(null)}
+                      disabled={saving}
+                      className="w-full text-left text-xs px-2 py-1.5 border border-border rounded-lg bg-bg-surface text-text-secondary hover:border-accent disabled:opacity-50 transition-colors"
+                    >
+                      Use the automatic match
+                    </button>
+                  </li>
+                )}
+                {alternatives.map((alternative, index) => {
+                  const current = isSelectedMatch(alternative, book.selected_match);
+                  return (
+                    <li key={index}>
+                      <button
+                        type="button"
+                        onClick={() => pickMatch(index)}
+                        disabled={saving || current}
+                        className={`w-full flex items-center gap-2 text-left text-xs px-2 py-1.5 border rounded-lg bg-bg-surface transition-colors disabled:cursor-default ${current ? "border-accent" : "border-border hover:border-accent disabled:opacity-50"}`}
+                      >
+                        {alternative.cover_url ? (
+                          <img src={alternative.cover_url} alt="" className="w-6 h-9 object-cover rounded flex-shrink-0" loading="lazy" />
+                        ) : (
+                          <span className="w-6 h-9 rounded bg-bg-primary flex-shrink-0" />
+                        )}
+                        <span className="min-w-0">
+                          <span dir="auto" className="block text-text-primary line-clamp-1">{alternative.matched_title}</span>
+                          <span className="block text-text-muted line-clamp-1">
+                            {alternative.matched_authors.join(", ") || "Unknown author"}
+                            {publicationYear(alternative.published_date) && ` · ${publicationYear(alternative.published_date)}`}
+                            {alternative.publisher && ` · ${alternative.publisher}`}
+                            {alternative.language && ` · ${alternative.language}`}
+                          </span>
+                        </span>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {canPickEdition && !editing && (
+          <div className="mt-2" onClick={(e) => e.stopPropagation()}>
+            <button
+              type="button"
+              onClick={() => setShowEditions(!showEditions)}
+              className="text-xs font-medium text-text-muted hover:text-accent transition-colors duration-150"
+            >
+              {showEditions
+                ? "Hide editions"
+                : ownedEditionId
+                  ? "Your edition · change"
+                  : `Which edition do you own? ${editions.length} known`}
+            </button>
+            {showEditions && (
+              <ul className="mt-2 space-y-1">
+                {ownedEditionId && (
+                  <li>
+                    <button
+                      type="button"
+                      onClick={() => pickEdition(null)}
+                      disabled={saving}
+                      className="w-full text-left text-xs px-2 py-1.5 border border-border rounded-lg bg-bg-surface text-text-secondary hover:border-accent disabled:opacity-50 transition-colors"
+                    >
+                      Don't know / not set
+                    </button>
+                  </li>
+                )}
+                {editions.map((edition) => {
+                  const current = edition.edition_id === ownedEditionId;
+                  const facts = describeDetails(edition, { language: true });
+                  return (
+                    <li key={edition.edition_id}>
+                      <button
+                        type="button"
+                        onClick={() => pickEdition(edition.edition_id)}
+                        disabled={saving || current}
+                        className={`w-full flex items-center gap-2 text-left text-xs px-2 py-1.5 border rounded-lg bg-bg-surface transition-colors disabled:cursor-default ${current ? "border-accent" : "border-border hover:border-accent disabled:opacity-50"}`}
+                      >
+                        <img src={edition.cover_url} alt="" className="w-6 h-9 object-cover rounded flex-shrink-0" loading="lazy" />
+                        <span className="min-w-0">
+                          <span dir="auto" className="block text-text-primary line-clamp-1">{edition.title || title}</span>
+                          <span className="block text-text-muted line-clamp-1">
+                            {facts || `ISBN ${edition.isbn}`}
+                          </span>
+                        </span>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        )}
 
         {categories.length > 0 && (
           <div className="flex flex-wrap gap-1 mt-2">
@@ -60,10 +311,43 @@ export default function BookCard({ book }) {
 
         <div className="flex-1" />
 
-        <div className="mt-3">
-          <span className={`inline-flex items-center gap-1 text-xs font-medium border rounded-full px-2 py-1 ${badge.colors}`}>
-            {badge.label} · {Math.round(confidence * 100)}%
-          </span>
+        <div className="mt-3 flex items-center justify-between gap-2">
+          {book.source === "user" ? (
+            <span className="inline-flex items-center gap-1 text-xs font-medium border rounded-full px-2 py-1 bg-success-muted text-success border-success/30">
+              {book.original ? "Corrected" : "Added"} by you
+            </span>
+          ) : (
+            <span
+              title={describeVerification(book.verification)}
+              className={`inline-flex items-center gap-1 text-xs font-medium border rounded-full px-2 py-1 ${badge.colors}`}
+            >
+              {badge.label} · {Math.round(confidence * 100)}%
+            </span>
+          )}
+          {editable && !editing && (
+            <div className="flex gap-1">
+              {onSave && (
+                <button
+                  type="button"
+                  onClick={stop(startEditing)}
+                  disabled={saving}
+                  className="px-2 py-1 text-xs font-medium text-text-muted hover:text-accent transition-colors duration-150 disabled:opacity-50"
+                >
+                  Edit
+                </button>
+              )}
+              {onDelete && (
+                <button
+                  type="button"
+                  onClick={stop(onDelete)}
+                  disabled={saving}
+                  className="px-2 py-1 text-xs font-medium text-text-muted hover:text-danger transition-colors duration-150 disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -1,37 +1,169 @@
 import { useState, useRef } from "react";
 import { useSession } from "../contexts/SessionContext.jsx";
+import BarcodeCapture from "./BarcodeCapture.jsx";
 
-function CameraCapture({ onUploadSuccess }) {
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [preview, setPreview] = useState(null);
+// Must match MAX_IMAGES_PER_SCAN in lib/scanRecognition.js
+const MAX_PHOTOS = 6;
+
+// Shelf languages, the same list as the Preferences page (lib/languageHints.js)
+const SHELF_LANGUAGES = [
+  "English",
+  "Chinese (Mandarin)",
+  "German",
+  "French",
+  "Spanish",
+  "Japanese",
+  "Russian",
+  "Portuguese",
+  "Korean",
+  "Italian",
+  "Dutch",
+  "Swedish",
+  "Arabic",
+  "Hindi",
+  "Turkish",
+];
+
+const JOB_POLL_INTERVAL_MS = 1000;
+// Matches the server's stale-job cutoff in lib/scanJobs.js
+const JOB_POLL_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Human-readable status for a scan job (GET /api/scan-jobs/:jobId)
+function describeJob(job) {
+  const { done, total } = job.progress || {};
+  const photoCount = total > 1 ? ` (photo ${Math.min(done + 1, total)} of ${total})` : "";
+
+  switch (job.stage) {
+    case "queued":
+      return "Waiting to start...";
+    case "resizing":
+      return "Preparing photos...";
+    case "recognizing":
+      return `Reading spines${photoCount}...`;
+    case "enriching":
+      return total ? `Looking up books ${done} of ${total}...` : "Looking up books...";
+    case "saving":
+      return "Saving your scan...";
+    default:
+      return "Processing...";
+  }
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function CameraCapture({ onUploadSuccess, onScanProgress }) {
+  // Staged shots of the same bookcase: [{ file, preview }], uploaded as one scan
+  const [photos, setPhotos] = useState([]);
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState(null);
+  const [jobStatus, setJobStatus] = useState(null);
+  const [tiled, setTiled] = useState(false);
+  // "" lets the server use the preferred language from Preferences, if any
+  const [language, setLanguage] = useState("");
+  // "photo": read spines with the vision model · "barcode": ISBN barcodes, no AI quota
+  const [mode, setMode] = useState("photo");
   const fileInputRef = useRef(null);
   const { deviceId } = useSession();
 
   const handleFileSelect = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+    const files = Array.from(event.target.files || []);
+    // Reset so the same file (or another camera shot) can be picked again
+    event.target.value = "";
+    if (files.length === 0) return;
 
     const maxSize = 10 * 1024 * 1024;
-    if (file.size > maxSize) {
+    if (files.some((file) => file.size > maxSize)) {
       setError("File size exceeds 10MB limit.");
       return;
     }
 
     const allowedTypes = ["image/jpeg", "image/jpg", "image/png", "image/heic"];
-    if (!allowedTypes.includes(file.type)) {
+    if (files.some((file) => !allowedTypes.includes(file.type))) {
       setError("Invalid file type. Only JPEG, PNG, and HEIC are allowed.");
       return;
     }
 
+    if (photos.length + files.length > MAX_PHOTOS) {
+      setError(`A scan can have up to ${MAX_PHOTOS} photos.`);
+      return;
+    }
+
     setError(null);
-    setSelectedFile(file);
-    setPreview(URL.createObjectURL(file));
+    setPhotos((current) => [
+      ...current,
+      ...files.map((file) => ({ file, preview: URL.createObjectURL(file) })),
+    ]);
   };
 
+  // Polls the scan job until it is done, and returns its scan_id
+  const waitForScanJob = async (jobId) => {
+    const deadline = Date.now() + JOB_POLL_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+      const response = await fetch(
+        `/api/scan-jobs/${jobId}?device_id=${encodeURIComponent(deviceId)}`,
+        { credentials: "include" },
+      );
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || !data.job) {
+        throw new Error(data.error || "Could not check scan progress");
+      }
+
+      if (data.job.status === "done") return data.job.scan_id;
+      if (data.job.status === "failed") {
+        throw new Error(data.job.error || "Scan failed");
+      }
+
+      setJobStatus(describeJob(data.job));
+      await wait(JOB_POLL_INTERVAL_MS);
+    }
+
+    throw new Error("The scan is taking too long. Please try again.");
+  };
+
+  // Follows the scan job over Server-Sent Events (GET /api/scan-events/:jobId),
+  // passing "recognized" and "book" events to onScanProgress as they arrive.
+  // Resolves with the scan_id, or null if the stream broke before the end and
+  // the caller should fall back to polling.
+  const streamScanJob = (jobId) =>
+    new Promise((resolve, reject) => {
+      if (typeof EventSource === "undefined") {
+        resolve(null);
+        return;
+      }
+
+      const source = new EventSource(
+        `/api/scan-events/${jobId}?device_id=${encodeURIComponent(deviceId)}`,
+        { withCredentials: true },
+      );
+      const parse = (event) => JSON.parse(event.data);
+
+      source.addEventListener("stage", (event) => setJobStatus(describeJob(parse(event))));
+      for (const type of ["recognized", "book"]) {
+        source.addEventListener(type, (event) => {
+          if (onScanProgress) onScanProgress({ type, ...parse(event) });
+        });
+      }
+      source.addEventListener("done", (event) => {
+        source.close();
+        resolve(parse(event).scan_id);
+      });
+      source.addEventListener("failed", (event) => {
+        source.close();
+        reject(new Error(parse(event).error || "Scan failed"));
+      });
+      // Also fires when the server closes the stream without a terminal event
+      source.onerror = () => {
+        source.close();
+        resolve(null);
+      };
+    });
+
   const handleUpload = async () => {
-    if (!selectedFile) {
+    if (photos.length === 0) {
       setError("No file selected for upload.");
       return;
     }
@@ -42,11 +174,20 @@ function CameraCapture({ onUploadSuccess }) {
 
     setUploading(true);
     setError(null);
+    setJobStatus(null);
+    // null clears books streamed by a previous scan
+    if (onScanProgress) onScanProgress(null);
 
     try {
       const formData = new FormData();
-      formData.append("image", selectedFile);
+      photos.forEach((photo) => formData.append("image", photo.file));
       formData.append("device_id", deviceId);
+      if (tiled) {
+        formData.append("tiled", "on");
+      }
+      if (language) {
+        formData.append("language", language);
+      }
 
       const response = await fetch("/api/upload-image", {
         method: "POST",
@@ -61,19 +202,23 @@ function CameraCapture({ onUploadSuccess }) {
 
       const data = await response.json();
 
+      // The upload only queues the scan; recognition and enrichment run in a job
+      setJobStatus("Waiting to start...");
+      const scanId =
+        (await streamScanJob(data.job_id)) || (await waitForScanJob(data.job_id));
+
       if (onUploadSuccess) {
-        onUploadSuccess(data.scan_id);
+        onUploadSuccess(scanId);
       }
 
-      setSelectedFile(null);
-      setPreview(null);
-      if (fileInputRef.current) {
-        fileInputRef.current.value = "";
-      }
+      photos.forEach((photo) => URL.revokeObjectURL(photo.preview));
+      setPhotos([]);
     } catch (err) {
       setError(err.message || "Upload failed. Please try again.");
+      if (onScanProgress) onScanProgress(null);
     } finally {
       setUploading(false);
+      setJobStatus(null);
     }
   };
 
@@ -81,50 +226,160 @@ function CameraCapture({ onUploadSuccess }) {
     fileInputRef.current?.click();
   };
 
+  const handleRemovePhoto = (index) => {
+    URL.revokeObjectURL(photos[index].preview);
+    setPhotos((current) => current.filter((_, i) => i !== index));
+    setError(null);
+  };
+
   const handleClear = () => {
-    setSelectedFile(null);
-    setPreview(null);
+    photos.forEach((photo) => URL.revokeObjectURL(photo.preview));
+    setPhotos([]);
     setError(null);
-    if (fileInputRef.current) {
-      fileInputRef.current.value = "";
-    }
   };
 
+  const totalSize = photos.reduce((sum, photo) => sum + photo.file.size, 0);
+
+  const modeToggle = (
+    <div className="flex justify-center mb-5">
+      <div className="inline-flex p-1 rounded-lg bg-bg-surface border border-border text-sm">
+        {[
+          ["photo", "Shelf Photo"],
+          ["barcode", "ISBN Barcode"],
+        ].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setMode(value)}
+            disabled={uploading}
+            className={`px-4 py-1.5 rounded-md font-medium transition-colors duration-150 disabled:cursor-not-allowed ${
+              mode === value ? "bg-accent text-white shadow-sm" : "text-text-secondary hover:text-text-primary"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  if (mode === "barcode") {
+    return (
+      <div className="w-full">
+        {modeToggle}
+        <BarcodeCapture onUploadSuccess={onUploadSuccess} />
+      </div>
+    );
+  }
+
   return (
     <div className="w-full">
+      {modeToggle}
       <input
         ref={fileInputRef}
         type="file"
         accept="image/jpeg, image/jpg, image/png, image/heic"
         onChange={handleFileSelect}
+        multiple
         className="hidden"
         capture="environment"
       />
 
       <div className="border border-dashed border-border hover:border-border-accent transition-colors duration-300 rounded-xl p-8 bg-bg-surface/30">
-        {preview ? (
+        {photos.length > 0 ? (
           <div className="space-y-5">
-            <img
-              src={preview}
-              alt="Preview"
-              className="max-h-96 mx-auto rounded-lg ring-1 ring-border"
-            />
+            {photos.length === 1 ? (
+              <img
+                src={photos[0].preview}
+                alt="Preview"
+                className="max-h-96 mx-auto rounded-lg ring-1 ring-border"
+              />
+            ) : (
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                {photos.map((photo, index) => (
+                  <div key={photo.preview} className="relative">
+                    <img
+                      src={photo.preview}
+                      alt={`Photo ${index + 1}`}
+                      className="w-full h-40 object-cover rounded-lg ring-1 ring-border"
+                    />
+                    <span className="absolute bottom-2 left-2 px-2 py-0.5 rounded bg-black/60 text-white text-xs">
+                      {index + 1}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => handleRemovePhoto(index)}
+                      disabled={uploading}
+                      aria-label={`Remove photo ${index + 1}`}
+                      className="absolute top-2 right-2 w-7 h-7 rounded-full bg-black/60 text-white text-sm hover:bg-black/80 transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            {photos.length < MAX_PHOTOS && (
+              <div className="text-center">
+                <button
+                  type="button"
+                  onClick={handleChooseFile}
+                  disabled={uploading}
+                  className="text-sm font-medium text-accent hover:text-accent-hover transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  + Add another photo of this bookcase
+                </button>
+                <p className="text-xs text-text-muted mt-1">
+                  {photos.length} of {MAX_PHOTOS} photos · books seen in several photos are only counted once
+                </p>
+              </div>
+            )}
+            <label className="flex items-center justify-center gap-2 cursor-pointer text-sm text-text-secondary">
+              <input
+                type="checkbox"
+                checked={tiled}
+                onChange={(e) => setTiled(e.target.checked)}
+                disabled={uploading}
+                className="w-4 h-4 rounded border-border accent-[#7c5e36]"
+              />
+              Wide shelf mode
+              <span className="text-text-muted text-xs">· scans the photo in sections, slower but reads more spines</span>
+            </label>
+            <label className="flex items-center justify-center gap-2 text-sm text-text-secondary">
+              Shelf language
+              <select
+                value={language}
+                onChange={(e) => setLanguage(e.target.value)}
+                disabled={uploading}
+                className="px-3 py-1.5 border border-border rounded-lg bg-bg-surface text-text-primary text-sm focus:outline-none focus:ring-2 focus:ring-accent/40 focus:border-accent"
+              >
+                <option value="">Default</option>
+                {SHELF_LANGUAGES.map((lang) => (
+                  <option key={lang} value={lang}>{lang}</option>
+                ))}
+              </select>
+            </label>
             <div className="flex justify-center gap-3">
               <button
                 onClick={handleClear}
                 disabled={uploading}
                 className="px-5 py-2.5 bg-bg-surface text-text-secondary border border-border hover:border-border-accent hover:text-text-primary rounded-lg transition-all duration-150 disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium"
               >
-                Choose Different
+                {photos.length > 1 ? "Start Over" : "Choose Different"}
               </button>
               <button
                 onClick={handleUpload}
                 disabled={uploading}
                 className="px-6 py-2.5 bg-accent text-white rounded-lg hover:bg-accent-hover font-medium transition-all duration-150 active:scale-[0.98] disabled:opacity-50 disabled:cursor-not-allowed text-sm shadow-sm"
               >
-                {uploading ? "Uploading..." : "Upload & Scan"}
+                {uploading ? (jobStatus ? "Scanning..." : "Uploading...") : "Upload & Scan"}
               </button>
             </div>
+            {uploading && jobStatus && (
+              <p className="text-center text-sm text-text-secondary" aria-live="polite">
+                {jobStatus}
+              </p>
+            )}
           </div>
         ) : (
           <div className="text-center space-y-4">
@@ -153,7 +408,9 @@ function CameraCapture({ onUploadSuccess }) {
                 Take Photo or Choose from Library
               </button>
             </div>
-            <p className="text-xs text-text-muted">JPEG, PNG or HEIC · Up to 10 MB</p>
+            <p className="text-xs text-text-muted">
+              JPEG, PNG or HEIC · Up to 10 MB each · Up to {MAX_PHOTOS} photos per scan
+            </p>
           </div>
         )}
       </div>
@@ -164,9 +421,12 @@ function CameraCapture({ onUploadSuccess }) {
         </div>
       )}
 
-      {selectedFile && !uploading && (
+      {photos.length > 0 && !uploading && (
         <div className="mt-3 text-xs text-text-muted">
-          {selectedFile.name} · {(selectedFile.size / 1024 / 1024).toFixed(2)} MB
+          {photos.length === 1
+            ? photos[0].file.name
+            : `${photos.length} photos`}{" "}
+          · {(totalSize / 1024 / 1024).toFixed(2)} MB
         </div>
       )}
     </div>
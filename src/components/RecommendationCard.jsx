@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import BookIcon from './BookIcon';
+import { describeDetails, describeRating } from '../utils/bookDetails.js';
 
 export default function RecommendationCard({ book }) {
   const [imageLoaded, setImageLoaded] = useState(false);
@@ -11,10 +12,13 @@ export default function RecommendationCard({ book }) {
     reason = '',
     cover_url = null,
     description = null,
-    categories = []
+    categories = [],
+    series = null
   } = book;
 
   const showRealCover = cover_url && imageLoaded && !imageError;
+  const details = describeDetails(book, { language: true });
+  const rating = describeRating(book);
 
   const truncateDescription = (text, maxLength = 200) => {
     if (!text) return null;
@@ -46,6 +50,18 @@ export default function RecommendationCard({ book }) {
         <div className="flex-1 min-w-0">
           <h3 className="font-bold text-text-primary text-lg leading-tight line-clamp-2">{title}</h3>
           <p className="text-text-secondary text-sm mt-1 truncate">by {author}</p>
+          {(details || rating) && (
+            <p className="text-xs text-text-muted mt-1 line-clamp-1">
+              {details}
+              {details && rating && ' · '}
+              {rating}
+            </p>
+          )}
+          {series && (
+            <p className="text-xs font-medium text-success mt-1">
+              Completes your series: {series.name} #{series.volume}
+            </p>
+          )}
           {categories.length > 0 && (
             <div className="flex flex-wrap gap-1 mt-2">
               {categories.slice(0, 3).map((category, index) => (
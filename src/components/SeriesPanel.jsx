@@ -0,0 +1,116 @@
+import { useState, useEffect } from "react";
+
+function formatVolume(volume) {
+  return Number.isInteger(volume) ? `#${volume}` : `#${volume.toFixed(1)}`;
+}
+
+// Series on the shelf with owned and missing volumes (GET /api/series/:scanId,
+// built with POST the first time). `scan` changes after edits and re-runs,
+// which delete the stored report, so the panel reloads with it.
+export default function SeriesPanel({ scanId, deviceId, scan }) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const url = deviceId
+      ? `/api/series/${scanId}?device_id=${encodeURIComponent(deviceId)}`
+      : `/api/series/${scanId}`;
+
+    async function loadSeries() {
+      try {
+        setLoading(true);
+        setError(null);
+
+        let response = await fetch(url, { credentials: "include" });
+
+        if (response.status === 404) {
+          response = await fetch(url, { method: "POST", credentials: "include" });
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.report) {
+          throw new Error(data.error || `Server error: ${response.status}`);
+        }
+
+        if (!cancelled) setReport(data.report);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadSeries();
+    return () => {
+      cancelled = true;
+    };
+  }, [scanId, deviceId, scan]);
+
+  if (loading) {
+    return <p className="text-text-muted text-sm mb-8">Looking for series on your shelf…</p>;
+  }
+
+  // Series are a bonus: a failure is a quiet note, not a page error
+  if (error) {
+    return <p className="text-text-muted text-sm mb-8">Series could not be detected: {error}</p>;
+  }
+
+  if (!report?.series?.length) return null;
+
+  return (
+    <div className="glass-card p-4 mb-8">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-display text-lg font-semibold text-text-primary">Series</h2>
+        <p className="text-xs text-text-muted">
+          {report.metadata.books_in_series} books in {report.series.length} series ·{" "}
+          {report.metadata.missing_count} missing
+        </p>
+      </div>
+
+      <div className="space-y-4">
+        {report.series.map((entry) => (
+          <div key={entry.name}>
+            <p className="text-sm font-medium text-text-primary">
+              {entry.name}
+              {entry.author && <span className="text-text-secondary font-normal"> by {entry.author}</span>}
+              {entry.total_volumes && (
+                <span className="text-text-muted font-normal">
+                  {" "}
+                  · {entry.owned.length} of {entry.total_volumes}
+                </span>
+              )}
+            </p>
+            <div className="flex flex-wrap gap-1.5 mt-2">
+              {entry.owned.map((book) => (
+                <span
+                  key={`owned-${book.position}`}
+                  title={book.title}
+                  className="text-xs bg-success/15 text-success border border-success/30 rounded-full px-2 py-0.5"
+                >
+                  {formatVolume(book.volume)} {book.title}
+                </span>
+              ))}
+              {entry.missing.map((volume) => (
+                <span
+                  key={`missing-${volume.volume}`}
+                  title="Not on your shelf"
+                  className="text-xs text-text-muted border border-dashed border-border rounded-full px-2 py-0.5"
+                >
+                  {formatVolume(volume.volume)} {volume.title || "Missing"}
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {!report.metadata.assisted && (
+        <p className="text-xs text-text-muted mt-3">
+          Based on book metadata only; some series may not be listed.
+        </p>
+      )}
+    </div>
+  );
+}
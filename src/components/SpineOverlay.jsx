@@ -0,0 +1,93 @@
+function getOutlineColors(confidence, selected) {
+  if (selected) return "border-accent bg-accent/25 ring-2 ring-accent";
+  const percent = Math.round((confidence || 0) * 100);
+  if (percent >= 85) return "border-success/80 hover:bg-success/20";
+  if (percent >= 75) return "border-accent/80 hover:bg-accent/20";
+  return "border-danger/80 border-dashed hover:bg-danger/20";
+}
+
+// Books without image_index come from single-photo scans
+function getImageIndex(book) {
+  return book.image_index ?? 0;
+}
+
+export default function SpineOverlay({
+  imageUrls,
+  activeImageIndex,
+  onImageChange,
+  books,
+  selectedPosition,
+  onSelect,
+}) {
+  const boxedBooks = books.filter((book) => book.bbox);
+  const imageUrl = imageUrls[activeImageIndex];
+  const visibleBooks = boxedBooks.filter((book) => getImageIndex(book) === activeImageIndex);
+
+  return (
+    <div className="glass-card p-4 mb-8">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-display text-lg font-semibold text-text-primary">Your Shelf</h2>
+        <p className="text-xs text-text-muted">
+          {boxedBooks.length} of {books.length} books located · dashed outlines are low confidence
+        </p>
+      </div>
+
+      {imageUrls.length > 1 && (
+        <div className="flex flex-wrap justify-center gap-2 mb-3">
+          {imageUrls.map((url, index) => (
+            <button
+              key={index}
+              type="button"
+              onClick={() => onImageChange(index)}
+              disabled={!url}
+              aria-label={`Show photo ${index + 1}`}
+              className={`relative w-16 h-12 rounded-md overflow-hidden ring-2 transition-all duration-150 disabled:opacity-40 disabled:cursor-not-allowed ${
+                index === activeImageIndex ? "ring-accent" : "ring-border hover:ring-border-accent"
+              }`}
+            >
+              {url ? (
+                <img src={url} alt="" className="w-full h-full object-cover" />
+              ) : (
+                <span className="text-xs text-text-muted">No preview</span>
+              )}
+              <span className="absolute bottom-0 right-0 px-1 bg-black/60 text-white text-[10px]">
+                {index + 1}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="relative w-fit max-w-full mx-auto">
+        {imageUrl ? (
+          <img
+            src={imageUrl}
+            alt={imageUrls.length > 1 ? `Scanned bookshelf, photo ${activeImageIndex + 1}` : "Scanned bookshelf"}
+            className="block max-h-[28rem] max-w-full rounded-lg ring-1 ring-border"
+          />
+        ) : (
+          <p className="text-sm text-text-muted py-12">No preview available for this photo.</p>
+        )}
+        {imageUrl && visibleBooks.map((book) => {
+          const selected = book.position === selectedPosition;
+          return (
+            <button
+              key={book.position}
+              type="button"
+              onClick={() => onSelect(book.position)}
+              title={`${book.title} · ${Math.round((book.confidence || 0) * 100)}%`}
+              aria-label={`Show ${book.title}`}
+              className={`absolute border-2 rounded-sm transition-colors duration-150 cursor-pointer ${getOutlineColors(book.confidence, selected)}`}
+              style={{
+                left: `${book.bbox.x * 100}%`,
+                top: `${book.bbox.y * 100}%`,
+                width: `${book.bbox.width * 100}%`,
+                height: `${book.bbox.height * 100}%`,
+              }}
+            />
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,28 @@
+import { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import CameraCapture from "../components/CameraCapture";
+import BookCard from "../components/BookCard";
 import AuthPrompt from "../components/AuthPrompt";
 import { useSession } from "../contexts/SessionContext";
 
 function Home() {
   const navigate = useNavigate();
   const { deviceId } = useSession();
+  // Books streamed while the scan runs: the raw AI list first, then each entry
+  // replaced by its enriched version (cover, ISBN, ...) as it arrives
+  const [liveBooks, setLiveBooks] = useState(null);
+
+  const handleScanProgress = (event) => {
+    if (!event) {
+      setLiveBooks(null);
+    } else if (event.type === "recognized") {
+      setLiveBooks(event.books);
+    } else if (event.type === "book") {
+      setLiveBooks((current) =>
+        current?.map((book, index) => (index === event.index ? event.book : book)),
+      );
+    }
+  };
 
   const handleUploadSuccess = (scanId) => {
     const query = deviceId ? `?device_id=${deviceId}` : "";
@@ -36,9 +53,25 @@ function Home() {
         <p className="text-text-secondary text-sm mb-8">
           Take a photo or upload an image — we'll do the rest.
         </p>
-        <CameraCapture onUploadSuccess={handleUploadSuccess} />
+        <CameraCapture
+          onUploadSuccess={handleUploadSuccess}
+          onScanProgress={handleScanProgress}
+        />
       </div>
 
+      {liveBooks && (
+        <div className="mb-8">
+          <h2 className="font-display text-2xl font-semibold text-text-primary mb-6">
+            Recognized {liveBooks.length} {liveBooks.length === 1 ? "book" : "books"}
+          </h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+            {liveBooks.map((book, index) => (
+              <BookCard key={index} book={book} />
+            ))}
+          </div>
+        </div>
+      )}
+
       <AuthPrompt />
     </div>
   );
@@ -309,7 +309,7 @@ function Preferences() {
             Preferred Language
           </label>
           <p className="text-sm text-text-muted mb-4">
-            Choose the language you prefer for book recommendations.
+            Choose the language you prefer for book recommendations. Scans also expect shelves in this language unless you pick another one.
           </p>
           <select
             id="language-select"
@@ -293,15 +293,29 @@ export default function Recommendations() {
           </div>
           <h2 className="text-xl font-semibold text-text-primary">No Recommendations Generated</h2>
           <p className="text-text-secondary mt-2 text-center max-w-md text-sm">
-            The AI wasn't able to generate recommendations from your scan.
-            Try scanning a clearer photo with more visible book spines.
+            {recommendations.message || (
+              <>
+                The AI wasn't able to generate recommendations from your scan.
+                Try scanning a clearer photo with more visible book spines.
+              </>
+            )}
           </p>
-          <button
-            onClick={() => navigate("/")}
-            className="mt-6 px-6 py-2 bg-accent text-white rounded-lg hover:bg-accent-hover transition-colors font-medium"
-          >
-            Scan Another Bookshelf
-          </button>
+          <div className="flex gap-4 mt-6">
+            {recommendations.message && (
+              <button
+                onClick={handleRetry}
+                className="px-6 py-2 bg-bg-surface text-text-secondary border border-border hover:border-border-accent rounded-lg transition-all"
+              >
+                Try Again
+              </button>
+            )}
+            <button
+              onClick={() => navigate("/")}
+              className="px-6 py-2 bg-accent text-white rounded-lg hover:bg-accent-hover transition-colors font-medium"
+            >
+              Scan Another Bookshelf
+            </button>
+          </div>
         </div>
       )}
 
@@ -2,7 +2,77 @@ import { useState, useEffect } from "react";
 import { useParams, useNavigate, Link, useSearchParams } from "react-router-dom";
 import BookCard from "../components/BookCard";
 import SkeletonCard from "../components/SkeletonCard";
+import SpineOverlay from "../components/SpineOverlay";
+import SeriesPanel from "../components/SeriesPanel";
 import { useAuth } from "../contexts/AuthContext";
+import { languageName, publicationYear } from "../utils/bookDetails.js";
+
+function sortBooks(list, sortBy) {
+  const sortedBooks = [...list];
+
+  switch (sortBy) {
+    case "confidence":
+      sortedBooks.sort((a, b) => b.confidence - a.confidence);
+      break;
+    case "title":
+      sortedBooks.sort((a, b) => a.title.localeCompare(b.title));
+      break;
+    case "author":
+      sortedBooks.sort((a, b) => a.author.localeCompare(b.author));
+      break;
+    // Books without the detail go last either way
+    case "published":
+      sortedBooks.sort(
+        (a, b) => (publicationYear(b.published_date) || 0) - (publicationYear(a.published_date) || 0),
+      );
+      break;
+    case "pages":
+      sortedBooks.sort((a, b) => (a.page_count || Infinity) - (b.page_count || Infinity));
+      break;
+    case "rating":
+      sortedBooks.sort((a, b) => (b.average_rating || 0) - (a.average_rating || 0));
+      break;
+    default:
+      break;
+  }
+
+  return sortedBooks;
+}
+
+// Confidence is metadata-verified (lib/confidenceScoring.js): at or above this,
+// Google Books found the book under the title and author the model read.
+const LIKELY_MATCH_CONFIDENCE = 0.85;
+
+// "language:<code>" filters by the book's language (book_cache.language)
+function filterBooks(list, filterBy) {
+  if (filterBy.startsWith("language:")) {
+    const code = filterBy.slice("language:".length);
+    return list.filter((book) => book.language === code);
+  }
+
+  switch (filterBy) {
+    case "likely":
+      return list.filter((book) => book.source === "user" || book.confidence >= LIKELY_MATCH_CONFIDENCE);
+    case "review":
+      return list.filter((book) => book.source !== "user" && book.confidence < LIKELY_MATCH_CONFIDENCE);
+    default:
+      return list;
+  }
+}
+
+// Re-run recognition job polling (POST /api/scan-rerun/:scanId)
+const RERUN_POLL_INTERVAL_MS = 1000;
+const RERUN_TIMEOUT_MS = 3 * 60 * 1000;
+
+// position is the book's index in the scan, stable across re-sorting.
+// It links each BookCard to its outline in the SpineOverlay, and is how
+// edits address a book (PATCH /api/scan/:scanId).
+function withPositions(scanData) {
+  return (scanData.recognized_books?.books || []).map((book, position) => ({
+    ...book,
+    position,
+  }));
+}
 
 function Results() {
   const { scanId } = useParams();
@@ -15,6 +85,16 @@ function Results() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [sortBy, setSortBy] = useState("confidence");
+  const [filterBy, setFilterBy] = useState("all");
+  const [selectedPosition, setSelectedPosition] = useState(null);
+  // Which photo of a multi-photo scan the overlay shows
+  const [activeImageIndex, setActiveImageIndex] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const [editError, setEditError] = useState(null);
+  const [newTitle, setNewTitle] = useState("");
+  const [newAuthor, setNewAuthor] = useState("");
+  const [rerunning, setRerunning] = useState(false);
+  const [rerunError, setRerunError] = useState(null);
 
   useEffect(() => {
     async function fetchScan() {
@@ -41,10 +121,9 @@ function Results() {
         }
 
         const scanData = data.scan;
-        const booksData = scanData.recognized_books?.books || [];
 
         setScan(scanData);
-        setBooks(booksData);
+        setBooks(withPositions(scanData));
       } catch (err) {
         setError(err.message);
       } finally {
@@ -58,29 +137,160 @@ function Results() {
   useEffect(() => {
     if (!books || books.length === 0) return;
 
-    const sortedBooks = [...books];
-
-    switch (sortBy) {
-      case "confidence":
-        sortedBooks.sort((a, b) => b.confidence - a.confidence);
-        break;
-      case "title":
-        sortedBooks.sort((a, b) => a.title.localeCompare(b.title));
-        break;
-      case "author":
-        sortedBooks.sort((a, b) => a.author.localeCompare(b.author));
-        break;
-      default:
-        break;
+    setBooks(sortBooks(books, sortBy));
+  }, [sortBy]);
+
+  // Sends edit operations and replaces the scan with the server's copy, which
+  // has the new positions and the re-enriched covers. Returns false on failure
+  // so an inline editor can stay open.
+  async function applyEdits(operations) {
+    setSaving(true);
+    setEditError(null);
+
+    try {
+      const deviceId = searchParams.get("device_id");
+      const url = deviceId
+        ? `/api/scan/${scanId}?device_id=${encodeURIComponent(deviceId)}`
+        : `/api/scan/${scanId}`;
+
+      const response = await fetch(url, {
+        method: "PATCH",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ operations }),
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || !data.scan) {
+        throw new Error(data.error || "Could not save your changes");
+      }
+
+      setScan(data.scan);
+      setBooks(sortBooks(withPositions(data.scan), sortBy));
+      setSelectedPosition(null);
+      return true;
+    } catch (err) {
+      setEditError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
     }
+  }
 
-    setBooks(sortedBooks);
-  }, [sortBy]);
+  // Recognizes the scan's stored photos again (POST /api/scan-rerun/:scanId),
+  // waits for the job, then reloads the scan, which keeps its id. The new
+  // reading replaces the user's corrections, so they are asked first.
+  async function handleRerun() {
+    const corrections = scan?.edit_history?.length || 0;
+    if (
+      corrections > 0 &&
+      !window.confirm(
+        `Recognizing the photos again replaces the books, including your ${corrections} correction${corrections === 1 ? "" : "s"}. Continue?`,
+      )
+    ) {
+      return;
+    }
+
+    setRerunning(true);
+    setRerunError(null);
+
+    try {
+      const deviceId = searchParams.get("device_id");
+      const query = deviceId ? `?device_id=${encodeURIComponent(deviceId)}` : "";
+
+      const response = await fetch(`/api/scan-rerun/${scanId}${query}`, {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ discard_edits: corrections > 0 }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.job_id) {
+        throw new Error(data.error || "Could not start recognition");
+      }
+
+      const deadline = Date.now() + RERUN_TIMEOUT_MS;
+      for (;;) {
+        if (Date.now() > deadline) {
+          throw new Error("Recognition is taking too long. Reload the page later.");
+        }
+        await new Promise((resolve) => setTimeout(resolve, RERUN_POLL_INTERVAL_MS));
+
+        const jobResponse = await fetch(`/api/scan-jobs/${data.job_id}${query}`, {
+          credentials: "include",
+        });
+        const jobData = await jobResponse.json().catch(() => ({}));
+        if (!jobResponse.ok || !jobData.job) {
+          throw new Error(jobData.error || "Could not check recognition progress");
+        }
+        if (jobData.job.status === "failed") {
+          throw new Error(jobData.job.error || "Recognition failed");
+        }
+        if (jobData.job.status === "done") break;
+      }
+
+      const scanResponse = await fetch(`/api/scan/${scanId}${query}`, { credentials: "include" });
+      const scanData = await scanResponse.json().catch(() => ({}));
+      if (!scanResponse.ok || !scanData.scan) {
+        throw new Error(scanData.error || "Could not reload the scan");
+      }
+
+      setScan(scanData.scan);
+      setBooks(sortBooks(withPositions(scanData.scan), sortBy));
+      setSelectedPosition(null);
+    } catch (err) {
+      setRerunError(err.message);
+    } finally {
+      setRerunning(false);
+    }
+  }
+
+  function handleRename(position, { title, author }) {
+    return applyEdits([{ op: "rename", position, title, author }]);
+  }
+
+  function handleDelete(position) {
+    return applyEdits([{ op: "delete", position }]);
+  }
+
+  // alternative: index into book.alternatives, or null for the automatic match
+  function handleSelectMatch(position, alternative) {
+    return applyEdits([{ op: "match", position, alternative }]);
+  }
+
+  // editionId: one of book.editions, or null for no owned edition
+  function handleSelectEdition(position, editionId) {
+    return applyEdits([{ op: "edition", position, edition_id: editionId }]);
+  }
+
+  async function handleAddBook(e) {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+    const added = await applyEdits([{ op: "add", title: newTitle.trim(), author: newAuthor.trim() }]);
+    if (added) {
+      setNewTitle("");
+      setNewAuthor("");
+    }
+  }
 
   function handleSortChange(e) {
     setSortBy(e.target.value);
   }
 
+  function handleSelectFromOverlay(position) {
+    setSelectedPosition(position);
+    document
+      .getElementById(`book-card-${position}`)
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }
+
+  function handleSelectFromCard(position) {
+    const book = books.find((candidate) => candidate.position === position);
+    if (book) setActiveImageIndex(book.image_index ?? 0);
+    setSelectedPosition((current) => (current === position ? null : position));
+  }
+
   const handleScanAnother = () => navigate("/");
   const handleGoHome = () => navigate("/");
 
@@ -154,6 +364,10 @@ function Results() {
     );
   }
 
+  const visibleBooks = filterBooks(books, filterBy);
+  // Language filter options only make sense for a shelf in several languages
+  const languages = [...new Set(books.map((book) => book.language).filter(Boolean))].sort();
+
   return (
     <div className="max-w-7xl mx-auto px-4 py-8">
       <div className="mb-8">
@@ -179,7 +393,29 @@ function Results() {
           )}
         </div>
 
-        <div className="flex items-center gap-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <label htmlFor="filter" className="text-sm font-medium text-text-secondary">
+            Show:
+          </label>
+          <select
+            id="filter"
+            value={filterBy}
+            onChange={(e) => setFilterBy(e.target.value)}
+            className="px-4 py-2 border border-border rounded-lg bg-bg-surface text-text-primary text-sm focus:outline-none focus:ring-2 focus:ring-accent/40 focus:border-accent cursor-pointer"
+          >
+            <option value="all">All books</option>
+            <option value="likely">Likely right</option>
+            <option value="review">Needs review</option>
+            {languages.length > 1 && (
+              <optgroup label="Language">
+                {languages.map((code) => (
+                  <option key={code} value={`language:${code}`}>
+                    {languageName(code)}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+          </select>
           <label htmlFor="sort" className="text-sm font-medium text-text-secondary">
             Sort by:
           </label>
@@ -192,18 +428,96 @@ function Results() {
             <option value="confidence">Confidence (High → Low)</option>
             <option value="title">Title (A → Z)</option>
             <option value="author">Author (A → Z)</option>
+            <option value="published">Published (New → Old)</option>
+            <option value="pages">Length (Short → Long)</option>
+            <option value="rating">Rating (High → Low)</option>
           </select>
+          {scan?.stored_image_count > 0 && (
+            <button
+              onClick={handleRerun}
+              disabled={rerunning || saving}
+              className="px-4 py-2 border border-border rounded-lg bg-bg-surface text-text-primary text-sm hover:border-accent disabled:opacity-50 transition-colors"
+            >
+              {rerunning ? "Recognizing again…" : "Re-run recognition"}
+            </button>
+          )}
         </div>
+        {rerunError && <p className="text-danger text-sm mt-3">{rerunError}</p>}
       </div>
 
+      {scan?.preview_images?.some(Boolean) && books.some((book) => book.bbox) && (
+        <SpineOverlay
+          imageUrls={scan.preview_images}
+          activeImageIndex={activeImageIndex}
+          onImageChange={setActiveImageIndex}
+          books={visibleBooks}
+          selectedPosition={selectedPosition}
+          onSelect={handleSelectFromOverlay}
+        />
+      )}
+
+      <SeriesPanel scanId={scanId} deviceId={searchParams.get("device_id")} scan={scan} />
+
+      {visibleBooks.length === 0 && (
+        <p className="text-text-muted text-sm mb-8">No books match this filter.</p>
+      )}
+
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6 mb-8">
-        {books.map((book, index) => (
-          <div key={`${book.title}-${index}`} style={{ animationDelay: `${index * 60}ms` }}>
-            <BookCard book={book} />
+        {visibleBooks.map((book, index) => (
+          <div
+            key={`${book.title}-${book.position}`}
+            id={`book-card-${book.position}`}
+            style={{ animationDelay: `${index * 60}ms` }}
+          >
+            <BookCard
+              book={book}
+              selected={book.position === selectedPosition}
+              onSelect={book.bbox ? () => handleSelectFromCard(book.position) : undefined}
+              onSave={(fields) => handleRename(book.position, fields)}
+              onDelete={() => handleDelete(book.position)}
+              onSelectMatch={(alternative) => handleSelectMatch(book.position, alternative)}
+              onSelectEdition={(editionId) => handleSelectEdition(book.position, editionId)}
+              saving={saving}
+            />
           </div>
         ))}
       </div>
 
+      {editError && (
+        <div className="mb-6 p-4 bg-danger-muted border border-danger/30 rounded-lg">
+          <p className="text-danger text-sm">{editError}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleAddBook} className="glass-card p-4 mb-8 flex flex-wrap items-center gap-3">
+        <span className="text-sm font-medium text-text-primary">Missing a book?</span>
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="Title"
+          aria-label="Title of the missing book"
+          disabled={saving}
+          className="flex-1 min-w-40 px-3 py-2 border border-border rounded-lg bg-bg-surface text-text-primary text-sm focus:outline-none focus:ring-2 focus:ring-accent/40 focus:border-accent"
+        />
+        <input
+          type="text"
+          value={newAuthor}
+          onChange={(e) => setNewAuthor(e.target.value)}
+          placeholder="Author"
+          aria-label="Author of the missing book"
+          disabled={saving}
+          className="flex-1 min-w-40 px-3 py-2 border border-border rounded-lg bg-bg-surface text-text-primary text-sm focus:outline-none focus:ring-2 focus:ring-accent/40 focus:border-accent"
+        />
+        <button
+          type="submit"
+          disabled={saving || !newTitle.trim()}
+          className="px-4 py-2 bg-accent text-white rounded-lg hover:bg-accent-hover font-medium text-sm transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Add Book
+        </button>
+      </form>
+
       {user ? (
         <div className="mt-8 text-center">
           <div className="relative my-8">
@@ -255,6 +255,14 @@ export default function Saved() {
                     onChange={() => toggleSelection(set.scan_id)}
                     className="w-4 h-4 rounded border-border accent-[#7c5e36] shrink-0"
                   />
+                  {set.thumbnail_url && (
+                    <img
+                      src={set.thumbnail_url}
+                      alt="Scanned shelf"
+                      loading="lazy"
+                      className="w-16 h-16 rounded-lg object-cover bg-bg-surface shrink-0"
+                    />
+                  )}
                   <div className="flex-1 min-w-0">
                     <p className="text-sm font-medium text-text-primary">
                       Scanned {formatDate(set.scan_date)}
@@ -271,6 +279,19 @@ export default function Saved() {
                       {set.recommendation_count} recommendation{set.recommendation_count !== 1 ? "s" : ""}
                     </p>
                   </div>
+                  {set.cover_previews?.length > 0 && (
+                    <div className="hidden sm:flex -space-x-3 shrink-0" aria-hidden="true">
+                      {set.cover_previews.map((coverUrl, index) => (
+                        <img
+                          key={index}
+                          src={coverUrl}
+                          alt=""
+                          loading="lazy"
+                          className="w-10 h-14 rounded object-cover bg-bg-surface border border-border shadow-sm"
+                        />
+                      ))}
+                    </div>
+                  )}
                   <Link
                     to={`/recommendations/${set.scan_id}`}
                     className="shrink-0 px-4 py-2 text-sm bg-accent text-white rounded-lg hover:bg-accent-hover transition-colors font-medium"
@@ -0,0 +1,53 @@
+/**
+ * Display helpers for book details from book_cache (page count, publication
+ * date, publisher, language, ratings), shared by BookCard, RecommendationCard
+ * and the Results page filters.
+ */
+
+/**
+ * Language name for an ISO 639-1 code, in the browser's language
+ * ("en" -> "English"). Falls back to the code itself.
+ */
+export function languageName(code) {
+  if (!code) return null;
+  try {
+    return new Intl.DisplayNames([navigator.language || "en"], { type: "language" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Publication year from a published_date ("2005", "2005-03" or "2005-03-01").
+ */
+export function publicationYear(publishedDate) {
+  const year = parseInt(publishedDate, 10);
+  return Number.isInteger(year) ? year : null;
+}
+
+/**
+ * Short facts line, e.g. "1965 · 412 pages · Ace Books".
+ *
+ * @param {Object} book - Book or recommendation with its cached details
+ * @param {Object} [options]
+ * @param {boolean} [options.language] - Include the language name
+ * @returns {string} Empty when no details are known
+ */
+export function describeDetails(book, { language = false } = {}) {
+  const parts = [];
+  const year = publicationYear(book.published_date);
+  if (year) parts.push(year);
+  if (book.page_count) parts.push(`${book.page_count} pages`);
+  if (book.publisher) parts.push(book.publisher);
+  if (language && book.language) parts.push(languageName(book.language));
+  return parts.join(" · ");
+}
+
+/**
+ * Rating line, e.g. "★ 4.3 (1,204)", or null without a rating.
+ */
+export function describeRating(book) {
+  if (!book.average_rating) return null;
+  const count = book.ratings_count ? ` (${book.ratings_count.toLocaleString()})` : "";
+  return `★ ${book.average_rating.toFixed(1)}${count}`;
+}
@@ -0,0 +1,104 @@
+/**
+ * httpFixtures.test.js
+ *
+ * Record-and-replay (lib/httpFixtures.js): a response recorded from a local
+ * server is served again in replay mode once the server is gone, and an
+ * adapter runs offline from the fixtures committed in fixtures/http.
+ */
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { fixtureFetch } from "../lib/httpFixtures.js";
+import { searchOpenLibrary } from "../lib/openLibrary.js";
+
+const COMMITTED_FIXTURES_DIR = fileURLToPath(new URL("./fixtures/http", import.meta.url));
+
+function useFixtures(mode, dir) {
+  process.env.HTTP_FIXTURES = mode;
+  process.env.HTTP_FIXTURES_DIR = dir;
+}
+
+// Serves one JSON body on an ephemeral local port
+async function startServer(status, body) {
+  const server = http.createServer((request, response) => {
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return server;
+}
+
+afterEach(() => {
+  delete process.env.HTTP_FIXTURES;
+  delete process.env.HTTP_FIXTURES_DIR;
+});
+
+test("a recorded response is replayed without the server", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "librescan-fixtures-"));
+  const server = await startServer(200, { items: [{ title: "Dune" }] });
+  const url = `http://127.0.0.1:${server.address().port}/volumes?q=dune&key=secret`;
+  const fixture = { service: "google-books", key: "intitle:Dune" };
+
+  try {
+    useFixtures("record", dir);
+    const recorded = await fixtureFetch(fixture, url);
+    assert.deepEqual(await recorded.json(), { items: [{ title: "Dune" }] });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  const [file] = await fs.readdir(path.join(dir, "google-books"));
+  const saved = JSON.parse(await fs.readFile(path.join(dir, "google-books", file), "utf8"));
+  assert.equal(saved.key, "intitle:Dune");
+  assert.match(saved.request.url, /key=REDACTED$/);
+
+  useFixtures("replay", dir);
+  const replayed = await fixtureFetch(fixture, url);
+  assert.equal(replayed.status, 200);
+  assert.equal(replayed.headers.get("content-type"), "application/json");
+  assert.deepEqual(await replayed.json(), { items: [{ title: "Dune" }] });
+
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("replay fails on a request that was never recorded", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "librescan-fixtures-"));
+  useFixtures("replay", dir);
+
+  await assert.rejects(
+    fixtureFetch({ service: "google-books", key: "intitle:Unrecorded" }, "http://127.0.0.1:9/"),
+    { code: "ENOFIXTURE" },
+  );
+
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("Open Library search runs offline from the committed fixtures", async () => {
+  useFixtures("replay", COMMITTED_FIXTURES_DIR);
+
+  const metadata = await searchOpenLibrary("The Dispossessed", "Ursula K. Le Guin");
+
+  assert.deepEqual(metadata, {
+    isbn: "9780060512750",
+    cover_url: "https://covers.openlibrary.org/b/id/8228691-M.jpg",
+    description:
+      "Shevek, a brilliant physicist, decides to take action. He will seek to unite the two planets.",
+    categories: ["Science fiction", "Utopias", "Anarchism"],
+    matched_title: "The Dispossessed",
+    matched_authors: ["Ursula K. Le Guin"],
+    cover_url_large: "https://covers.openlibrary.org/b/id/8228691-L.jpg",
+    page_count: 387,
+    published_date: "1974",
+    publisher: "Harper & Row",
+    language: "en",
+    average_rating: 4.17,
+    ratings_count: 42,
+    work_key: "/works/OL59863W",
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * metadataProviders.test.js
+ *
+ * Which providers enrichment asks about a book, and what it keeps from their
+ * answers, under the fill and fallback policies.
+ *
+ * Each fixture in fixtures/metadata holds one reading and what every provider
+ * returns for it (null: not found), in the shape of the adapters' results
+ * (googleBooks.js, openLibrary.js). No request leaves the process.
+ */
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import {
+  getMetadataPolicy,
+  availableProviders,
+  collectMetadata,
+} from "../lib/metadataProviders.js";
+
+const POLICY_VARIABLES = [
+  "METADATA_PROVIDERS",
+  "METADATA_MERGE",
+  "METADATA_REQUIRED_FIELDS",
+  "METADATA_FIELD_PROVIDERS",
+];
+const ALL_PROVIDERS = ["google-books", "open-library"];
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(new URL(`./fixtures/metadata/${name}.json`, import.meta.url)));
+}
+
+function policyWith(variables = {}) {
+  for (const name of POLICY_VARIABLES) delete process.env[name];
+  Object.assign(process.env, variables);
+  return getMetadataPolicy();
+}
+
+// Runs collectMetadata() against a fixture and records which providers it asked
+async function lookUp(fixtureName, policy, names = ALL_PROVIDERS) {
+  const fixture = loadFixture(fixtureName);
+  const asked = [];
+  const metadata = await collectMetadata(
+    names,
+    async (name) => {
+      asked.push(name);
+      return fixture[name];
+    },
+    policy,
+  );
+  return { metadata, asked };
+}
+
+afterEach(() => {
+  for (const name of POLICY_VARIABLES) delete process.env[name];
+});
+
+test("fill: a Google Books match with an ISBN and a cover is not looked up again", async () => {
+  const { metadata, asked } = await lookUp("dune", policyWith());
+
+  assert.deepEqual(asked, ["google-books"]);
+  assert.equal(metadata.isbn, "9780441172719");
+  assert.equal(metadata.description, null);
+  assert.equal(metadata.metadata_sources.cover_url, "google-books");
+});
+
+test("fill: a missing cover is taken from Open Library, the rest stays Google's", async () => {
+  const { metadata, asked } = await lookUp("piranesi", policyWith());
+
+  assert.deepEqual(asked, ["google-books", "open-library"]);
+  assert.equal(metadata.cover_url, "https://covers.openlibrary.org/b/id/10524054-M.jpg");
+  assert.equal(metadata.isbn, "9781635575637");
+  assert.equal(metadata.page_count, 272);
+  assert.equal(metadata.work_key, "/works/OL20893680W");
+  assert.deepEqual(metadata.metadata_sources, {
+    matched_title: "google-books",
+    matched_authors: "google-books",
+    isbn: "google-books",
+    cover_url: "open-library",
+    description: "google-books",
+    categories: "google-books",
+    page_count: "google-books",
+  });
+});
+
+test("fill: nothing is taken from another book, even for an empty field", async () => {
+  const { metadata, asked } = await lookUp("study-guide", policyWith());
+
+  assert.deepEqual(asked, ["google-books", "open-library"]);
+  assert.equal(metadata.matched_title, "Beloved");
+  assert.equal(metadata.cover_url, null);
+  assert.equal(metadata.metadata_sources.cover_url, undefined);
+});
+
+test("fill: a required description makes Open Library worth asking", async () => {
+  const { metadata, asked } = await lookUp(
+    "dune",
+    policyWith({ METADATA_REQUIRED_FIELDS: "isbn,cover_url,description" }),
+  );
+
+  assert.deepEqual(asked, ["google-books", "open-library"]);
+  assert.equal(metadata.metadata_sources.description, "open-library");
+  assert.equal(metadata.metadata_sources.cover_url, "google-books");
+});
+
+test("fill: a preferred provider for a required field is always asked", async () => {
+  const { metadata, asked } = await lookUp(
+    "dune",
+    policyWith({ METADATA_FIELD_PROVIDERS: "cover_url=open-library" }),
+  );
+
+  assert.deepEqual(asked, ["google-books", "open-library"]);
+  assert.equal(metadata.cover_url, "https://covers.openlibrary.org/b/id/11481354-M.jpg");
+  assert.equal(metadata.matched_title, "Dune");
+  assert.equal(metadata.metadata_sources.matched_title, "google-books");
+});
+
+test("fallback: only the first provider that finds the book is used", async () => {
+  const { metadata, asked } = await lookUp("piranesi", policyWith({ METADATA_MERGE: "fallback" }));
+
+  assert.deepEqual(asked, ["google-books"]);
+  assert.equal(metadata.cover_url, null);
+});
+
+test("fill and fallback: a Google Books miss goes to Open Library", async () => {
+  for (const mode of ["fill", "fallback"]) {
+    const { metadata, asked } = await lookUp(
+      "open-library-only",
+      policyWith({ METADATA_MERGE: mode }),
+    );
+
+    assert.deepEqual(asked, ["google-books", "open-library"]);
+    assert.equal(metadata.matched_title, "The Dispossessed");
+    assert.equal(metadata.metadata_sources.isbn, "open-library");
+  }
+});
+
+test("without a Google Books key the default order asks no one", () => {
+  const withoutKey = (name) => name !== "google-books";
+
+  assert.deepEqual(availableProviders(policyWith(), withoutKey), []);
+  assert.deepEqual(
+    availableProviders(policyWith({ METADATA_PROVIDERS: "open-library" }), withoutKey),
+    ["open-library"],
+  );
+  assert.deepEqual(
+    availableProviders(policyWith({ METADATA_PROVIDERS: "google-books,open-library" }), withoutKey),
+    ["open-library"],
+  );
+  assert.deepEqual(availableProviders(policyWith(), () => true), ALL_PROVIDERS);
+});
+
+test("an unknown required field fails loudly", () => {
+  assert.throws(() => policyWith({ METADATA_REQUIRED_FIELDS: "isbn,cover" }), /cover/);
+});